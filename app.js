@@ -11,12 +11,56 @@ class DataStore {
     constructor() {
         this.cards = [];
         this.navigationHistory = [];
+        
+        // Typed links between cards: { id, source, target, type, label?, inverseLabel? }
+        this.relations = [];
+        this.relationsDirty = false;
+        
+        // World-wide preferences saved with the cards (graph pins, ...)
+        this.settings = {};
+        this.settingsDirty = false;
+        
+        // Set when the stored world was upgraded and its version must be rewritten
+        this.schemaDirty = false;
+        
+        // Persistence state (see WorldStorage)
+        this.storage = null;
+        this.pendingWrites = new Set();
+        this.pendingDeletes = new Set();
+        this.saveTimer = null;
+        this.saveDelay = 800; // ms to wait for more edits before writing
+        this.saveStatus = 'opening'; // until the stored world has loaded
+        this.onSaveStatusChange = null;
+        
+        // Undo/redo state (see transact)
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxUndo = 50;
+        this.activeTransaction = null;
+        
+        // Revision history: cardId -> [{ id, savedAt, card }], oldest first
+        this.revisions = {};
+        this.maxRevisions = 50;
+        this.pendingRevisionWrites = new Set();
+        
+        // Content-addressed images: hash -> { hash, type, width, height, bytes }.
+        // Card galleries point at them by hash; object URLs are made on first use.
+        this.images = new Map();
+        this.imageUrls = new Map();
+        this.pendingImageWrites = new Set();
+        this.pendingImageDeletes = new Set();
+        
+        this.searchIndex = new SearchIndex();
     }
 
     generateId() {
         return 'card_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
+    generateRevisionId() {
+        return 'rev_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
     // Get the next available number for a card type
     getNextNumber(type) {
         const cardsOfType = this.cards.filter(c => c.type === type);
@@ -25,30 +69,6 @@ class DataStore {
         return maxNumber + 1;
     }
 
-    // Assign numbers to cards that don't have them (legacy cards)
-    ensureAllCardsHaveNumbers() {
-        const types = ['evento', 'local', 'personagem'];
-        
-        types.forEach(type => {
-            const cardsOfType = this.cards
-                .filter(c => c.type === type)
-                .sort((a, b) => {
-                    // Sort by createdAt date, oldest first
-                    const dateA = new Date(a.createdAt || 0);
-                    const dateB = new Date(b.createdAt || 0);
-                    return dateA - dateB;
-                });
-            
-            let nextNumber = 1;
-            cardsOfType.forEach(card => {
-                if (!card.number || card.number < 1) {
-                    card.number = nextNumber;
-                }
-                nextNumber = Math.max(nextNumber, card.number) + 1;
-            });
-        });
-    }
-
     // Reorganize numbers when there's a conflict
     reorganizeNumbers(type, newNumber, excludeId = null) {
         const cardsOfType = this.cards
@@ -58,12 +78,29 @@ class DataStore {
         // Find cards that need to be shifted
         cardsOfType.forEach(card => {
             if (card.number >= newNumber) {
+                this.captureBefore(card.id);
                 card.number = card.number + 1;
                 card.updatedAt = new Date().toISOString();
+                this.markDirty(card.id);
             }
         });
     }
 
+    // Number the cards of a type 1..n in the given order; returns how many changed
+    renumberCards(type, orderedIds) {
+        let changed = 0;
+        orderedIds.forEach((id, index) => {
+            const card = this.getCard(id);
+            if (!card || card.type !== type || card.number === index + 1) return;
+            this.captureBefore(card.id);
+            card.number = index + 1;
+            card.updatedAt = new Date().toISOString();
+            this.markDirty(card.id);
+            changed++;
+        });
+        return changed;
+    }
+
     createCard(cardData) {
         // Handle numbering
         if (!cardData.number || cardData.number < 1) {
@@ -84,7 +121,17 @@ class DataStore {
             updatedAt: new Date().toISOString(),
             ...cardData
         };
+        this.captureBefore(card.id);
+        this.cards.push(card);
+        this.markDirty(card.id);
+        return card;
+    }
+
+    // Add a card exactly as given (import); the caller makes sure the id is free
+    insertCard(card) {
+        this.captureBefore(card.id);
         this.cards.push(card);
+        this.markDirty(card.id);
         return card;
     }
 
@@ -92,6 +139,8 @@ class DataStore {
         const index = this.cards.findIndex(c => c.id === id);
         if (index !== -1) {
             const existingCard = this.cards[index];
+            this.captureBefore(id);
+            this.recordRevision(existingCard);
             
             // Handle numbering on update
             if (cardData.number && cardData.number !== existingCard.number) {
@@ -112,6 +161,7 @@ class DataStore {
                 ...cardData,
                 updatedAt: new Date().toISOString()
             };
+            this.markDirty(id);
             return this.cards[index];
         }
         return null;
@@ -120,20 +170,13 @@ class DataStore {
     deleteCard(id) {
         const index = this.cards.findIndex(c => c.id === id);
         if (index !== -1) {
-            // Remove references to this card from other cards
-            this.cards.forEach(card => {
-                if (card.adjacentLocations) {
-                    card.adjacentLocations = card.adjacentLocations.filter(loc => loc !== id);
-                }
-                if (card.presentCharacters) {
-                    card.presentCharacters = card.presentCharacters.filter(char => char !== id);
-                }
-                if (card.bonds) {
-                    card.bonds = card.bonds.filter(bond => bond !== id);
-                }
-            });
+            this.captureBefore(id);
+            this.removeRelationsFor(id);
             
             this.cards.splice(index, 1);
+            this.markDeleted(id);
+            // Kept in memory so undo can bring it back; flush removes it from storage
+            if (this.revisions[id]) this.pendingRevisionWrites.add(id);
             return true;
         }
         return false;
@@ -151,12 +194,10 @@ class DataStore {
         return this.cards;
     }
 
+    // Ranked results ({ card, score, terms, snippet }) for a query such as
+    // "torre type:local tag:ruínas"; see SearchIndex
     searchCards(query) {
-        const lowerQuery = query.toLowerCase();
-        return this.cards.filter(card => 
-            card.name.toLowerCase().includes(lowerQuery) ||
-            (card.description && card.description.toLowerCase().includes(lowerQuery))
-        );
+        return this.searchIndex.search(this.cards, query);
     }
 
     pushToHistory(cardId) {
@@ -169,3822 +210,12236 @@ class DataStore {
     getLastFromHistory() {
         return this.navigationHistory.pop();
     }
-}
 
-// =====================================================
-// UI CONTROLLER
-// =====================================================
+    // =========================================
+    // UNDO / REDO - snapshot commands
+    // =========================================
 
-class UIController {
-    constructor(dataStore) {
-        this.dataStore = dataStore;
-        this.currentView = 'cards';
-        this.currentCard = null;
-        this.currentFilter = 'all';
-        this.selectedType = null;
-        this.editingCardId = null;
-        
-        // Carousel state
-        this.carouselPositions = {
-            eventos: 0,
-            locais: 0,
-            personagens: 0
-        };
+    // Run `fn` as one undoable command. Every card touched inside it is
+    // snapshotted before its first change, so side effects on connected
+    // cards are undone together with the edit that caused them.
+    transact(label, fn) {
+        // Nested calls join the outer command
+        if (this.activeTransaction) return fn();
         
-        // Drag state
-        this.dragState = {
-            isDragging: false,
-            potentialDrag: false,
-            hasMoved: false,
-            startX: 0,
-            currentX: 0,
-            track: null,
-            startTranslate: 0
+        const transaction = {
+            label, before: new Map(), revisions: new Map(), relationsBefore: null, historiesBefore: new Map(), settingsBefore: new Map()
         };
+        this.activeTransaction = transaction;
+        let result;
+        try {
+            result = fn();
+        } catch (error) {
+            this.activeTransaction = null;
+            this.restoreSnapshots(transaction.before);
+            this.restoreRelations(transaction.relationsBefore);
+            this.removeRevisions(transaction.revisions);
+            this.restoreHistories(transaction.historiesBefore);
+            this.restoreSettings(transaction.settingsBefore);
+            throw error;
+        }
+        this.activeTransaction = null;
         
-        this.init();
+        if (transaction.before.size > 0 || transaction.relationsBefore || transaction.historiesBefore.size > 0 ||
+            transaction.settingsBefore.size > 0) {
+            const after = new Map();
+            transaction.before.forEach((_, id) => after.set(id, this.snapshotCard(id)));
+            const historiesAfter = new Map();
+            transaction.historiesBefore.forEach((_, id) => historiesAfter.set(id, this.revisions[id] ? this.revisions[id].slice() : null));
+            const settingsAfter = new Map();
+            transaction.settingsBefore.forEach((_, key) => settingsAfter.set(key, this.snapshotSetting(key)));
+            
+            this.undoStack.push({
+                label,
+                before: transaction.before,
+                after,
+                relationsBefore: transaction.relationsBefore,
+                relationsAfter: transaction.relationsBefore ? this.relations.map(r => ({ ...r })) : null,
+                revisions: transaction.revisions,
+                historiesBefore: transaction.historiesBefore,
+                historiesAfter,
+                settingsBefore: transaction.settingsBefore,
+                settingsAfter
+            });
+            if (this.undoStack.length > this.maxUndo) {
+                this.undoStack.shift();
+            }
+            this.redoStack = [];
+        }
+        return result;
     }
 
-    init() {
-        this.bindEvents();
-        this.renderCardsList();
-        this.updateWelcomeScreen();
-        this.renderCarousels();
-        this.initCarouselDrag();
+    // Remember a card's state before the current command first changes it
+    captureBefore(id) {
+        const transaction = this.activeTransaction;
+        if (!transaction || transaction.before.has(id)) return;
+        transaction.before.set(id, this.snapshotCard(id));
     }
 
-    bindEvents() {
-        // Navigation buttons
-        document.querySelectorAll('.nav-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const view = e.currentTarget.dataset.view;
-                this.showView(view);
-            });
-        });
+    // The relation list is small, so a command keeps a copy of all of it
+    captureRelations() {
+        const transaction = this.activeTransaction;
+        if (!transaction || transaction.relationsBefore) return;
+        transaction.relationsBefore = this.relations.map(r => ({ ...r }));
+    }
 
-        // Filter buttons
-        document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const filter = e.currentTarget.dataset.filter;
-                this.setFilter(filter);
-            });
-        });
+    restoreRelations(relations) {
+        if (!relations) return;
+        this.relations = relations.map(r => ({ ...r }));
+        this.markRelationsDirty();
+    }
 
-        // Search input
-        document.getElementById('search-cards').addEventListener('input', (e) => {
-            this.filterCardsList(e.target.value);
-        });
+    // Whole histories replaced by the current command (import), by card
+    captureHistory(cardId) {
+        const transaction = this.activeTransaction;
+        if (!transaction || transaction.historiesBefore.has(cardId)) return;
+        transaction.historiesBefore.set(cardId, this.revisions[cardId] ? this.revisions[cardId].slice() : null);
+    }
 
-        // Type selection buttons
-        document.querySelectorAll('.type-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const type = e.currentTarget.dataset.type;
-                this.selectType(type);
-            });
+    restoreHistories(histories) {
+        histories.forEach((list, cardId) => {
+            if (list) {
+                this.revisions[cardId] = list.slice();
+            } else {
+                delete this.revisions[cardId];
+            }
+            this.pendingRevisionWrites.add(cardId);
         });
+        if (histories.size > 0) this.scheduleSave();
+    }
 
-        // Form submission
-        document.getElementById('card-form').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleFormSubmit();
-        });
+    // Settings changed by the current command (import), by key
+    captureSetting(key) {
+        const transaction = this.activeTransaction;
+        if (!transaction || transaction.settingsBefore.has(key)) return;
+        transaction.settingsBefore.set(key, this.snapshotSetting(key));
+    }
 
-        // Connection selectors
-        this.bindConnectionSelectors();
+    // Deep copy of a setting's value (undefined if it isn't set)
+    snapshotSetting(key) {
+        return key in this.settings ? JSON.parse(JSON.stringify(this.settings[key])) : undefined;
+    }
 
-        // Modal overlay click to close
-        document.getElementById('modal-overlay').addEventListener('click', (e) => {
-            if (e.target.id === 'modal-overlay') {
-                this.closeModal();
+    restoreSettings(settings) {
+        settings.forEach((value, key) => {
+            if (value === undefined) {
+                delete this.settings[key];
+            } else {
+                this.settings[key] = JSON.parse(JSON.stringify(value));
             }
         });
+        if (settings.size > 0) {
+            this.settingsDirty = true;
+            this.scheduleSave();
+        }
+    }
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.closeModal();
-                this.closeCardDetail();
-            }
-        });
+    // Deep copy of a card and its position in the list (null if it doesn't exist)
+    snapshotCard(id) {
+        const index = this.cards.findIndex(c => c.id === id);
+        if (index === -1) return null;
+        return { index, card: JSON.parse(JSON.stringify(this.cards[index])) };
     }
-    
-    initCarouselDrag() {
-        const tracks = document.querySelectorAll('.carousel-track');
-        
-        tracks.forEach(track => {
-            // Mouse events
-            track.addEventListener('mousedown', (e) => this.startDrag(e, track));
-            track.addEventListener('mousemove', (e) => this.onDrag(e));
-            track.addEventListener('mouseup', () => this.endDrag());
-            track.addEventListener('mouseleave', () => this.endDrag());
-            
-            // Touch events
-            track.addEventListener('touchstart', (e) => this.startDrag(e, track), { passive: true });
-            track.addEventListener('touchmove', (e) => this.onDrag(e), { passive: true });
-            track.addEventListener('touchend', () => this.endDrag());
+
+    restoreSnapshots(snapshots) {
+        // Remove first, then re-insert in list order so indexes stay valid
+        snapshots.forEach((snapshot, id) => {
+            const index = this.cards.findIndex(c => c.id === id);
+            if (index !== -1) this.cards.splice(index, 1);
+            if (!snapshot) this.markDeleted(id);
         });
+        
+        Array.from(snapshots.values())
+            .filter(Boolean)
+            .sort((a, b) => a.index - b.index)
+            .forEach(snapshot => {
+                const card = JSON.parse(JSON.stringify(snapshot.card));
+                this.cards.splice(Math.min(snapshot.index, this.cards.length), 0, card);
+                this.markDirty(card.id);
+                // A deleted card's history was dropped from storage; write it back
+                if (this.revisions[card.id]) this.pendingRevisionWrites.add(card.id);
+            });
     }
-    
-    startDrag(e, track) {
-        // Don't start drag if clicking on a flip card directly
-        if (e.target.closest('.flip-card')) {
-            this.dragState.potentialDrag = true;
-            this.dragState.isDragging = false;
-        } else {
-            this.dragState.potentialDrag = true;
-            this.dragState.isDragging = false;
-        }
+
+    // Drop the commands that changed these cards, once they have left the
+    // world for good, so undo can't bring them back. The other commands stay,
+    // minus any links to the cards in their relation snapshots.
+    forgetCards(ids) {
+        const gone = new Set(ids);
+        const linked = (relations) => JSON.stringify((relations || []).filter(r => gone.has(r.source) || gone.has(r.target)));
+        const keep = (command) => {
+            if (ids.some(id => command.before.has(id) || command.revisions.has(id) || command.historiesBefore.has(id))) return false;
+            if (command.relationsBefore) {
+                if (linked(command.relationsBefore) !== linked(command.relationsAfter)) return false;
+                command.relationsBefore = command.relationsBefore.filter(r => !gone.has(r.source) && !gone.has(r.target));
+                command.relationsAfter = command.relationsAfter.filter(r => !gone.has(r.source) && !gone.has(r.target));
+            }
+            return true;
+        };
+        this.undoStack = this.undoStack.filter(keep);
+        this.redoStack = this.redoStack.filter(keep);
+    }
+
+    // Undo the last command; with `expected`, only if it is still the last one
+    undo(expected = null) {
+        const command = this.undoStack[this.undoStack.length - 1];
+        if (!command || (expected && command !== expected)) return null;
         
-        this.dragState.track = track;
-        this.dragState.startX = e.type.includes('touch') ? e.touches[0].clientX : e.clientX;
-        this.dragState.currentX = this.dragState.startX;
-        this.dragState.hasMoved = false;
+        this.undoStack.pop();
+        this.restoreSnapshots(command.before);
+        this.restoreRelations(command.relationsBefore);
+        this.removeRevisions(command.revisions);
+        this.restoreHistories(command.historiesBefore);
+        this.restoreSettings(command.settingsBefore);
+        this.redoStack.push(command);
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
         
-        // Get current translate value
-        const transform = window.getComputedStyle(track).transform;
-        if (transform !== 'none') {
-            const matrix = new DOMMatrix(transform);
-            this.dragState.startTranslate = matrix.m41;
-        } else {
-            this.dragState.startTranslate = 0;
+        this.restoreSnapshots(command.after);
+        this.restoreRelations(command.relationsAfter);
+        command.revisions.forEach((revision, cardId) => this.addRevision(cardId, revision));
+        this.restoreHistories(command.historiesAfter);
+        this.restoreSettings(command.settingsAfter);
+        this.undoStack.push(command);
+        return command;
+    }
+
+    getLastCommand() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    // =========================================
+    // REVISIONS - per-card edit history
+    // =========================================
+
+    // Keep the state a card had before an update. One command (a form save
+    // plus its connection side effects) produces one revision per card.
+    recordRevision(card) {
+        const transaction = this.activeTransaction;
+        if (transaction && transaction.revisions.has(card.id)) return;
+        
+        const revision = {
+            id: this.generateRevisionId(),
+            savedAt: new Date().toISOString(),
+            card: JSON.parse(JSON.stringify(card)),
+            relations: this.getRelationsFor(card.id).map(r => ({ ...r }))
+        };
+        this.addRevision(card.id, revision);
+        if (transaction) transaction.revisions.set(card.id, revision);
+    }
+
+    addRevision(cardId, revision) {
+        const list = this.revisions[cardId] || (this.revisions[cardId] = []);
+        list.push(revision);
+        if (list.length > this.maxRevisions) {
+            list.splice(0, list.length - this.maxRevisions);
         }
+        this.pendingRevisionWrites.add(cardId);
+        this.scheduleSave();
     }
-    
-    onDrag(e) {
-        if (!this.dragState.potentialDrag) return;
+
+    // Drop revisions by cardId -> revision (used when a command is undone)
+    removeRevisions(revisionsByCard) {
+        revisionsByCard.forEach((revision, cardId) => {
+            const list = this.revisions[cardId];
+            if (!list) return;
+            this.revisions[cardId] = list.filter(r => r.id !== revision.id);
+            this.pendingRevisionWrites.add(cardId);
+        });
+        if (revisionsByCard.size > 0) this.scheduleSave();
+    }
+
+    getRevisions(cardId) {
+        return this.revisions[cardId] || [];
+    }
+
+    getRevision(cardId, revisionId) {
+        return this.getRevisions(cardId).find(r => r.id === revisionId) || null;
+    }
+
+    // Replace a card's whole history (import); undone with the command
+    setRevisions(cardId, revisions) {
+        this.captureHistory(cardId);
+        this.revisions[cardId] = revisions.slice(-this.maxRevisions);
+        this.pendingRevisionWrites.add(cardId);
+        this.scheduleSave();
+    }
+
+    // =========================================
+    // RELATIONS - typed links between cards
+    // =========================================
+
+    generateRelationId() {
+        return createRelationId();
+    }
+
+    getRelationsFor(cardId) {
+        return this.relations.filter(r => r.source === cardId || r.target === cardId);
+    }
+
+    // Same link already stored? Symmetric types match in either direction.
+    findRelation(source, target, type) {
+        return findRelationIn(this.relations, source, target, type);
+    }
+
+    addRelation({ source, target, type, label, inverseLabel }) {
+        if (!source || !target || source === target) return null;
         
-        const currentX = e.type.includes('touch') ? e.touches[0].clientX : e.clientX;
-        const diff = Math.abs(currentX - this.dragState.startX);
+        const existing = type !== 'custom' ? this.findRelation(source, target, type) : null;
+        if (existing) return existing;
+        if (this.breaksHierarchy(source, target, type)) return null;
         
-        // Only start actual drag after moving more than 10px
-        if (diff > 10 && !this.dragState.isDragging) {
-            this.dragState.isDragging = true;
-            this.dragState.hasMoved = true;
-            this.dragState.track.classList.add('dragging');
-        }
+        this.captureRelations();
+        const relation = { id: this.generateRelationId(), source, target, type };
+        if (label) relation.label = label;
+        if (inverseLabel) relation.inverseLabel = inverseLabel;
+        this.relations.push(relation);
+        this.markRelationsDirty();
+        return relation;
+    }
+
+    // Whether a new `contains` or `parent` link would break its tree: a
+    // location sits in at most one other, a person has at most two parents,
+    // and neither chain may lead back to where it started. The form explains
+    // these (see validateContainment); files and transfers just lose the link.
+    breaksHierarchy(source, target, type) {
+        if (type !== 'contains' && type !== 'parent') return false;
+        const uplinks = (id) => this.relations.filter(r => r.type === type && r.target === id).map(r => r.source);
+        if (uplinks(target).length >= (type === 'contains' ? 1 : 2)) return true;
         
-        if (this.dragState.isDragging) {
-            const moveDiff = currentX - this.dragState.startX;
-            const newTranslate = this.dragState.startTranslate + moveDiff;
-            this.dragState.track.style.transform = `translateX(${newTranslate}px)`;
-            this.dragState.currentX = currentX;
+        // The target must not already be above the source
+        const seen = new Set();
+        const queue = [source];
+        while (queue.length > 0) {
+            const id = queue.pop();
+            if (id === target) return true;
+            if (seen.has(id)) continue;
+            seen.add(id);
+            queue.push(...uplinks(id));
         }
+        return false;
     }
-    
-    endDrag() {
-        if (!this.dragState.potentialDrag) return;
+
+    updateRelation(id, changes) {
+        const index = this.relations.findIndex(r => r.id === id);
+        if (index === -1) return null;
         
-        const track = this.dragState.track;
-        if (track) {
-            track.classList.remove('dragging');
-        }
+        this.captureRelations();
+        const relation = { ...this.relations[index], ...changes };
+        if (!relation.label) delete relation.label;
+        if (!relation.inverseLabel) delete relation.inverseLabel;
+        this.relations[index] = relation;
+        this.markRelationsDirty();
+        return relation;
+    }
+
+    removeRelation(id) {
+        if (!this.relations.some(r => r.id === id)) return;
+        this.captureRelations();
+        this.relations = this.relations.filter(r => r.id !== id);
+        this.markRelationsDirty();
+    }
+
+    removeRelationsFor(cardId) {
+        if (this.getRelationsFor(cardId).length === 0) return;
+        this.captureRelations();
+        this.relations = this.relations.filter(r => r.source !== cardId && r.target !== cardId);
+        this.markRelationsDirty();
+    }
+
+    // Make a card's links match `links` ([{ edgeId?, targetId, type, direction,
+    // label?, inverseLabel? }], seen from the card): removed edges are
+    // deleted, changed ones rewritten and new ones added.
+    setCardRelations(cardId, links) {
+        const keep = new Set(links.map(link => link.edgeId).filter(Boolean));
+        this.getRelationsFor(cardId)
+            .filter(r => !keep.has(r.id))
+            .forEach(r => this.removeRelation(r.id));
         
-        // Only process carousel scroll if we actually dragged
-        if (this.dragState.isDragging && this.dragState.hasMoved) {
-            const diff = this.dragState.currentX - this.dragState.startX;
-            const cardWidth = 220 + 24; // card width + gap
-            const threshold = 50;
-            
-            // Get carousel type from track
-            const type = track.id.replace('track-', '');
+        links.forEach(link => {
+            const outgoing = link.direction !== 'in';
+            const edge = {
+                source: outgoing ? cardId : link.targetId,
+                target: outgoing ? link.targetId : cardId,
+                type: link.type,
+                label: link.type === 'custom' ? (outgoing ? link.label : link.inverseLabel) : '',
+                inverseLabel: link.type === 'custom' ? (outgoing ? link.inverseLabel : link.label) : ''
+            };
             
-            // Determine scroll direction based on drag
-            if (Math.abs(diff) > threshold) {
-                if (diff > 0) {
-                    // Dragged right = go to previous
-                    scrollCarousel(type, -1);
-                } else {
-                    // Dragged left = go to next
-                    scrollCarousel(type, 1);
-                }
-            } else {
-                // Snap back to current position
-                this.updateCarouselPosition(type);
+            const current = link.edgeId ? this.relations.find(r => r.id === link.edgeId) : null;
+            if (!current) {
+                this.addRelation(edge);
+            } else if (current.source !== edge.source || current.target !== edge.target ||
+                       current.type !== edge.type || (current.label || '') !== edge.label ||
+                       (current.inverseLabel || '') !== edge.inverseLabel) {
+                this.updateRelation(current.id, edge);
             }
-        }
-        
-        // Reset drag state
-        this.dragState.potentialDrag = false;
-        this.dragState.isDragging = false;
-        this.dragState.hasMoved = false;
-        this.dragState.track = null;
+        });
     }
-    
-    updateCarouselPosition(type) {
-        const track = document.getElementById(`track-${type}`);
-        const cardWidth = 220 + 24;
-        const position = this.carouselPositions[type];
-        track.style.transform = `translateX(-${position * cardWidth}px)`;
+
+    markRelationsDirty() {
+        this.relationsDirty = true;
+        this.scheduleSave();
     }
-    
-    renderCarousels() {
-        const eventos = this.dataStore.getCardsByType('evento');
-        const locais = this.dataStore.getCardsByType('local');
-        const personagens = this.dataStore.getCardsByType('personagem');
-        
-        this.renderCarouselTrack('eventos', eventos, 'evento');
-        this.renderCarouselTrack('locais', locais, 'local');
-        this.renderCarouselTrack('personagens', personagens, 'personagem');
-        
-        // Show/hide empty states
-        document.getElementById('empty-eventos').classList.toggle('visible', eventos.length === 0);
-        document.getElementById('empty-locais').classList.toggle('visible', locais.length === 0);
-        document.getElementById('empty-personagens').classList.toggle('visible', personagens.length === 0);
-        
-        // Hide track wrappers if empty
-        document.querySelector('#carousel-eventos .carousel-track-wrapper').style.display = eventos.length > 0 ? 'block' : 'none';
-        document.querySelector('#carousel-locais .carousel-track-wrapper').style.display = locais.length > 0 ? 'block' : 'none';
-        document.querySelector('#carousel-personagens .carousel-track-wrapper').style.display = personagens.length > 0 ? 'block' : 'none';
+
+    // =========================================
+    // SETTINGS - per-world preferences
+    // =========================================
+
+    getSetting(key, fallback = null) {
+        return key in this.settings ? this.settings[key] : fallback;
     }
-    
-    renderCarouselTrack(trackId, cards, type) {
-        const track = document.getElementById(`track-${trackId}`);
-        
-        if (cards.length === 0) {
-            track.innerHTML = '';
-            return;
+
+    setSetting(key, value) {
+        this.captureSetting(key);
+        this.settings[key] = value;
+        this.settingsDirty = true;
+        this.scheduleSave();
+    }
+
+    // =========================================
+    // IMAGES - stored once per hash
+    // =========================================
+
+    addImage(record) {
+        if (!this.images.has(record.hash)) {
+            this.images.set(record.hash, record);
+            this.pendingImageDeletes.delete(record.hash);
+            this.pendingImageWrites.add(record.hash);
+            this.scheduleSave();
         }
-        
-        track.innerHTML = cards.map(card => this.createFlipCard(card)).join('');
-        
-        // Reset position if needed
-        if (this.carouselPositions[trackId] >= cards.length) {
-            this.carouselPositions[trackId] = Math.max(0, cards.length - 1);
+        return record.hash;
+    }
+
+    getImage(hash) {
+        return hash ? this.images.get(hash) || null : null;
+    }
+
+    getImageUrl(hash) {
+        if (!hash) return null;
+        if (!this.imageUrls.has(hash)) {
+            const record = this.images.get(hash);
+            if (!record) return null;
+            this.imageUrls.set(hash, URL.createObjectURL(new Blob([record.bytes], { type: record.type })));
         }
-        this.updateCarouselPosition(trackId);
+        return this.imageUrls.get(hash);
     }
-    
-    createFlipCard(card) {
-        const icon = this.getTypeIcon(card.type);
-        const typeName = this.getTypeName(card.type);
+
+    // Hashes referenced by any card or saved revision
+    getUsedImageHashes() {
+        const used = new Set();
+        this.cards.forEach(card => getCardImageIds(card).forEach(hash => used.add(hash)));
+        Object.values(this.revisions).forEach(entries => entries.forEach(entry => {
+            if (entry.card) getCardImageIds(entry.card).forEach(hash => used.add(hash));
+        }));
+        return used;
+    }
+
+    // Images nothing points at any more (removed, replaced or never saved)
+    // are dropped on load, so undo can still bring them back during a session
+    collectUnusedImages() {
+        const used = this.getUsedImageHashes();
+        Array.from(this.images.keys()).forEach(hash => {
+            if (used.has(hash)) return;
+            this.images.delete(hash);
+            this.pendingImageWrites.delete(hash);
+            this.pendingImageDeletes.add(hash);
+        });
+    }
+
+    revokeImageUrls() {
+        this.imageUrls.forEach(url => URL.revokeObjectURL(url));
+        this.imageUrls.clear();
+    }
+
+    // =========================================
+    // PERSISTENCE - debounced autosave
+    // =========================================
+
+    // Load stored cards, keeping anything created before storage was ready.
+    // Worlds saved by an older version are upgraded and written back once.
+    async loadFromStorage(storage) {
+        const storedVersion = readSchemaVersion(await storage.loadSchemaVersion());
+        assertSupportedSchema(storedVersion);
+        const upgraded = storedVersion < SCHEMA_VERSION;
         
-        // Get meta info
-        let metaHtml = '';
-        if (card.type === 'personagem') {
-            if (card.occupation) {
-                metaHtml += `<span class="flip-card-meta-item">${this.escapeHtml(card.occupation)}</span>`;
-            }
-            if (card.age) {
-                metaHtml += `<span class="flip-card-meta-item">${this.escapeHtml(card.age)}</span>`;
-            }
-        }
+        const storedRevisions = {};
+        (await storage.loadRevisions()).forEach(({ cardId, entries }) => { storedRevisions[cardId] = entries; });
         
-        // Build card back content based on whether there's an image
-        let cardBackContent = '';
-        const hasImage = card.image && card.image.length > 0;
-        
-        // Get image positions (handle legacy)
-        let imagePositionX = 50;
-        let imagePositionY = 50;
-        
-        if (card.imagePositionX !== undefined) {
-            imagePositionX = card.imagePositionX ?? 50;
-            imagePositionY = card.imagePositionY ?? 50;
-        } else if (card.imagePosition !== undefined) {
-            // Legacy: convert single position to Y
-            if (typeof card.imagePosition === 'string') {
-                if (card.imagePosition === 'top') imagePositionY = 0;
-                else if (card.imagePosition === 'bottom') imagePositionY = 100;
-                else imagePositionY = 50;
+        const storedImages = await storage.loadImages();
+        const world = await migrateWorld({
+            cards: await storage.loadCards(),
+            relations: await storage.loadRelations(),
+            revisions: storedRevisions,
+            images: Object.fromEntries(storedImages.map(image => [image.hash, image])),
+            settings: await storage.loadSettings()
+        }, storedVersion);
+        
+        this.storage = storage;
+        const storedIds = new Set(world.cards.map(c => c.id));
+        const unsaved = this.cards.filter(c => !storedIds.has(c.id));
+        
+        this.cards = [...world.cards, ...unsaved];
+        this.searchIndex.clear();
+        unsaved.forEach(card => this.markDirty(card.id));
+        if (upgraded) world.cards.forEach(card => this.markDirty(card.id));
+        
+        // Links whose cards are gone (e.g. legacy fields pointing at deleted cards) are dropped
+        const storedRelationIds = new Set(world.relations.map(r => r.id));
+        const relations = [...world.relations, ...this.relations.filter(r => !storedRelationIds.has(r.id))];
+        this.relations = relations.filter(r => this.getCard(r.source) && this.getCard(r.target));
+        if (upgraded || this.relations.length !== relations.length) this.markRelationsDirty();
+        
+        this.settings = { ...world.settings, ...this.settings };
+        if (upgraded) this.settingsDirty = true;
+        
+        // Revisions of cards that no longer exist are dropped
+        Object.entries(world.revisions).forEach(([cardId, entries]) => {
+            if (this.getCard(cardId)) {
+                this.revisions[cardId] = [...entries, ...(this.revisions[cardId] || [])];
+                if (upgraded) this.pendingRevisionWrites.add(cardId);
             } else {
-                imagePositionY = card.imagePosition ?? 50;
+                this.pendingRevisionWrites.add(cardId);
             }
-        }
+        });
         
-        if (hasImage) {
-            cardBackContent = `
-                <div class="card-back-image">
-                    <img src="${card.image}" alt="${this.escapeHtml(card.name)}" style="object-position: ${imagePositionX}% ${imagePositionY}%;">
-                    <div class="card-back-image-overlay"></div>
-                </div>
-                <div class="card-back-info">
-                    <span class="card-back-label">${this.escapeHtml(card.name)}</span>
-                </div>
-            `;
+        // Images pulled out of older cards are written on the next save
+        const storedHashes = new Set(storedImages.map(image => image.hash));
+        Object.values(world.images).forEach(image => {
+            if (this.images.has(image.hash)) return;
+            this.images.set(image.hash, image);
+            if (!storedHashes.has(image.hash)) this.pendingImageWrites.add(image.hash);
+        });
+        this.collectUnusedImages();
+        
+        if (upgraded) this.schemaDirty = true;
+        if (this.hasPendingChanges()) {
+            this.scheduleSave();
         } else {
-            cardBackContent = `
-                <span class="card-back-symbol">${icon}</span>
-                <span class="card-back-label">${this.escapeHtml(card.name)}</span>
-            `;
+            this.setSaveStatus('saved');
         }
-        
-        return `
-            <div class="flip-card" data-card-id="${card.id}" onclick="toggleFlipCard(event, '${card.id}')">
-                <div class="flip-card-inner">
-                    <!-- Back of card (face down) -->
-                    <div class="flip-card-front ${card.type}${hasImage ? ' has-image' : ''}">
-                        ${cardBackContent}
-                    </div>
-                    
-                    <!-- Front of card (face up - info) -->
-                    <div class="flip-card-back ${card.type}">
-                        <div class="flip-card-header ${card.type}">
-                            <span class="flip-card-type ${card.type}">${icon} ${typeName}</span>
-                            <h3 class="flip-card-title">${this.escapeHtml(card.name)}</h3>
-                        </div>
-                        <div class="flip-card-body">
-                            <p class="flip-card-description">${this.escapeHtml(card.resumo || card.description) || 'Sem descrição'}</p>
-                        </div>
-                        ${metaHtml ? `<div class="flip-card-meta">${metaHtml}</div>` : ''}
-                        <div class="flip-card-footer">
-                            <button class="flip-card-action" onclick="openCardDetail(event, '${card.id}')">
-                                Ver Detalhes →
-                            </button>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
     }
 
-    bindConnectionSelectors() {
-        const selectors = [
-            { select: 'adjacent-locations-select', container: 'selected-adjacent', type: 'local' },
-            { select: 'present-characters-select', container: 'selected-characters', type: 'personagem' },
-            { select: 'bonds-select', container: 'selected-bonds', type: 'personagem' }
-        ];
+    markDirty(id) {
+        this.searchIndex.invalidate(id);
+        this.pendingDeletes.delete(id);
+        this.pendingWrites.add(id);
+        this.scheduleSave();
+    }
 
-        selectors.forEach(({ select, container }) => {
-            const selectEl = document.getElementById(select);
-            if (selectEl) {
-                selectEl.addEventListener('change', (e) => {
-                    const cardId = e.target.value;
-                    if (cardId) {
-                        this.addConnectionTag(cardId, container);
-                        e.target.value = '';
-                    }
-                });
-            }
-        });
+    markDeleted(id) {
+        this.searchIndex.invalidate(id);
+        this.pendingWrites.delete(id);
+        this.pendingDeletes.add(id);
+        this.scheduleSave();
     }
 
-    addConnectionTag(cardId, containerId) {
-        const container = document.getElementById(containerId);
-        const card = this.dataStore.getCard(cardId);
-        
-        if (!card) return;
+    hasPendingChanges() {
+        return this.pendingWrites.size > 0 || this.pendingDeletes.size > 0 ||
+            this.pendingRevisionWrites.size > 0 || this.pendingImageWrites.size > 0 || this.pendingImageDeletes.size > 0 ||
+            this.relationsDirty || this.settingsDirty || this.schemaDirty;
+    }
+
+    scheduleSave() {
+        if (!this.storage) return;
         
-        // Check if already added
-        if (container.querySelector(`[data-card-id="${cardId}"]`)) return;
+        clearTimeout(this.saveTimer);
+        this.setSaveStatus('saving');
+        this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+    }
 
-        const tag = document.createElement('div');
-        tag.className = 'selected-connection';
-        tag.dataset.cardId = cardId;
-        tag.innerHTML = `
-            <span>${card.name}</span>
-            <button type="button" class="remove-connection" onclick="ui.removeConnectionTag('${cardId}', '${containerId}')">×</button>
-        `;
-        container.appendChild(tag);
+    async flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.storage || !this.hasPendingChanges()) return;
+        
+        // Take the pending batch; edits made while writing go to the next one
+        const writeIds = Array.from(this.pendingWrites);
+        const deleteIds = Array.from(this.pendingDeletes);
+        const revisionIds = Array.from(this.pendingRevisionWrites);
+        const imageHashes = Array.from(this.pendingImageWrites);
+        const deletedImages = Array.from(this.pendingImageDeletes);
+        const relations = this.relationsDirty ? this.relations.map(r => ({ ...r })) : null;
+        const settings = this.settingsDirty ? JSON.parse(JSON.stringify(this.settings)) : null;
+        const schemaVersion = this.schemaDirty ? SCHEMA_VERSION : null;
+        this.pendingWrites.clear();
+        this.pendingDeletes.clear();
+        this.pendingRevisionWrites.clear();
+        this.pendingImageWrites.clear();
+        this.pendingImageDeletes.clear();
+        this.relationsDirty = false;
+        this.settingsDirty = false;
+        this.schemaDirty = false;
+        
+        const cardsToWrite = writeIds.map(id => this.getCard(id)).filter(Boolean);
+        const revisionsToWrite = revisionIds.map(cardId => ({
+            cardId,
+            entries: this.getCard(cardId) ? this.getRevisions(cardId) : []
+        }));
+        
+        try {
+            await this.storage.saveChanges({
+                cards: cardsToWrite,
+                deletedIds: deleteIds,
+                revisions: revisionsToWrite,
+                images: imageHashes.map(hash => this.images.get(hash)).filter(Boolean),
+                deletedImages,
+                relations,
+                settings,
+                schemaVersion
+            });
+            if (!this.hasPendingChanges()) {
+                this.setSaveStatus('saved');
+            }
+        } catch (error) {
+            console.error('Save error:', error);
+            // Put the batch back so the next save retries it
+            writeIds.forEach(id => {
+                if (!this.pendingDeletes.has(id)) this.pendingWrites.add(id);
+            });
+            deleteIds.forEach(id => {
+                if (!this.pendingWrites.has(id)) this.pendingDeletes.add(id);
+            });
+            revisionIds.forEach(id => this.pendingRevisionWrites.add(id));
+            imageHashes.forEach(hash => this.pendingImageWrites.add(hash));
+            deletedImages.forEach(hash => {
+                if (!this.images.has(hash)) this.pendingImageDeletes.add(hash);
+            });
+            if (relations) this.relationsDirty = true;
+            if (settings) this.settingsDirty = true;
+            if (schemaVersion) this.schemaDirty = true;
+            this.setSaveStatus('error', error);
+        }
     }
 
-    removeConnectionTag(cardId, containerId) {
-        const container = document.getElementById(containerId);
-        const tag = container.querySelector(`[data-card-id="${cardId}"]`);
-        if (tag) {
-            tag.remove();
+    setSaveStatus(status, error = null) {
+        this.saveStatus = status;
+        if (this.onSaveStatusChange) {
+            this.onSaveStatusChange(status, error);
         }
     }
+}
 
-    getSelectedConnections(containerId) {
-        const container = document.getElementById(containerId);
-        return Array.from(container.querySelectorAll('.selected-connection')).map(
-            tag => tag.dataset.cardId
-        );
+// =====================================================
+// WORLD STORAGE - IndexedDB backend
+// =====================================================
+
+class WorldStorage {
+    constructor(dbName = 'narrative-cards') {
+        this.dbName = dbName;
+        this.dbVersion = 3;
+        this.db = null;
     }
 
-    showView(view) {
-        // Update nav buttons
-        document.querySelectorAll('.nav-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.view === view);
+    open() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB não está disponível neste navegador'));
+                return;
+            }
+            
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('cards')) {
+                    db.createObjectStore('cards', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta');
+                }
+                if (!db.objectStoreNames.contains('revisions')) {
+                    db.createObjectStore('revisions', { keyPath: 'cardId' });
+                }
+                if (!db.objectStoreNames.contains('images')) {
+                    db.createObjectStore('images', { keyPath: 'hash' });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Banco de dados bloqueado por outra aba'));
         });
+    }
 
-        // Update views
-        document.querySelectorAll('.view').forEach(v => {
-            v.classList.remove('active');
+    loadCards() {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction('cards', 'readonly').objectStore('cards').getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
         });
-        document.getElementById(`${view}-view`).classList.add('active');
-
-        this.currentView = view;
+    }
 
-        if (view === 'cards') {
-            if (!this.currentCard) {
-                this.updateWelcomeScreen();
-            }
-        } else if (view === 'create' && !this.editingCardId) {
-            // Only reset form if not editing
-            this.resetForm();
-        }
+    loadRevisions() {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction('revisions', 'readonly').objectStore('revisions').getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
 
-        // Update breadcrumb
-        this.updateBreadcrumb();
-        
-        // Close mobile menu if open
-        closeMobileMenu();
+    // Image records: { hash, type, width, height, bytes (ArrayBuffer) }
+    loadImages() {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction('images', 'readonly').objectStore('images').getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    setFilter(filter) {
-        this.currentFilter = filter;
-        
-        document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.filter === filter);
+    // The relation list is kept whole under one meta key
+    loadRelations() {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction('meta', 'readonly').objectStore('meta').get('relations');
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
         });
+    }
 
-        this.renderCardsList();
+    loadSettings() {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction('meta', 'readonly').objectStore('meta').get('settings');
+            request.onsuccess = () => resolve(request.result || {});
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    filterCardsList(query) {
-        const cards = query ? this.dataStore.searchCards(query) : this.dataStore.getAllCards();
-        this.renderCardsList(cards);
+    // Worlds saved before versioning have no stored version (null)
+    loadSchemaVersion() {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction('meta', 'readonly').objectStore('meta').get('schemaVersion');
+            request.onsuccess = () => resolve(request.result ?? null);
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    renderCardsList(cards = null) {
-        const list = document.getElementById('cards-list');
-        let filteredCards = cards || this.dataStore.getAllCards();
+    // Write changed cards and remove deleted ones in a single transaction.
+    // Revision lists ({ cardId, entries }) are replaced whole; empty ones are removed.
+    // Images are only ever added or removed, never changed (their key is their hash).
+    // `relations`, `settings` and `schemaVersion`, when given, replace the stored ones.
+    saveChanges({ cards = [], deletedIds = [], revisions = [], images = [], deletedImages = [],
+                  relations = null, settings = null, schemaVersion = null }) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(['cards', 'revisions', 'images', 'meta'], 'readwrite');
+            const store = tx.objectStore('cards');
+            const revisionStore = tx.objectStore('revisions');
+            const imageStore = tx.objectStore('images');
+            
+            cards.forEach(card => store.put(card));
+            deletedIds.forEach(id => store.delete(id));
+            images.forEach(image => imageStore.put(image));
+            deletedImages.forEach(hash => imageStore.delete(hash));
+            if (relations) tx.objectStore('meta').put(relations, 'relations');
+            if (settings) tx.objectStore('meta').put(settings, 'settings');
+            if (schemaVersion) tx.objectStore('meta').put(schemaVersion, 'schemaVersion');
+            revisions.forEach(list => {
+                if (list.entries.length > 0) {
+                    revisionStore.put(list);
+                } else {
+                    revisionStore.delete(list.cardId);
+                }
+            });
+            
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Gravação cancelada'));
+        });
+    }
 
-        if (this.currentFilter !== 'all') {
-            filteredCards = filteredCards.filter(c => c.type === this.currentFilter);
-        }
+    close() {
+        if (this.db) this.db.close();
+        this.db = null;
+    }
 
-        // Sort by type (evento, local, personagem) then by number
-        const typeOrder = { 'evento': 1, 'local': 2, 'personagem': 3 };
-        filteredCards.sort((a, b) => {
-            const aOrder = typeOrder[a.type] || 99;
-            const bOrder = typeOrder[b.type] || 99;
-            if (aOrder !== bOrder) return aOrder - bOrder;
-            return (a.number || 999) - (b.number || 999);
+    // Remove the whole database; used when a workspace is deleted. If another
+    // tab still has it open the browser finishes the deletion once it closes.
+    destroy() {
+        this.close();
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(this.dbName);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => resolve();
         });
+    }
+}
 
-        if (filteredCards.length === 0) {
-            list.innerHTML = `
-                <li class="empty-state">
-                    <div class="empty-state-icon">📭</div>
-                    <p>Nenhum card encontrado</p>
-                </li>
-            `;
-            return;
-        }
-
-        // Group by type and render with category headers
-        const typeNames = {
-            'evento': { name: 'Eventos', icon: '📅' },
-            'local': { name: 'Locais', icon: '🏛' },
-            'personagem': { name: 'Personagens', icon: '👤' }
-        };
+// =====================================================
+// WORKSPACE REGISTRY - the list of worlds
+// =====================================================
 
-        let html = '';
-        let currentType = null;
+// Each workspace keeps its world in its own WorldStorage database; this small
+// database only remembers which ones exist and which was open last.
+class WorkspaceRegistry {
+    constructor(dbName = 'narrative-cards-workspaces') {
+        this.dbName = dbName;
+        this.db = null;
+    }
 
-        filteredCards.forEach(card => {
-            // Add category header when type changes
-            if (card.type !== currentType && this.currentFilter === 'all') {
-                currentType = card.type;
-                const typeInfo = typeNames[card.type] || { name: card.type, icon: '📄' };
-                html += `
-                    <li class="card-list-category ${card.type}">
-                        <span class="card-list-category-icon">${typeInfo.icon}</span>
-                        ${typeInfo.name}
-                    </li>
-                `;
+    open() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB não está disponível neste navegador'));
+                return;
             }
+            
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('registry');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Banco de dados bloqueado por outra aba'));
+        });
+    }
 
-            html += `
-                <li class="card-list-item ${this.currentCard && this.currentCard.id === card.id ? 'active' : ''}" 
-                    onclick="ui.openCard('${card.id}')">
-                    <span class="card-number">${card.number || ''}</span>
-                    <span class="type-dot ${card.type}"></span>
-                    <span class="card-name">${this.escapeHtml(card.name)}</span>
-                </li>
-            `;
+    // { workspaces: [{ id, name, dbName, createdAt }], activeId }
+    load() {
+        return new Promise((resolve, reject) => {
+            const store = this.db.transaction('registry', 'readonly').objectStore('registry');
+            const list = store.get('workspaces');
+            const active = store.get('activeId');
+            list.transaction.oncomplete = () => resolve({ workspaces: list.result || [], activeId: active.result ?? null });
+            list.transaction.onerror = () => reject(list.transaction.error);
         });
+    }
 
-        list.innerHTML = html;
+    save(workspaces, activeId) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('registry', 'readwrite');
+            tx.objectStore('registry').put(workspaces, 'workspaces');
+            tx.objectStore('registry').put(activeId, 'activeId');
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
     }
+}
 
-    updateWelcomeScreen() {
-        const welcomeScreen = document.getElementById('welcome-screen');
-        const carouselContainer = document.getElementById('carousel-container');
-        
-        const hasCards = this.dataStore.getAllCards().length > 0;
-        
-        if (hasCards) {
-            welcomeScreen.style.display = 'none';
-            carouselContainer.classList.add('active');
-            this.renderCarousels();
-        } else {
-            welcomeScreen.style.display = 'flex';
-            carouselContainer.classList.remove('active');
+// =====================================================
+// CARD TYPES - built-in and user-defined kinds of card
+// =====================================================
+
+// Flowchart node kinds. A card type lists the ones its editor offers,
+// optionally under its own label and icon (a local's "state" is an "Área").
+const nodeKinds = {
+    trigger: { icon: '⚡', label: 'Gatilho' },
+    condition: { icon: '❓', label: 'Condição' },
+    consequence: { icon: '→', label: 'Consequência' },
+    action: { icon: '⚔', label: 'Ação' },
+    state: { icon: '●', label: 'Estado' },
+    secret: { icon: '🔮', label: 'Segredo' },
+    trait: { icon: '💭', label: 'Traço' },
+    link: { icon: '🔗', label: 'Vínculo' }
+};
+
+// `connectionTargets` lists the types a card can be connected to (null: any);
+// `relations` is the relation a new connection to a target type starts as,
+// where `direction` 'in' means the other card is the source.
+const builtinCardTypes = [
+    {
+        key: 'evento',
+        name: 'Evento',
+        plural: 'Eventos',
+        description: 'Acontecimento narrativo',
+        icon: '⚡',
+        color: '#f59e6b',
+        nodeTypes: [
+            { type: 'trigger', icon: '⚡', label: 'Gatilho' },
+            { type: 'condition', icon: '❓', label: 'Condição' },
+            { type: 'consequence', icon: '→', label: 'Consequência' },
+            { type: 'action', icon: '⚔', label: 'Ação' },
+            { type: 'state', icon: '●', label: 'Estado' }
+        ],
+        connectionTargets: null,
+        relations: {
+            local: { type: 'occurred_at', direction: 'out' },
+            personagem: { type: 'involves', direction: 'out' }
+        }
+    },
+    {
+        key: 'local',
+        name: 'Local',
+        plural: 'Locais',
+        description: 'Lugar do mundo',
+        icon: '🏛',
+        color: '#6bb3f5',
+        nodeTypes: [
+            { type: 'state', icon: '📍', label: 'Área' },
+            { type: 'action', icon: '👁', label: 'Subárea' },
+            { type: 'secret', icon: '🔮', label: 'Pista' },
+            { type: 'trigger', icon: '⚡', label: 'Elemento' }
+        ],
+        connectionTargets: null,
+        relations: {
+            evento: { type: 'occurred_at', direction: 'in' },
+            local: { type: 'adjacent', direction: 'out' },
+            personagem: { type: 'frequents', direction: 'in' }
+        }
+    },
+    {
+        key: 'personagem',
+        name: 'Personagem',
+        plural: 'Personagens',
+        description: 'Pessoa da história',
+        icon: '👤',
+        color: '#b088f5',
+        nodeTypes: [
+            { type: 'trait', icon: '💭', label: 'Traço' },
+            { type: 'action', icon: '⚔', label: 'Habilidade' },
+            { type: 'state', icon: '●', label: 'Comportamento' },
+            { type: 'link', icon: '🔗', label: 'Vínculo' }
+        ],
+        connectionTargets: null,
+        relations: {
+            evento: { type: 'involves', direction: 'in' },
+            local: { type: 'frequents', direction: 'out' },
+            personagem: { type: 'bond', direction: 'out' }
         }
     }
+];
 
-    openCard(cardId, animation = 'default') {
-        const card = this.dataStore.getCard(cardId);
-        if (!card) return;
+// Types the user created, saved with the world:
+// [{ key, name, plural, description, icon, color, nodeTypes: [kind], connectionTargets }]
+function getUserCardTypes() {
+    return dataStore ? dataStore.getSetting('cardTypes', []) : [];
+}
 
-        // Push current card to history before navigating
-        if (this.currentCard) {
-            this.dataStore.pushToHistory(this.currentCard.id);
-        }
+// Every type in display order: built-in first, then the user's
+function getCardTypes() {
+    return [...builtinCardTypes, ...getUserCardTypes()];
+}
 
-        this.currentCard = card;
-        this.showView('cards');
-        this.renderCardDetail(card);
-        this.renderCardsList();
-        this.updateBreadcrumb();
-        
-        // Close mobile menu if open
-        closeMobileMenu();
-    }
+function isCardType(key) {
+    return getCardTypes().some(type => type.key === key);
+}
 
-    // =========================================
-    // RENDER CARD - PURE NODE STRUCTURE
-    // =========================================
-    renderCardDetail(card) {
-        const overlay = document.getElementById('card-detail-overlay');
-        const container = document.getElementById('card-detail-container');
+// Unknown keys (a type deleted or not imported) still render, generically
+function getCardType(key) {
+    return getCardTypes().find(type => type.key === key) || {
+        key,
+        name: key || 'Card',
+        plural: key || 'Cards',
+        description: '',
+        icon: '◇',
+        color: '#a8a4a0',
+        nodeTypes: Object.keys(nodeKinds),
+        connectionTargets: null,
+        relations: {}
+    };
+}
 
-        const hasImage = card.image && card.image.length > 0;
-        const posX = card.imagePositionX ?? 50;
-        const posY = card.imagePositionY ?? 50;
-        
-        // Build nodes from card data (legacy support + new format)
-        const nodes = card.nodes || this.buildNodesFromLegacy(card);
-        
-        let html = `
-            <div class="flowchart-card">
-                <div class="flowchart-header">
-                    ${hasImage ? `<img class="flowchart-image" src="${card.image}" style="object-position:${posX}% ${posY}%">` : ''}
-                    <div class="flowchart-header-overlay"></div>
-                    <div class="flowchart-actions">
-                        <button class="fc-btn" onclick="ui.editCard('${card.id}')">✎</button>
-                        <button class="fc-btn del" onclick="ui.confirmDeleteCard('${card.id}')">🗑</button>
-                        <button class="fc-btn close" onclick="closeCardDetail()">×</button>
-                    </div>
-                    <div class="flowchart-title">
-                        <span class="fc-type ${card.type}">${this.getTypeIcon(card.type)}</span>
-                        <h1>${this.escapeHtml(card.name)}</h1>
-                    </div>
-                </div>
-                <div class="flowchart-body">
-                    ${this.renderFlowchart(nodes, card)}
-                </div>
-            </div>
-        `;
+// Node kinds the editor offers for a type, as { type, icon, label }
+function getTypeNodeTypes(key) {
+    return getCardType(key).nodeTypes
+        .map(node => typeof node === 'string' ? { type: node, ...nodeKinds[node] } : node)
+        .filter(node => node.icon);
+}
 
-        container.innerHTML = html;
-        overlay.classList.add('active');
+function canConnectTypes(sourceType, targetType) {
+    const targets = getCardType(sourceType).connectionTargets;
+    return !targets || targets.includes(targetType);
+}
+
+// Key for a new type: a CSS-safe slug with a prefix that keeps it clear of
+// the app's own class names
+function createCardTypeKey(name) {
+    const slug = normalizeSearchText(name).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tipo';
+    let key = `ct-${slug}`;
+    for (let n = 2; isCardType(key); n++) key = `ct-${slug}-${n}`;
+    return key;
+}
+
+// Colors of user types as the --type-* variables the stylesheet reads
+function applyCardTypeStyles() {
+    let style = document.getElementById('card-type-styles');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'card-type-styles';
+        document.head.appendChild(style);
+    }
+    
+    style.textContent = getUserCardTypes().map(type => {
+        const hex = /^#[0-9a-f]{6}$/i.test(type.color) ? type.color : '#a8a4a0';
+        const rgb = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)).join(', ');
+        return `.${type.key} {
+    --type-color: ${hex};
+    --type-bg: rgba(${rgb}, 0.08);
+    --type-border: rgba(${rgb}, 0.25);
+    --type-glow: rgba(${rgb}, 0.15);
+    --type-tint: rgba(${rgb}, 0.05);
+}`;
+    }).join('\n');
+}
+
+// =====================================================
+// RELATION TYPES - kinds of links between cards
+// =====================================================
+
+// `label` reads from source to target, `inverse` from target to source.
+// Symmetric types read the same both ways and are stored once per pair.
+// `between` limits the form to cards of those types.
+const relationTypes = {
+    related: { label: 'Relacionado', inverse: 'Relacionado', symmetric: true },
+    occurred_at: { label: 'Ocorre em', inverse: 'Palco de' },
+    involves: { label: 'Envolve', inverse: 'Participa de' },
+    adjacent: { label: 'Adjacente', inverse: 'Adjacente', symmetric: true },
+    contains: { label: 'Contém', inverse: 'Fica em', between: ['local'] },
+    frequents: { label: 'Frequenta', inverse: 'Presente' },
+    bond: { label: 'Vínculo', inverse: 'Vínculo', symmetric: true },
+    parent: { label: 'Pai/mãe de', inverse: 'Filho(a) de', between: ['personagem'] },
+    spouse: { label: 'Cônjuge de', inverse: 'Cônjuge de', symmetric: true, between: ['personagem'] },
+    sibling: { label: 'Irmão(ã) de', inverse: 'Irmão(ã) de', symmetric: true, between: ['personagem'] },
+    mentor: { label: 'Mentor de', inverse: 'Aprendiz de' },
+    rules: { label: 'Governa', inverse: 'Governado por' },
+    custom: { label: 'Personalizado', inverse: 'Personalizado' }
+};
+
+function getRelationType(type) {
+    return relationTypes[type] || relationTypes.related;
+}
+
+// Relation used when a card of `sourceType` is connected to one of `targetType`
+// without choosing (see the card type's `relations`)
+function defaultRelationFor(sourceType, targetType) {
+    const relations = getCardType(sourceType).relations || {};
+    return relations[targetType] || { type: 'related', direction: 'out' };
+}
+
+// How a relation reads from one of its cards: the other card and the label
+function describeRelation(relation, cardId) {
+    const definition = getRelationType(relation.type);
+    const outgoing = relation.source === cardId;
+    let label;
+    
+    if (outgoing) {
+        label = relation.label || definition.label;
+    } else {
+        label = relation.inverseLabel ||
+            (definition.symmetric && relation.label) ||
+            definition.inverse;
     }
     
-    // =========================================
-    // FLOWCHART RENDERER - PURE NODES
-    // =========================================
-    renderFlowchart(nodes, card) {
-        if (!nodes || nodes.length === 0) {
-            return '<div class="fc-empty">Sem nós definidos</div>';
-        }
-        
-        let html = '<div class="fc-flow">';
-        
-        nodes.forEach((node, i) => {
-            const isLast = i === nodes.length - 1;
-            html += this.renderNode(node, card, isLast);
+    return {
+        relation,
+        otherId: outgoing ? relation.target : relation.source,
+        direction: outgoing ? 'out' : 'in',
+        label
+    };
+}
+
+// Per-type card fields that held connections before the relation store
+const legacyRelationFields = [
+    'relatedLocations', 'relatedCharacters', 'relatedEvents',
+    'adjacentLocations', 'presentCharacters', 'presentLocations',
+    'bonds'
+];
+
+// Edges ({ source, target, type }) described by a card's legacy fields
+function extractLegacyRelations(card) {
+    const edges = [];
+    const add = (ids, type, outgoing) => {
+        (ids || []).forEach(otherId => {
+            if (!otherId) return;
+            edges.push(outgoing
+                ? { source: card.id, target: otherId, type }
+                : { source: otherId, target: card.id, type });
         });
-        
-        // Add connection nodes at end
-        html += this.renderConnectionNodes(card);
-        
-        html += '</div>';
-        return html;
-    }
+    };
     
-    renderNode(node, card, isLast) {
-        const typeClass = node.type || 'default';
-        const hasChildren = node.children && node.children.length > 0;
-        const hasLink = node.linkTo;
-        
-        let html = `<div class="fc-node ${typeClass}${hasLink ? ' clickable' : ''}"${hasLink ? ` onclick="ui.openCard('${hasLink}')"` : ''}>`;
-        html += `<span class="fc-dot"></span>`;
-        html += `<span class="fc-label">${this.escapeHtml(this.truncate(node.label, 120))}</span>`;
-        if (hasLink) html += `<span class="fc-arrow">→</span>`;
-        html += `</div>`;
-        
-        // Render children as branches
-        if (hasChildren) {
-            html += '<div class="fc-branches">';
-            node.children.forEach(child => {
-                html += this.renderBranch(child, card);
-            });
-            html += '</div>';
-        }
-        
-        // Connector line (unless last)
-        if (!isLast || hasChildren) {
-            html += '<div class="fc-connector"></div>';
+    if (card.type === 'evento') {
+        add(card.relatedLocations, 'occurred_at', true);
+        add(card.relatedCharacters, 'involves', true);
+    } else if (card.type === 'local') {
+        add(card.adjacentLocations, 'adjacent', true);
+        add(card.presentCharacters, 'frequents', false);
+        add(card.relatedEvents, 'occurred_at', false);
+    } else if (card.type === 'personagem') {
+        add(card.bonds, 'bond', true);
+        add(card.presentLocations, 'frequents', true);
+        add(card.relatedEvents, 'involves', false);
+    }
+    return edges;
+}
+
+// =====================================================
+// LOCATION HIERARCHY - places inside places
+// =====================================================
+// A `contains` relation goes from a location to one directly inside it
+// (continent → city → tavern → cellar). It is kept apart from `adjacent`:
+// each location sits inside at most one other, and never inside itself.
+
+function isContainment(relation) {
+    return relation.type === 'contains';
+}
+
+function getLocationParent(cardId) {
+    const relation = dataStore.relations.find(r => isContainment(r) && r.target === cardId);
+    return relation ? dataStore.getCard(relation.source) || null : null;
+}
+
+// Locations directly inside `cardId`, in list order
+function getLocationChildren(cardId) {
+    return dataStore.relations
+        .filter(r => isContainment(r) && r.source === cardId)
+        .map(r => dataStore.getCard(r.target))
+        .filter(Boolean)
+        .sort((a, b) => ui.compareCards(a, b));
+}
+
+// Enclosing locations, outermost first
+function getLocationAncestors(cardId) {
+    const ancestors = [];
+    const seen = new Set([cardId]);
+    let parent = getLocationParent(cardId);
+    while (parent && !seen.has(parent.id)) {
+        seen.add(parent.id);
+        ancestors.unshift(parent);
+        parent = getLocationParent(parent.id);
+    }
+    return ancestors;
+}
+
+function countLocationDescendants(cardId, seen = new Set([cardId])) {
+    return getLocationChildren(cardId).reduce((count, child) => {
+        if (seen.has(child.id)) return count;
+        seen.add(child.id);
+        return count + 1 + countLocationDescendants(child.id, seen);
+    }, 0);
+}
+
+// Why the form's links (see setCardRelations) would break the hierarchy, or null.
+// `cardId` is null for a card not created yet.
+function validateContainment(cardId, cardName, links) {
+    const self = cardId || '(novo)';
+    const containment = links.filter(link => link.type === 'contains');
+    const parents = containment.filter(link => link.direction === 'in');
+    if (parents.length > 1) return `"${cardName}" só pode ficar dentro de um local`;
+    
+    // Parent of every location once these links are saved
+    const parentOf = new Map();
+    dataStore.relations
+        .filter(r => isContainment(r) && r.source !== self && r.target !== self)
+        .forEach(r => parentOf.set(r.target, r.source));
+    
+    for (const link of containment.filter(link => link.direction !== 'in')) {
+        const current = parentOf.get(link.targetId);
+        if (current) {
+            const child = dataStore.getCard(link.targetId);
+            const parent = dataStore.getCard(current);
+            return `"${child ? child.name : link.targetId}" já fica em "${parent ? parent.name : current}"`;
         }
-        
-        return html;
+        parentOf.set(link.targetId, self);
     }
+    if (parents.length === 1) parentOf.set(self, parents[0].targetId);
     
-    renderBranch(node, card) {
-        const typeClass = node.type || 'branch';
-        const hasLink = node.linkTo;
-        const linkedCard = hasLink ? this.dataStore.getCard(hasLink) : null;
-        
-        let html = `<div class="fc-branch ${typeClass}${hasLink ? ' clickable' : ''}"${hasLink ? ` onclick="ui.openCard('${hasLink}')"` : ''}>`;
-        html += `<span class="fc-branch-line">→</span>`;
-        html += `<span class="fc-branch-label">${this.escapeHtml(this.truncate(node.label, 120))}</span>`;
-        if (linkedCard) {
-            html += `<span class="fc-link-icon">${this.getTypeIcon(linkedCard.type)}</span>`;
+    const seen = new Set();
+    for (let id = parentOf.get(self); id; id = parentOf.get(id)) {
+        if (id === self) return `"${cardName}" não pode ficar dentro de si mesmo`;
+        if (seen.has(id)) break;
+        seen.add(id);
+    }
+    return null;
+}
+
+// Open the form for a new location already placed inside `parentId`
+function createSublocation(parentId) {
+    if (!dataStore.getCard(parentId)) return;
+    ui.showView('create');
+    ui.selectType('local');
+    setConnections([{ edgeId: null, targetId: parentId, type: 'contains', direction: 'in', label: '', inverseLabel: '' }]);
+}
+
+// =====================================================
+// FAMILY RELATIONS - parents, spouses and siblings
+// =====================================================
+// A `parent` relation goes from a parent to a child; `spouse` and `sibling`
+// are symmetric. People with a parent in common are siblings without
+// saying so. Nobody has more than two parents or is their own ancestor.
+
+const familyRelationTypes = ['parent', 'spouse', 'sibling'];
+
+function isFamilyRelation(relation) {
+    return familyRelationTypes.includes(relation.type);
+}
+
+// Cards on the other end of `cardId`'s relations of `type`; for `parent`,
+// `direction` 'in' gives the parents and 'out' the children
+function getFamilyMembers(cardId, type, direction = null) {
+    return dataStore.relations
+        .filter(r => r.type === type && (r.source === cardId || r.target === cardId))
+        .filter(r => !direction || (direction === 'out') === (r.source === cardId))
+        .map(r => dataStore.getCard(r.source === cardId ? r.target : r.source))
+        .filter(Boolean);
+}
+
+function getFamilyParents(cardId) {
+    return getFamilyMembers(cardId, 'parent', 'in');
+}
+
+function getFamilyChildren(cardId) {
+    return getFamilyMembers(cardId, 'parent', 'out');
+}
+
+function getFamilySpouses(cardId) {
+    return getFamilyMembers(cardId, 'spouse');
+}
+
+// Declared siblings and the other children of either parent
+function getFamilySiblings(cardId) {
+    const siblings = new Map(getFamilyMembers(cardId, 'sibling').map(card => [card.id, card]));
+    getFamilyParents(cardId).forEach(parent => getFamilyChildren(parent.id).forEach(child => {
+        if (child.id !== cardId) siblings.set(child.id, child);
+    }));
+    return Array.from(siblings.values());
+}
+
+function hasFamily(cardId) {
+    return dataStore.relations.some(r => isFamilyRelation(r) && (r.source === cardId || r.target === cardId));
+}
+
+// Why the form's links (see setCardRelations) would break the family tree, or null.
+// `cardId` is null for a card not created yet.
+function validateFamily(cardId, cardName, links) {
+    const self = cardId || '(novo)';
+    const parentLinks = links.filter(link => link.type === 'parent');
+    if (parentLinks.filter(link => link.direction === 'in').length > 2) {
+        return `"${cardName}" pode ter no máximo dois pais`;
+    }
+    
+    // A child added from this side keeps its other parents
+    for (const link of parentLinks.filter(link => link.direction === 'out')) {
+        const otherParents = new Set(dataStore.relations
+            .filter(r => r.type === 'parent' && r.target === link.targetId && r.source !== self)
+            .map(r => r.source));
+        if (otherParents.size >= 2) {
+            const child = dataStore.getCard(link.targetId);
+            return `"${child ? child.name : 'Esse card'}" já tem dois pais`;
         }
-        html += `</div>`;
-        
-        return html;
     }
     
-    renderConnectionNodes(card) {
-        const connections = this.gatherAllConnections(card);
-        if (connections.length === 0) return '';
-        
-        let html = '<div class="fc-connections">';
-        html += '<div class="fc-conn-label">↓ Conexões</div>';
-        
-        connections.forEach(conn => {
-            html += `
-                <div class="fc-conn ${conn.type}" onclick="ui.openCard('${conn.id}')">
-                    <span class="fc-conn-icon">${this.getTypeIcon(conn.type)}</span>
-                    <span class="fc-conn-name">${this.escapeHtml(conn.name)}</span>
-                    <span class="fc-conn-rel">${conn.relation}</span>
-                </div>
-            `;
-        });
-        
-        html += '</div>';
-        return html;
-    }
+    // Children of every person once these links are saved
+    const childrenOf = new Map();
+    const addChild = (parent, child) => {
+        if (!childrenOf.has(parent)) childrenOf.set(parent, []);
+        childrenOf.get(parent).push(child);
+    };
+    dataStore.relations
+        .filter(r => r.type === 'parent' && r.source !== self && r.target !== self)
+        .forEach(r => addChild(r.source, r.target));
+    parentLinks.forEach(link => {
+        if (link.direction === 'in') addChild(link.targetId, self);
+        else addChild(self, link.targetId);
+    });
     
-    // =========================================
-    // BUILD NODES FROM LEGACY DATA
-    // =========================================
-    buildNodesFromLegacy(card) {
-        const nodes = [];
-        
-        if (card.type === 'evento') {
-            // Trigger
-            if (card.resumo) {
-                nodes.push({ type: 'trigger', label: this.extractShort(card.resumo) });
-            }
-            // States from description
-            this.extractItems(card.description).forEach(item => {
-                nodes.push({ type: 'state', label: item });
-            });
-            // Consequences as branches
-            const conseq = this.extractItems(card.consequences);
-            if (conseq.length > 0) {
-                nodes.push({ 
-                    type: 'condition', 
-                    label: 'Consequências',
-                    children: conseq.map(c => ({ type: 'consequence', label: c }))
-                });
+    const seen = new Set();
+    const stack = [...(childrenOf.get(self) || [])];
+    while (stack.length > 0) {
+        const id = stack.pop();
+        if (id === self) return `"${cardName}" não pode ser ancestral de si mesmo`;
+        if (seen.has(id)) continue;
+        seen.add(id);
+        stack.push(...(childrenOf.get(id) || []));
+    }
+    return null;
+}
+
+// =====================================================
+// SCHEMA VERSION - ordered migrations for stored and imported worlds
+// =====================================================
+
+// Version of the data written by this build. Exports before versioning
+// said '1.0'; worlds saved before versioning count as version 1.
+const SCHEMA_VERSION = 8;
+
+class SchemaVersionError extends Error {
+    constructor(version) {
+        super(version === null
+            ? 'Versão de dados inválida'
+            : `Estes dados usam o formato ${version}, mais novo que o suportado (${SCHEMA_VERSION}). Atualize o aplicativo.`);
+        this.name = 'SchemaVersionError';
+        this.version = version;
+    }
+}
+
+// Version number from a stored value or an export's `version` field
+function readSchemaVersion(value) {
+    if (value === undefined || value === null) return 1;
+    const version = Math.floor(Number.parseFloat(value));
+    return Number.isFinite(version) && version >= 1 ? version : null;
+}
+
+function assertSupportedSchema(version) {
+    if (version === null || version > SCHEMA_VERSION) throw new SchemaVersionError(version);
+}
+
+function createRelationId() {
+    return 'rel_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// Same link already in the list? Symmetric types match in either direction.
+function findRelationIn(relations, source, target, type) {
+    const symmetric = getRelationType(type).symmetric;
+    return relations.find(r => r.type === type && (
+        (r.source === source && r.target === target) ||
+        (symmetric && r.source === target && r.target === source)
+    )) || null;
+}
+
+// Upgrade steps in order. Step N takes data at version N-1 to version N.
+// `card` runs on every card and on every card snapshot kept in revisions;
+// `world` runs once on { cards, relations, revisions: { cardId: entries },
+// images, settings }; `settings` holds what is known of the world's settings.
+// Steps must leave already-upgraded data unchanged.
+const schemaMigrations = [
+    {
+        version: 2,
+        description: 'Posição da imagem em X/Y',
+        card(card) {
+            if (card.imagePositionX === undefined && card.imagePosition !== undefined) {
+                const legacy = card.imagePosition;
+                card.imagePositionX = 50;
+                if (legacy === 'top') card.imagePositionY = 0;
+                else if (legacy === 'bottom') card.imagePositionY = 100;
+                else card.imagePositionY = typeof legacy === 'number' ? legacy : 50;
             }
-            // Hooks as branches
-            const hooks = this.extractItems(card.hooks);
-            if (hooks.length > 0) {
-                nodes.push({
-                    type: 'condition',
-                    label: 'Desdobramentos',
-                    children: hooks.map(h => ({ type: 'action', label: h }))
+            delete card.imagePosition;
+        }
+    },
+    {
+        version: 3,
+        description: 'Conexões guardadas como relações',
+        world(world) {
+            world.cards.forEach(card => {
+                if (!legacyRelationFields.some(field => field in card)) return;
+                extractLegacyRelations(card).forEach(({ source, target, type }) => {
+                    if (source === target || findRelationIn(world.relations, source, target, type)) return;
+                    world.relations.push({ id: createRelationId(), source, target, type });
                 });
-            }
-        } else if (card.type === 'local') {
-            // Entry
-            if (card.resumo) {
-                nodes.push({ type: 'trigger', label: this.extractShort(card.resumo) });
-            }
-            // Areas from description
-            this.extractItems(card.description).forEach(item => {
-                nodes.push({ type: 'state', label: item });
+                legacyRelationFields.forEach(field => delete card[field]);
             });
-            // Atmosphere
-            if (card.atmosfera) {
-                nodes.push({ type: 'condition', label: this.extractShort(card.atmosfera) });
-            }
-            // Secrets as branches
-            const secrets = this.extractItems(card.segredos);
-            if (secrets.length > 0) {
-                nodes.push({
-                    type: 'condition',
-                    label: 'Pistas',
-                    children: secrets.map(s => ({ type: 'secret', label: s }))
+            
+            // Old snapshots keep their links next to the card, as newer ones do
+            Object.values(world.revisions).forEach(entries => entries.forEach(entry => {
+                if (!entry.card || !legacyRelationFields.some(field => field in entry.card)) return;
+                if (!entry.relations) entry.relations = extractLegacyRelations(entry.card);
+                legacyRelationFields.forEach(field => delete entry.card[field]);
+            }));
+        }
+    },
+    {
+        version: 4,
+        description: 'Nós do fluxograma gerados a partir do texto',
+        card(card) {
+            if (!Array.isArray(card.nodes)) card.nodes = buildNodesFromLegacy(card);
+        }
+    },
+    {
+        version: 5,
+        description: 'Numeração por tipo',
+        world(world) {
+            const types = new Set(world.cards.map(card => card.type));
+            types.forEach(type => {
+                // Numbered in creation order, after the highest number already used
+                const cardsOfType = world.cards
+                    .filter(card => card.type === type)
+                    .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+                
+                let nextNumber = 1;
+                cardsOfType.forEach(card => {
+                    if (!card.number || card.number < 1) card.number = nextNumber;
+                    nextNumber = Math.max(nextNumber, card.number) + 1;
                 });
-            }
-        } else if (card.type === 'personagem') {
-            // Identity
-            if (card.occupation || card.race || card.age) {
-                const parts = [card.occupation, card.race, card.age].filter(Boolean);
-                nodes.push({ type: 'state', label: parts.join(' · ') });
-            }
-            // Traits from personality
-            const traits = this.extractItems(card.personality);
-            if (traits.length > 0) {
-                nodes.push({
-                    type: 'condition',
-                    label: 'Comportamento',
-                    children: traits.map(t => ({ type: 'trait', label: t }))
+            });
+            
+            // Snapshots without a number keep the card's current one
+            Object.entries(world.revisions).forEach(([cardId, entries]) => {
+                const card = world.cards.find(c => c.id === cardId);
+                entries.forEach(entry => {
+                    if (card && entry.card && !entry.card.number) entry.card.number = card.number;
                 });
+            });
+        }
+    },
+    {
+        version: 6,
+        description: 'Imagens guardadas uma vez, referenciadas por hash',
+        async world(world) {
+            const extract = async (card) => {
+                if (!('image' in card)) return;
+                const record = typeof card.image === 'string' ? await imageRecordFromDataUrl(card.image) : null;
+                if (record) {
+                    if (!world.images[record.hash]) world.images[record.hash] = record;
+                    card.imageId = record.hash;
+                }
+                delete card.image;
+            };
+            const snapshots = Object.values(world.revisions).flatMap(entries => entries.map(entry => entry.card));
+            for (const card of [...world.cards, ...snapshots].filter(card => card && typeof card === 'object')) {
+                await extract(card);
             }
-            // Skills
-            const skills = this.extractItems(card.stats);
-            if (skills.length > 0) {
-                nodes.push({
-                    type: 'condition',
-                    label: 'Capacidades',
-                    children: skills.map(s => ({ type: 'action', label: s }))
-                });
+        }
+    },
+    {
+        version: 7,
+        description: 'Galeria de imagens com capa, zoom e legendas',
+        card(card) {
+            if (card.imageId) {
+                card.images = [createGalleryImage(card.imageId, {
+                    positionX: card.imagePositionX,
+                    positionY: card.imagePositionY
+                })];
+                card.coverImageId = card.imageId;
             }
-            // Secrets
-            const secrets = this.extractItems(card.secrets);
-            if (secrets.length > 0) {
-                nodes.push({
-                    type: 'condition',
-                    label: 'Segredos',
-                    children: secrets.map(s => ({ type: 'secret', label: s }))
+            delete card.imageId;
+            delete card.imagePositionX;
+            delete card.imagePositionY;
+        }
+    },
+    {
+        version: 8,
+        description: 'Campos de data no calendário do mundo',
+        world(world) {
+            // Keys of each type's date fields, which become world dates
+            const dateKeys = {};
+            Object.entries(world.settings.cardFields || {}).forEach(([type, definitions]) => {
+                (Array.isArray(definitions) ? definitions : []).forEach(def => {
+                    if (!def || def.kind !== 'date') return;
+                    def.kind = 'worlddate';
+                    (dateKeys[type] = dateKeys[type] || []).push(def.key);
                 });
-            }
+            });
+            
+            // "2024-05-03" is typed as "3/5/2024", which the calendar reads
+            const convert = (card) => (dateKeys[card.type] || []).forEach(key => {
+                const match = typeof card[key] === 'string' && card[key].match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+                if (match) card[key] = match.slice(1).filter(Boolean).reverse().map(part => parseInt(part, 10)).join('/');
+            });
+            world.cards.forEach(convert);
+            Object.values(world.revisions).forEach(entries => entries.forEach(entry => {
+                if (entry.card) convert(entry.card);
+            }));
         }
-        
-        return nodes;
+    }
+];
+
+// Run every step newer than `fromVersion`, in order; mutates and resolves to
+// `world`. A `world` step may be async (hashing images is).
+async function migrateWorld(world, fromVersion) {
+    world.relations = world.relations || [];
+    world.revisions = world.revisions || {};
+    world.images = world.images || {};
+    world.settings = world.settings || {};
+    
+    for (const step of schemaMigrations.filter(step => step.version > fromVersion)) {
+        if (step.card) {
+            world.cards.forEach(card => step.card(card));
+            Object.values(world.revisions).forEach(entries => entries.forEach(entry => {
+                if (entry.card) step.card(entry.card);
+            }));
+        }
+        if (step.world) await step.world(world);
     }
     
-    // =========================================
-    // TEXT EXTRACTION (max 120 chars)
-    // =========================================
-    extractShort(text) {
-        if (!text) return '';
-        const clean = text.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
-        return clean.length > 120 ? clean.substring(0, 117) + '...' : clean;
-    }
-    
-    extractItems(text) {
-        if (!text) return [];
-        const clean = text.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
-        // Split by sentences, bullets, or newlines
-        let items = clean.split(/[.!?]\s+|[\n\r]+|(?:^|\s)[-•*→]\s*/);
-        return items
-            .map(s => s.trim())
-            .filter(s => s.length > 3 && s.length <= 120)
-            .slice(0, 6);
-    }
-    
-    truncate(text, max = 120) {
-        if (!text) return '';
-        return text.length > max ? text.substring(0, max - 3) + '...' : text;
-    }
-    
-    // =========================================
-    // LEGACY COMPAT - CASCADE FUNCTIONS
-    // =========================================
-    renderEventCascade(card) { return ''; }
-    renderLocationCascade(card) { return ''; }
-    renderCharacterCascade(card) { return ''; }
-    renderNodes(nodes) { return ''; }
-    renderDestinations(card) { return this.renderConnectionNodes(card); }
+    return world;
+}
+
+// Plain text helpers used to derive flowchart nodes from rich-text fields (max 120 chars)
+function extractShort(text) {
+    if (!text) return '';
+    const clean = text.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+    return clean.length > 120 ? clean.substring(0, 117) + '...' : clean;
+}
+
+function extractItems(text) {
+    if (!text) return [];
+    const clean = text.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+    // Split by sentences, bullets, or newlines
+    let items = clean.split(/[.!?]\s+|[\n\r]+|(?:^|\s)[-•*→]\s*/);
+    return items
+        .map(s => s.trim())
+        .filter(s => s.length > 3 && s.length <= 120)
+        .slice(0, 6);
+}
+
+// Flowchart nodes for cards saved before they had their own node list
+function buildNodesFromLegacy(card) {
+    const nodes = [];
     
-    gatherAllConnections(card) {
-        const connections = [];
-        
-        const addConnections = (ids, relation) => {
-            if (!ids || ids.length === 0) return;
-            ids.forEach(id => {
-                const c = this.dataStore.getCard(id);
-                if (c) connections.push({ id: c.id, name: c.name, type: c.type, relation });
+    if (card.type === 'evento') {
+        // Trigger
+        if (card.resumo) {
+            nodes.push({ type: 'trigger', label: extractShort(card.resumo) });
+        }
+        // States from description
+        extractItems(card.description).forEach(item => {
+            nodes.push({ type: 'state', label: item });
+        });
+        // Consequences as branches
+        const conseq = extractItems(card.consequences);
+        if (conseq.length > 0) {
+            nodes.push({ 
+                type: 'condition', 
+                label: 'Consequências',
+                children: conseq.map(c => ({ type: 'consequence', label: c }))
+            });
+        }
+        // Hooks as branches
+        const hooks = extractItems(card.hooks);
+        if (hooks.length > 0) {
+            nodes.push({
+                type: 'condition',
+                label: 'Desdobramentos',
+                children: hooks.map(h => ({ type: 'action', label: h }))
+            });
+        }
+    } else if (card.type === 'local') {
+        // Entry
+        if (card.resumo) {
+            nodes.push({ type: 'trigger', label: extractShort(card.resumo) });
+        }
+        // Areas from description
+        extractItems(card.description).forEach(item => {
+            nodes.push({ type: 'state', label: item });
+        });
+        // Atmosphere
+        if (card.atmosfera) {
+            nodes.push({ type: 'condition', label: extractShort(card.atmosfera) });
+        }
+        // Secrets as branches
+        const secrets = extractItems(card.segredos);
+        if (secrets.length > 0) {
+            nodes.push({
+                type: 'condition',
+                label: 'Pistas',
+                children: secrets.map(s => ({ type: 'secret', label: s }))
+            });
+        }
+    } else if (card.type === 'personagem') {
+        // Identity
+        if (card.occupation || card.race || card.age) {
+            const parts = [card.occupation, card.race, card.age].filter(Boolean);
+            nodes.push({ type: 'state', label: parts.join(' · ') });
+        }
+        // Traits from personality
+        const traits = extractItems(card.personality);
+        if (traits.length > 0) {
+            nodes.push({
+                type: 'condition',
+                label: 'Comportamento',
+                children: traits.map(t => ({ type: 'trait', label: t }))
+            });
+        }
+        // Skills
+        const skills = extractItems(card.stats);
+        if (skills.length > 0) {
+            nodes.push({
+                type: 'condition',
+                label: 'Capacidades',
+                children: skills.map(s => ({ type: 'action', label: s }))
+            });
+        }
+        // Secrets
+        const secrets = extractItems(card.secrets);
+        if (secrets.length > 0) {
+            nodes.push({
+                type: 'condition',
+                label: 'Segredos',
+                children: secrets.map(s => ({ type: 'secret', label: s }))
             });
-        };
-        
-        if (card.type === 'evento') {
-            addConnections(card.relatedLocations, 'Local');
-            addConnections(card.relatedCharacters, 'Personagem');
-        } else if (card.type === 'local') {
-            addConnections(card.adjacentLocations, 'Adjacente');
-            addConnections(card.presentCharacters, 'Presente');
-            addConnections(card.relatedEvents, 'Evento');
-        } else if (card.type === 'personagem') {
-            addConnections(card.bonds, 'Vínculo');
-            addConnections(card.presentLocations, 'Frequenta');
-            addConnections(card.relatedEvents, 'Evento');
         }
-        
-        return connections;
     }
     
-    splitIntoNodes(text) { return this.extractItems(text); }
-    getFirstSentence(text) { return this.extractShort(text); }
-    stripHtml(html) {
-        if (!html) return '';
-        return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-    }
-
-    renderCard(card, animation = 'default') {
-        this.renderCardDetail(card);
-    }
-
-    // Legacy compatibility
-    renderEventContent(card) { return ''; }
-    renderLocationContent(card) { return ''; }
-    renderCharacterContent(card) { return ''; }
-    renderSectionBlock() { return ''; }
-    renderListSection() { return ''; }
-    renderConnectionsSection(card) { return ''; }
-    gatherConnections(card) { return this.gatherAllConnections(card); }
-    parseTextToList(text) { return this.extractItems(text); }
-    parseTextToItems(text) { return this.extractItems(text); }
+    return nodes;
+}
 
-    selectType(type) {
-        this.selectedType = type;
+// =====================================================
+// SEARCH INDEX - accent-insensitive full-text search
+// =====================================================
 
-        // Update type buttons
-        document.querySelectorAll('.type-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.type === type);
-        });
+// Lowercase without diacritics, so "coração" matches "coracao"
+function normalizeSearchText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
 
-        // Show common fields
-        document.getElementById('common-fields').style.display = 'block';
-        document.getElementById('form-actions').style.display = 'flex';
+class SearchIndex {
+    constructor() {
+        // cardId -> { card, fields: [{ label, weight, text, normalized }] }
+        this.documents = new Map();
         
-        // Show cascade editor
-        document.getElementById('cascade-editor-section').style.display = 'block';
-        document.getElementById('connections-section').style.display = 'block';
+        // How much a match in each part of the card counts
+        this.weights = {
+            name: 10,
+            tags: 6,
+            resumo: 4,
+            field: 3,
+            nodes: 2
+        };
+    }
 
-        // Update number placeholder to show next available number
-        const nextNumber = this.dataStore.getNextNumber(type);
-        document.getElementById('card-number').placeholder = nextNumber;
+    invalidate(id) {
+        this.documents.delete(id);
+    }
 
-        // Hide all type-specific fields (legacy)
-        document.querySelectorAll('.type-fields').forEach(el => {
-            el.style.display = 'none';
-        });
+    clear() {
+        this.documents.clear();
+    }
 
-        // Reset cascade editor
-        cascadeNodes = [];
-        renderCascadeNodes();
+    // Cached document for a card; rebuilt when the card object is replaced
+    getDocument(card) {
+        const cached = this.documents.get(card.id);
+        if (cached && cached.card === card) return cached;
         
-        // Populate connection selector
-        this.populateConnectionSelect();
+        const document = { card, fields: this.extractFields(card) };
+        this.documents.set(card.id, document);
+        return document;
     }
-    
-    populateConnectionSelect() {
-        const select = document.getElementById('connection-select');
-        if (!select) return;
+
+    extractFields(card) {
+        const fields = [];
+        const add = (label, weight, text) => {
+            const clean = String(text || '').replace(/\s+/g, ' ').trim();
+            if (clean) fields.push({ label, weight, text: clean, normalized: normalizeSearchText(clean) });
+        };
         
-        const allCards = this.dataStore.getAllCards()
-            .filter(c => !this.editingCardId || c.id !== this.editingCardId);
+        add('Nome', this.weights.name, card.name);
+        (card.tags || []).forEach(tag => add('Tag', this.weights.tags, tag));
+        add('Resumo', this.weights.resumo, card.resumo);
+        (card.images || []).forEach(image => add('Legenda', this.weights.nodes, image.caption));
         
-        select.innerHTML = `
-            <option value="">+ Conectar card...</option>
-            ${allCards.map(card => `
-                <option value="${card.id}" data-type="${card.type}">${this.getTypeIcon(card.type)} ${this.escapeHtml(card.name)}</option>
-            `).join('')}
-        `;
-    }
-
-    populateConnectionSelectors() {
-        // Adjacent locations (only other locations)
-        const adjacentSelect = document.getElementById('adjacent-locations-select');
-        if (adjacentSelect) {
-            const locations = this.dataStore.getCardsByType('local')
-                .filter(c => !this.editingCardId || c.id !== this.editingCardId);
-            adjacentSelect.innerHTML = `
-                <option value="">+ Adicionar local adjacente...</option>
-                ${locations.map(loc => `
-                    <option value="${loc.id}">${this.escapeHtml(loc.name)}</option>
-                `).join('')}
-            `;
-        }
-
-        // Present characters
-        const charactersSelect = document.getElementById('present-characters-select');
-        if (charactersSelect) {
-            const characters = this.dataStore.getCardsByType('personagem');
-            charactersSelect.innerHTML = `
-                <option value="">+ Adicionar personagem...</option>
-                ${characters.map(char => `
-                    <option value="${char.id}">${this.escapeHtml(char.name)}</option>
-                `).join('')}
-            `;
-        }
-
-        // Bonds
-        const bondsSelect = document.getElementById('bonds-select');
-        if (bondsSelect) {
-            const characters = this.dataStore.getCardsByType('personagem')
-                .filter(c => !this.editingCardId || c.id !== this.editingCardId);
-            bondsSelect.innerHTML = `
-                <option value="">+ Adicionar vínculo...</option>
-                ${characters.map(char => `
-                    <option value="${char.id}">${this.escapeHtml(char.name)}</option>
-                `).join('')}
-            `;
+        // A ticked checkbox is found by its label ("nobre"), other fields by their text
+        getCardFields(card.type).forEach(field => {
+            const value = card[field.key];
+            add(field.label, this.weights.field, field.kind === 'checkbox' ? (value ? field.label : '') : cardFieldText(field, value));
+        });
+        
+        // Mind map node labels (or the flat node list of older cards)
+        if (card.mindMap && card.mindMap.nodes) {
+            card.mindMap.nodes.forEach(node => add('Nó', this.weights.nodes, node.label));
+        } else if (card.nodes) {
+            card.nodes.forEach(node => {
+                add('Nó', this.weights.nodes, node.label);
+                (node.children || []).forEach(child => add('Nó', this.weights.nodes, child.label));
+            });
         }
+        
+        return fields;
     }
 
-    handleFormSubmit() {
-        const name = document.getElementById('card-name').value.trim();
-        const resumo = document.getElementById('card-resumo').value.trim();
+    // Split a query into free-text terms and type:/tag:/<field>: filters.
+    // Quoted text ("torre negra") is matched as one term.
+    parseQuery(query) {
+        const parsed = { terms: [], types: [], tags: [], fields: [] };
+        const pattern = /([\p{L}\p{N}_]+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/gu;
+        let match;
         
-        if (!this.selectedType) {
-            this.showToast('Selecione um tipo de card', 'error');
-            return;
-        }
-
-        if (!name) {
-            this.showToast('Digite um nome para o card', 'error');
-            return;
+        while ((match = pattern.exec(query)) !== null) {
+            const [, key, filterValue, phrase, word] = match;
+            if (key) {
+                const value = normalizeSearchText(filterValue.replace(/"/g, '')).replace(/^#/, '');
+                const filterKey = normalizeSearchText(key);
+                if (!value) continue;
+                if (filterKey === 'type' || filterKey === 'tipo') {
+                    parsed.types.push(value);
+                } else if (filterKey === 'tag') {
+                    parsed.tags.push(value);
+                } else if (isFieldFilterName(filterKey)) {
+                    const [, operator, operand] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+                    parsed.fields.push({ name: filterKey, operator: operator || '', value: operand });
+                } else {
+                    // Unknown prefix: search the text as typed
+                    parsed.terms.push(normalizeSearchText(match[0]));
+                }
+            } else {
+                const term = normalizeSearchText(phrase !== undefined ? phrase : word).trim();
+                if (term) parsed.terms.push(term);
+            }
         }
+        return parsed;
+    }
 
-        // Get image data
-        const imageData = getCardImageData();
-
-        // Get card number
-        const numberInput = document.getElementById('card-number').value;
-        const cardNumber = numberInput ? parseInt(numberInput, 10) : null;
-
-        // Get cascade nodes
-        const nodes = cascadeNodes.map(n => ({
-            type: n.type,
-            label: n.label,
-            children: n.children || []
-        }));
-        
-        // Get connections
-        const connections = cardConnections.slice();
+    // Type filters accept the key ("local"), the display name, the plural
+    // ("locais") or a prefix of any of them
+    matchesType(card, types) {
+        if (types.length === 0) return true;
+        const typeInfo = getCardType(card.type);
+        const names = [card.type, typeInfo.name, typeInfo.plural].map(normalizeSearchText);
+        return types.some(type => names.some(name =>
+            name.startsWith(type) || (type.length > name.length && type.startsWith(name.slice(0, -1)))
+        ));
+    }
 
-        const cardData = {
-            type: this.selectedType,
-            resumo: resumo,
-            name: name,
-            number: cardNumber,
-            nodes: nodes,
-            image: imageData.image,
-            imagePositionX: imageData.imagePositionX,
-            imagePositionY: imageData.imagePositionY
-        };
+    matchesTags(card, tags) {
+        const cardTags = (card.tags || []).map(tag => normalizeSearchText(tag).replace(/^#/, ''));
+        return tags.every(tag => cardTags.includes(tag));
+    }
 
-        // Add connections based on type
-        if (this.selectedType === 'evento') {
-            cardData.relatedLocations = connections.filter(c => {
-                const card = this.dataStore.getCard(c);
-                return card && card.type === 'local';
-            });
-            cardData.relatedCharacters = connections.filter(c => {
-                const card = this.dataStore.getCard(c);
-                return card && card.type === 'personagem';
-            });
-        } else if (this.selectedType === 'local') {
-            cardData.adjacentLocations = connections.filter(c => {
-                const card = this.dataStore.getCard(c);
-                return card && card.type === 'local';
-            });
-            cardData.presentCharacters = connections.filter(c => {
-                const card = this.dataStore.getCard(c);
-                return card && card.type === 'personagem';
-            });
-            cardData.relatedEvents = connections.filter(c => {
-                const card = this.dataStore.getCard(c);
-                return card && card.type === 'evento';
-            });
-        } else if (this.selectedType === 'personagem') {
-            cardData.bonds = connections.filter(c => {
-                const card = this.dataStore.getCard(c);
-                return card && card.type === 'personagem';
-            });
-            cardData.presentLocations = connections.filter(c => {
-                const card = this.dataStore.getCard(c);
-                return card && card.type === 'local';
-            });
-            cardData.relatedEvents = connections.filter(c => {
-                const card = this.dataStore.getCard(c);
-                return card && card.type === 'evento';
-            });
-        }
+    // Every field filter needs a field of that name on the card's type
+    matchesFields(card, filters) {
+        return filters.every(filter => getCardFields(card.type)
+            .filter(field => fieldFilterNames(field).includes(filter.name))
+            .some(field => matchesFieldFilter(field, card[field.key], filter)));
+    }
 
-        let card;
-        let previousConnections = null;
+    // Score of one term in one field: whole word > word start > anywhere
+    scoreTerm(field, term) {
+        const index = field.normalized.indexOf(term);
+        if (index === -1) return 0;
         
-        // Store previous connections if editing (to handle removed connections)
-        if (this.editingCardId) {
-            const existingCard = this.dataStore.getCard(this.editingCardId);
-            if (existingCard) {
-                previousConnections = {
-                    relatedLocations: existingCard.relatedLocations || [],
-                    relatedCharacters: existingCard.relatedCharacters || [],
-                    adjacentLocations: existingCard.adjacentLocations || [],
-                    presentCharacters: existingCard.presentCharacters || [],
-                    bonds: existingCard.bonds || []
-                };
-            }
-            card = this.dataStore.updateCard(this.editingCardId, cardData);
-            this.showToast('Card atualizado com sucesso!', 'success');
-        } else {
-            card = this.dataStore.createCard(cardData);
-            this.showToast('Card criado com sucesso!', 'success');
-        }
+        const isWordChar = (ch) => ch !== undefined && /[a-z0-9]/.test(ch);
+        const startsWord = !isWordChar(field.normalized[index - 1]);
+        const endsWord = !isWordChar(field.normalized[index + term.length]);
         
-        // Handle mutual connections
-        this.updateMutualConnections(card, cardData, previousConnections);
-
-        this.renderCardsList();
-        this.renderCarousels();
-        this.showView('cards');
-        this.updateWelcomeScreen();
-        this.resetForm();
+        let quality = 1;
+        if (startsWord && endsWord) quality = 3;
+        else if (startsWord) quality = 2;
+        return field.weight * quality;
     }
-    
-    // Update mutual connections when a card is saved
-    updateMutualConnections(card, cardData, previousConnections) {
-        const cardId = card.id;
-        const cardType = card.type;
-        
-        // Define connection mappings based on card type
-        // Format: { fieldInThisCard: { targetType: fieldInTargetCard } }
-        const connectionMappings = {
-            evento: {
-                relatedLocations: { targetField: 'relatedEvents', targetTypes: ['local'] },
-                relatedCharacters: { targetField: 'relatedEvents', targetTypes: ['personagem'] }
-            },
-            local: {
-                adjacentLocations: { targetField: 'adjacentLocations', targetTypes: ['local'] },
-                presentCharacters: { targetField: 'presentLocations', targetTypes: ['personagem'] }
-            },
-            personagem: {
-                bonds: { targetField: 'bonds', targetTypes: ['personagem'] }
-            }
-        };
-        
-        const mappings = connectionMappings[cardType];
-        if (!mappings) return;
+
+    search(cards, query) {
+        const { terms, types, tags, fields } = this.parseQuery(query);
+        const results = [];
         
-        // Process each connection field
-        Object.entries(mappings).forEach(([fieldName, config]) => {
-            const currentConnections = cardData[fieldName] || [];
-            const previousConns = previousConnections ? (previousConnections[fieldName] || []) : [];
+        cards.forEach(card => {
+            if (!this.matchesType(card, types) || !this.matchesTags(card, tags)) return;
+            if (!this.matchesFields(card, fields)) return;
             
-            // Find added connections
-            const addedConnections = currentConnections.filter(id => !previousConns.includes(id));
+            const document = this.getDocument(card);
+            let score = 0;
+            let snippetField = null;
+            let snippetScore = 0;
             
-            // Find removed connections
-            const removedConnections = previousConns.filter(id => !currentConnections.includes(id));
+            // Every term has to appear somewhere on the card
+            for (const term of terms) {
+                let best = 0;
+                document.fields.forEach(field => {
+                    const fieldScore = this.scoreTerm(field, term);
+                    if (fieldScore === 0) return;
+                    best = Math.max(best, fieldScore);
+                    
+                    // The name is always shown; the snippet comes from the best other field
+                    if (field.label !== 'Nome' && fieldScore > snippetScore) {
+                        snippetScore = fieldScore;
+                        snippetField = field;
+                    }
+                });
+                if (best === 0) return;
+                score += best;
+            }
             
-            // Add mutual connection to newly connected cards
-            addedConnections.forEach(targetId => {
-                this.addMutualConnection(targetId, cardId, config.targetField, cardType);
-            });
+            // Names that start with the whole query come first
+            const fullQuery = terms.join(' ');
+            if (fullQuery && normalizeSearchText(card.name).startsWith(fullQuery)) {
+                score += this.weights.name * 2;
+            }
             
-            // Remove mutual connection from disconnected cards
-            removedConnections.forEach(targetId => {
-                this.removeMutualConnection(targetId, cardId, config.targetField);
+            results.push({
+                card,
+                score,
+                terms,
+                snippet: snippetField ? { label: snippetField.label, text: snippetField.text } : null
             });
         });
-    }
-    
-    // Add a mutual connection to a target card
-    addMutualConnection(targetCardId, sourceCardId, targetField, sourceType) {
-        const targetCard = this.dataStore.getCard(targetCardId);
-        if (!targetCard) return;
-        
-        // Determine which field to use based on target card type and source type
-        let fieldToUpdate = targetField;
-        
-        // Special handling for different card type combinations
-        if (targetCard.type === 'local') {
-            if (sourceType === 'evento') {
-                fieldToUpdate = 'relatedEvents';
-            } else if (sourceType === 'local') {
-                fieldToUpdate = 'adjacentLocations';
-            } else if (sourceType === 'personagem') {
-                fieldToUpdate = 'presentCharacters';
-            }
-        } else if (targetCard.type === 'personagem') {
-            if (sourceType === 'evento') {
-                fieldToUpdate = 'relatedEvents';
-            } else if (sourceType === 'local') {
-                fieldToUpdate = 'presentLocations';
-            } else if (sourceType === 'personagem') {
-                fieldToUpdate = 'bonds';
-            }
-        } else if (targetCard.type === 'evento') {
-            if (sourceType === 'local') {
-                fieldToUpdate = 'relatedLocations';
-            } else if (sourceType === 'personagem') {
-                fieldToUpdate = 'relatedCharacters';
-            }
-        }
         
-        // Initialize array if doesn't exist
-        if (!targetCard[fieldToUpdate]) {
-            targetCard[fieldToUpdate] = [];
-        }
-        
-        // Add connection if not already present
-        if (!targetCard[fieldToUpdate].includes(sourceCardId)) {
-            targetCard[fieldToUpdate].push(sourceCardId);
-            this.dataStore.updateCard(targetCardId, { [fieldToUpdate]: targetCard[fieldToUpdate] });
-        }
+        return results.sort((a, b) => b.score - a.score || a.card.name.localeCompare(b.card.name, 'pt-BR'));
     }
+}
+
+// Order of two cards by one field; cards without a value go last
+function compareCardFieldValues(a, b, key) {
+    const read = (card) => {
+        const field = getCardFields(card.type).find(f => f.key === key);
+        const value = field ? card[key] : undefined;
+        return { field, empty: !field || cardFieldText(field, value) === '', value };
+    };
+    const left = read(a);
+    const right = read(b);
     
-    // Remove a mutual connection from a target card
-    removeMutualConnection(targetCardId, sourceCardId, targetField) {
-        const targetCard = this.dataStore.getCard(targetCardId);
-        if (!targetCard) return;
-        
-        // Check all possible connection fields
-        const connectionFields = [
-            'relatedLocations', 'relatedCharacters', 'relatedEvents',
-            'adjacentLocations', 'presentCharacters', 'presentLocations',
-            'bonds'
-        ];
-        
-        connectionFields.forEach(field => {
-            if (targetCard[field] && targetCard[field].includes(sourceCardId)) {
-                targetCard[field] = targetCard[field].filter(id => id !== sourceCardId);
-                this.dataStore.updateCard(targetCardId, { [field]: targetCard[field] });
-            }
-        });
+    if (left.empty || right.empty) return left.empty - right.empty;
+    if (left.field.kind === 'number') return Number(left.value) - Number(right.value);
+    if (left.field.kind === 'worlddate') {
+        const [leftDate, rightDate] = [parseWorldDate(left.value), parseWorldDate(right.value)];
+        if (leftDate && rightDate) return leftDate.start - rightDate.start || leftDate.end - rightDate.end;
+        if (leftDate || rightDate) return leftDate ? -1 : 1;
     }
+    return String(left.value).localeCompare(String(right.value), 'pt-BR', { numeric: true, sensitivity: 'base' });
+}
 
-    editCard(cardId) {
-        const card = this.dataStore.getCard(cardId);
-        if (!card) return;
-
-        this.editingCardId = cardId;
-        this.showView('create');
+// Names a field answers to in filters: its key and its label without spaces
+// ("ocupacao:ferreiro", "dataderevelacao:>2020")
+function fieldFilterNames(field) {
+    const label = normalizeSearchText(field.label).replace(/[^a-z0-9]+/g, '');
+    return [normalizeSearchText(field.key), label];
+}
 
-        // Update form title
-        document.getElementById('form-title').textContent = 'Editar Card';
-        document.getElementById('submit-text').textContent = 'Salvar Alterações';
+function isFieldFilterName(name) {
+    return getCardTypes().some(type => getCardFields(type.key).some(field => fieldFilterNames(field).includes(name)));
+}
 
-        // Set type
-        this.selectType(card.type);
-
-        // Populate common fields
-        document.getElementById('card-name').value = card.name || '';
-        document.getElementById('card-number').value = card.number || '';
-        document.getElementById('card-resumo').value = card.resumo || '';
-        
-        // Update character counter
-        const charCount = document.getElementById('resumo-char-count');
-        if (charCount) {
-            const length = (card.resumo || '').length;
-            charCount.textContent = length;
-            if (length > 150) {
-                charCount.style.color = 'var(--color-evento)';
-            } else if (length > 120) {
-                charCount.style.color = 'var(--color-accent)';
-            } else {
-                charCount.style.color = '';
-            }
-        }
-        
-        // Load image data
-        if (card.imagePositionX !== undefined) {
-            setCardImageData(card.image, card.imagePositionX, card.imagePositionY);
+// Numbers and dates compare with >, <, >=, <= or =; a checkbox matches
+// "sim"/"nao"; anything else matches when its text contains the value
+function matchesFieldFilter(field, value, { operator, value: wanted }) {
+    if (field.kind === 'checkbox') {
+        return !!value === ['sim', 's', 'true', '1', 'x'].includes(wanted);
+    }
+    if (value === undefined || value === null || value === '') return false;
+    
+    if (field.kind === 'number' || field.kind === 'worlddate') {
+        let compare;
+        if (field.kind === 'number') {
+            compare = Number(value) - parseFloat(wanted);
         } else {
-            setCardImageData(card.image, card.imagePosition);
+            // "inicio:<312" compares with the whole of year 312
+            const [date, wantedDate] = [parseWorldDate(value), parseWorldDate(wanted)];
+            if (!date || !wantedDate) return false;
+            compare = date.start >= wantedDate.end ? 1 : date.start < wantedDate.start ? -1 : 0;
         }
-
-        // Load cascade nodes
-        if (card.nodes && card.nodes.length > 0) {
-            cascadeNodes = JSON.parse(JSON.stringify(card.nodes)); // Deep copy
-        } else {
-            // Build from legacy data
-            cascadeNodes = this.buildNodesFromLegacy(card);
+        if (Number.isNaN(compare)) return false;
+        switch (operator) {
+            case '>': return compare > 0;
+            case '<': return compare < 0;
+            case '>=': return compare >= 0;
+            case '<=': return compare <= 0;
+            default: return compare === 0;
         }
-        renderCascadeNodes();
-        
-        // Load connections
-        const allConnections = [];
-        if (card.relatedLocations) allConnections.push(...card.relatedLocations);
-        if (card.relatedCharacters) allConnections.push(...card.relatedCharacters);
-        if (card.adjacentLocations) allConnections.push(...card.adjacentLocations);
-        if (card.presentCharacters) allConnections.push(...card.presentCharacters);
-        if (card.relatedEvents) allConnections.push(...card.relatedEvents);
-        if (card.bonds) allConnections.push(...card.bonds);
-        if (card.presentLocations) allConnections.push(...card.presentLocations);
-        
-        // Remove duplicates
-        setConnections([...new Set(allConnections)]);
-        
-        this.populateConnectionSelect();
-        
-        // Open accordions that have content
-        setTimeout(() => {
-            if (card.resumo) openAccordionBySection('resumo');
-            if (card.description) openAccordionBySection('descricao');
-            if (card.notas) openAccordionBySection('notas');
-            if (card.tags && card.tags.length > 0) openAccordionBySection('tags');
-        }, 100);
     }
+    
+    const text = normalizeSearchText(cardFieldText(field, value));
+    return operator === '=' ? text === wanted : text.includes(wanted);
+}
 
-    confirmDeleteCard(cardId) {
-        const card = this.dataStore.getCard(cardId);
-        if (!card) return;
-
-        const confirmed = confirm(`Tem certeza que deseja excluir "${card.name}"?\n\nEsta ação não pode ser desfeita.`);
-        
-        if (confirmed) {
-            // Remove mutual connections from other cards before deleting
-            this.removeAllMutualConnections(card);
-            
-            this.dataStore.deleteCard(cardId);
-            this.showToast('Card excluído', 'info');
-            this.currentCard = null;
-            closeCardDetail();
-            this.renderCardsList();
-            this.renderCarousels();
-            this.updateWelcomeScreen();
-            this.updateBreadcrumb();
+// Escaped HTML of `text` with every occurrence of the (normalized) terms in <mark>
+function highlightSearchTerms(text, terms) {
+    const source = String(text || '');
+    if (!terms || terms.length === 0) return ui.escapeHtml(source);
+    
+    // Normalize char by char so matches map back to the original text
+    let normalized = '';
+    const origin = [];
+    for (let i = 0; i < source.length; i++) {
+        const piece = normalizeSearchText(source[i]);
+        for (let k = 0; k < piece.length; k++) {
+            normalized += piece[k];
+            origin.push(i);
         }
     }
     
-    // Remove all mutual connections when a card is deleted
-    removeAllMutualConnections(card) {
-        const cardId = card.id;
-        
-        // All possible connection fields
-        const connectionFields = [
-            'relatedLocations', 'relatedCharacters', 'relatedEvents',
-            'adjacentLocations', 'presentCharacters', 'presentLocations',
-            'bonds'
-        ];
-        
-        // For each connection field in this card
-        connectionFields.forEach(field => {
-            const connections = card[field] || [];
-            connections.forEach(targetId => {
-                this.removeMutualConnection(targetId, cardId, null);
-            });
-        });
-    }
-
-    resetForm() {
-        this.editingCardId = null;
-        this.selectedType = null;
-
-        document.getElementById('form-title').textContent = 'Criar Novo Card';
-        document.getElementById('submit-text').textContent = 'Criar Card';
+    const marked = new Array(source.length).fill(false);
+    terms.forEach(term => {
+        let index = normalized.indexOf(term);
+        while (index !== -1) {
+            for (let k = index; k < index + term.length; k++) marked[origin[k]] = true;
+            index = normalized.indexOf(term, index + term.length);
+        }
+    });
+    
+    let html = '';
+    let open = false;
+    for (let i = 0; i < source.length; i++) {
+        if (marked[i] && !open) { html += '<mark>'; open = true; }
+        if (!marked[i] && open) { html += '</mark>'; open = false; }
+        html += ui.escapeHtml(source[i]);
+    }
+    if (open) html += '</mark>';
+    return html;
+}
 
-        // Reset type buttons
-        document.querySelectorAll('.type-btn').forEach(btn => {
-            btn.classList.remove('active');
-        });
+// Short excerpt of `text` around the first match of any term
+function searchSnippet(text, terms, radius = 40) {
+    const normalized = normalizeSearchText(text);
+    const positions = terms.map(term => normalized.indexOf(term)).filter(i => i !== -1);
+    if (positions.length === 0 || normalized.length !== text.length) {
+        return text.length > radius * 2 ? text.substring(0, radius * 2) + '…' : text;
+    }
+    
+    const first = Math.min(...positions);
+    const start = Math.max(0, first - radius);
+    const end = Math.min(text.length, first + radius);
+    return (start > 0 ? '…' : '') + text.substring(start, end) + (end < text.length ? '…' : '');
+}
 
-        // Hide fields
-        document.getElementById('common-fields').style.display = 'none';
-        document.getElementById('form-actions').style.display = 'none';
-        document.getElementById('cascade-editor-section').style.display = 'none';
-        document.getElementById('connections-section').style.display = 'none';
-        document.querySelectorAll('.type-fields').forEach(el => {
-            el.style.display = 'none';
-        });
+// =====================================================
+// UI CONTROLLER
+// =====================================================
 
-        // Clear all inputs
-        document.getElementById('card-form').reset();
+class UIController {
+    constructor(dataStore) {
+        this.dataStore = dataStore;
+        this.currentView = 'cards';
+        this.currentCard = null;
+        this.currentFilter = 'all';
+        // List order: 'number', 'name' or 'field:<key>'; searches keep their
+        // ranking unless another order is picked
+        this.listSort = 'number';
+        // Locations nested by containment in the list, and the collapsed branches
+        this.locationTree = false;
+        this.collapsedLocations = new Set();
+        this.selectedType = null;
+        this.editingCardId = null;
         
-        // Reset character counter
-        const charCount = document.getElementById('resumo-char-count');
-        if (charCount) {
-            charCount.textContent = '0';
-            charCount.style.color = '';
-        }
-
-        // Clear image data
-        clearCardImageData();
+        // Carousel state: first visible card per type, and the type list
+        // the carousel sections were built for
+        this.carouselPositions = {};
+        this.carouselSignature = null;
         
-        // Reset cascade editor
-        resetCascadeEditor();
+        // Drag state
+        this.dragState = {
+            isDragging: false,
+            potentialDrag: false,
+            hasMoved: false,
+            startX: 0,
+            currentX: 0,
+            track: null,
+            startTranslate: 0
+        };
+        
+        this.init();
     }
 
-    updateBreadcrumb() {
-        // Breadcrumb removed - function kept for compatibility
+    init() {
+        this.bindEvents();
+        this.renderTypeButtons();
+        this.renderSortOptions();
+        this.renderCardsList();
+        this.updateWelcomeScreen();
+        this.renderCarousels();
+        this.initCarouselDrag();
     }
 
-    showToast(message, type = 'info') {
-        const container = document.getElementById('toast-container');
-        const toast = document.createElement('div');
-        toast.className = `toast ${type}`;
-        
-        let icon = 'ℹ';
-        if (type === 'success') icon = '✓';
-        else if (type === 'error') icon = '✕';
-
-        toast.innerHTML = `
-            <span class="toast-icon">${icon}</span>
-            <span class="toast-message">${this.escapeHtml(message)}</span>
-        `;
-
-        container.appendChild(toast);
+    bindEvents() {
+        // Navigation buttons
+        document.querySelectorAll('.nav-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const view = e.currentTarget.dataset.view;
+                this.showView(view);
+            });
+        });
 
-        setTimeout(() => {
-            toast.classList.add('toast-out');
-            setTimeout(() => toast.remove(), 300);
-        }, 3000);
-    }
+        // Filter buttons
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const filter = e.currentTarget.dataset.filter;
+                this.setFilter(filter);
+            });
+        });
 
-    closeModal() {
-        document.getElementById('modal-overlay').classList.remove('active');
-    }
+        // Search input
+        document.getElementById('search-cards').addEventListener('input', (e) => {
+            this.filterCardsList(e.target.value);
+        });
+        
+        // Drag to reorder (and renumber) cards in the list
+        initCardListDrag();
 
-    getTypeIcon(type) {
-        const icons = {
-            evento: '⚡',
-            local: '🏛',
-            personagem: '👤'
-        };
-        return icons[type] || '◇';
-    }
+        // Form submission
+        document.getElementById('card-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleFormSubmit();
+        });
 
-    getTypeName(type) {
-        const names = {
-            evento: 'Evento',
-            local: 'Local',
-            personagem: 'Personagem'
-        };
-        return names[type] || type;
-    }
+        // Connection selectors
+        this.bindConnectionSelectors();
 
-    formatText(text) {
-        if (!text) return '';
-        return text.split('\n').map(line => 
-            `<p>${this.escapeHtml(line) || '&nbsp;'}</p>`
-        ).join('');
-    }
+        // Modal overlay click to close
+        document.getElementById('modal-overlay').addEventListener('click', (e) => {
+            if (e.target.id === 'modal-overlay') {
+                this.closeModal();
+            }
+        });
 
-    formatRichText(html) {
-        if (!html) return '';
-        
-        // Process card links to make them clickable
-        let processed = html.replace(
-            /<span class="card-link([^"]*)"[^>]*data-card-id="([^"]+)"[^>]*>([^<]*)<\/span>/g,
-            (match, classes, cardId, text) => {
-                const card = this.dataStore.getCard(cardId);
-                if (card) {
-                    return `<span class="card-link ${card.type}" onclick="ui.openCard('${cardId}')">${this.escapeHtml(text)}</span>`;
-                }
-                return text;
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            // The lightbox sits above everything and takes the keys while open
+            if (isImageLightboxOpen()) {
+                if (e.key === 'Escape') closeImageLightbox();
+                else if (e.key === 'ArrowLeft') stepImageLightbox(-1);
+                else if (e.key === 'ArrowRight') stepImageLightbox(1);
+                return;
             }
-        );
-        
-        // Process text tags with linked cards - preserve all data attributes
-        processed = processed.replace(
-            /<span\s+class="text-tag([^"]*)"([^>]*)data-card-id="([^"]+)"([^>]*)>([^<]*)<\/span>/g,
-            (match, classes, attrsBefore, cardId, attrsAfter, text) => {
-                const allAttrs = attrsBefore + attrsAfter;
-                return `<span class="text-tag${classes}" ${allAttrs} data-card-id="${cardId}" onclick="ui.openCard('${cardId}')">${text}</span>`;
+            
+            if (e.key === 'Escape') {
+                this.closeModal();
+                closeCardDetail();
             }
-        );
-        
-        // Process dice roll tags - make them clickable
-        processed = processed.replace(
-            /<span\s+class="dice-roll-tag"([^>]*)data-formula="([^"]+)"([^>]*)data-name="([^"]+)"([^>]*)>/g,
-            (match, before, formula, middle, name, after) => {
-                return `<span class="dice-roll-tag" ${before} data-formula="${formula}" ${middle} data-name="${name}" ${after} onclick="executeDiceRoll('${name.replace(/'/g, "\\'")}', '${formula}')">`;
+            
+            // Undo/redo, leaving text fields to their native undo
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && !isEditableTarget(e.target)) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.undo();
+                } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                    e.preventDefault();
+                    this.redo();
+                }
             }
-        );
-        
-        return processed;
-    }
-
-    escapeHtml(text) {
-        if (!text) return '';
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        });
     }
-}
-
-// =====================================================
-// GLOBAL FUNCTIONS
-// =====================================================
-
-let dataStore;
-let ui;
-
-function initApp() {
-    dataStore = new DataStore();
-    ui = new UIController(dataStore);
-    initImageUpload();
     
-    // Ensure all existing cards have numbers (for legacy data)
-    dataStore.ensureAllCardsHaveNumbers();
-}
-
+    // Listeners sit on the container, since tracks are rebuilt with the type list
+    initCarouselDrag() {
+        const container = document.getElementById('carousel-container');
+        const start = (e) => {
+            const track = e.target.closest('.carousel-track');
+            if (track) this.startDrag(e, track);
+        };
+        
+        // Mouse events
+        container.addEventListener('mousedown', start);
+        container.addEventListener('mousemove', (e) => this.onDrag(e));
+        container.addEventListener('mouseup', () => this.endDrag());
+        container.addEventListener('mouseleave', () => this.endDrag());
+        
+        // Touch events
+        container.addEventListener('touchstart', start, { passive: true });
+        container.addEventListener('touchmove', (e) => this.onDrag(e), { passive: true });
+        container.addEventListener('touchend', () => this.endDrag());
+    }
+    
+    startDrag(e, track) {
+        // Don't start drag if clicking on a flip card directly
+        if (e.target.closest('.flip-card')) {
+            this.dragState.potentialDrag = true;
+            this.dragState.isDragging = false;
+        } else {
+            this.dragState.potentialDrag = true;
+            this.dragState.isDragging = false;
+        }
+        
+        this.dragState.track = track;
+        this.dragState.startX = e.type.includes('touch') ? e.touches[0].clientX : e.clientX;
+        this.dragState.currentX = this.dragState.startX;
+        this.dragState.hasMoved = false;
+        
+        // Get current translate value
+        const transform = window.getComputedStyle(track).transform;
+        if (transform !== 'none') {
+            const matrix = new DOMMatrix(transform);
+            this.dragState.startTranslate = matrix.m41;
+        } else {
+            this.dragState.startTranslate = 0;
+        }
+    }
+    
+    onDrag(e) {
+        if (!this.dragState.potentialDrag) return;
+        
+        const currentX = e.type.includes('touch') ? e.touches[0].clientX : e.clientX;
+        const diff = Math.abs(currentX - this.dragState.startX);
+        
+        // Only start actual drag after moving more than 10px
+        if (diff > 10 && !this.dragState.isDragging) {
+            this.dragState.isDragging = true;
+            this.dragState.hasMoved = true;
+            this.dragState.track.classList.add('dragging');
+        }
+        
+        if (this.dragState.isDragging) {
+            const moveDiff = currentX - this.dragState.startX;
+            const newTranslate = this.dragState.startTranslate + moveDiff;
+            this.dragState.track.style.transform = `translateX(${newTranslate}px)`;
+            this.dragState.currentX = currentX;
+        }
+    }
+    
+    endDrag() {
+        if (!this.dragState.potentialDrag) return;
+        
+        const track = this.dragState.track;
+        if (track) {
+            track.classList.remove('dragging');
+        }
+        
+        // Only process carousel scroll if we actually dragged
+        if (this.dragState.isDragging && this.dragState.hasMoved) {
+            const diff = this.dragState.currentX - this.dragState.startX;
+            const cardWidth = 220 + 24; // card width + gap
+            const threshold = 50;
+            
+            // Get carousel type from track
+            const type = track.id.replace('track-', '');
+            
+            // Determine scroll direction based on drag
+            if (Math.abs(diff) > threshold) {
+                if (diff > 0) {
+                    // Dragged right = go to previous
+                    scrollCarousel(type, -1);
+                } else {
+                    // Dragged left = go to next
+                    scrollCarousel(type, 1);
+                }
+            } else {
+                // Snap back to current position
+                this.updateCarouselPosition(type);
+            }
+        }
+        
+        // Reset drag state
+        this.dragState.potentialDrag = false;
+        this.dragState.isDragging = false;
+        this.dragState.hasMoved = false;
+        this.dragState.track = null;
+    }
+    
+    updateCarouselPosition(type) {
+        const track = document.getElementById(`track-${type}`);
+        const cardWidth = 220 + 24;
+        const position = this.carouselPositions[type] || 0;
+        track.style.transform = `translateX(-${position * cardWidth}px)`;
+    }
+    
+    // One carousel per card type
+    renderCarousels() {
+        const container = document.getElementById('carousel-container');
+        const types = getCardTypes();
+        
+        const signature = types.map(type => [type.key, type.name, type.plural, type.icon].join('|')).join(';');
+        if (signature !== this.carouselSignature) {
+            this.carouselSignature = signature;
+            container.innerHTML = types.map(type => this.renderCarouselSection(type)).join('');
+        }
+        
+        types.forEach(type => {
+            const cards = this.dataStore.getCardsByType(type.key);
+            this.renderCarouselTrack(type.key, cards);
+            
+            // Empty types show a prompt instead of the track
+            document.getElementById(`empty-${type.key}`).classList.toggle('visible', cards.length === 0);
+            document.querySelector(`#carousel-${type.key} .carousel-track-wrapper`).style.display = cards.length > 0 ? 'block' : 'none';
+        });
+    }
+    
+    renderCarouselSection(type) {
+        return `
+            <div class="carousel-section" id="carousel-${type.key}">
+                <div class="carousel-header">
+                    <div class="carousel-title">
+                        <span class="carousel-icon ${type.key}">${this.escapeHtml(type.icon)}</span>
+                        <h2>${this.escapeHtml(type.plural)}</h2>
+                    </div>
+                    <div class="carousel-nav">
+                        <button class="carousel-arrow left" onclick="scrollCarousel('${type.key}', -1)">‹</button>
+                        <button class="carousel-arrow right" onclick="scrollCarousel('${type.key}', 1)">›</button>
+                    </div>
+                </div>
+                <div class="carousel-track-wrapper">
+                    <div class="carousel-track" id="track-${type.key}" data-type="${type.key}"></div>
+                </div>
+                <div class="carousel-empty" id="empty-${type.key}">
+                    <span>Sem ${this.escapeHtml(type.plural.toLowerCase())} ainda</span>
+                    <button class="btn-small" onclick="showView('create'); selectTypeFromCarousel('${type.key}')">+ Criar ${this.escapeHtml(type.name)}</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    renderCarouselTrack(trackId, cards) {
+        const track = document.getElementById(`track-${trackId}`);
+        
+        if (cards.length === 0) {
+            track.innerHTML = '';
+            return;
+        }
+        
+        track.innerHTML = cards.map(card => this.createFlipCard(card)).join('');
+        
+        // Reset position if needed
+        if (this.carouselPositions[trackId] >= cards.length) {
+            this.carouselPositions[trackId] = Math.max(0, cards.length - 1);
+        }
+        this.updateCarouselPosition(trackId);
+    }
+    
+    createFlipCard(card) {
+        const icon = this.escapeHtml(this.getTypeIcon(card.type));
+        const typeName = this.escapeHtml(this.getTypeName(card.type));
+        
+        // Get meta info
+        let metaHtml = '';
+        if (card.type === 'personagem') {
+            if (card.occupation) {
+                metaHtml += `<span class="flip-card-meta-item">${this.escapeHtml(card.occupation)}</span>`;
+            }
+            const age = card.age || (getCharacterAge(card) ?? '');
+            if (age !== '') {
+                metaHtml += `<span class="flip-card-meta-item">${this.escapeHtml(typeof age === 'number' ? `${age} ${age === 1 ? 'ano' : 'anos'}` : age)}</span>`;
+            }
+        } else if (card.type === 'evento' && card.startDate) {
+            metaHtml += `<span class="flip-card-meta-item">${this.escapeHtml(card.startDate)}</span>`;
+        }
+        
+        // Build card back content based on whether there's an image
+        let cardBackContent = '';
+        const cover = getCardCover(card);
+        const imageUrl = cover && this.dataStore.getImageUrl(cover.imageId);
+        
+        if (imageUrl) {
+            cardBackContent = `
+                <div class="card-back-image">
+                    <img src="${imageUrl}" alt="${this.escapeHtml(card.name)}" style="${imageCropStyle(cover)}">
+                    <div class="card-back-image-overlay"></div>
+                </div>
+                <div class="card-back-info">
+                    <span class="card-back-label">${this.escapeHtml(card.name)}</span>
+                </div>
+            `;
+        } else {
+            cardBackContent = `
+                <span class="card-back-symbol">${icon}</span>
+                <span class="card-back-label">${this.escapeHtml(card.name)}</span>
+            `;
+        }
+        
+        return `
+            <div class="flip-card" data-card-id="${card.id}" onclick="toggleFlipCard(event, '${card.id}')">
+                <div class="flip-card-inner">
+                    <!-- Back of card (face down) -->
+                    <div class="flip-card-front ${card.type}${imageUrl ? ' has-image' : ''}">
+                        ${cardBackContent}
+                    </div>
+                    
+                    <!-- Front of card (face up - info) -->
+                    <div class="flip-card-back ${card.type}">
+                        <div class="flip-card-header ${card.type}">
+                            <span class="flip-card-type ${card.type}">${icon} ${typeName}</span>
+                            <h3 class="flip-card-title">${this.escapeHtml(card.name)}</h3>
+                        </div>
+                        <div class="flip-card-body">
+                            <p class="flip-card-description">${this.escapeHtml(card.resumo || card.description) || 'Sem descrição'}</p>
+                        </div>
+                        ${metaHtml ? `<div class="flip-card-meta">${metaHtml}</div>` : ''}
+                        <div class="flip-card-footer">
+                            <button class="flip-card-action" onclick="openCardDetail(event, '${card.id}')">
+                                Ver Detalhes →
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    bindConnectionSelectors() {
+        const selectors = [
+            { select: 'adjacent-locations-select', container: 'selected-adjacent', type: 'local' },
+            { select: 'present-characters-select', container: 'selected-characters', type: 'personagem' },
+            { select: 'bonds-select', container: 'selected-bonds', type: 'personagem' }
+        ];
+
+        selectors.forEach(({ select, container }) => {
+            const selectEl = document.getElementById(select);
+            if (selectEl) {
+                selectEl.addEventListener('change', (e) => {
+                    const cardId = e.target.value;
+                    if (cardId) {
+                        this.addConnectionTag(cardId, container);
+                        e.target.value = '';
+                    }
+                });
+            }
+        });
+    }
+
+    addConnectionTag(cardId, containerId) {
+        const container = document.getElementById(containerId);
+        const card = this.dataStore.getCard(cardId);
+        
+        if (!card) return;
+        
+        // Check if already added
+        if (container.querySelector(`[data-card-id="${cardId}"]`)) return;
+
+        const tag = document.createElement('div');
+        tag.className = 'selected-connection';
+        tag.dataset.cardId = cardId;
+        tag.innerHTML = `
+            <span>${card.name}</span>
+            <button type="button" class="remove-connection" onclick="ui.removeConnectionTag('${cardId}', '${containerId}')">×</button>
+        `;
+        container.appendChild(tag);
+    }
+
+    removeConnectionTag(cardId, containerId) {
+        const container = document.getElementById(containerId);
+        const tag = container.querySelector(`[data-card-id="${cardId}"]`);
+        if (tag) {
+            tag.remove();
+        }
+    }
+
+    getSelectedConnections(containerId) {
+        const container = document.getElementById(containerId);
+        return Array.from(container.querySelectorAll('.selected-connection')).map(
+            tag => tag.dataset.cardId
+        );
+    }
+
+    showView(view) {
+        if (view === 'create' && rejectReadOnlyEdit()) return;
+        
+        // Update nav buttons
+        document.querySelectorAll('.nav-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === view);
+        });
+
+        // Update views
+        document.querySelectorAll('.view').forEach(v => {
+            v.classList.remove('active');
+        });
+        document.getElementById(`${view}-view`).classList.add('active');
+
+        this.currentView = view;
+
+        if (view === 'cards') {
+            if (!this.currentCard) {
+                this.updateWelcomeScreen();
+            }
+        } else if (view === 'create' && !this.editingCardId) {
+            // Only reset form if not editing
+            this.resetForm();
+        } else if (view === 'graph') {
+            renderWorldGraph();
+        } else if (view === 'timeline') {
+            renderTimeline();
+        } else if (view === 'lineage') {
+            renderLineage();
+        }
+
+        // Update breadcrumb
+        this.updateBreadcrumb();
+        syncRoute();
+        
+        // Close mobile menu if open
+        closeMobileMenu();
+    }
+
+    setFilter(filter) {
+        this.currentFilter = filter;
+        
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filter === filter);
+        });
+
+        this.renderCardsList();
+    }
+
+    filterCardsList(query) {
+        this.searchQuery = query.trim();
+        this.renderCardsList();
+        syncRoute({ replace: true });
+    }
+
+    // Forget everything that belongs to the previous world after a workspace switch
+    resetWorldState() {
+        document.getElementById('card-detail-overlay').classList.remove('active');
+        this.closeModal();
+        this.currentCard = null;
+        this.historyCardId = null;
+        this.carouselPositions = {};
+        this.carouselSignature = null;
+        this.collapsedLocations.clear();
+        this.searchQuery = '';
+        document.getElementById('search-cards').value = '';
+        this.resetForm();
+        closeImageLightbox();
+        this.showView('cards');
+    }
+
+    setListSort(sort) {
+        this.listSort = sort;
+        this.renderCardsList();
+    }
+
+    // Sort choices: number, name and every short field any type has
+    renderSortOptions() {
+        const select = document.getElementById('cards-sort');
+        if (!select) return;
+        
+        const fields = new Map();
+        getCardTypes().forEach(type => getCardFields(type.key).forEach(field => {
+            if (field.kind !== 'rich' && !fields.has(field.key)) fields.set(field.key, field.label);
+        }));
+        if (this.listSort.startsWith('field:') && !fields.has(this.listSort.slice(6))) {
+            this.listSort = 'number';
+        }
+        
+        select.innerHTML = `
+            <option value="number">Número</option>
+            <option value="name">Nome</option>
+            ${[...fields].map(([key, label]) => `<option value="field:${escapeAttr(key)}">${this.escapeHtml(label)}</option>`).join('')}
+        `;
+        select.value = this.listSort;
+    }
+
+    compareCards(a, b) {
+        if (this.listSort === 'name') return a.name.localeCompare(b.name, 'pt-BR');
+        if (this.listSort.startsWith('field:')) {
+            const order = compareCardFieldValues(a, b, this.listSort.slice(6));
+            if (order !== 0) return order;
+        }
+        return (a.number || 999) - (b.number || 999);
+    }
+
+    renderCardsList(cards = null) {
+        const list = document.getElementById('cards-list');
+        
+        // An active search keeps its ranked results across re-renders
+        if (!cards && this.searchQuery) {
+            this.renderSearchResults(list, this.dataStore.searchCards(this.searchQuery));
+            return;
+        }
+        
+        let filteredCards = cards || this.dataStore.getAllCards();
+
+        if (this.currentFilter !== 'all') {
+            filteredCards = filteredCards.filter(c => c.type === this.currentFilter);
+        }
+
+        // By type, in registry order, then by number; any other sort orders
+        // all the types together as one list
+        const mixed = this.currentFilter === 'all' && this.listSort !== 'number';
+        const typeOrder = new Map(getCardTypes().map((type, index) => [type.key, index]));
+        filteredCards.sort((a, b) => {
+            const aOrder = typeOrder.has(a.type) ? typeOrder.get(a.type) : 999;
+            const bOrder = typeOrder.has(b.type) ? typeOrder.get(b.type) : 999;
+            if (!mixed && aOrder !== bOrder) return aOrder - bOrder;
+            return this.compareCards(a, b);
+        });
+
+        if (filteredCards.length === 0) {
+            list.innerHTML = `
+                <li class="empty-state">
+                    <div class="empty-state-icon">📭</div>
+                    <p>Nenhum card encontrado</p>
+                </li>
+            `;
+            return;
+        }
+
+        // Group by type and render with category headers
+        let html = '';
+        let currentType = null;
+        
+        // In number order, cards can be dragged within their type to renumber them
+        const reorderable = this.listSort === 'number';
+        let locationTreeDrawn = false;
+
+        filteredCards.forEach(card => {
+            // Add category header when type changes
+            if (card.type !== currentType && this.currentFilter === 'all' && !mixed) {
+                currentType = card.type;
+                const typeInfo = getCardType(card.type);
+                html += `
+                    <li class="card-list-category ${card.type}">
+                        <span class="card-list-category-icon">${this.escapeHtml(typeInfo.icon)}</span>
+                        ${this.escapeHtml(typeInfo.plural)}
+                        <button type="button" class="card-list-category-action" onclick="openRenumberPanel('${card.type}')" title="Renumerar">🔢</button>
+                    </li>
+                `;
+            }
+
+            // Locations as a tree, drawn once where their group starts
+            if (this.locationTree && card.type === 'local' && !mixed) {
+                if (!locationTreeDrawn) {
+                    html += this.renderLocationTree(filteredCards.filter(c => c.type === 'local'), reorderable);
+                    locationTreeDrawn = true;
+                }
+                return;
+            }
+
+            html += this.renderCardListItem(card, reorderable);
+        });
+
+        list.innerHTML = html;
+    }
+
+    renderCardListItem(card, reorderable, depth = 0, toggle = '') {
+        return `
+            <li class="card-list-item ${this.currentCard && this.currentCard.id === card.id ? 'active' : ''}" 
+                onclick="ui.openCard('${card.id}')"${reorderable ? ` draggable="true" data-card-id="${card.id}" data-type="${card.type}"` : ''}${depth > 0 ? ` style="--tree-depth: ${depth}"` : ''}>
+                ${toggle}
+                <span class="card-number">${card.number || ''}</span>
+                <span class="type-dot ${card.type}"></span>
+                <span class="card-name">${this.escapeHtml(card.name)}</span>
+            </li>
+        `;
+    }
+
+    // Listed locations nested under the one containing them; a location whose
+    // container is not listed starts its own branch
+    renderLocationTree(cards, reorderable) {
+        const listed = new Set(cards.map(card => card.id));
+        const childrenOf = new Map();
+        const roots = [];
+        cards.forEach(card => {
+            const parent = getLocationParent(card.id);
+            if (parent && listed.has(parent.id)) {
+                if (!childrenOf.has(parent.id)) childrenOf.set(parent.id, []);
+                childrenOf.get(parent.id).push(card);
+            } else {
+                roots.push(card);
+            }
+        });
+        
+        const drawn = new Set();
+        const branch = (card, depth) => {
+            if (drawn.has(card.id)) return '';
+            drawn.add(card.id);
+            const children = childrenOf.get(card.id) || [];
+            const collapsed = this.collapsedLocations.has(card.id);
+            const toggle = children.length > 0
+                ? `<button type="button" class="tree-toggle" onclick="event.stopPropagation(); ui.toggleLocationCollapsed('${card.id}')" title="${collapsed ? 'Expandir' : 'Recolher'}">${collapsed ? '▸' : '▾'}</button>`
+                : '<span class="tree-toggle-space"></span>';
+            return this.renderCardListItem(card, reorderable, depth, toggle) +
+                (collapsed ? '' : children.map(child => branch(child, depth + 1)).join(''));
+        };
+        
+        return roots.map(card => branch(card, 0)).join('');
+    }
+
+    toggleLocationTree() {
+        this.locationTree = !this.locationTree;
+        const button = document.getElementById('location-tree-btn');
+        if (button) button.classList.toggle('active', this.locationTree);
+        this.renderCardsList();
+    }
+
+    toggleLocationCollapsed(cardId) {
+        if (!this.collapsedLocations.delete(cardId)) this.collapsedLocations.add(cardId);
+        this.renderCardsList();
+    }
+
+    renderSearchResults(list, results) {
+        if (this.currentFilter !== 'all') {
+            results = results.filter(result => result.card.type === this.currentFilter);
+        }
+        if (this.listSort !== 'number') {
+            results = [...results].sort((a, b) => this.compareCards(a.card, b.card));
+        }
+        
+        if (results.length === 0) {
+            // A comparison finds nothing when its value isn't a number or date
+            const compares = this.dataStore.searchIndex.parseQuery(this.searchQuery).fields.some(filter => filter.operator);
+            list.innerHTML = `
+                <li class="empty-state">
+                    <div class="empty-state-icon">🔍</div>
+                    <p>Nenhum card encontrado</p>
+                    ${compares ? '<p class="empty-state-hint">Comparações (&gt;, &lt;, =) pedem um número ou uma data, como 312 ou 3/312</p>' : ''}
+                </li>
+            `;
+            return;
+        }
+        
+        let html = `
+            <li class="card-list-category search">
+                <span class="card-list-category-icon">🔍</span>
+                ${results.length} ${results.length === 1 ? 'resultado' : 'resultados'}
+            </li>
+        `;
+        
+        results.forEach(({ card, terms, snippet }) => {
+            const snippetHtml = snippet
+                ? `<span class="card-snippet"><span class="card-snippet-label">${this.escapeHtml(snippet.label)}:</span> ${highlightSearchTerms(searchSnippet(snippet.text, terms), terms)}</span>`
+                : '';
+            
+            html += `
+                <li class="card-list-item search-result ${this.currentCard && this.currentCard.id === card.id ? 'active' : ''}" 
+                    onclick="ui.openCard('${card.id}')">
+                    <span class="card-number">${card.number || ''}</span>
+                    <span class="type-dot ${card.type}"></span>
+                    <span class="card-list-text">
+                        <span class="card-name">${highlightSearchTerms(card.name, terms)}</span>
+                        ${snippetHtml}
+                    </span>
+                </li>
+            `;
+        });
+        
+        list.innerHTML = html;
+    }
+
+    updateWelcomeScreen() {
+        const welcomeScreen = document.getElementById('welcome-screen');
+        const carouselContainer = document.getElementById('carousel-container');
+        
+        const hasCards = this.dataStore.getAllCards().length > 0;
+        
+        if (hasCards) {
+            welcomeScreen.style.display = 'none';
+            carouselContainer.classList.add('active');
+            this.renderCarousels();
+        } else {
+            welcomeScreen.style.display = 'flex';
+            carouselContainer.classList.remove('active');
+        }
+    }
+
+    openCard(cardId, animation = 'default') {
+        const card = this.dataStore.getCard(cardId);
+        if (!card) return;
+
+        // Push current card to history before navigating
+        if (this.currentCard && this.currentCard.id !== card.id) {
+            this.dataStore.pushToHistory(this.currentCard.id);
+        }
+
+        this.showCard(card);
+    }
+
+    // Step back along the trail of opened cards, skipping ones deleted since
+    openPreviousCard() {
+        let cardId;
+        while ((cardId = this.dataStore.getLastFromHistory()) !== undefined) {
+            const card = this.dataStore.getCard(cardId);
+            if (card) {
+                this.showCard(card);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    showCard(card) {
+        this.currentCard = card;
+        this.showView('cards');
+        this.renderCardDetail(card);
+        this.renderCardsList();
+        this.updateBreadcrumb();
+        
+        // Close mobile menu if open
+        closeMobileMenu();
+    }
+
+    // =========================================
+    // RENDER CARD - PURE NODE STRUCTURE
+    // =========================================
+    renderCardDetail(card) {
+        const overlay = document.getElementById('card-detail-overlay');
+        const container = document.getElementById('card-detail-container');
+
+        const images = (card.images || []).filter(image => this.dataStore.getImage(image.imageId));
+        const cover = getCardCover(card);
+        const imageUrl = cover && this.dataStore.getImageUrl(cover.imageId);
+        
+        const nodes = card.nodes || [];
+        
+        let html = `
+            <div class="flowchart-card">
+                <div class="flowchart-header">
+                    ${imageUrl ? `<img class="flowchart-image" src="${imageUrl}" style="${imageCropStyle(cover)}">` : ''}
+                    <div class="flowchart-header-overlay"></div>
+                    <div class="flowchart-actions">
+                        ${this.dataStore.navigationHistory.length > 0 ? `<button class="fc-btn" onclick="ui.openPreviousCard()" title="Voltar ao card anterior">←</button>` : ''}
+                        ${images.length > 0 ? `<button class="fc-btn" onclick="openImageLightbox('${card.id}', ${Math.max(0, images.indexOf(cover))})" title="Ver imagens">🖼</button>` : ''}
+                        ${card.type === 'personagem' && hasFamily(card.id) ? `<button class="fc-btn" onclick="openLineage('${card.id}')" title="Árvore genealógica">🌳</button>` : ''}
+                        <button class="fc-btn" onclick="ui.editCard('${card.id}')">✎</button>
+                        <button class="fc-btn${this.historyCardId === card.id ? ' active' : ''}" onclick="ui.toggleCardHistory('${card.id}')" title="Histórico">🕘</button>
+                        <button class="fc-btn" onclick="openCardTransfer('${card.id}')" title="Mover ou copiar para outro mundo">⇄</button>
+                        <button class="fc-btn del" onclick="ui.confirmDeleteCard('${card.id}')">🗑</button>
+                        <button class="fc-btn close" onclick="closeCardDetail()">×</button>
+                    </div>
+                    <div class="flowchart-title">
+                        <span class="fc-type ${card.type}">${this.escapeHtml(this.getTypeIcon(card.type))}</span>
+                        <div class="flowchart-title-text">
+                            ${this.renderLocationBreadcrumb(card)}
+                            <h1>${this.escapeHtml(card.name)}</h1>
+                            ${this.renderWorldDates(card)}
+                        </div>
+                    </div>
+                </div>
+                ${this.renderCardDetailGallery(card, images)}
+                ${this.renderCardMap(card)}
+                ${this.renderCardDetailFields(card)}
+                ${this.renderStatBlock(card)}
+                ${this.renderSublocations(card)}
+                <div class="flowchart-body">
+                    ${this.renderFlowchart(nodes, card)}
+                </div>
+                ${this.historyCardId === card.id ? this.renderCardHistory(card) : ''}
+            </div>
+        `;
+
+        container.innerHTML = html;
+        overlay.classList.add('active');
+        this.initFlowchartGraph();
+        initCardMap(card);
+    }
+    
+    // Enclosing locations of a place, outermost first
+    renderLocationBreadcrumb(card) {
+        if (card.type !== 'local') return '';
+        const ancestors = getLocationAncestors(card.id);
+        if (ancestors.length === 0) return '';
+        
+        return `
+            <nav class="fc-breadcrumb">
+                ${ancestors.map(ancestor => `<span class="fc-breadcrumb-item" onclick="ui.openCard('${ancestor.id}')">${this.escapeHtml(ancestor.name)}</span>`).join('<span class="fc-breadcrumb-sep">›</span>')}
+            </nav>
+        `;
+    }
+    
+    // When an evento happens (opens the timeline) or when a character was
+    // born and how old they are on the current in-world date
+    renderWorldDates(card) {
+        if (card.type === 'evento' && card.startDate) {
+            const dates = [card.startDate, card.endDate].filter(Boolean).map(date => this.escapeHtml(date));
+            return `
+                <div class="fc-event-date" onclick="showView('timeline')" title="Ver na linha do tempo">⏳ ${dates.join(' → ')}</div>
+            `;
+        }
+        if (card.type === 'personagem' && card.birthDate) {
+            const age = getCharacterAge(card);
+            return `
+                <div class="fc-world-date">✶ ${this.escapeHtml(card.birthDate)}${age !== null ? ` · ${age} ${age === 1 ? 'ano' : 'anos'}` : ''}</div>
+            `;
+        }
+        return '';
+    }
+    
+    // Locations directly inside a place, with how many more each one holds
+    renderSublocations(card) {
+        if (card.type !== 'local') return '';
+        const children = getLocationChildren(card.id);
+        
+        return `
+            <div class="fc-sublocations local">
+                <div class="fc-conn-label">Sublocais${children.length > 0 ? ` (${children.length})` : ''}</div>
+                ${children.map(child => {
+                    const inside = countLocationDescendants(child.id);
+                    return `
+                        <div class="fc-conn local" onclick="ui.openCard('${child.id}')">
+                            <span class="fc-conn-icon">${this.escapeHtml(this.getTypeIcon(child.type))}</span>
+                            <span class="fc-conn-name">${this.escapeHtml(child.name)}</span>
+                            ${inside > 0 ? `<span class="fc-conn-rel">${inside} ${inside === 1 ? 'local' : 'locais'} dentro</span>` : ''}
+                        </div>
+                    `;
+                }).join('')}
+                <button class="fc-sublocation-add" onclick="createSublocation('${card.id}')">+ Novo sublocal</button>
+            </div>
+        `;
+    }
+    
+    // Thumbnails of a card with more than one image; each opens the lightbox
+    renderCardDetailGallery(card, images) {
+        if (images.length < 2) return '';
+        
+        return `
+            <div class="fc-gallery">
+                ${images.map((image, index) => `
+                    <button class="fc-gallery-thumb${image.imageId === card.coverImageId ? ' cover' : ''}" onclick="openImageLightbox('${card.id}', ${index})" title="${escapeAttr(image.caption || `Imagem ${index + 1}`)}">
+                        <img src="${this.dataStore.getImageUrl(image.imageId)}" alt="" style="${imageCropStyle(image)}">
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    // Map of a place with its pins; panning, zooming and dragging are set up by initCardMap
+    renderCardMap(card) {
+        if (card.type !== 'local') return '';
+        const map = getCardMap(card);
+        const upload = (label) => `
+            <label class="fc-map-btn" title="Imagem do mapa (até ${MAP_IMAGE_MAX_DIMENSION}px)">${label}
+                <input type="file" accept="image/*" hidden onchange="handleMapImageUpload(event, '${card.id}')">
+            </label>
+        `;
+        if (!map) {
+            return `
+                <div class="fc-map empty">
+                    ${upload('🗺 Adicionar mapa')}
+                </div>
+            `;
+        }
+
+        const size = getMapImageSize(map);
+        const pins = getMapPins(map);
+
+        return `
+            <div class="fc-map">
+                <div class="fc-map-toolbar">
+                    <span class="fc-conn-label">Mapa</span>
+                    <button type="button" class="fc-map-btn${cardMapPlacing === card.id ? ' active' : ''}" onclick="toggleMapPinPlacing('${card.id}')" title="Clique no mapa para marcar um card">📍 Marcador</button>
+                    <button type="button" class="fc-map-btn" onclick="zoomCardMap(1)" title="Aproximar">+</button>
+                    <button type="button" class="fc-map-btn" onclick="zoomCardMap(-1)" title="Afastar">−</button>
+                    <button type="button" class="fc-map-btn" onclick="fitCardMap()" title="Mapa inteiro">⤢</button>
+                    ${upload('🖼 Trocar imagem')}
+                    <button type="button" class="fc-map-btn del" onclick="removeCardMap('${card.id}')" title="Remover mapa">🗑</button>
+                </div>
+                <div class="fc-map-viewport${cardMapPlacing === card.id ? ' placing' : ''}" id="fc-map-viewport">
+                    <div class="fc-map-layer" id="fc-map-layer"${size ? ` style="width: ${size.width}px; height: ${size.height}px;"` : ''}>
+                        <img class="fc-map-image" src="${this.dataStore.getImageUrl(map.imageId)}" alt="" draggable="false">
+                        ${pins.map(({ pin, target }) => `
+                            <button type="button" class="fc-map-pin ${target.type}" data-pin-id="${pin.id}" style="left: ${pin.x}%; top: ${pin.y}%;"
+                                onmousedown="startMapPinDrag(event, '${card.id}', '${pin.id}')"
+                                ontouchstart="startMapPinDrag(event, '${card.id}', '${pin.id}')"
+                                onclick="openMapPin(event, '${target.id}')"
+                                onmouseenter="showMapPinPreview('${pin.id}', '${target.id}')"
+                                onmouseleave="hideMapPinPreview()">${this.escapeHtml(this.getTypeIcon(target.type))}</button>
+                        `).join('')}
+                    </div>
+                    <div class="fc-map-preview" id="fc-map-preview"></div>
+                </div>
+                ${pins.length > 0 ? `
+                    <div class="fc-map-pins">
+                        ${pins.map(({ pin, target }) => `
+                            <span class="fc-map-pin-chip ${target.type}" onmouseenter="highlightMapPin('${pin.id}', true)" onmouseleave="highlightMapPin('${pin.id}', false)">
+                                <span class="fc-map-pin-name" onclick="ui.openCard('${target.id}')">${this.escapeHtml(this.getTypeIcon(target.type))} ${this.escapeHtml(target.name)}</span>
+                                <button type="button" class="fc-map-pin-remove" onclick="removeMapPin('${card.id}', '${pin.id}')" title="Remover marcador">×</button>
+                            </span>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Filled user-defined fields, shown between the header and the flowchart
+    renderCardDetailFields(card) {
+        const filled = getCardFields(card.type)
+            .filter(field => field.custom)
+            .map(field => ({ field, text: cardFieldText(field, card[field.key]) }))
+            .filter(({ text }) => text);
+        if (filled.length === 0) return '';
+        
+        return `
+            <dl class="fc-fields">
+                ${filled.map(({ field, text }) => `
+                    <div class="fc-field${field.kind === 'rich' ? ' wide' : ''}">
+                        <dt>${this.escapeHtml(field.label)}</dt>
+                        <dd>${this.escapeHtml(field.kind === 'checkbox' ? '✓' : text)}</dd>
+                    </div>
+                `).join('')}
+            </dl>
+        `;
+    }
+    
+    // Compact sheet of a character's stat block; every bonus on it rolls
+    renderStatBlock(card) {
+        const block = card.type === 'personagem' ? normalizeStatBlock(card.statBlock) : null;
+        const template = block && getStatTemplate(block.template);
+        if (!template) return '';
+
+        const roll = (kind, key) => `rollStatBlock('${card.id}', '${kind}', ${typeof key === 'number' ? key : `'${key}'`})`;
+        const values = template.stats.filter(stat => block.values[stat.key]);
+        const check = (kind, key, name, bonus, proficient) => `
+            <button type="button" class="fc-stat-check${proficient ? ' proficient' : ''}" onclick="${roll(kind, key)}" title="Rolar ${escapeAttr(template.check)}${escapeAttr(formatStatBonus(bonus))}">
+                <span>${this.escapeHtml(name)}</span>
+                <strong>${formatStatBonus(bonus)}</strong>
+            </button>
+        `;
+
+        return `
+            <div class="fc-stats">
+                <div class="fc-stats-head">
+                    <span class="fc-conn-label">Ficha · ${this.escapeHtml(template.name)}</span>
+                    ${values.map(stat => `<span class="fc-stat-value">${this.escapeHtml(stat.name)} <strong>${this.escapeHtml(block.values[stat.key])}</strong></span>`).join('')}
+                    ${template.proficiency ? `<span class="fc-stat-value">Proficiência <strong>${formatStatBonus(block.proficiencyBonus)}</strong></span>` : ''}
+                </div>
+                <div class="fc-stats-attributes">
+                    ${template.attributes.map(attribute => {
+                        const modifier = getStatModifier(template, block, attribute.key);
+                        return `
+                            <button type="button" class="fc-stat-attribute" onclick="${roll('attribute', attribute.key)}" title="${escapeAttr(attribute.name)}">
+                                <small>${this.escapeHtml(attribute.abbr)}</small>
+                                <strong>${modifier === null ? '—' : formatStatBonus(modifier)}</strong>
+                                ${template.modifier === 'value' ? '' : `<span>${block.scores[attribute.key] ?? ''}</span>`}
+                            </button>
+                        `;
+                    }).join('')}
+                </div>
+                ${template.saves ? `
+                    <div class="fc-stats-group">
+                        <div class="fc-stats-label">Salvaguardas</div>
+                        <div class="fc-stats-checks">
+                            ${template.attributes.map(attribute => check('save', attribute.key, attribute.abbr,
+                                getStatCheckBonus(template, block, attribute.key, `save:${attribute.key}`),
+                                template.proficiency && isStatProficient(block, `save:${attribute.key}`))).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+                ${template.skills.length > 0 ? `
+                    <div class="fc-stats-group">
+                        <div class="fc-stats-label">Perícias</div>
+                        <div class="fc-stats-checks">
+                            ${template.skills.map(skill => check('skill', skill.key, skill.name,
+                                getStatCheckBonus(template, block, skill.attribute, skill.key),
+                                template.proficiency && isStatProficient(block, skill.key))).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+                ${block.attacks.length > 0 ? `
+                    <div class="fc-stats-group">
+                        <div class="fc-stats-label">Ataques</div>
+                        ${block.attacks.map((attack, index) => `
+                            <div class="fc-stat-attack">
+                                <span class="fc-stat-attack-name">${this.escapeHtml(attack.name)}</span>
+                                <button type="button" class="fc-stat-roll" onclick="${roll('attack', index)}" title="Rolar acerto">🎯 ${formatStatBonus(getStatAttackBonus(template, block, attack))}</button>
+                                ${attack.damage ? `<button type="button" class="fc-stat-roll" onclick="${roll('damage', index)}" title="Rolar dano">🎲 ${this.escapeHtml(attack.damage)}</button>` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // =========================================
+    // FLOWCHART RENDERER - PURE NODES
+    // =========================================
+    renderFlowchart(nodes, card) {
+        // Cards with a saved mind map are drawn as the graph the author built
+        if (card.mindMap && card.mindMap.nodes && card.mindMap.nodes.length > 0) {
+            return this.renderFlowchartGraph(card.mindMap) + this.renderConnectionNodes(card);
+        }
+        
+        if (!nodes || nodes.length === 0) {
+            return '<div class="fc-empty">Sem nós definidos</div>';
+        }
+        
+        let html = '<div class="fc-flow">';
+        
+        nodes.forEach((node, i) => {
+            const isLast = i === nodes.length - 1;
+            html += this.renderNode(node, card, isLast);
+        });
+        
+        // Add connection nodes at end
+        html += this.renderConnectionNodes(card);
+        
+        html += '</div>';
+        return html;
+    }
+    
+    // Read-only layered layout of the mind map: branches, merges and edge directions
+    renderFlowchartGraph(mindMap) {
+        const layout = layoutFlowchartGraph(mindMap.nodes, mindMap.connections || []);
+        const { positions, width, height, nodeWidth, nodeHeight } = layout;
+        this.flowchartLayout = layout;
+        
+        const edgesHtml = layout.edges.map(edge => {
+            const from = positions.get(edge.from);
+            const to = positions.get(edge.to);
+            // Edges that point back up the layout leave from the top and enter from the bottom
+            const goesDown = to.y > from.y;
+            const x1 = from.x + nodeWidth / 2;
+            const y1 = goesDown ? from.y + nodeHeight : from.y;
+            const x2 = to.x + nodeWidth / 2;
+            const y2 = goesDown ? to.y : to.y + nodeHeight;
+            const bend = (y2 - y1) / 2;
+            return `<path class="fc-graph-edge${goesDown ? '' : ' back'}" d="M ${x1} ${y1} C ${x1} ${y1 + bend}, ${x2} ${y2 - bend}, ${x2} ${y2}" marker-end="url(#fc-graph-arrow)"></path>`;
+        }).join('');
+        
+        const nodesHtml = mindMap.nodes.map(node => {
+            const pos = positions.get(node.id);
+            const linked = node.linkTo ? this.dataStore.getCard(node.linkTo) : null;
+            return `
+                <div class="fc-graph-node ${node.type || 'state'}${linked ? ' clickable' : ''}"
+                     style="left: ${pos.x}px; top: ${pos.y}px; width: ${nodeWidth}px; height: ${nodeHeight}px;"
+                     ${linked ? `onclick="ui.openCard('${linked.id}')"` : ''}
+                     title="${escapeAttr(node.label)}">
+                    <span class="fc-graph-icon">${this.escapeHtml(node.icon || '●')}</span>
+                    <span class="fc-graph-label">${this.escapeHtml(this.truncate(node.label, 120)) || '<em>Sem texto</em>'}</span>
+                    ${linked ? `<span class="fc-link-icon">${this.escapeHtml(this.getTypeIcon(linked.type))}</span>` : ''}
+                </div>
+            `;
+        }).join('');
+        
+        const viewportHeight = Math.min(Math.max(height, 180), 420);
+        
+        return `
+            <div class="fc-graph">
+                <div class="fc-graph-toolbar">
+                    <button type="button" class="fc-graph-btn" onclick="ui.flowchartPanZoom.zoomIn()" title="Aproximar">+</button>
+                    <button type="button" class="fc-graph-btn" onclick="ui.flowchartPanZoom.zoomOut()" title="Afastar">−</button>
+                    <button type="button" class="fc-graph-btn" onclick="ui.fitFlowchartGraph()" title="Enquadrar">⟳</button>
+                </div>
+                <div class="fc-graph-viewport" id="fc-graph-viewport" style="height: ${viewportHeight}px;">
+                    <div class="fc-graph-layer" id="fc-graph-layer" style="width: ${width}px; height: ${height}px;">
+                        <svg class="fc-graph-edges" width="${width}" height="${height}">
+                            <defs>
+                                <marker id="fc-graph-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                                    <path d="M 0 0 L 10 5 L 0 10 z"></path>
+                                </marker>
+                            </defs>
+                            ${edgesHtml}
+                        </svg>
+                        ${nodesHtml}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
+    // Hook up pan/zoom once the graph markup is in the DOM
+    initFlowchartGraph() {
+        const viewport = document.getElementById('fc-graph-viewport');
+        const layer = document.getElementById('fc-graph-layer');
+        if (!viewport || !layer) {
+            this.flowchartPanZoom = null;
+            return;
+        }
+        
+        this.flowchartPanZoom = attachPanZoom(viewport, layer, { minScale: 0.3, maxScale: 2 });
+        this.fitFlowchartGraph();
+    }
+    
+    fitFlowchartGraph() {
+        if (!this.flowchartPanZoom || !this.flowchartLayout) return;
+        this.flowchartPanZoom.fit(this.flowchartLayout.width, this.flowchartLayout.height);
+    }
+    
+    renderNode(node, card, isLast) {
+        const typeClass = node.type || 'default';
+        const hasChildren = node.children && node.children.length > 0;
+        const hasLink = node.linkTo;
+        
+        let html = `<div class="fc-node ${typeClass}${hasLink ? ' clickable' : ''}"${hasLink ? ` onclick="ui.openCard('${hasLink}')"` : ''}>`;
+        html += `<span class="fc-dot"></span>`;
+        html += `<span class="fc-label">${this.escapeHtml(this.truncate(node.label, 120))}</span>`;
+        if (hasLink) html += `<span class="fc-arrow">→</span>`;
+        html += `</div>`;
+        
+        // Render children as branches
+        if (hasChildren) {
+            html += '<div class="fc-branches">';
+            node.children.forEach(child => {
+                html += this.renderBranch(child, card);
+            });
+            html += '</div>';
+        }
+        
+        // Connector line (unless last)
+        if (!isLast || hasChildren) {
+            html += '<div class="fc-connector"></div>';
+        }
+        
+        return html;
+    }
+    
+    renderBranch(node, card) {
+        const typeClass = node.type || 'branch';
+        const hasLink = node.linkTo;
+        const linkedCard = hasLink ? this.dataStore.getCard(hasLink) : null;
+        
+        let html = `<div class="fc-branch ${typeClass}${hasLink ? ' clickable' : ''}"${hasLink ? ` onclick="ui.openCard('${hasLink}')"` : ''}>`;
+        html += `<span class="fc-branch-line">→</span>`;
+        html += `<span class="fc-branch-label">${this.escapeHtml(this.truncate(node.label, 120))}</span>`;
+        if (linkedCard) {
+            html += `<span class="fc-link-icon">${this.escapeHtml(this.getTypeIcon(linkedCard.type))}</span>`;
+        }
+        html += `</div>`;
+        
+        return html;
+    }
+    
+    renderConnectionNodes(card) {
+        // Containment shows as the breadcrumb and the sublocation list instead
+        const connections = this.gatherAllConnections(card)
+            .filter(conn => !isContainment(this.dataStore.relations.find(r => r.id === conn.relationId) || {}));
+        if (connections.length === 0) return '';
+        
+        let html = '<div class="fc-connections">';
+        html += '<div class="fc-conn-label">↓ Conexões</div>';
+        
+        connections.forEach(conn => {
+            html += `
+                <div class="fc-conn ${conn.type}" onclick="ui.openCard('${conn.id}')">
+                    <span class="fc-conn-icon">${this.escapeHtml(this.getTypeIcon(conn.type))}</span>
+                    <span class="fc-conn-name">${this.escapeHtml(conn.name)}</span>
+                    <span class="fc-conn-rel">${this.escapeHtml(conn.relation)}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div>';
+        return html;
+    }
+    
+    // =========================================
+    // TEXT EXTRACTION (max 120 chars)
+    // =========================================
+    extractShort(text) { return extractShort(text); }
+    extractItems(text) { return extractItems(text); }
+    
+    truncate(text, max = 120) {
+        if (!text) return '';
+        return text.length > max ? text.substring(0, max - 3) + '...' : text;
+    }
+    
+    // =========================================
+    // LEGACY COMPAT - CASCADE FUNCTIONS
+    // =========================================
+    renderEventCascade(card) { return ''; }
+    renderLocationCascade(card) { return ''; }
+    renderCharacterCascade(card) { return ''; }
+    renderNodes(nodes) { return ''; }
+    renderDestinations(card) { return this.renderConnectionNodes(card); }
+    
+    // Connected cards with the relation label as read from this card
+    gatherAllConnections(card) {
+        const connections = [];
+        
+        this.dataStore.getRelationsFor(card.id).forEach(relation => {
+            const { otherId, label } = describeRelation(relation, card.id);
+            const other = this.dataStore.getCard(otherId);
+            if (other) {
+                connections.push({ id: other.id, name: other.name, type: other.type, relation: label, relationId: relation.id });
+            }
+        });
+        
+        // Children of the same parent are siblings without a relation saying so
+        const siblingLabel = relationTypes.sibling.label;
+        getFamilySiblings(card.id).forEach(sibling => {
+            if (connections.some(conn => conn.id === sibling.id && conn.relation === siblingLabel)) return;
+            connections.push({ id: sibling.id, name: sibling.name, type: sibling.type, relation: siblingLabel, relationId: null });
+        });
+        
+        return connections;
+    }
+    
+    splitIntoNodes(text) { return this.extractItems(text); }
+    getFirstSentence(text) { return this.extractShort(text); }
+    stripHtml(html) {
+        if (!html) return '';
+        return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    renderCard(card, animation = 'default') {
+        this.renderCardDetail(card);
+    }
+
+    // Legacy compatibility
+    renderEventContent(card) { return ''; }
+    renderLocationContent(card) { return ''; }
+    renderCharacterContent(card) { return ''; }
+    renderSectionBlock() { return ''; }
+    renderListSection() { return ''; }
+    renderConnectionsSection(card) { return ''; }
+    gatherConnections(card) { return this.gatherAllConnections(card); }
+    parseTextToList(text) { return this.extractItems(text); }
+    parseTextToItems(text) { return this.extractItems(text); }
+
+    // Type choices in the form, plus the way into the type manager
+    renderTypeButtons() {
+        const container = document.getElementById('type-buttons');
+        if (!container) return;
+        
+        container.innerHTML = getCardTypes().map(type => `
+            <button type="button" class="type-btn ${type.key}${this.selectedType === type.key ? ' active' : ''}"
+                    data-type="${type.key}" onclick="ui.selectType('${type.key}')">
+                <span class="type-icon">${this.escapeHtml(type.icon)}</span>
+                <span class="type-name">${this.escapeHtml(type.name)}</span>
+                <span class="type-desc">${this.escapeHtml(type.description || '')}</span>
+            </button>
+        `).join('') + `
+            <button type="button" class="type-btn type-btn-new" onclick="openCardTypeManager()">
+                <span class="type-icon">＋</span>
+                <span class="type-name">Tipos</span>
+                <span class="type-desc">Criar ou editar tipos</span>
+            </button>
+        `;
+    }
+
+    selectType(type) {
+        this.selectedType = type;
+
+        // Update type buttons
+        document.querySelectorAll('.type-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.type === type);
+        });
+
+        // Show common fields
+        document.getElementById('common-fields').style.display = 'block';
+        document.getElementById('form-actions').style.display = 'flex';
+        
+        // Show cascade editor
+        document.getElementById('cascade-editor-section').style.display = 'block';
+        document.getElementById('connections-section').style.display = 'block';
+        document.getElementById('card-details-section').style.display = 'block';
+        
+        // Render the fields this type stores
+        renderCardFields(type);
+
+        // Update number placeholder to show next available number
+        const nextNumber = this.dataStore.getNextNumber(type);
+        document.getElementById('card-number').placeholder = nextNumber;
+
+        // Hide all type-specific fields (legacy)
+        document.querySelectorAll('.type-fields').forEach(el => {
+            el.style.display = 'none';
+        });
+
+        // Reset mind map editor
+        clearMindMap();
+        
+        // Populate connection selector
+        this.populateConnectionSelect();
+        syncRoute({ replace: true });
+    }
+    
+    populateConnectionSelect() {
+        const select = document.getElementById('connection-select');
+        if (!select) return;
+        
+        // Only the types this card's type may connect to
+        const allCards = this.dataStore.getAllCards()
+            .filter(c => !this.editingCardId || c.id !== this.editingCardId)
+            .filter(c => !this.selectedType || canConnectTypes(this.selectedType, c.type));
+        
+        select.innerHTML = `
+            <option value="">+ Conectar card...</option>
+            ${allCards.map(card => `
+                <option value="${card.id}" data-type="${card.type}">${this.escapeHtml(this.getTypeIcon(card.type))} ${this.escapeHtml(card.name)}</option>
+            `).join('')}
+        `;
+    }
+
+    populateConnectionSelectors() {
+        // Adjacent locations (only other locations)
+        const adjacentSelect = document.getElementById('adjacent-locations-select');
+        if (adjacentSelect) {
+            const locations = this.dataStore.getCardsByType('local')
+                .filter(c => !this.editingCardId || c.id !== this.editingCardId);
+            adjacentSelect.innerHTML = `
+                <option value="">+ Adicionar local adjacente...</option>
+                ${locations.map(loc => `
+                    <option value="${loc.id}">${this.escapeHtml(loc.name)}</option>
+                `).join('')}
+            `;
+        }
+
+        // Present characters
+        const charactersSelect = document.getElementById('present-characters-select');
+        if (charactersSelect) {
+            const characters = this.dataStore.getCardsByType('personagem');
+            charactersSelect.innerHTML = `
+                <option value="">+ Adicionar personagem...</option>
+                ${characters.map(char => `
+                    <option value="${char.id}">${this.escapeHtml(char.name)}</option>
+                `).join('')}
+            `;
+        }
+
+        // Bonds
+        const bondsSelect = document.getElementById('bonds-select');
+        if (bondsSelect) {
+            const characters = this.dataStore.getCardsByType('personagem')
+                .filter(c => !this.editingCardId || c.id !== this.editingCardId);
+            bondsSelect.innerHTML = `
+                <option value="">+ Adicionar vínculo...</option>
+                ${characters.map(char => `
+                    <option value="${char.id}">${this.escapeHtml(char.name)}</option>
+                `).join('')}
+            `;
+        }
+    }
+
+    handleFormSubmit() {
+        const name = document.getElementById('card-name').value.trim();
+        const resumo = document.getElementById('card-resumo').value.trim();
+        
+        if (!this.selectedType) {
+            this.showToast('Selecione um tipo de card', 'error');
+            return;
+        }
+
+        if (!name) {
+            this.showToast('Digite um nome para o card', 'error');
+            return;
+        }
+
+        // Get image data
+        const imageData = getCardImageData();
+
+        // Get card number
+        const numberInput = document.getElementById('card-number').value;
+        const cardNumber = numberInput ? parseInt(numberInput, 10) : null;
+
+        // Get cascade nodes
+        const nodes = cascadeNodes.map(n => ({
+            type: n.type,
+            label: n.label,
+            children: n.children || []
+        }));
+        
+        // Get connections (links to other cards, seen from this card)
+        const connections = cardConnections.filter(link => this.dataStore.getCard(link.targetId));
+        const hierarchyError = validateContainment(this.editingCardId, name, connections) ||
+            validateFamily(this.editingCardId, name, connections);
+        if (hierarchyError) {
+            this.showToast(hierarchyError, 'error');
+            return;
+        }
+        
+        const statBlock = this.selectedType === 'personagem' ? getStatBlockData() : null;
+        const statBlockError = validateStatBlock(statBlock);
+        if (statBlockError) {
+            this.showToast(statBlockError, 'error');
+            return;
+        }
+
+        const cardData = {
+            type: this.selectedType,
+            resumo: resumo,
+            name: name,
+            number: cardNumber,
+            nodes: nodes,
+            mindMap: getMindMapData(),
+            images: imageData.images,
+            coverImageId: imageData.coverImageId,
+            tags: cardTags.slice(),
+            ...(this.selectedType === 'personagem' ? { statBlock } : {}),
+            ...collectCardFieldValues(this.selectedType)
+        };
+
+        const editingId = this.editingCardId;
+        if (editingId && !this.dataStore.getCard(editingId)) {
+            this.showToast('O card em edição não existe mais', 'error');
+            return;
+        }
+        const label = editingId ? `Editar "${name}"` : `Criar "${name}"`;
+        
+        // The card and its relations are saved as one undoable command
+        this.dataStore.transact(label, () => {
+            const card = editingId
+                ? this.dataStore.updateCard(editingId, cardData)
+                : this.dataStore.createCard(cardData);
+            this.dataStore.setCardRelations(card.id, connections);
+        });
+        
+        this.showToast(editingId ? 'Card atualizado com sucesso!' : 'Card criado com sucesso!', 'success');
+
+        this.renderCardsList();
+        this.renderCarousels();
+        this.showView('cards');
+        this.updateWelcomeScreen();
+        this.resetForm();
+    }
+    
+    editCard(cardId) {
+        const card = this.dataStore.getCard(cardId);
+        if (!card || rejectReadOnlyEdit()) return;
+
+        this.editingCardId = cardId;
+        this.showView('create');
+
+        // Update form title
+        document.getElementById('form-title').textContent = 'Editar Card';
+        document.getElementById('submit-text').textContent = 'Salvar Alterações';
+
+        // Set type
+        this.selectType(card.type);
+
+        // Populate common fields
+        document.getElementById('card-name').value = card.name || '';
+        document.getElementById('card-number').value = card.number || '';
+        document.getElementById('card-resumo').value = card.resumo || '';
+        
+        // Update character counter
+        const charCount = document.getElementById('resumo-char-count');
+        if (charCount) {
+            const length = (card.resumo || '').length;
+            charCount.textContent = length;
+            if (length > 150) {
+                charCount.style.color = 'var(--color-evento)';
+            } else if (length > 120) {
+                charCount.style.color = 'var(--color-accent)';
+            } else {
+                charCount.style.color = '';
+            }
+        }
+        
+        // Load type fields and tags
+        setCardFieldValues(card);
+        setStatBlockData(card.statBlock);
+        setCardTags(card.tags ? card.tags.slice() : []);
+        
+        // Load image data
+        setCardImageData(card.images, card.coverImageId);
+
+        // Load mind map (saved graph, or laid out from the flat node list)
+        if (card.mindMap && card.mindMap.nodes) {
+            loadMindMapData(card.mindMap);
+        } else {
+            buildMindMapFromNodes(card.nodes || [], card.type);
+        }
+        
+        // Load connections from the relation store
+        setConnections(this.dataStore.getRelationsFor(card.id).map(relation => relationToLink(relation, card.id)));
+        
+        this.populateConnectionSelect();
+        
+        // Open accordions that have content
+        setTimeout(() => {
+            if (card.resumo) openAccordionBySection('resumo');
+            getFilledFieldSections(card).forEach(section => openAccordionBySection(section));
+            if (card.tags && card.tags.length > 0) openAccordionBySection('tags');
+            if (card.statBlock) openAccordionBySection('ficha');
+        }, 100);
+    }
+
+    confirmDeleteCard(cardId) {
+        const card = this.dataStore.getCard(cardId);
+        if (!card) return;
+
+        const confirmed = confirm(`Tem certeza que deseja excluir "${card.name}"?`);
+        
+        if (confirmed) {
+            // deleteCard also drops the card's relations
+            this.dataStore.transact(`Excluir "${card.name}"`, () => {
+                this.dataStore.deleteCard(cardId);
+            });
+            
+            const command = this.dataStore.getLastCommand();
+            this.showToast('Card excluído', 'info', {
+                label: 'Desfazer',
+                onClick: () => this.undo(command)
+            });
+            this.currentCard = null;
+            closeCardDetail();
+            this.renderCardsList();
+            this.renderCarousels();
+            this.updateWelcomeScreen();
+            this.updateBreadcrumb();
+        }
+    }
+    
+    resetForm() {
+        this.editingCardId = null;
+        this.selectedType = null;
+
+        document.getElementById('form-title').textContent = 'Criar Novo Card';
+        document.getElementById('submit-text').textContent = 'Criar Card';
+
+        // Reset type buttons
+        document.querySelectorAll('.type-btn').forEach(btn => {
+            btn.classList.remove('active');
+        });
+
+        // Hide fields
+        document.getElementById('common-fields').style.display = 'none';
+        document.getElementById('form-actions').style.display = 'none';
+        document.getElementById('cascade-editor-section').style.display = 'none';
+        document.getElementById('connections-section').style.display = 'none';
+        document.getElementById('card-details-section').style.display = 'none';
+        document.querySelectorAll('.type-fields').forEach(el => {
+            el.style.display = 'none';
+        });
+
+        // Clear all inputs
+        document.getElementById('card-form').reset();
+        clearCardFields();
+        clearStatBlockData();
+        clearCardTags();
+        closeAllAccordions();
+        
+        // Reset character counter
+        const charCount = document.getElementById('resumo-char-count');
+        if (charCount) {
+            charCount.textContent = '0';
+            charCount.style.color = '';
+        }
+
+        // Clear image data
+        clearCardImageData();
+        
+        // Reset cascade editor
+        resetCascadeEditor();
+    }
+
+    updateBreadcrumb() {
+        // Breadcrumb removed - function kept for compatibility
+    }
+
+    // Re-render everything that depends on the card collection
+    renderAll() {
+        applyCardTypeStyles();
+        this.renderTypeButtons();
+        this.renderSortOptions();
+        this.renderCardsList();
+        this.renderCarousels();
+        this.updateWelcomeScreen();
+        renderWorldDate();
+        if (this.currentView === 'graph') renderWorldGraph();
+        if (this.currentView === 'timeline') renderTimeline();
+        if (this.currentView === 'lineage') renderLineage();
+    }
+
+    updateSaveStatus(status, error = null) {
+        const indicator = document.getElementById('save-status');
+        if (!indicator) return;
+        
+        const labels = {
+            opening: 'Abrindo…',
+            saved: 'Salvo',
+            saving: 'Salvando…',
+            error: 'Falha ao salvar',
+            readonly: 'Somente leitura'
+        };
+        
+        indicator.dataset.status = status;
+        indicator.querySelector('.save-status-text').textContent = labels[status] || status;
+        indicator.title = error ? `${labels.error}: ${error.message || error}` : '';
+        
+        // Only announce the transition into the error state
+        if (status === 'error' && this.lastSaveStatus !== 'error') {
+            this.showToast(error instanceof SchemaVersionError ? error.message : 'Não foi possível salvar as alterações', 'error');
+        }
+        this.lastSaveStatus = status;
+    }
+
+    // `action` ({ label, onClick }) adds a button and keeps the toast up longer
+    showToast(message, type = 'info', action = null) {
+        const container = document.getElementById('toast-container');
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        
+        let icon = 'ℹ';
+        if (type === 'success') icon = '✓';
+        else if (type === 'error') icon = '✕';
+
+        toast.innerHTML = `
+            <span class="toast-icon">${icon}</span>
+            <span class="toast-message">${this.escapeHtml(message)}</span>
+        `;
+        
+        const dismiss = () => {
+            toast.classList.add('toast-out');
+            setTimeout(() => toast.remove(), 300);
+        };
+        
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                action.onClick();
+                dismiss();
+            });
+            toast.appendChild(button);
+        }
+
+        container.appendChild(toast);
+
+        setTimeout(dismiss, action ? 6000 : 3000);
+    }
+    
+    // =========================================
+    // UNDO / REDO
+    // =========================================
+    
+    undo(expected = null) {
+        const command = this.dataStore.undo(expected);
+        if (!command) {
+            this.showToast(expected ? 'Esta ação não é mais a última a ser desfeita' : 'Nada para desfazer', 'info');
+            return;
+        }
+        this.refreshAfterHistoryChange(command.settingsBefore);
+        this.showToast(`Desfeito: ${command.label}`, 'info');
+    }
+    
+    redo() {
+        const command = this.dataStore.redo();
+        if (!command) {
+            this.showToast('Nada para refazer', 'info');
+            return;
+        }
+        this.refreshAfterHistoryChange(command.settingsAfter);
+        this.showToast(`Refeito: ${command.label}`, 'info');
+    }
+    
+    // =========================================
+    // REVISION HISTORY PANEL
+    // =========================================
+    
+    toggleCardHistory(cardId) {
+        const card = this.dataStore.getCard(cardId);
+        if (!card) return;
+        
+        this.historyCardId = this.historyCardId === cardId ? null : cardId;
+        this.openRevisionId = null;
+        this.renderCardDetail(card);
+        
+        const panel = document.getElementById('fc-history');
+        if (panel && panel.scrollIntoView) {
+            panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+    
+    toggleRevision(revisionId) {
+        this.openRevisionId = this.openRevisionId === revisionId ? null : revisionId;
+        if (this.currentCard) this.renderCardDetail(this.currentCard);
+    }
+    
+    // Each revision is the card as it was before one edit; the edit's diff
+    // compares it with the next revision (or the current card)
+    renderCardHistory(card) {
+        const revisions = this.dataStore.getRevisions(card.id);
+        
+        if (revisions.length === 0) {
+            return `
+                <div class="fc-history" id="fc-history">
+                    <div class="fc-history-title">Histórico</div>
+                    <div class="fc-empty">Nenhuma edição registrada ainda</div>
+                </div>
+            `;
+        }
+        
+        const entries = revisions.map((revision, i) => {
+            const next = i < revisions.length - 1 ? revisions[i + 1] : null;
+            const changes = diffCardVersions(
+                revision.card,
+                next ? next.card : card,
+                getRevisionRelations(revision),
+                next ? getRevisionRelations(next) : this.dataStore.getRelationsFor(card.id)
+            );
+            const isOpen = this.openRevisionId === revision.id;
+            const summary = changes.length > 0
+                ? changes.map(change => change.label).join(', ')
+                : 'Sem alterações visíveis';
+            
+            return `
+                <div class="fc-rev${isOpen ? ' open' : ''}">
+                    <div class="fc-rev-header" onclick="ui.toggleRevision('${revision.id}')">
+                        <span class="fc-rev-date">${formatRevisionDate(revision.savedAt)}</span>
+                        <span class="fc-rev-summary">${this.escapeHtml(summary)}</span>
+                        <button type="button" class="fc-rev-restore" title="Voltar o card ao estado anterior a esta edição"
+                                onclick="event.stopPropagation(); ui.restoreRevision('${card.id}', '${revision.id}')">Restaurar</button>
+                    </div>
+                    ${isOpen ? `<div class="fc-rev-diff">${this.renderRevisionChanges(changes)}</div>` : ''}
+                </div>
+            `;
+        }).reverse().join('');
+        
+        return `
+            <div class="fc-history" id="fc-history">
+                <div class="fc-history-title">Histórico <span class="fc-history-count">${revisions.length} ${revisions.length === 1 ? 'edição' : 'edições'}</span></div>
+                ${entries}
+            </div>
+        `;
+    }
+    
+    renderRevisionChanges(changes) {
+        if (changes.length === 0) {
+            return '<div class="fc-empty">Nenhum campo mudou nesta edição</div>';
+        }
+        
+        return changes.map(change => {
+            let body = '';
+            if (change.kind === 'text') {
+                body = `<div class="fc-diff-text">${change.html}</div>`;
+            } else if (change.kind === 'list') {
+                body = `
+                    <div class="fc-diff-list">
+                        ${change.added.map(name => `<span class="fc-diff-chip added">+ ${this.escapeHtml(name)}</span>`).join('')}
+                        ${change.removed.map(name => `<span class="fc-diff-chip removed">− ${this.escapeHtml(name)}</span>`).join('')}
+                    </div>
+                `;
+            } else {
+                body = `<div class="fc-diff-note">${this.escapeHtml(change.note)}</div>`;
+            }
+            
+            return `
+                <div class="fc-diff-field">
+                    <div class="fc-diff-label">${this.escapeHtml(change.label)}</div>
+                    ${body}
+                </div>
+            `;
+        }).join('');
+    }
+    
+    restoreRevision(cardId, revisionId) {
+        const card = this.dataStore.getCard(cardId);
+        const revision = this.dataStore.getRevision(cardId, revisionId);
+        if (!card || !revision) return;
+        
+        const confirmed = confirm(`Restaurar "${card.name}" como estava antes da edição de ${formatRevisionDate(revision.savedAt)}?`);
+        if (!confirmed) return;
+        
+        // Fields the old version didn't have are cleared; identity is kept
+        const restored = {};
+        Object.keys(card).forEach(key => { restored[key] = undefined; });
+        Object.assign(restored, JSON.parse(JSON.stringify(revision.card)));
+        delete restored.id;
+        delete restored.type;
+        delete restored.createdAt;
+        delete restored.updatedAt;
+        
+        legacyRelationFields.forEach(field => delete restored[field]);
+        
+        // Links to cards deleted since then can't come back
+        const links = getRevisionRelations(revision)
+            .filter(relation => this.dataStore.getCard(describeRelation(relation, cardId).otherId))
+            .map(relation => relationToLink(relation, cardId))
+            .map(link => this.dataStore.relations.some(r => r.id === link.edgeId) ? link : { ...link, edgeId: null });
+        
+        // The tree may have changed since: same checks as saving the form
+        const name = restored.name || card.name;
+        const hierarchyError = validateContainment(cardId, name, links) || validateFamily(cardId, name, links);
+        if (hierarchyError) {
+            this.showToast(`Não foi possível restaurar: ${hierarchyError}`, 'error');
+            return;
+        }
+        
+        this.dataStore.transact(`Restaurar versão de "${card.name}"`, () => {
+            this.dataStore.updateCard(cardId, restored);
+            this.dataStore.setCardRelations(cardId, links);
+        });
+        
+        this.openRevisionId = null;
+        this.refreshAfterHistoryChange();
+        
+        const command = this.dataStore.getLastCommand();
+        this.showToast('Versão restaurada', 'success', {
+            label: 'Desfazer',
+            onClick: () => this.undo(command)
+        });
+    }
+    
+    // Cards may have appeared, disappeared or changed under the open views
+    refreshAfterHistoryChange(settings = new Map()) {
+        // Dates on the timeline were laid out in the calendar just replaced
+        if (settings.has('calendar')) timelineView = null;
+        if (this.currentCard) {
+            const card = this.dataStore.getCard(this.currentCard.id);
+            if (card) {
+                this.currentCard = card;
+                this.renderCardDetail(card);
+            } else {
+                closeCardDetail();
+            }
+        }
+        // The card being edited may have been undone away
+        if (this.editingCardId && !this.dataStore.getCard(this.editingCardId)) {
+            this.resetForm();
+            if (this.currentView === 'create') {
+                this.showView('cards');
+                this.showToast('O card em edição não existe mais', 'info');
+            }
+        }
+        this.renderAll();
+    }
+
+    closeModal() {
+        document.getElementById('modal-overlay').classList.remove('active');
+    }
+
+    getTypeIcon(type) {
+        return getCardType(type).icon;
+    }
+
+    getTypeName(type) {
+        return getCardType(type).name;
+    }
+
+    formatText(text) {
+        if (!text) return '';
+        return text.split('\n').map(line => 
+            `<p>${this.escapeHtml(line) || '&nbsp;'}</p>`
+        ).join('');
+    }
+
+    formatRichText(html) {
+        if (!html) return '';
+        
+        // Process card links to make them clickable
+        let processed = html.replace(
+            /<span class="card-link([^"]*)"[^>]*data-card-id="([^"]+)"[^>]*>([^<]*)<\/span>/g,
+            (match, classes, cardId, text) => {
+                const card = this.dataStore.getCard(cardId);
+                if (card) {
+                    return `<span class="card-link ${card.type}" onclick="ui.openCard('${cardId}')">${this.escapeHtml(text)}</span>`;
+                }
+                return text;
+            }
+        );
+        
+        // Process text tags with linked cards - preserve all data attributes
+        processed = processed.replace(
+            /<span\s+class="text-tag([^"]*)"([^>]*)data-card-id="([^"]+)"([^>]*)>([^<]*)<\/span>/g,
+            (match, classes, attrsBefore, cardId, attrsAfter, text) => {
+                const allAttrs = attrsBefore + attrsAfter;
+                return `<span class="text-tag${classes}" ${allAttrs} data-card-id="${cardId}" onclick="ui.openCard('${cardId}')">${text}</span>`;
+            }
+        );
+        
+        // Process dice roll tags - make them clickable
+        processed = processed.replace(
+            /<span\s+class="dice-roll-tag"([^>]*)data-formula="([^"]+)"([^>]*)data-name="([^"]+)"([^>]*)>/g,
+            (match, before, formula, middle, name, after) => {
+                return `<span class="dice-roll-tag" ${before} data-formula="${formula}" ${middle} data-name="${name}" ${after} onclick="executeDiceRoll('${name.replace(/'/g, "\\'")}', '${formula}')">`;
+            }
+        );
+        
+        return processed;
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// =====================================================
+// ROUTER
+// =====================================================
+// The URL hash follows what is on screen, so views and cards can be
+// bookmarked and shared:
+//   #/cards                 card list and carousels
+//   #/cards/local/3         card number 3 of type "local" open
+//   #/cards/local/3/edit    that card in the form
+//   #/create, #/create/evento
+//   #/graph, #/timeline
+//   #/lineage/4, #/lineage?casa=Stark   family of personagem 4, or a house
+//   #/search?q=torre        list filtered by a search
+// Browser Back onto the card opened before the current one walks the
+// store's navigationHistory, like the ← button in the card header.
+
+let currentRoute = '';      // hash last written or applied
+let routerReady = false;    // false until the world is loaded and the first route applied
+let applyingRoute = false;  // true while the screen is being set from the URL
+
+function cardRoute(card) {
+    return `#/cards/${encodeURIComponent(card.type)}/${card.number || encodeURIComponent(card.id)}`;
+}
+
+function parseRoute(hash) {
+    const [path, queryString = ''] = hash.replace(/^#\/?/, '').split('?');
+    let parts;
+    try {
+        parts = path.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        parts = [];
+    }
+    const params = new URLSearchParams(queryString);
+    
+    switch (parts[0]) {
+        case 'create':
+            return { view: 'create', type: parts[1] || null };
+        case 'graph':
+            return { view: 'graph' };
+        case 'timeline':
+            return { view: 'timeline' };
+        case 'lineage':
+            return { view: 'lineage', ref: parts[1] || null, house: params.get('casa') || '' };
+        case 'search':
+            return { view: 'cards', query: params.get('q') || '' };
+        case 'cards':
+            if (parts.length >= 3) {
+                return { view: 'cards', type: parts[1], ref: parts[2], edit: parts[3] === 'edit' };
+            }
+            return { view: 'cards', query: '' };
+        default:
+            return { view: 'cards', query: '' };
+    }
+}
+
+// Card a route points at: by number within its type, or by ID for unnumbered cards
+function findRouteCard(type, ref) {
+    if (/^\d+$/.test(ref)) {
+        const number = parseInt(ref, 10);
+        return dataStore.getAllCards().find(card => card.type === type && card.number === number) || null;
+    }
+    const card = dataStore.getCard(ref);
+    return card && card.type === type ? card : null;
+}
+
+// Route describing the current screen
+function screenRoute() {
+    if (ui.currentView === 'graph') return '#/graph';
+    if (ui.currentView === 'timeline') return '#/timeline';
+    if (ui.currentView === 'lineage') {
+        const root = lineageRootId && dataStore.getCard(lineageRootId);
+        if (lineageHouse) return `#/lineage?casa=${encodeURIComponent(lineageHouse)}`;
+        return root ? `#/lineage/${root.number || encodeURIComponent(root.id)}` : '#/lineage';
+    }
+    if (ui.currentView === 'create') {
+        const editing = ui.editingCardId && dataStore.getCard(ui.editingCardId);
+        if (editing) return `${cardRoute(editing)}/edit`;
+        return ui.selectedType ? `#/create/${encodeURIComponent(ui.selectedType)}` : '#/create';
+    }
+    if (ui.currentCard) return cardRoute(ui.currentCard);
+    if (ui.searchQuery) return `#/search?q=${encodeURIComponent(ui.searchQuery)}`;
+    return '#/cards';
+}
+
+// Record a navigation in the URL; `replace` updates the entry in place
+// (typing a search or picking a type shouldn't fill the Back history)
+function syncRoute({ replace = false } = {}) {
+    if (!routerReady || applyingRoute) return;
+    
+    const route = screenRoute();
+    if (route === currentRoute) return;
+    currentRoute = route;
+    
+    if (replace) {
+        history.replaceState(null, '', route);
+    } else {
+        location.hash = route;
+    }
+}
+
+function applyRoute(hash) {
+    const route = parseRoute(hash);
+    
+    applyingRoute = true;
+    try {
+        closeImageLightbox();
+        
+        if (route.view === 'graph' || route.view === 'timeline') {
+            ui.showView(route.view);
+        } else if (route.view === 'lineage') {
+            const root = route.ref && findRouteCard('personagem', route.ref);
+            lineageRootId = root ? root.id : null;
+            lineageHouse = route.house;
+            lineageCollapsed = new Set();
+            lineageLayout = null;
+            ui.showView('lineage');
+        } else if (route.view === 'create') {
+            if (ui.editingCardId) ui.resetForm();
+            ui.showView('create');
+            if (route.type && isCardType(route.type)) ui.selectType(route.type);
+        } else if (route.ref) {
+            const card = findRouteCard(route.type, route.ref);
+            const trail = dataStore.navigationHistory;
+            
+            if (!card) {
+                ui.showToast('Card não encontrado', 'error');
+                ui.showView('cards');
+            } else if (route.edit) {
+                ui.editCard(card.id);
+            } else if (trail[trail.length - 1] === card.id) {
+                ui.openPreviousCard();
+            } else {
+                ui.openCard(card.id);
+            }
+        } else {
+            if (ui.currentCard) closeCardDetail();
+            document.getElementById('search-cards').value = route.query;
+            ui.filterCardsList(route.query);
+            ui.showView('cards');
+        }
+    } finally {
+        applyingRoute = false;
+    }
+    
+    // Links to missing cards or unknown paths settle on what is shown
+    currentRoute = screenRoute();
+    if (location.hash !== currentRoute) history.replaceState(null, '', currentRoute);
+}
+
+// Show the route the page was opened with and follow Back/Forward from then on
+function initRouter() {
+    if (routerReady) return;
+    routerReady = true;
+    applyRoute(location.hash);
+    
+    window.addEventListener('hashchange', () => {
+        if (location.hash !== currentRoute) applyRoute(location.hash);
+    });
+}
+
+// =====================================================
+// GLOBAL FUNCTIONS
+// =====================================================
+
+let dataStore;
+let ui;
+
+// Set while the open world was saved by a newer version of the app: nothing
+// of it is loaded, and edits are refused since they could never be saved
+let readOnlyError = null;
+
+function initApp() {
+    dataStore = new DataStore();
+    ui = new UIController(dataStore);
+    initImageUpload();
+    initPersistence();
+}
+
+// Open IndexedDB, load the last open world and keep it saved
+async function initPersistence() {
+    dataStore.onSaveStatusChange = (status, error) => ui.updateSaveStatus(status, error);
+    
+    await openActiveWorld();
+    
+    // Ask the browser not to evict our data under storage pressure
+    if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+    }
+}
+
+// Load the last open world into the store, keeping anything made in memory
+// while storage couldn't be opened. On failure the save indicator stays in
+// the error state and clicking it tries again (see retrySave).
+async function openActiveWorld() {
+    let storage = null;
+    try {
+        await loadWorkspaces();
+        storage = new WorldStorage(getActiveWorkspace().dbName);
+        await storage.open();
+        await dataStore.loadFromStorage(storage);
+    } catch (error) {
+        console.error('Storage error:', error);
+        if (storage && dataStore.storage !== storage) storage.close();
+        if (!(error instanceof SchemaVersionError)) {
+            dataStore.setSaveStatus('error', error);
+            return false;
+        }
+        setReadOnly(error);
+    }
+    
+    renderWorkspaceSwitcher();
+    ui.renderAll();
+    initRouter();
+    return true;
+}
+
+// Lock or unlock editing for the open world; the banner stays up until
+// another world is opened
+function setReadOnly(error) {
+    readOnlyError = error;
+    const banner = document.getElementById('read-only-banner');
+    if (banner) {
+        banner.textContent = error ? `${error.message} Este mundo está somente para leitura.` : '';
+        banner.hidden = !error;
+    }
+    ui.updateSaveStatus(error ? 'readonly' : dataStore.saveStatus);
+}
+
+// True (after telling the user) when the open world can't be edited
+function rejectReadOnlyEdit() {
+    if (!readOnlyError) return false;
+    ui.showToast('Este mundo está somente para leitura', 'error');
+    return true;
+}
+
+// Retry a failed save from the status indicator; when storage never opened,
+// open it now so the edits made in the meantime get written
+function retrySave() {
+    if (dataStore.saveStatus !== 'error') return;
+    if (dataStore.storage) {
+        dataStore.flush();
+        return;
+    }
+    dataStore.setSaveStatus('saving');
+    openActiveWorld();
+}
+
+// Write pending edits when the tab is hidden or closed
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden' && dataStore) {
+        dataStore.flush();
+    }
+});
+
+window.addEventListener('beforeunload', (e) => {
+    if (dataStore && dataStore.hasPendingChanges()) {
+        dataStore.flush();
+        e.preventDefault();
+        e.returnValue = '';
+    }
+});
+
 function showView(view) {
     ui.showView(view);
 }
 
-function goHome() {
-    ui.currentCard = null;
-    ui.showView('cards');
-    ui.updateWelcomeScreen();
-    ui.updateBreadcrumb();
+function goHome() {
+    ui.currentCard = null;
+    ui.showView('cards');
+    ui.updateWelcomeScreen();
+    ui.updateBreadcrumb();
+}
+
+function resetForm() {
+    ui.resetForm();
+    ui.showView('cards');
+}
+
+// Mobile menu functions
+function toggleMobileMenu() {
+    const sidebar = document.querySelector('.sidebar');
+    const overlay = document.getElementById('sidebar-overlay');
+    const toggle = document.getElementById('mobile-menu-toggle');
+    
+    sidebar.classList.toggle('open');
+    overlay.classList.toggle('active');
+    
+    // Update button icon
+    if (sidebar.classList.contains('open')) {
+        toggle.textContent = '✕';
+    } else {
+        toggle.textContent = '☰';
+    }
+}
+
+function closeMobileMenu() {
+    const sidebar = document.querySelector('.sidebar');
+    const overlay = document.getElementById('sidebar-overlay');
+    const toggle = document.getElementById('mobile-menu-toggle');
+    
+    sidebar.classList.remove('open');
+    overlay.classList.remove('active');
+    toggle.textContent = '☰';
+}
+
+// Carousel functions
+function scrollCarousel(type, direction) {
+    const track = document.getElementById(`track-${type}`);
+    const cards = track.querySelectorAll('.flip-card');
+    
+    if (cards.length === 0) return;
+    
+    const cardWidth = 220 + 24; // card width + gap
+    const visibleCards = Math.floor(track.parentElement.offsetWidth / cardWidth) || 1;
+    const maxPosition = Math.max(0, cards.length - visibleCards);
+    
+    let newPosition = (ui.carouselPositions[type] || 0) + direction;
+    newPosition = Math.max(0, Math.min(newPosition, maxPosition));
+    
+    ui.carouselPositions[type] = newPosition;
+    track.style.transform = `translateX(-${newPosition * cardWidth}px)`;
+}
+
+function toggleFlipCard(event, cardId) {
+    // Don't flip if clicking action button
+    if (event.target.closest('.flip-card-action')) return;
+    
+    // Don't flip if we actually dragged (moved the carousel)
+    if (ui.dragState.hasMoved) return;
+    
+    const card = document.querySelector(`.flip-card[data-card-id="${cardId}"]`);
+    if (card) {
+        card.classList.toggle('flipped');
+    }
+}
+
+function openCardDetail(event, cardId) {
+    event.stopPropagation();
+    ui.openCard(cardId);
+}
+
+function closeCardDetail(event) {
+    if (event && event.target !== event.currentTarget) return;
+    
+    const overlay = document.getElementById('card-detail-overlay');
+    overlay.classList.remove('active');
+    ui.currentCard = null;
+    ui.updateBreadcrumb();
+    ui.renderCardsList();
+    syncRoute();
+}
+
+function selectTypeFromCarousel(type) {
+    // Small delay to let the view change first
+    setTimeout(() => {
+        ui.selectType(type);
+    }, 100);
+}
+
+function exportCards() {
+    const cards = dataStore.getAllCards();
+    
+    if (cards.length === 0) {
+        ui.showToast('Nenhum card para exportar', 'error');
+        return;
+    }
+    
+    // Edit history travels with the cards it belongs to
+    const revisions = {};
+    cards.forEach(card => {
+        const cardRevisions = dataStore.getRevisions(card.id);
+        if (cardRevisions.length > 0) revisions[card.id] = cardRevisions;
+    });
+    
+    // Each image goes in once, however many cards and revisions use it
+    const images = {};
+    dataStore.getUsedImageHashes().forEach(hash => {
+        const image = dataStore.getImage(hash);
+        if (!image) return;
+        images[hash] = { type: image.type, width: image.width, height: image.height, data: bytesToBase64(new Uint8Array(image.bytes)) };
+    });
+    
+    const exportData = {
+        version: SCHEMA_VERSION,
+        exportDate: new Date().toISOString(),
+        cards: cards,
+        relations: dataStore.relations,
+        revisions: revisions,
+        cardTypes: getUserCardTypes(),
+        cardFields: dataStore.getSetting('cardFields', {}),
+        calendar: dataStore.getSetting('calendar', null),
+        statTemplates: getUserStatTemplates(),
+        images
+    };
+    
+    const json = JSON.stringify(exportData, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `narrative-cards-${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    
+    ui.showToast(`${cards.length} cards exportados com sucesso!`, 'success');
+}
+
+// Import reads the file, validates every card and opens a preview where
+// conflicts with existing cards are resolved before anything is written
+let pendingImport = null;
+
+function importCards(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    if (rejectReadOnlyEdit()) {
+        event.target.value = '';
+        return;
+    }
+    
+    const reader = new FileReader();
+    
+    reader.onload = async function(e) {
+        let data;
+        try {
+            data = JSON.parse(e.target.result);
+        } catch (error) {
+            console.error('Import error:', error);
+            ui.showToast('Erro ao importar: o arquivo não é um JSON válido', 'error');
+            return;
+        }
+        
+        if (!data || !Array.isArray(data.cards)) {
+            ui.showToast('Erro ao importar: o arquivo não contém uma lista de cards', 'error');
+            return;
+        }
+        
+        const version = readSchemaVersion(data.version);
+        try {
+            assertSupportedSchema(version);
+        } catch (error) {
+            ui.showToast(`Erro ao importar: ${error.message}`, 'error');
+            return;
+        }
+        
+        try {
+            pendingImport = await buildImportPlan(data, file.name, version);
+        } catch (error) {
+            console.error('Import error:', error);
+            ui.showToast(`Erro ao importar: ${error.message}`, 'error');
+            return;
+        }
+        renderImportPreview();
+    };
+    
+    reader.onerror = function() {
+        ui.showToast('Erro ao ler o arquivo', 'error');
+    };
+    
+    reader.readAsText(file);
+    
+    // Reset input so the same file can be selected again
+    event.target.value = '';
+}
+
+// User type from a file, cleaned up; null when it can't be used. Keys have
+// to look like ours since they end up as CSS class names.
+function validateImportedCardType(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (typeof raw.key !== 'string' || !/^ct-[a-z0-9-]+$/.test(raw.key)) return null;
+    if (typeof raw.name !== 'string' || !raw.name.trim()) return null;
+    
+    const text = (value) => typeof value === 'string' ? value.trim() : '';
+    const name = raw.name.trim();
+    const nodeTypes = Array.isArray(raw.nodeTypes) ? raw.nodeTypes.filter(kind => nodeKinds[kind]) : [];
+    
+    return {
+        key: raw.key,
+        name,
+        plural: text(raw.plural) || `${name}s`,
+        description: text(raw.description),
+        icon: text(raw.icon) || '◆',
+        color: /^#[0-9a-f]{6}$/i.test(raw.color) ? raw.color : '#a8a4a0',
+        nodeTypes: nodeTypes.length > 0 ? nodeTypes : Object.keys(nodeKinds),
+        connectionTargets: Array.isArray(raw.connectionTargets)
+            ? raw.connectionTargets.filter(key => typeof key === 'string')
+            : null
+    };
+}
+
+// Bundled images from a file, keyed by hash. An entry is only accepted when
+// its bytes really hash to its key.
+async function validateImportedImages(raw) {
+    const images = {};
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return images;
+    
+    for (const [hash, entry] of Object.entries(raw)) {
+        if (!entry || typeof entry.data !== 'string' || !/^image\/[\w.+-]+$/.test(entry.type)) continue;
+        let bytes;
+        try {
+            bytes = base64ToBytes(entry.data);
+        } catch (error) {
+            // Not base64: the image is left out and the cards show none
+            continue;
+        }
+        const record = await createImageRecord(bytes, entry.type,
+            Number.isFinite(entry.width) ? entry.width : null,
+            Number.isFinite(entry.height) ? entry.height : null);
+        if (record.hash === hash) images[hash] = record;
+    }
+    return images;
+}
+
+// Field definitions from a file, per type, cleaned up; broken ones are left out.
+// Older files may still have "date" fields, which the migration upgrades.
+function validateImportedFieldDefinitions(raw) {
+    const definitions = {};
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return definitions;
+    
+    Object.entries(raw).forEach(([type, list]) => {
+        if (!Array.isArray(list)) return;
+        const valid = list
+            .filter(def => def && typeof def.key === 'string' && /^cf-[a-z0-9-]+$/.test(def.key)
+                && typeof def.label === 'string' && def.label.trim() && (cardFieldKinds[def.kind] || def.kind === 'date'))
+            .map(def => ({
+                key: def.key,
+                label: def.label.trim(),
+                kind: def.kind,
+                options: Array.isArray(def.options)
+                    ? def.options.filter(option => typeof option === 'string').map(option => option.trim()).filter(Boolean)
+                    : []
+            }));
+        if (valid.length > 0) definitions[type] = valid;
+    });
+    return definitions;
+}
+
+// Check one incoming card against the known types and the file's extra field
+// definitions. Problems that make it unusable go to `errors`; fields with the
+// wrong shape are dropped and the card is kept.
+function validateImportedCard(raw, typeKeys, importedFields = {}) {
+    const errors = [];
+    
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { card: null, errors: ['não é um objeto'] };
+    }
+    
+    const card = { ...raw };
+    if (typeof card.name !== 'string' || !card.name.trim()) errors.push('sem nome');
+    if (!typeKeys.has(card.type)) errors.push(`tipo desconhecido "${card.type ?? ''}"`);
+    if (errors.length > 0) return { card: null, errors };
+    
+    card.name = card.name.trim();
+    // IDs end up in markup and selectors, so only the app's own format is kept
+    if (!isCardId(card.id)) card.id = dataStore.generateId();
+    
+    if (card.number !== undefined && !(Number.isInteger(card.number) && card.number > 0)) {
+        delete card.number;
+    }
+    
+    card.tags = Array.isArray(card.tags) ? card.tags.filter(tag => typeof tag === 'string' && tag.trim()) : [];
+    
+    ['resumo', 'image', 'imageId', 'coverImageId'].forEach(key => {
+        if (card[key] !== undefined && typeof card[key] !== 'string') delete card[key];
+    });
+    
+    if (card.images !== undefined) {
+        card.images = Array.isArray(card.images)
+            ? card.images
+                .filter(image => image && typeof image.imageId === 'string')
+                .map(image => createGalleryImage(image.imageId, image))
+            : [];
+    }
+    
+    [...getCardFields(card.type), ...(importedFields[card.type] || []).map(toCardField)].forEach(field => {
+        const value = card[field.key];
+        if (value === undefined) return;
+        const valid = field.kind === 'number' ? value === '' || Number.isFinite(value)
+            : field.kind === 'checkbox' ? typeof value === 'boolean'
+            : typeof value === 'string';
+        if (!valid) delete card[field.key];
+    });
+    
+    legacyRelationFields.forEach(field => {
+        if (card[field] === undefined) return;
+        if (Array.isArray(card[field])) {
+            card[field] = card[field].filter(id => typeof id === 'string' && id);
+        } else {
+            delete card[field];
+        }
+    });
+    
+    if (card.mindMap !== undefined) {
+        if (card.mindMap && Array.isArray(card.mindMap.nodes)) {
+            card.mindMap = validateImportedMindMap(card.mindMap);
+        } else {
+            delete card.mindMap;
+        }
+    }
+    if (card.nodes !== undefined) {
+        if (Array.isArray(card.nodes)) {
+            card.nodes = validateImportedNodes(card.nodes);
+        } else {
+            delete card.nodes;
+        }
+    }
+    if (card.statBlock !== undefined) {
+        card.statBlock = normalizeStatBlock(card.statBlock);
+        if (!card.statBlock) delete card.statBlock;
+    }
+    if (card.map !== undefined) {
+        if (card.map && typeof card.map.imageId === 'string') {
+            card.map = normalizeCardMap(card.map);
+        } else {
+            delete card.map;
+        }
+    }
+    
+    return { card, errors: [] };
+}
+
+function isCardId(id) {
+    return typeof id === 'string' && /^card_\d+_[a-z0-9]+$/.test(id);
+}
+
+// One mind map node from a file, or null. IDs are numbers and the type and
+// icon come from the built-in node templates, since all of them are rendered
+// straight into the editor.
+function validateImportedNode(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const id = Number(raw.id);
+    if (!Number.isFinite(id) || !nodeKinds[raw.type]) return null;
+    
+    const node = {
+        id,
+        type: raw.type,
+        icon: nodeKinds[raw.type].icon,
+        label: typeof raw.label === 'string' ? raw.label : ''
+    };
+    if (isCardId(raw.linkTo)) node.linkTo = raw.linkTo;
+    return node;
+}
+
+function validateImportedMindMap(raw) {
+    const nodes = raw.nodes.map(entry => {
+        const node = validateImportedNode(entry);
+        if (!node) return null;
+        node.x = Number.isFinite(entry.x) ? entry.x : 0;
+        node.y = Number.isFinite(entry.y) ? entry.y : 0;
+        return node;
+    }).filter(Boolean);
+    const ids = new Set(nodes.map(node => node.id));
+    const anchor = (value) => typeof value === 'string' && /^[a-z-]+$/.test(value) ? value : null;
+    
+    const connections = (Array.isArray(raw.connections) ? raw.connections : [])
+        .filter(conn => conn && ids.has(Number(conn.fromNode)) && ids.has(Number(conn.toNode)))
+        .map(conn => ({
+            fromNode: Number(conn.fromNode),
+            toNode: Number(conn.toNode),
+            fromAnchor: anchor(conn.fromAnchor),
+            toAnchor: anchor(conn.toAnchor)
+        }));
+    
+    const view = raw.view && typeof raw.view === 'object' ? raw.view : {};
+    return {
+        nodes,
+        connections,
+        view: {
+            scale: Number.isFinite(view.scale) && view.scale > 0 ? view.scale : 1,
+            panX: Number.isFinite(view.panX) ? view.panX : 0,
+            panY: Number.isFinite(view.panY) ? view.panY : 0
+        }
+    };
+}
+
+// Nodes saved before the mind map, nested through `children`
+function validateImportedNodes(list) {
+    return list.map(entry => {
+        const node = validateImportedNode(entry);
+        if (!node) return null;
+        node.children = Array.isArray(entry.children) ? validateImportedNodes(entry.children) : [];
+        return node;
+    }).filter(Boolean);
+}
+
+// Edit histories from a file, by card. Each snapshot is checked like an
+// incoming card and filed under the ID its card ended up with (`fileIds`).
+function validateImportedRevisions(raw, fileIds, typeKeys, importedFields) {
+    const revisions = {};
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return revisions;
+    
+    Object.entries(raw).forEach(([fileId, entries]) => {
+        const cardId = fileIds[fileId] || fileId;
+        if (!Array.isArray(entries) || !isCardId(cardId)) return;
+        
+        const valid = entries.map(entry => {
+            if (!entry || typeof entry !== 'object') return null;
+            if (typeof entry.savedAt !== 'string' || Number.isNaN(Date.parse(entry.savedAt))) return null;
+            const { card } = validateImportedCard(entry.card, typeKeys, importedFields);
+            if (!card) return null;
+            
+            const revision = {
+                id: typeof entry.id === 'string' && /^rev_\d+_[a-z0-9]+$/.test(entry.id) ? entry.id : dataStore.generateRevisionId(),
+                savedAt: entry.savedAt,
+                card: { ...remapImportedCard(card, fileIds), id: cardId }
+            };
+            if (Array.isArray(entry.relations)) {
+                revision.relations = entry.relations.filter(relation => relation && typeof relation === 'object');
+            }
+            return revision;
+        }).filter(Boolean);
+        if (valid.length > 0) revisions[cardId] = valid;
+    });
+    return revisions;
+}
+
+// Existing card the incoming one stands for: same ID, or same name and type.
+// A card of another type under the same ID can't be overwritten by it
+function findImportMatch(card) {
+    const byId = dataStore.getCard(card.id);
+    if (byId) return { existing: byId, reason: byId.type === card.type ? 'id' : 'type' };
+    
+    const name = normalizeSearchText(card.name);
+    const byName = dataStore.getAllCards().find(c => c.type === card.type && normalizeSearchText(c.name) === name);
+    return byName ? { existing: byName, reason: 'name' } : null;
+}
+
+// Valid cards are upgraded from the file's schema version before matching
+async function buildImportPlan(data, fileName, version) {
+    const plan = {
+        fileName,
+        entries: [],     // { card, existing, reason, resolution }
+        invalid: [],     // { label, errors }
+        unresolved: [],  // { from, label, targetId }
+        relations: [],
+        revisions: {},
+        images: {},      // hash -> image record, from the file or pulled out of old cards
+        cardTypes: [],   // user types from the file that this world lacks
+        cardFields: {},  // type -> field definitions from the file that this world lacks
+        statTemplates: [], // sheet templates from the file that this world lacks
+        calendar: null   // the file's calendar, when this world still uses the default one
+    };
+    const seenIds = new Set();
+    const validCards = [];
+    
+    // Types already here win over the file's definition of the same key
+    (Array.isArray(data.cardTypes) ? data.cardTypes : []).forEach(raw => {
+        const type = validateImportedCardType(raw);
+        if (type && !isCardType(type.key) && !plan.cardTypes.some(t => t.key === type.key)) {
+            plan.cardTypes.push(type);
+        }
+    });
+    const typeKeys = new Set([...getCardTypes(), ...plan.cardTypes].map(type => type.key));
+    
+    // The same definition objects are upgraded along with the cards below
+    const fileFields = validateImportedFieldDefinitions(data.cardFields);
+    Object.entries(fileFields).forEach(([type, definitions]) => {
+        if (!typeKeys.has(type)) return;
+        const known = getCardFields(type);
+        const missing = definitions.filter(def => !known.some(field => field.key === def.key));
+        if (missing.length > 0) plan.cardFields[type] = missing;
+    });
+    
+    // Templates already here win over the file's version of the same key
+    (Array.isArray(data.statTemplates) ? data.statTemplates : []).forEach(raw => {
+        const template = normalizeStatTemplate(raw);
+        if (template && !getStatTemplate(template.key) && !plan.statTemplates.some(t => t.key === template.key)) {
+            plan.statTemplates.push(template);
+        }
+    });
+    
+    // Dates in the file were written in its calendar
+    if (!dataStore.getSetting('calendar', null)) {
+        plan.calendar = normalizeWorldCalendar(data.calendar);
+    }
+    
+    const renamedIds = {}; // file ID -> the one that replaced it
+    data.cards.forEach((raw, index) => {
+        const { card, errors } = validateImportedCard(raw, typeKeys, plan.cardFields);
+        const label = (raw && typeof raw.name === 'string' && raw.name.trim()) || `Card #${index + 1}`;
+        
+        if (!card) {
+            plan.invalid.push({ label, errors });
+            return;
+        }
+        // Repeats are told apart by the ID in the file, replaced or not
+        const fileId = typeof raw.id === 'string' && raw.id ? raw.id : card.id;
+        if (seenIds.has(fileId)) {
+            plan.invalid.push({ label, errors: ['ID repetido no arquivo'] });
+            return;
+        }
+        seenIds.add(fileId);
+        if (fileId !== card.id) renamedIds[fileId] = card.id;
+        validCards.push(card);
+    });
+    
+    // Links to a card whose file ID was replaced follow it to the new one
+    const fileIds = { ...Object.fromEntries(validCards.map(card => [card.id, card.id])), ...renamedIds };
+    const world = await migrateWorld({
+        cards: validCards.map(card => remapImportedCard(card, fileIds)),
+        relations: (Array.isArray(data.relations) ? data.relations : [])
+            .filter(relation => relation && typeof relation === 'object')
+            .map(relation => ({
+                ...relation,
+                source: fileIds[relation.source] || relation.source,
+                target: fileIds[relation.target] || relation.target
+            })),
+        revisions: validateImportedRevisions(data.revisions, fileIds, typeKeys, plan.cardFields),
+        images: await validateImportedImages(data.images),
+        settings: { cardFields: fileFields }
+    }, version);
+    plan.relations = world.relations.filter(relation => relationTypes[relation.type]);
+    plan.revisions = world.revisions;
+    plan.images = world.images;
+    
+    // Gallery and map images that are neither in the file nor here are left out
+    world.cards.forEach(card => {
+        if (card.images) {
+            card.images = card.images.filter(image => plan.images[image.imageId] || dataStore.getImage(image.imageId));
+        }
+        if (card.map && !plan.images[card.map.imageId] && !dataStore.getImage(card.map.imageId)) delete card.map;
+    });
+    
+    world.cards.forEach(card => {
+        const match = findImportMatch(card);
+        plan.entries.push({
+            card,
+            existing: match ? match.existing : null,
+            reason: match ? match.reason : null,
+            // Conflicts default to skipping, so importing the same file twice changes nothing
+            resolution: match ? 'skip' : 'add'
+        });
+    });
+    
+    // Links whose other end is neither in the file nor in this world
+    const incomingIds = new Set(plan.entries.map(entry => entry.card.id));
+    const resolvable = (id) => incomingIds.has(id) || !!dataStore.getCard(id);
+    const nameOf = (id) => {
+        const entry = plan.entries.find(en => en.card.id === id);
+        return entry ? entry.card.name : (dataStore.getCard(id) || {}).name;
+    };
+    plan.relations.forEach(relation => {
+        const sourceOk = resolvable(relation.source);
+        const targetOk = resolvable(relation.target);
+        if (sourceOk && targetOk) return;
+        
+        plan.unresolved.push({
+            from: sourceOk ? nameOf(relation.source) : nameOf(relation.target) || '?',
+            label: getRelationType(relation.type).label,
+            targetId: sourceOk ? relation.target : relation.source
+        });
+    });
+    
+    return plan;
+}
+
+function renderImportPreview() {
+    const plan = pendingImport;
+    if (!plan) return;
+    
+    const conflicts = plan.entries.filter(entry => entry.existing);
+    const newCount = plan.entries.filter(entry => !entry.existing).length;
+    const writeCount = plan.entries.filter(entry => entry.resolution !== 'skip').length;
+    
+    const resolutionLabels = { skip: 'Pular', overwrite: 'Substituir', both: 'Manter ambos' };
+    
+    const conflictsHtml = conflicts.length === 0 ? '' : `
+        <div class="import-section">
+            <div class="import-section-header">
+                <span>Conflitos com cards existentes</span>
+                <div class="import-bulk">
+                    ${Object.entries(resolutionLabels).map(([value, label]) => `
+                        <button type="button" onclick="setAllImportResolutions('${value}')">${label} todos</button>
+                    `).join('')}
+                </div>
+            </div>
+            ${conflicts.map(entry => {
+                const index = plan.entries.indexOf(entry);
+                return `
+                    <div class="import-row">
+                        <span class="type-dot ${entry.card.type}"></span>
+                        <div class="import-row-text">
+                            <strong>${ui.escapeHtml(entry.card.name)}</strong>
+                            <small>${importMatchLabels[entry.reason]} "${ui.escapeHtml(entry.existing.name)}"</small>
+                        </div>
+                        <select onchange="setImportResolution(${index}, this.value)">
+                            ${Object.entries(resolutionLabels).filter(([value]) => canResolveImport(entry, value)).map(([value, label]) => `
+                                <option value="${value}"${entry.resolution === value ? ' selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+    
+    const fieldsHtml = Object.keys(plan.cardFields).length === 0 ? '' : `
+        <div class="import-section">
+            <div class="import-section-header"><span>Novos campos</span></div>
+            ${Object.entries(plan.cardFields).map(([type, definitions]) => {
+                const typeInfo = plan.cardTypes.find(t => t.key === type) || getCardType(type);
+                return `
+                    <div class="import-row">
+                        <span class="type-dot ${type}"></span>
+                        <div class="import-row-text">
+                            <strong>${ui.escapeHtml(typeInfo.icon)} ${ui.escapeHtml(typeInfo.name)}</strong>
+                            <small>${ui.escapeHtml(definitions.map(def => def.label).join(', '))}</small>
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+    
+    const typesHtml = plan.cardTypes.length === 0 ? '' : `
+        <div class="import-section">
+            <div class="import-section-header"><span>Novos tipos de card</span></div>
+            ${plan.cardTypes.map(type => `
+                <div class="import-row">
+                    <span class="type-dot" style="background: ${type.color}"></span>
+                    <div class="import-row-text">
+                        <strong>${ui.escapeHtml(type.icon)} ${ui.escapeHtml(type.name)}</strong>
+                        <small>${ui.escapeHtml(type.description || type.plural)}</small>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+    
+    const templatesHtml = plan.statTemplates.length === 0 ? '' : `
+        <div class="import-section">
+            <div class="import-section-header"><span>Novos modelos de ficha</span></div>
+            ${plan.statTemplates.map(template => `
+                <div class="import-row">
+                    <div class="import-row-text">
+                        <strong>⚔ ${ui.escapeHtml(template.name)}</strong>
+                        <small>${ui.escapeHtml(template.attributes.map(attribute => attribute.abbr).join(' · '))}</small>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+    
+    const calendarHtml = !plan.calendar ? '' : `
+        <div class="import-section">
+            <div class="import-section-header"><span>Calendário</span></div>
+            <div class="import-row">
+                <div class="import-row-text">
+                    <strong>📅 O calendário do arquivo passa a ser o deste mundo</strong>
+                    <small>${ui.escapeHtml([
+                        `${plan.calendar.months.length} meses`,
+                        ...plan.calendar.eras.map(era => era.name),
+                        ...plan.calendar.moons.map(moon => `lua ${moon.name}`)
+                    ].join(' · '))}</small>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    const invalidHtml = plan.invalid.length === 0 ? '' : `
+        <div class="import-section">
+            <div class="import-section-header"><span>Cards inválidos (não serão importados)</span></div>
+            ${plan.invalid.map(item => `
+                <div class="import-row invalid">
+                    <div class="import-row-text">
+                        <strong>${ui.escapeHtml(item.label)}</strong>
+                        <small>${ui.escapeHtml(item.errors.join(', '))}</small>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+    
+    const unresolvedHtml = plan.unresolved.length === 0 ? '' : `
+        <div class="import-section">
+            <div class="import-section-header"><span>Conexões sem destino (serão descartadas)</span></div>
+            ${plan.unresolved.map(item => `
+                <div class="import-row unresolved">
+                    <div class="import-row-text">
+                        <strong>${ui.escapeHtml(item.from || '?')}</strong>
+                        <small>${ui.escapeHtml(item.label)} → ${ui.escapeHtml(String(item.targetId))}</small>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+    
+    document.getElementById('modal-content').innerHTML = `
+        <div class="import-dialog">
+            <div class="link-modal-header">
+                <h3>📥 Importar ${ui.escapeHtml(plan.fileName || 'arquivo')}</h3>
+                <button type="button" class="link-modal-close" onclick="cancelImport()">×</button>
+            </div>
+            <div class="import-body">
+                <div class="import-summary">
+                    <div class="import-stat"><strong>${newCount}</strong><span>novos</span></div>
+                    <div class="import-stat conflict"><strong>${conflicts.length}</strong><span>conflitos</span></div>
+                    <div class="import-stat invalid"><strong>${plan.invalid.length}</strong><span>inválidos</span></div>
+                    <div class="import-stat unresolved"><strong>${plan.unresolved.length}</strong><span>conexões sem destino</span></div>
+                </div>
+                ${typesHtml}
+                ${fieldsHtml}
+                ${templatesHtml}
+                ${calendarHtml}
+                ${conflictsHtml}
+                ${invalidHtml}
+                ${unresolvedHtml}
+            </div>
+            <div class="import-footer">
+                <button type="button" class="btn-secondary" onclick="cancelImport()">Cancelar</button>
+                <button type="button" class="btn-primary" onclick="confirmImport()"${writeCount === 0 ? ' disabled' : ''}>
+                    Importar ${writeCount} ${writeCount === 1 ? 'card' : 'cards'}
+                </button>
+            </div>
+        </div>
+    `;
+    document.getElementById('modal-overlay').classList.add('active');
+}
+
+const importMatchLabels = {
+    id: 'mesmo ID de',
+    type: 'mesmo ID (outro tipo) de',
+    name: 'mesmo nome de'
+};
+
+// Only a card of the same type can be replaced by the incoming one
+function canResolveImport(entry, resolution) {
+    return resolution !== 'overwrite' || entry.reason !== 'type';
+}
+
+function setImportResolution(index, resolution) {
+    if (!pendingImport || !pendingImport.entries[index]) return;
+    if (!canResolveImport(pendingImport.entries[index], resolution)) return;
+    pendingImport.entries[index].resolution = resolution;
+    renderImportPreview();
+}
+
+function setAllImportResolutions(resolution) {
+    if (!pendingImport) return;
+    pendingImport.entries.forEach(entry => {
+        if (entry.existing && canResolveImport(entry, resolution)) entry.resolution = resolution;
+    });
+    renderImportPreview();
+}
+
+function cancelImport() {
+    pendingImport = null;
+    ui.closeModal();
+}
+
+function confirmImport() {
+    const plan = pendingImport;
+    if (!plan) return;
+    pendingImport = null;
+    ui.closeModal();
+    
+    if (plan.calendar) timelineView = null;
+    
+    let result;
+    try {
+        result = dataStore.transact(`Importar ${plan.fileName || 'arquivo'}`, () => applyImportPlan(plan));
+    } catch (error) {
+        console.error('Import error:', error);
+        ui.showToast('Erro ao importar: nada foi alterado', 'error');
+        return;
+    }
+    
+    ui.renderAll();
+    
+    const parts = [`${result.added} adicionados`];
+    if (result.overwritten) parts.push(`${result.overwritten} substituídos`);
+    if (result.skipped) parts.push(`${result.skipped} ignorados`);
+    if (result.unresolved) parts.push(`${result.unresolved} conexões sem destino`);
+    if (result.rejected) parts.push(`${result.rejected} conexões de local ou família recusadas`);
+    
+    const command = dataStore.getLastCommand();
+    ui.showToast(`Importação: ${parts.join(', ')}`, 'success', command ? {
+        label: 'Desfazer',
+        onClick: () => ui.undo(command)
+    } : null);
+}
+
+// Write the resolved plan; runs inside one transaction so it can be undone
+function applyImportPlan(plan) {
+    const result = { added: 0, overwritten: 0, skipped: 0, unresolved: plan.unresolved.length, rejected: 0 };
+    
+    // Types, fields, sheet templates and the calendar the cards rely on are
+    // world settings; they are undone together with the cards
+    if (plan.cardTypes.length > 0) {
+        dataStore.setSetting('cardTypes', [...getUserCardTypes(), ...plan.cardTypes]);
+    }
+    Object.entries(plan.cardFields).forEach(([type, definitions]) => {
+        setCustomFieldDefinitions(type, [...getCustomFieldDefinitions(type), ...definitions]);
+    });
+    if (plan.statTemplates.length > 0) {
+        dataStore.setSetting('statTemplates', [...getUserStatTemplates(), ...plan.statTemplates]);
+    }
+    if (plan.calendar) dataStore.setSetting('calendar', plan.calendar);
+    
+    // Where each incoming ID ends up: kept, pointed at the existing card, or fresh
+    const idMapping = {};
+    plan.entries.forEach(entry => {
+        const { card, existing, resolution } = entry;
+        if (resolution === 'skip' || resolution === 'overwrite') {
+            idMapping[card.id] = existing.id;
+        } else if (resolution === 'both' || dataStore.getCard(card.id)) {
+            idMapping[card.id] = dataStore.generateId();
+        } else {
+            idMapping[card.id] = card.id;
+        }
+    });
+    
+    plan.entries.forEach(entry => {
+        if (entry.resolution === 'skip') {
+            result.skipped++;
+            return;
+        }
+        
+        const newCard = remapImportedCard(entry.card, idMapping);
+        
+        if (entry.resolution === 'overwrite') {
+            importPlanImages(plan, [newCard]);
+            // The file's card replaces the stored one; fields it lacks are
+            // cleared, and the card keeps its place in the numbering
+            const replaced = {};
+            Object.keys(dataStore.getCard(entry.existing.id)).forEach(key => { replaced[key] = undefined; });
+            Object.assign(replaced, newCard);
+            delete replaced.id;
+            delete replaced.type;
+            delete replaced.number;
+            delete replaced.createdAt;
+            delete replaced.updatedAt;
+            dataStore.updateCard(entry.existing.id, replaced);
+            result.overwritten++;
+            return;
+        }
+        
+        // Bring the card's edit history along, pointing at the new IDs
+        const revisions = plan.revisions[entry.card.id];
+        importPlanImages(plan, [newCard, ...(revisions || []).map(revision => revision && revision.card)]);
+        if (Array.isArray(revisions) && revisions.length > 0) {
+            dataStore.setRevisions(newCard.id, remapImportedRevisions(revisions, idMapping));
+        }
+        
+        // Numbers must stay unique within a type
+        const numberTaken = dataStore.getAllCards().some(c => c.type === newCard.type && c.number === newCard.number);
+        if (!newCard.number || numberTaken) {
+            newCard.number = dataStore.getNextNumber(newCard.type);
+        }
+        
+        newCard.createdAt = newCard.createdAt || new Date().toISOString();
+        newCard.updatedAt = new Date().toISOString();
+        
+        dataStore.insertCard(newCard);
+        result.added++;
+    });
+    
+    // Relations between imported cards (or to cards already here); a link that
+    // is already stored, as when the same file comes in again, isn't repeated
+    plan.relations.forEach(relation => {
+        const remapped = remapImportedRelation(relation, idMapping);
+        if (remapped && dataStore.getCard(remapped.source) && dataStore.getCard(remapped.target)) {
+            if (isStoredRelation(remapped)) return;
+            if (!dataStore.addRelation(remapped)) result.rejected++;
+        }
+    });
+    
+    return result;
+}
+
+// Same ends, type and labels as a link already in the store
+function isStoredRelation(relation) {
+    return dataStore.relations.some(r =>
+        r.source === relation.source && r.target === relation.target && r.type === relation.type &&
+        (r.label || '') === (relation.label || '') && (r.inverseLabel || '') === (relation.inverseLabel || '')
+    );
+}
+
+// Add the images these (imported) cards point at to the store
+function importPlanImages(plan, cards) {
+    cards.forEach(card => {
+        if (!card) return;
+        getCardImageIds(card).forEach(hash => {
+            if (plan.images[hash]) dataStore.addImage(plan.images[hash]);
+        });
+    });
+}
+
+// Copy of an imported card with its ID, connections and inline links
+// pointed at the IDs assigned on import
+function remapImportedCard(card, idMapping) {
+    const newCard = { ...card };
+    newCard.id = idMapping[card.id];
+    
+    // Update connection references (files from before the relation store)
+    legacyRelationFields.forEach(field => {
+        if (newCard[field]) {
+            newCard[field] = newCard[field]
+                .map(id => idMapping[id] || id)
+                .filter(id => id);
+        }
+    });
+    
+    // Update card IDs in rich text content
+    getCardFields(card.type).filter(field => field.kind === 'rich').forEach(({ key }) => {
+        if (newCard[key]) {
+            newCard[key] = updateCardIdsInContent(newCard[key], idMapping);
+        }
+    });
+    
+    // Mind map nodes that open another card
+    if (newCard.mindMap && Array.isArray(newCard.mindMap.nodes)) {
+        newCard.mindMap = {
+            ...newCard.mindMap,
+            nodes: newCard.mindMap.nodes.map(node =>
+                node.linkTo && idMapping[node.linkTo] ? { ...node, linkTo: idMapping[node.linkTo] } : node)
+        };
+    }
+    
+    // Map pins that open another card
+    if (newCard.map && Array.isArray(newCard.map.pins)) {
+        newCard.map = {
+            ...newCard.map,
+            pins: newCard.map.pins.map(pin =>
+                idMapping[pin.cardId] ? { ...pin, cardId: idMapping[pin.cardId] } : pin)
+        };
+    }
+    
+    return newCard;
+}
+
+function remapImportedRevisions(revisions, idMapping) {
+    return revisions
+        .filter(revision => revision && revision.card)
+        .map(revision => ({
+            ...revision,
+            card: remapImportedCard(revision.card, idMapping),
+            relations: revision.relations
+                ? revision.relations.map(relation => remapImportedRelation(relation, idMapping)).filter(Boolean)
+                : undefined
+        }));
+}
+
+// Only the known fields of a relation are kept; one of an unknown type is null
+function remapImportedRelation(relation, idMapping) {
+    if (!relation || !relationTypes[relation.type]) return null;
+    
+    const remapped = {
+        source: idMapping[relation.source] || relation.source,
+        target: idMapping[relation.target] || relation.target,
+        type: relation.type
+    };
+    if (typeof relation.id === 'string' && /^rel_\d+_[a-z0-9]+$/.test(relation.id)) remapped.id = relation.id;
+    if (typeof relation.label === 'string' && relation.label) remapped.label = relation.label;
+    if (typeof relation.inverseLabel === 'string' && relation.inverseLabel) remapped.inverseLabel = relation.inverseLabel;
+    return remapped;
+}
+
+// Helper function to update card IDs in rich text content
+function updateCardIdsInContent(content, idMapping) {
+    if (!content) return content;
+    
+    // Update data-card-id attributes
+    return content.replace(/data-card-id="([^"]+)"/g, (match, oldId) => {
+        const newId = idMapping[oldId];
+        return newId ? `data-card-id="${newId}"` : match;
+    });
+}
+
+// =====================================================
+// WORKSPACES - separate worlds and moving cards between them
+// =====================================================
+
+let workspaceRegistry = null;
+let workspaces = [];            // [{ id, name, dbName, createdAt }]
+let activeWorkspaceId = null;
+let workspaceEditingId = null;  // row being renamed in the manager
+
+// The first workspace uses the original database, so worlds saved before
+// workspaces existed open as "Mundo principal"
+async function loadWorkspaces() {
+    workspaceRegistry = new WorkspaceRegistry();
+    await workspaceRegistry.open();
+    const saved = await workspaceRegistry.load();
+    
+    workspaces = saved.workspaces;
+    if (workspaces.length === 0) {
+        workspaces = [{ id: 'default', name: 'Mundo principal', dbName: 'narrative-cards', createdAt: new Date().toISOString() }];
+    }
+    activeWorkspaceId = workspaces.some(w => w.id === saved.activeId) ? saved.activeId : workspaces[0].id;
+    await workspaceRegistry.save(workspaces, activeWorkspaceId);
+}
+
+function getActiveWorkspace() {
+    return workspaces.find(w => w.id === activeWorkspaceId);
+}
+
+function createWorkspaceEntry(name) {
+    const id = 'ws_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 5);
+    return { id, name, dbName: `narrative-cards-${id}`, createdAt: new Date().toISOString() };
+}
+
+function cleanWorkspaceName(value) {
+    return String(value || '').replace(/[<>]/g, '').trim().slice(0, 40);
+}
+
+function renderWorkspaceSwitcher() {
+    const select = document.getElementById('workspace-select');
+    if (!select) return;
+    
+    select.innerHTML = workspaces.map(workspace => `
+        <option value="${workspace.id}">${ui.escapeHtml(workspace.name)}</option>
+    `).join('');
+    select.value = activeWorkspaceId;
+}
+
+// Save the open world, then load another one in its place
+async function switchWorkspace(id) {
+    const workspace = workspaces.find(w => w.id === id);
+    if (!workspace || id === activeWorkspaceId) {
+        renderWorkspaceSwitcher();
+        return false;
+    }
+    
+    await dataStore.flush();
+    if (dataStore.hasPendingChanges()) {
+        ui.showToast('Não foi possível salvar o mundo atual', 'error');
+        renderWorkspaceSwitcher();
+        return false;
+    }
+    
+    const store = new DataStore();
+    store.onSaveStatusChange = (status, error) => ui.updateSaveStatus(status, error);
+    const storage = new WorldStorage(workspace.dbName);
+    try {
+        await storage.open();
+        await store.loadFromStorage(storage);
+    } catch (error) {
+        console.error('Storage error:', error);
+        storage.close();
+        ui.showToast(error instanceof SchemaVersionError ? error.message : `Não foi possível abrir "${workspace.name}"`, 'error');
+        renderWorkspaceSwitcher();
+        return false;
+    }
+    
+    if (dataStore.storage) dataStore.storage.close();
+    dataStore.revokeImageUrls();
+    dataStore = store;
+    ui.dataStore = store;
+    activeWorkspaceId = id;
+    await workspaceRegistry.save(workspaces, activeWorkspaceId);
+    
+    // Nothing on screen may point at the previous world
+    pendingImport = null;
+    worldGraphPositions = {};
+    worldGraphLayoutKey = null;
+    timelineView = null;
+    lineageRootId = null;
+    lineageHouse = '';
+    lineageCollapsed = new Set();
+    cardMapView = null;
+    cardMapPlacing = null;
+    setReadOnly(null);
+    ui.resetWorldState();
+    renderWorkspaceSwitcher();
+    ui.renderAll();
+    ui.updateSaveStatus(dataStore.saveStatus);
+    ui.showToast(`Mundo "${workspace.name}" aberto`, 'success');
+    return true;
+}
+
+function openWorkspaceManager() {
+    workspaceEditingId = null;
+    renderWorkspaceManager();
+    document.getElementById('modal-overlay').classList.add('active');
+}
+
+function renderWorkspaceManager() {
+    document.getElementById('modal-content').innerHTML = `
+        <div class="workspace-manager">
+            <div class="link-modal-header">
+                <h3>🌍 Mundos</h3>
+                <button type="button" class="link-modal-close" onclick="ui.closeModal()">×</button>
+            </div>
+            <div class="workspace-manager-body">
+                ${workspaces.map(workspace => workspace.id === workspaceEditingId ? `
+                    <form class="workspace-row editing" onsubmit="event.preventDefault(); renameWorkspace('${workspace.id}', this.elements.name.value)">
+                        <input type="text" name="name" maxlength="40" value="${escapeAttr(workspace.name)}" required>
+                        <button type="submit" class="workspace-btn" title="Salvar">✓</button>
+                        <button type="button" class="workspace-btn" onclick="startRenameWorkspace(null)" title="Cancelar">×</button>
+                    </form>
+                ` : `
+                    <div class="workspace-row${workspace.id === activeWorkspaceId ? ' active' : ''}">
+                        <div class="workspace-row-text">
+                            <strong>${ui.escapeHtml(workspace.name)}</strong>
+                            <small>${workspace.id === activeWorkspaceId ? `Aberto · ${dataStore.getAllCards().length} cards` : `Criado em ${new Date(workspace.createdAt).toLocaleDateString('pt-BR')}`}</small>
+                        </div>
+                        ${workspace.id === activeWorkspaceId ? '' : `<button type="button" class="workspace-btn" onclick="switchWorkspace('${workspace.id}')" title="Abrir">↪</button>`}
+                        <button type="button" class="workspace-btn" onclick="startRenameWorkspace('${workspace.id}')" title="Renomear">✎</button>
+                        <button type="button" class="workspace-btn" onclick="duplicateWorkspace('${workspace.id}')" title="Duplicar">⧉</button>
+                        <button type="button" class="workspace-btn" onclick="deleteWorkspace('${workspace.id}')" title="Excluir"${workspaces.length === 1 ? ' disabled' : ''}>🗑</button>
+                    </div>
+                `).join('')}
+                <form class="workspace-row new" onsubmit="event.preventDefault(); createWorkspace(this.elements.name.value)">
+                    <input type="text" name="name" maxlength="40" placeholder="Nome do novo mundo" required>
+                    <button type="submit" class="btn-primary">Criar</button>
+                </form>
+            </div>
+        </div>
+    `;
+}
+
+async function createWorkspace(name) {
+    const cleanName = cleanWorkspaceName(name);
+    if (!cleanName) {
+        ui.showToast('Digite um nome para o mundo', 'error');
+        return;
+    }
+    
+    const workspace = createWorkspaceEntry(cleanName);
+    workspaces.push(workspace);
+    await workspaceRegistry.save(workspaces, activeWorkspaceId);
+    // A world that never opened is not kept
+    if (!(await switchWorkspace(workspace.id))) {
+        workspaces = workspaces.filter(w => w.id !== workspace.id);
+        await workspaceRegistry.save(workspaces, activeWorkspaceId);
+        try {
+            await new WorldStorage(workspace.dbName).destroy();
+        } catch (error) {
+            console.error('Delete error:', error);
+        }
+        renderWorkspaceSwitcher();
+    }
+    renderWorkspaceManager();
+}
+
+function startRenameWorkspace(id) {
+    workspaceEditingId = id;
+    renderWorkspaceManager();
+}
+
+async function renameWorkspace(id, name) {
+    const workspace = workspaces.find(w => w.id === id);
+    const cleanName = cleanWorkspaceName(name);
+    if (!workspace || !cleanName) return;
+    
+    workspace.name = cleanName;
+    workspaceEditingId = null;
+    await workspaceRegistry.save(workspaces, activeWorkspaceId);
+    renderWorkspaceSwitcher();
+    renderWorkspaceManager();
+}
+
+// Copy every stored record into a new database; the copy keeps the card IDs
+async function duplicateWorkspace(id) {
+    const source = workspaces.find(w => w.id === id);
+    if (!source) return;
+    if (id === activeWorkspaceId) await dataStore.flush();
+    
+    const copy = createWorkspaceEntry(cleanWorkspaceName(`${source.name} (cópia)`));
+    const from = new WorldStorage(source.dbName);
+    const to = new WorldStorage(copy.dbName);
+    try {
+        await from.open();
+        await to.open();
+        const [cards, revisions, images, relations, settings, schemaVersion] = await Promise.all([
+            from.loadCards(), from.loadRevisions(), from.loadImages(), from.loadRelations(), from.loadSettings(), from.loadSchemaVersion()
+        ]);
+        await to.saveChanges({ cards, revisions, images, relations, settings, schemaVersion });
+    } catch (error) {
+        console.error('Duplicate error:', error);
+        ui.showToast('Erro ao duplicar o mundo', 'error');
+        await to.destroy().catch(() => {});
+        return;
+    } finally {
+        from.close();
+        to.close();
+    }
+    
+    workspaces.push(copy);
+    await workspaceRegistry.save(workspaces, activeWorkspaceId);
+    renderWorkspaceSwitcher();
+    renderWorkspaceManager();
+    ui.showToast(`"${copy.name}" criado`, 'success');
+}
+
+// The open world is closed first (switching to another), then its database goes
+async function deleteWorkspace(id) {
+    const workspace = workspaces.find(w => w.id === id);
+    if (!workspace || workspaces.length === 1) return;
+    if (!confirm(`Excluir o mundo "${workspace.name}" e todos os seus cards? Isso não pode ser desfeito.`)) return;
+    
+    if (id === activeWorkspaceId) {
+        const other = workspaces.find(w => w.id !== id);
+        if (!(await switchWorkspace(other.id))) return;
+    }
+    
+    workspaces = workspaces.filter(w => w.id !== id);
+    await workspaceRegistry.save(workspaces, activeWorkspaceId);
+    try {
+        await new WorldStorage(workspace.dbName).destroy();
+    } catch (error) {
+        console.error('Delete error:', error);
+    }
+    
+    renderWorkspaceSwitcher();
+    renderWorkspaceManager();
+    ui.showToast(`Mundo "${workspace.name}" excluído`, 'info');
+}
+
+function openCardTransfer(cardId) {
+    const card = dataStore.getCard(cardId);
+    if (!card) return;
+    
+    const targets = workspaces.filter(w => w.id !== activeWorkspaceId);
+    const connected = dataStore.getRelationsFor(cardId).length;
+    
+    document.getElementById('modal-content').innerHTML = `
+        <div class="workspace-manager">
+            <div class="link-modal-header">
+                <h3>⇄ Mover ou copiar "${ui.escapeHtml(card.name)}"</h3>
+                <button type="button" class="link-modal-close" onclick="ui.closeModal()">×</button>
+            </div>
+            ${targets.length === 0 ? `
+                <div class="workspace-manager-body">
+                    <p class="workspace-hint">Crie outro mundo para poder mover ou copiar cards.</p>
+                    <button type="button" class="btn-primary" onclick="openWorkspaceManager()">Gerenciar mundos</button>
+                </div>
+            ` : `
+                <form class="workspace-manager-body" onsubmit="event.preventDefault(); confirmCardTransfer('${cardId}', this)">
+                    <label class="workspace-field">Para o mundo
+                        <select name="target">
+                            ${targets.map(w => `<option value="${w.id}">${ui.escapeHtml(w.name)}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="workspace-check"><input type="radio" name="mode" value="copy" checked> Copiar (o card continua aqui)</label>
+                    <label class="workspace-check"><input type="radio" name="mode" value="move"> Mover (o card sai deste mundo; não dá para desfazer)</label>
+                    <label class="workspace-check">
+                        <input type="checkbox" name="connected"${connected === 0 ? ' disabled' : ''}>
+                        Levar também os cards conectados (${connected} ${connected === 1 ? 'conexão' : 'conexões'})
+                    </label>
+                    <p class="workspace-hint">Conexões entre os cards levados são mantidas, assim como as conexões com cards que já existem no outro mundo. Ao mover, as demais conexões se perdem.</p>
+                    <div class="import-footer">
+                        <button type="button" class="btn-secondary" onclick="ui.closeModal()">Cancelar</button>
+                        <button type="submit" class="btn-primary">Confirmar</button>
+                    </div>
+                </form>
+            `}
+        </div>
+    `;
+    document.getElementById('modal-overlay').classList.add('active');
+}
+
+async function confirmCardTransfer(cardId, form) {
+    const target = workspaces.find(w => w.id === form.elements.target.value);
+    const move = form.elements.mode.value === 'move';
+    const cardIds = new Set([cardId]);
+    if (form.elements.connected.checked) {
+        dataStore.getRelationsFor(cardId).forEach(relation => {
+            cardIds.add(relation.source);
+            cardIds.add(relation.target);
+        });
+    }
+    ui.closeModal();
+    
+    let result;
+    try {
+        result = await transferCards([...cardIds], target, move);
+    } catch (error) {
+        console.error('Transfer error:', error);
+        ui.showToast(`Erro ao enviar para "${target.name}": nada foi alterado`, 'error');
+        return;
+    }
+    
+    const { count, dropped } = result;
+    let message = `${count} ${count === 1 ? 'card' : 'cards'} ${move ? 'movidos' : 'copiados'} para "${target.name}"`;
+    if (move && dropped > 0) message += `; ${dropped} ${dropped === 1 ? 'conexão descartada' : 'conexões descartadas'}`;
+    ui.showToast(message, 'success');
+}
+
+// Write cards (with their revisions and connections) into another
+// workspace. IDs are kept unless the target already uses them; a move then
+// deletes the cards here for good (undo can't reach the other world).
+// Resolves to { count, dropped }: `dropped` links of the cards didn't make it
+// across, since their other end isn't there or they would break its trees.
+async function transferCards(cardIds, workspace, move) {
+    const storage = new WorldStorage(workspace.dbName);
+    const target = new DataStore();
+    let dropped = 0;
+    try {
+        await storage.open();
+        await target.loadFromStorage(storage);
+        
+        const idMapping = {};
+        cardIds.forEach(id => {
+            idMapping[id] = target.getCard(id) ? target.generateId() : id;
+        });
+        const cards = cardIds.map(id => dataStore.getCard(id)).filter(Boolean);
+        
+        // User types and fields the cards rely on travel with them
+        const types = new Set(cards.map(card => card.type));
+        const targetTypes = target.getSetting('cardTypes', []);
+        const missingTypes = getUserCardTypes().filter(type => types.has(type.key) && !targetTypes.some(t => t.key === type.key));
+        if (missingTypes.length > 0) target.setSetting('cardTypes', [...targetTypes, ...missingTypes]);
+        
+        const targetFields = { ...target.getSetting('cardFields', {}) };
+        types.forEach(type => {
+            const known = targetFields[type] || [];
+            const missing = getCustomFieldDefinitions(type).filter(def => !known.some(k => k.key === def.key));
+            if (missing.length > 0) targetFields[type] = [...known, ...missing];
+        });
+        target.setSetting('cardFields', targetFields);
+        
+        // So are the sheet templates of their stat blocks
+        const templateKeys = new Set(cards.filter(card => card.statBlock).map(card => card.statBlock.template));
+        const targetTemplates = target.getSetting('statTemplates', []);
+        const missingTemplates = getUserStatTemplates().filter(template =>
+            templateKeys.has(template.key) && !targetTemplates.some(t => t.key === template.key));
+        if (missingTemplates.length > 0) target.setSetting('statTemplates', [...targetTemplates, ...missingTemplates]);
+        
+        // So are the calendar their dates are written in, if the other world has none
+        if (dataStore.getSetting('calendar', null) && !target.getSetting('calendar', null)) {
+            target.setSetting('calendar', dataStore.getSetting('calendar', null));
+        }
+        
+        cards.forEach(card => {
+            const newCard = remapImportedCard(card, idMapping);
+            if (!newCard.number || target.cards.some(c => c.type === newCard.type && c.number === newCard.number)) {
+                newCard.number = target.getNextNumber(newCard.type);
+            }
+            target.insertCard(newCard);
+            const revisions = dataStore.getRevisions(card.id);
+            if (revisions.length > 0) target.setRevisions(newCard.id, remapImportedRevisions(revisions, idMapping));
+            
+            [card, ...revisions.map(revision => revision.card)].forEach(version => {
+                if (!version) return;
+                getCardImageIds(version).forEach(hash => {
+                    const image = dataStore.getImage(hash);
+                    if (image) target.addImage(image);
+                });
+            });
+        });
+        
+        dataStore.relations.forEach(relation => {
+            if (!(relation.source in idMapping) && !(relation.target in idMapping)) return;
+            const remapped = remapImportedRelation(relation, idMapping);
+            const kept = remapped && target.getCard(remapped.source) && target.getCard(remapped.target) && target.addRelation(remapped);
+            if (!kept) dropped++;
+        });
+        
+        await target.flush();
+        if (target.hasPendingChanges()) throw new Error('Gravação no outro mundo falhou');
+    } finally {
+        clearTimeout(target.saveTimer);
+        storage.close();
+    }
+    
+    if (move) {
+        // Outside any command: the cards now live in the other world
+        cardIds.forEach(id => dataStore.deleteCard(id));
+        dataStore.forgetCards(cardIds);
+        closeCardDetail();
+        ui.renderAll();
+    }
+    return { count: cardIds.length, dropped };
+}
+
+// =====================================================
+// IMAGE STORE - content-addressed, re-encoded images
+// =====================================================
+
+const IMAGE_MAX_DIMENSION = 1600;
+const IMAGE_QUALITY = 0.85;
+
+// SHA-256 of a byte array as hex, the key of an image in the store
+async function sha256Hex(bytes) {
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+async function createImageRecord(bytes, type, width = null, height = null) {
+    return { hash: await sha256Hex(bytes), type, width, height, bytes: bytes.slice().buffer };
+}
+
+// Record for an image kept inline as a data URL; null if it isn't one
+async function imageRecordFromDataUrl(dataUrl) {
+    const match = /^data:(image\/[\w.+-]+)?(;base64)?,(.*)$/s.exec(dataUrl);
+    if (!match) return null;
+    let bytes;
+    try {
+        bytes = match[2] ? base64ToBytes(match[3]) : new TextEncoder().encode(decodeURIComponent(match[3]));
+    } catch (error) {
+        return null;
+    }
+    return bytes.length > 0 ? createImageRecord(bytes, match[1] || 'image/png') : null;
+}
+
+function canvasToBlob(canvas, type, quality) {
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+}
+
+// Downscale to `maxDimension` and re-encode as WebP (JPEG where the
+// browser can't write WebP). A small original that is already smaller than
+// the re-encoded version is kept as it is, which also keeps GIF animation.
+async function processImageFile(file, maxDimension = IMAGE_MAX_DIMENSION) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    if (bitmap.close) bitmap.close();
+    
+    let blob = await canvasToBlob(canvas, 'image/webp', IMAGE_QUALITY);
+    if (!blob || blob.type !== 'image/webp') {
+        blob = await canvasToBlob(canvas, 'image/jpeg', IMAGE_QUALITY);
+    }
+    if (!blob) throw new Error('Não foi possível converter a imagem');
+    
+    const source = scale === 1 && file.size <= blob.size ? file : blob;
+    const bytes = new Uint8Array(await source.arrayBuffer());
+    return createImageRecord(bytes, source.type, width, height);
+}
+
+// =====================================================
+// CARD GALLERY
+// =====================================================
+
+const IMAGE_MAX_ZOOM = 3;
+
+// A card's gallery entry: which stored image, how it is framed
+// (focus point in percent and zoom) and an optional caption
+function createGalleryImage(imageId, { caption = '', positionX = 50, positionY = 50, zoom = 1 } = {}) {
+    const percent = (value) => Number.isFinite(value) ? Math.max(0, Math.min(100, value)) : 50;
+    return {
+        imageId,
+        caption: typeof caption === 'string' ? caption : '',
+        positionX: percent(positionX),
+        positionY: percent(positionY),
+        zoom: Number.isFinite(zoom) ? Math.max(1, Math.min(IMAGE_MAX_ZOOM, zoom)) : 1
+    };
+}
+
+function getGalleryImageIds(card) {
+    return (card.images || []).map(image => image.imageId);
+}
+
+// Every stored image a card points at: its gallery and its map
+function getCardImageIds(card) {
+    const ids = getGalleryImageIds(card);
+    if (card.map && card.map.imageId) ids.push(card.map.imageId);
+    return ids;
+}
+
+// The entry shown on the flip card and detail header: the chosen cover,
+// or the first image still in the store
+function getCardCover(card) {
+    const images = (card.images || []).filter(image => dataStore.getImage(image.imageId));
+    return images.find(image => image.imageId === card.coverImageId) || images[0] || null;
+}
+
+// Inline style framing an object-fit: cover <img>; the zoom scales around the focus point
+function imageCropStyle(image) {
+    const position = `${image.positionX}% ${image.positionY}%`;
+    return `object-position: ${position}; transform-origin: ${position}; --image-zoom: ${image.zoom};`;
+}
+
+// =====================================================
+// IMAGE UPLOAD FUNCTIONS
+// =====================================================
+
+let currentCardImages = [];       // gallery entries of the card in the form
+let currentCoverImageId = null;   // hash of the entry used as cover
+let selectedImageIndex = -1;      // entry shown in the preview and edited by the controls
+
+// Drag state for image positioning
+let imageDragState = {
+    isDragging: false,
+    startX: 0,
+    startY: 0,
+    startPositionX: 50,
+    startPositionY: 50
+};
+
+function handleImageUpload(event) {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (files.length === 0) return Promise.resolve();
+    
+    // Validate file type
+    const images = files.filter(file => file.type.startsWith('image/'));
+    if (images.length < files.length) {
+        ui.showToast('Por favor, selecione apenas arquivos de imagem', 'error');
+    }
+    
+    // Large files are fine since they are downscaled, but not unbounded
+    const accepted = images.filter(file => file.size <= 25 * 1024 * 1024);
+    if (accepted.length < images.length) {
+        ui.showToast('Cada imagem deve ter no máximo 25MB', 'error');
+    }
+    
+    // One file at a time, so only one decoded bitmap is held in memory
+    return accepted.reduce((previous, file) => previous.then(() => processImageFile(file).then(record => {
+        addGalleryImage(dataStore.addImage(record));
+    }).catch(error => {
+        console.error('Image error:', error);
+        ui.showToast(`Não foi possível ler "${file.name}"`, 'error');
+    })), Promise.resolve());
+}
+
+// Add a stored image to the form's gallery (selecting it if it is already there)
+function addGalleryImage(imageId) {
+    let index = currentCardImages.findIndex(image => image.imageId === imageId);
+    if (index === -1) {
+        currentCardImages.push(createGalleryImage(imageId));
+        index = currentCardImages.length - 1;
+    }
+    if (!currentCoverImageId) currentCoverImageId = imageId;
+    selectGalleryImage(index);
+}
+
+function getSelectedImage() {
+    return currentCardImages[selectedImageIndex] || null;
+}
+
+function selectGalleryImage(index) {
+    selectedImageIndex = currentCardImages.length > 0
+        ? Math.max(0, Math.min(currentCardImages.length - 1, index))
+        : -1;
+    
+    const image = getSelectedImage();
+    if (image) {
+        showImagePreview(dataStore.getImageUrl(image.imageId));
+    } else {
+        hideImagePreview();
+    }
+    renderImageGalleryEditor();
+}
+
+// Zoom slider, caption, cover button and thumbnails under the preview
+function renderImageGalleryEditor() {
+    const controls = document.getElementById('image-crop-controls');
+    const strip = document.getElementById('image-gallery-strip');
+    const image = getSelectedImage();
+    
+    controls.hidden = !image;
+    if (image) {
+        const isCover = image.imageId === currentCoverImageId;
+        const coverBtn = document.getElementById('image-cover-btn');
+        document.getElementById('image-zoom').value = image.zoom;
+        document.getElementById('image-caption').value = image.caption;
+        coverBtn.disabled = isCover;
+        coverBtn.textContent = isCover ? '★ Capa do card' : '☆ Usar como capa';
+    }
+    
+    strip.hidden = currentCardImages.length === 0;
+    strip.innerHTML = currentCardImages.map((entry, index) => `
+        <button type="button" class="gallery-thumb${index === selectedImageIndex ? ' selected' : ''}" onclick="selectGalleryImage(${index})" title="${escapeAttr(entry.caption || `Imagem ${index + 1}`)}">
+            <img src="${dataStore.getImageUrl(entry.imageId)}" alt="" style="${imageCropStyle(entry)}">
+            ${entry.imageId === currentCoverImageId ? '<span class="gallery-thumb-cover">★</span>' : ''}
+        </button>
+    `).join('') + `
+        <button type="button" class="gallery-thumb gallery-thumb-add" onclick="document.getElementById('card-image').click()" title="Adicionar imagens">+</button>
+    `;
+}
+
+// Reapply the selected entry's framing to the preview and its thumbnail
+function refreshSelectedImageCrop() {
+    const image = getSelectedImage();
+    if (!image) return;
+    const style = imageCropStyle(image);
+    document.getElementById('preview-img').style.cssText = `display: block; ${style}`;
+    const thumb = document.querySelector('#image-gallery-strip .gallery-thumb.selected img');
+    if (thumb) thumb.style.cssText = style;
+}
+
+function setSelectedImageZoom(value) {
+    const image = getSelectedImage();
+    if (!image) return;
+    image.zoom = Math.max(1, Math.min(IMAGE_MAX_ZOOM, parseFloat(value) || 1));
+    document.getElementById('image-zoom').value = image.zoom;
+    refreshSelectedImageCrop();
+}
+
+function setSelectedImageCaption(value) {
+    const image = getSelectedImage();
+    if (image) image.caption = value;
+}
+
+function setSelectedImageAsCover() {
+    const image = getSelectedImage();
+    if (!image) return;
+    currentCoverImageId = image.imageId;
+    renderImageGalleryEditor();
+}
+
+function showImagePreview(imageSrc) {
+    const preview = document.getElementById('image-preview');
+    const previewImg = document.getElementById('preview-img');
+    const placeholder = document.getElementById('image-placeholder');
+    const removeBtn = document.getElementById('remove-image-btn');
+    const positionControls = document.getElementById('image-position-controls');
+    const nameBar = document.getElementById('preview-name-bar');
+    
+    previewImg.src = imageSrc;
+    refreshSelectedImageCrop();
+    placeholder.style.display = 'none';
+    removeBtn.style.display = 'flex';
+    if (positionControls) positionControls.style.display = 'block';
+    if (nameBar) nameBar.style.display = 'flex';
+    preview.classList.add('has-image');
+    
+    // Update name in preview
+    updatePreviewName();
+}
+
+function hideImagePreview() {
+    const preview = document.getElementById('image-preview');
+    const previewImg = document.getElementById('preview-img');
+    const placeholder = document.getElementById('image-placeholder');
+    const removeBtn = document.getElementById('remove-image-btn');
+    const positionControls = document.getElementById('image-position-controls');
+    const nameBar = document.getElementById('preview-name-bar');
+    
+    previewImg.src = '';
+    previewImg.style.cssText = 'display: none;';
+    placeholder.style.display = 'flex';
+    removeBtn.style.display = 'none';
+    if (positionControls) positionControls.style.display = 'none';
+    if (nameBar) nameBar.style.display = 'none';
+    preview.classList.remove('has-image');
+}
+
+// Take the selected image out of the gallery; the next one becomes cover if needed
+function removeCardImage() {
+    const image = getSelectedImage();
+    if (!image) return;
+    
+    currentCardImages.splice(selectedImageIndex, 1);
+    if (currentCoverImageId === image.imageId) {
+        currentCoverImageId = currentCardImages.length > 0 ? currentCardImages[0].imageId : null;
+    }
+    selectGalleryImage(selectedImageIndex);
+}
+
+function initImageUpload() {
+    const preview = document.getElementById('image-preview');
+    const fileInput = document.getElementById('card-image');
+    const previewImg = document.getElementById('preview-img');
+    const nameInput = document.getElementById('card-name');
+    
+    // Click on preview to trigger file upload (only when no image)
+    preview.addEventListener('click', (e) => {
+        // Don't trigger if clicking on remove button or if dragging
+        if (e.target.id === 'remove-image-btn' || e.target.closest('#remove-image-btn')) {
+            return;
+        }
+        // Only open file picker if no image yet
+        if (!preview.classList.contains('has-image')) {
+            fileInput.click();
+        }
+    });
+    
+    // Double click to add more images
+    preview.addEventListener('dblclick', (e) => {
+        if (e.target.id === 'remove-image-btn' || e.target.closest('#remove-image-btn')) {
+            return;
+        }
+        fileInput.click();
+    });
+    
+    // Mouse drag for positioning
+    preview.addEventListener('mousedown', (e) => startImageDrag(e, preview));
+    document.addEventListener('mousemove', (e) => onImageDrag(e));
+    document.addEventListener('mouseup', () => endImageDrag());
+    
+    // Touch drag for positioning
+    preview.addEventListener('touchstart', (e) => startImageDrag(e, preview), { passive: false });
+    document.addEventListener('touchmove', (e) => onImageDrag(e), { passive: false });
+    document.addEventListener('touchend', () => endImageDrag());
+    
+    // Wheel to zoom
+    preview.addEventListener('wheel', (e) => {
+        const image = getSelectedImage();
+        if (!image) return;
+        e.preventDefault();
+        setSelectedImageZoom(image.zoom - Math.sign(e.deltaY) * 0.1);
+    }, { passive: false });
+    
+    // Update preview name when typing
+    nameInput.addEventListener('input', updatePreviewName);
+}
+
+function updatePreviewName() {
+    const nameInput = document.getElementById('card-name');
+    const previewName = document.getElementById('preview-card-name');
+    if (!previewName) return;
+    const name = nameInput.value.trim();
+    previewName.textContent = name || 'Nome do Card';
+}
+
+function startImageDrag(e, preview) {
+    // Only start drag if there's an image
+    const image = getSelectedImage();
+    if (!image || !preview.classList.contains('has-image')) return;
+    
+    // Don't start drag on remove button
+    if (e.target.id === 'remove-image-btn' || e.target.closest('#remove-image-btn')) {
+        return;
+    }
+    
+    e.preventDefault();
+    
+    imageDragState.isDragging = true;
+    imageDragState.startX = e.type.includes('touch') ? e.touches[0].clientX : e.clientX;
+    imageDragState.startY = e.type.includes('touch') ? e.touches[0].clientY : e.clientY;
+    imageDragState.startPositionX = image.positionX;
+    imageDragState.startPositionY = image.positionY;
+    
+    preview.classList.add('dragging');
+}
+
+function onImageDrag(e) {
+    if (!imageDragState.isDragging) return;
+    const image = getSelectedImage();
+    if (!image) return;
+    
+    e.preventDefault();
+    
+    const currentX = e.type.includes('touch') ? e.touches[0].clientX : e.clientX;
+    const currentY = e.type.includes('touch') ? e.touches[0].clientY : e.clientY;
+    
+    const diffX = imageDragState.startX - currentX; // Inverted: drag left = show right part
+    const diffY = imageDragState.startY - currentY; // Inverted: drag up = show lower part
+    
+    // Calculate new position (sensitivity based on preview size, finer when zoomed in)
+    const preview = document.getElementById('image-preview');
+    const sensitivityX = 150 / preview.offsetWidth / image.zoom;
+    const sensitivityY = 150 / preview.offsetHeight / image.zoom;
+    
+    let newPositionX = imageDragState.startPositionX + (diffX * sensitivityX);
+    let newPositionY = imageDragState.startPositionY + (diffY * sensitivityY);
+    
+    // Clamp between 0 and 100
+    image.positionX = Math.max(0, Math.min(100, newPositionX));
+    image.positionY = Math.max(0, Math.min(100, newPositionY));
+    
+    // Update preview
+    refreshSelectedImageCrop();
+}
+
+function endImageDrag() {
+    if (!imageDragState.isDragging) return;
+    
+    imageDragState.isDragging = false;
+    
+    const preview = document.getElementById('image-preview');
+    preview.classList.remove('dragging');
+}
+
+function getCardImageData() {
+    return {
+        images: currentCardImages.map(image => ({ ...image })),
+        coverImageId: currentCardImages.length > 0 ? currentCoverImageId : null
+    };
+}
+
+function setCardImageData(images, coverImageId) {
+    currentCardImages = (images || [])
+        .filter(image => dataStore.getImage(image.imageId))
+        .map(image => ({ ...image }));
+    const coverIndex = currentCardImages.findIndex(image => image.imageId === coverImageId);
+    currentCoverImageId = currentCardImages.length > 0 ? currentCardImages[Math.max(0, coverIndex)].imageId : null;
+    selectGalleryImage(Math.max(0, coverIndex));
+}
+
+function clearCardImageData() {
+    currentCardImages = [];
+    currentCoverImageId = null;
+    selectGalleryImage(-1);
+    document.getElementById('card-image').value = '';
+}
+
+// =====================================================
+// IMAGE LIGHTBOX
+// =====================================================
+
+let lightboxState = null; // { cardId, index } while open
+
+function openImageLightbox(cardId, index = 0) {
+    if (!dataStore.getCard(cardId)) return;
+    lightboxState = { cardId, index };
+    renderImageLightbox();
+}
+
+function isImageLightboxOpen() {
+    return lightboxState !== null;
+}
+
+// Whole images (uncropped) with caption, arrows and thumbnails
+function renderImageLightbox() {
+    const card = dataStore.getCard(lightboxState.cardId);
+    const images = card ? (card.images || []).filter(image => dataStore.getImage(image.imageId)) : [];
+    if (images.length === 0) {
+        closeImageLightbox();
+        return;
+    }
+    
+    const index = ((lightboxState.index % images.length) + images.length) % images.length;
+    lightboxState.index = index;
+    const image = images[index];
+    const several = images.length > 1;
+    
+    const lightbox = document.getElementById('image-lightbox');
+    lightbox.innerHTML = `
+        <div class="lightbox">
+            <div class="lightbox-header">
+                <span class="lightbox-title">${ui.escapeHtml(card.name)}</span>
+                <span class="lightbox-counter">${index + 1} / ${images.length}</span>
+                <button class="lightbox-close" onclick="closeImageLightbox()" title="Fechar">×</button>
+            </div>
+            <div class="lightbox-stage">
+                ${several ? '<button class="lightbox-nav prev" onclick="stepImageLightbox(-1)" title="Anterior">‹</button>' : ''}
+                <img src="${dataStore.getImageUrl(image.imageId)}" alt="${escapeAttr(image.caption || card.name)}">
+                ${several ? '<button class="lightbox-nav next" onclick="stepImageLightbox(1)" title="Próxima">›</button>' : ''}
+            </div>
+            ${image.caption ? `<p class="lightbox-caption">${ui.escapeHtml(image.caption)}</p>` : ''}
+            ${several ? `
+                <div class="lightbox-thumbs">
+                    ${images.map((entry, i) => `
+                        <button class="gallery-thumb${i === index ? ' selected' : ''}" onclick="showImageLightboxAt(${i})">
+                            <img src="${dataStore.getImageUrl(entry.imageId)}" alt="" style="${imageCropStyle(entry)}">
+                        </button>
+                    `).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+    lightbox.classList.add('active');
+}
+
+function stepImageLightbox(delta) {
+    if (!lightboxState) return;
+    lightboxState.index += delta;
+    renderImageLightbox();
+}
+
+function showImageLightboxAt(index) {
+    if (!lightboxState) return;
+    lightboxState.index = index;
+    renderImageLightbox();
+}
+
+function closeImageLightbox(event) {
+    if (event && event.target !== event.currentTarget) return;
+    
+    const lightbox = document.getElementById('image-lightbox');
+    lightbox.classList.remove('active');
+    lightbox.innerHTML = '';
+    lightboxState = null;
+}
+
+// =====================================================
+// RICH TEXT EDITOR FUNCTIONS
+// =====================================================
+
+let currentEditor = null;
+let selectedRange = null;
+let selectedTagColor = 'yellow';
+
+function initRichEditors() {
+    // Initialize all rich editors
+    document.querySelectorAll('.rich-editor').forEach(editor => initRichEditor(editor));
+    
+    // Initialize highlight picker
+    initHighlightPicker();
+    
+    // Close modals on escape
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeLinkModal();
+            closeTagModal();
+            closeHighlightPicker();
+            closeDiceModal();
+        }
+    });
+    
+    // Close highlight picker when clicking outside
+    document.addEventListener('click', (e) => {
+        const picker = document.getElementById('highlight-picker');
+        if (picker.classList.contains('active') && !e.target.closest('.highlight-picker') && !e.target.closest('[data-format="highlight"]')) {
+            closeHighlightPicker();
+        }
+    });
+}
+
+// Bind toolbar and keyboard behaviour to a single editor (also used for editors rendered later)
+function initRichEditor(editor) {
+    if (editor.dataset.richEditorReady) return;
+    editor.dataset.richEditorReady = 'true';
+    
+    // Handle toolbar buttons for this editor's container
+    const container = editor.closest('.rich-editor-container');
+    const toolbar = container.querySelector('.rich-editor-toolbar');
+    
+    if (toolbar) {
+        toolbar.querySelectorAll('.toolbar-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                currentEditor = editor;
+                const format = btn.dataset.format;
+                const tag = btn.dataset.tag;
+                
+                if (format) {
+                    handleFormatClick(format, btn);
+                } else if (tag) {
+                    applyPresetTag(tag);
+                }
+            });
+        });
+    }
+    
+    // Save selection when editor loses focus
+    editor.addEventListener('blur', () => {
+        saveSelection();
+    });
+    
+    // Set default paragraph separator to use <p> tags instead of <div>
+    document.execCommand('defaultParagraphSeparator', false, 'p');
+    
+    // Handle Enter key to create proper paragraphs
+    editor.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            
+            // Insert a paragraph break
+            const sel = window.getSelection();
+            if (sel.rangeCount > 0) {
+                const range = sel.getRangeAt(0);
+                range.deleteContents();
+                
+                // Create two <br> tags for visual paragraph spacing
+                const br1 = document.createElement('br');
+                const br2 = document.createElement('br');
+                
+                range.insertNode(br2);
+                range.insertNode(br1);
+                
+                // Move cursor after the breaks
+                range.setStartAfter(br2);
+                range.collapse(true);
+                sel.removeAllRanges();
+                sel.addRange(range);
+            }
+        } else if (e.key === 'Enter' && e.shiftKey) {
+            // Shift+Enter inserts a single line break
+            e.preventDefault();
+            document.execCommand('insertLineBreak');
+        }
+    });
+    
+    // Keyboard shortcuts (Ctrl+B, Ctrl+I)
+    editor.addEventListener('keydown', (e) => {
+        if (e.ctrlKey || e.metaKey) {
+            if (e.key === 'b') {
+                e.preventDefault();
+                currentEditor = editor;
+                document.execCommand('bold', false, null);
+            } else if (e.key === 'i') {
+                e.preventDefault();
+                currentEditor = editor;
+                document.execCommand('italic', false, null);
+            }
+        }
+    });
+    
+    // Handle paste - preserve line breaks
+    editor.addEventListener('paste', (e) => {
+        e.preventDefault();
+        const text = e.clipboardData.getData('text/plain');
+        
+        // Convert newlines to <br><br> for paragraph separation
+        const html = text
+            .split(/\n\n+/)  // Split by double newlines (paragraphs)
+            .map(para => para.replace(/\n/g, '<br>'))  // Single newlines become <br>
+            .join('<br><br>');  // Paragraphs separated by double <br>
+        
+        document.execCommand('insertHTML', false, html);
+    });
+    
+    // Prevent typing from inheriting highlight/tag formatting at the edge
+    editor.addEventListener('keydown', (e) => {
+        // Only for regular character keys (not modifiers, arrows, etc.)
+        if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            const sel = window.getSelection();
+            if (sel.rangeCount > 0 && sel.isCollapsed) {
+                const range = sel.getRangeAt(0);
+                const node = range.startContainer;
+                
+                // Check if we're at the end of a highlight or text-tag span
+                let formattedParent = null;
+                let checkNode = node;
+                
+                while (checkNode && checkNode !== editor) {
+                    if (checkNode.nodeType === Node.ELEMENT_NODE && 
+                        (checkNode.classList.contains('highlight') || checkNode.classList.contains('text-tag'))) {
+                        formattedParent = checkNode;
+                        break;
+                    }
+                    checkNode = checkNode.parentNode;
+                }
+                
+                if (formattedParent) {
+                    // Check if cursor is at the very end of the formatted span
+                    const isAtEnd = (node === formattedParent && range.startOffset === formattedParent.childNodes.length) ||
+                                    (node.nodeType === Node.TEXT_NODE && 
+                                     node.parentNode === formattedParent && 
+                                     range.startOffset === node.length &&
+                                     !node.nextSibling);
+                    
+                    if (isAtEnd) {
+                        e.preventDefault();
+                        
+                        // Insert the character outside the span
+                        const textNode = document.createTextNode(e.key);
+                        if (formattedParent.nextSibling) {
+                            formattedParent.parentNode.insertBefore(textNode, formattedParent.nextSibling);
+                        } else {
+                            formattedParent.parentNode.appendChild(textNode);
+                        }
+                        
+                        // Move cursor after the new character
+                        const newRange = document.createRange();
+                        newRange.setStart(textNode, 1);
+                        newRange.collapse(true);
+                        sel.removeAllRanges();
+                        sel.addRange(newRange);
+                    }
+                }
+            }
+        }
+    });
+}
+
+function saveSelection() {
+    const sel = window.getSelection();
+    if (sel.rangeCount > 0) {
+        selectedRange = sel.getRangeAt(0).cloneRange();
+    }
+}
+
+function restoreSelection() {
+    if (selectedRange) {
+        const sel = window.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(selectedRange);
+    }
+}
+
+function handleFormatClick(format, btn) {
+    switch (format) {
+        case 'bold':
+            document.execCommand('bold', false, null);
+            break;
+        case 'italic':
+            document.execCommand('italic', false, null);
+            break;
+        case 'highlight':
+            showHighlightPicker(btn);
+            break;
+        case 'tag':
+            openTagModal();
+            break;
+        case 'link-card':
+            openLinkModal();
+            break;
+        case 'dice-roll':
+            openDiceModal();
+            break;
+    }
+}
+
+// =====================================================
+// HIGHLIGHT FUNCTIONS
+// =====================================================
+
+function initHighlightPicker() {
+    const picker = document.getElementById('highlight-picker');
+    picker.querySelectorAll('.highlight-color').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const color = btn.dataset.color;
+            applyHighlight(color);
+            closeHighlightPicker();
+        });
+    });
+}
+
+function showHighlightPicker(btn) {
+    saveSelection();
+    
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0 || sel.isCollapsed) {
+        ui.showToast('Selecione um texto para destacar', 'info');
+        return;
+    }
+    
+    const picker = document.getElementById('highlight-picker');
+    const rect = btn.getBoundingClientRect();
+    picker.style.top = `${rect.bottom + 8}px`;
+    picker.style.left = `${rect.left}px`;
+    picker.classList.add('active');
+}
+
+function closeHighlightPicker() {
+    document.getElementById('highlight-picker').classList.remove('active');
+}
+
+function applyHighlight(color) {
+    restoreSelection();
+    
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0 || sel.isCollapsed) {
+        ui.showToast('Selecione um texto para destacar', 'info');
+        return;
+    }
+    
+    const range = sel.getRangeAt(0);
+    
+    // Check if selection is inside a highlight span
+    let highlightParent = null;
+    let node = range.commonAncestorContainer;
+    
+    // Walk up to find highlight parent
+    while (node && node !== document.body) {
+        if (node.nodeType === Node.ELEMENT_NODE && node.classList && node.classList.contains('highlight')) {
+            highlightParent = node;
+            break;
+        }
+        node = node.parentNode;
+    }
+    
+    // If inside highlight, remove it (toggle off)
+    if (highlightParent) {
+        const parent = highlightParent.parentNode;
+        while (highlightParent.firstChild) {
+            parent.insertBefore(highlightParent.firstChild, highlightParent);
+        }
+        parent.removeChild(highlightParent);
+        sel.removeAllRanges();
+        ui.showToast('Destaque removido', 'info');
+        return;
+    }
+    
+    // Apply new highlight
+    const span = document.createElement('span');
+    span.className = `highlight ${color === 'yellow' ? '' : color}`;
+    
+    try {
+        range.surroundContents(span);
+    } catch (e) {
+        // If selection spans multiple elements, extract and wrap
+        const fragment = range.extractContents();
+        span.appendChild(fragment);
+        range.insertNode(span);
+    }
+    
+    // Move cursor outside the span so new text won't be highlighted
+    moveCursorAfterElement(span);
+}
+
+// Helper function to move cursor after an element
+function moveCursorAfterElement(element) {
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    
+    // Insert a zero-width space after the element to break formatting inheritance
+    const zeroWidthSpace = document.createTextNode('\u200B');
+    if (element.nextSibling) {
+        element.parentNode.insertBefore(zeroWidthSpace, element.nextSibling);
+    } else {
+        element.parentNode.appendChild(zeroWidthSpace);
+    }
+    
+    // Set cursor after the zero-width space
+    const newRange = document.createRange();
+    newRange.setStartAfter(zeroWidthSpace);
+    newRange.collapse(true);
+    sel.addRange(newRange);
+    
+    // Focus the editor to ensure cursor is active
+    const editor = element.closest('.rich-editor');
+    if (editor) {
+        editor.focus();
+    }
+}
+
+// =====================================================
+// TAG FUNCTIONS
+// =====================================================
+
+function openTagModal() {
+    saveSelection();
+    
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0 || sel.isCollapsed) {
+        ui.showToast('Selecione um texto para aplicar a tag', 'info');
+        return;
+    }
+    
+    // Get selected text for preview
+    const selectedText = sel.toString().trim();
+    
+    // Populate card selector
+    const select = document.getElementById('tag-link-card');
+    const allCards = dataStore.getAllCards();
+    select.innerHTML = '<option value="">Sem link</option>' +
+        allCards.map(card => `<option value="${card.id}">${ui.escapeHtml(ui.getTypeIcon(card.type))} ${ui.escapeHtml(card.name)}</option>`).join('');
+    
+    // Reset form
+    document.getElementById('tag-name-input').value = '';
+    document.getElementById('tag-description-input').value = '';
+    document.querySelectorAll('.tag-color-option').forEach(opt => opt.classList.remove('selected'));
+    document.querySelector('.tag-color-option[data-color="yellow"]').classList.add('selected');
+    selectedTagColor = 'yellow';
+    
+    // Update preview with initial state
+    updateTagPreview(selectedText, '', 'yellow');
+    
+    // Setup input listeners for live preview
+    const nameInput = document.getElementById('tag-name-input');
+    const descInput = document.getElementById('tag-description-input');
+    
+    nameInput.oninput = () => updateTagPreview(selectedText, nameInput.value, selectedTagColor);
+    descInput.oninput = () => updateTagPreview(selectedText, nameInput.value, selectedTagColor);
+    
+    // Setup color picker
+    document.querySelectorAll('.tag-color-option').forEach(opt => {
+        opt.onclick = () => {
+            document.querySelectorAll('.tag-color-option').forEach(o => o.classList.remove('selected'));
+            opt.classList.add('selected');
+            selectedTagColor = opt.dataset.color;
+            updateTagPreview(selectedText, nameInput.value, selectedTagColor);
+        };
+    });
+    
+    document.getElementById('tag-modal-overlay').classList.add('active');
+    document.getElementById('tag-name-input').focus();
+}
+
+function updateTagPreview(text, tagName, color) {
+    const preview = document.getElementById('tag-preview');
+    if (!preview) return;
+    
+    const displayText = text.length > 25 ? text.substring(0, 25) + '...' : text;
+    const bgColor = getTagColorBg(color);
+    const textColor = getTagColorText(color);
+    
+    preview.style.setProperty('--tag-bg', bgColor);
+    preview.style.setProperty('--tag-color', textColor);
+    preview.style.background = bgColor;
+    preview.style.color = textColor;
+    preview.innerHTML = `<span class="tag-preview-text">${ui.escapeHtml(displayText)}</span>`;
+    
+    // Add tag name indicator if provided
+    if (tagName) {
+        preview.title = `Tag: ${tagName}`;
+    } else {
+        preview.title = '';
+    }
+}
+
+function closeTagModal() {
+    document.getElementById('tag-modal-overlay').classList.remove('active');
+}
+
+function applyCustomTag() {
+    restoreSelection();
+    
+    const tagName = document.getElementById('tag-name-input').value.trim();
+    const tagDescription = document.getElementById('tag-description-input').value.trim();
+    const linkedCardId = document.getElementById('tag-link-card').value;
+    
+    if (!tagName) {
+        ui.showToast('Digite um nome para a tag', 'error');
+        return;
+    }
+    
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0 || sel.isCollapsed) {
+        ui.showToast('Selecione um texto primeiro', 'error');
+        return;
+    }
+    
+    const range = sel.getRangeAt(0);
+    
+    // Check if selection is inside a text-tag span (toggle off)
+    let tagParent = null;
+    let node = range.commonAncestorContainer;
+    
+    while (node && node !== document.body) {
+        if (node.nodeType === Node.ELEMENT_NODE && node.classList && node.classList.contains('text-tag')) {
+            tagParent = node;
+            break;
+        }
+        node = node.parentNode;
+    }
+    
+    // If inside tag, remove it
+    if (tagParent) {
+        const parent = tagParent.parentNode;
+        while (tagParent.firstChild) {
+            parent.insertBefore(tagParent.firstChild, tagParent);
+        }
+        parent.removeChild(tagParent);
+        sel.removeAllRanges();
+        closeTagModal();
+        ui.showToast('Tag removida', 'info');
+        return;
+    }
+    
+    // Apply new tag
+    const span = document.createElement('span');
+    span.className = `text-tag`;
+    span.dataset.tag = tagName;
+    span.dataset.color = selectedTagColor;
+    
+    if (tagDescription) {
+        span.dataset.description = tagDescription;
+    }
+    
+    span.style.setProperty('--tag-bg', getTagColorBg(selectedTagColor));
+    span.style.setProperty('--tag-color', getTagColorText(selectedTagColor));
+    span.style.background = `var(--tag-bg)`;
+    span.style.color = `var(--tag-color)`;
+    
+    if (linkedCardId) {
+        span.dataset.cardId = linkedCardId;
+        span.onclick = () => openCardFromTag(linkedCardId);
+    }
+    
+    try {
+        range.surroundContents(span);
+    } catch (e) {
+        const fragment = range.extractContents();
+        span.appendChild(fragment);
+        range.insertNode(span);
+    }
+    
+    // Move cursor outside the span so new text won't have the tag
+    moveCursorAfterElement(span);
+    closeTagModal();
+    
+    const feedback = tagDescription ? `Tag "${tagName}" aplicada com descrição` : `Tag "${tagName}" aplicada`;
+    ui.showToast(feedback, 'success');
+}
+
+function applyPresetTag(tagType) {
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0 || sel.isCollapsed) {
+        ui.showToast('Selecione um texto para aplicar a tag', 'info');
+        return;
+    }
+    
+    const range = sel.getRangeAt(0);
+    
+    // Check if selection is inside a text-tag span (toggle off)
+    let tagParent = null;
+    let node = range.commonAncestorContainer;
+    
+    while (node && node !== document.body) {
+        if (node.nodeType === Node.ELEMENT_NODE && node.classList && node.classList.contains('text-tag')) {
+            tagParent = node;
+            break;
+        }
+        node = node.parentNode;
+    }
+    
+    // If inside tag, remove it
+    if (tagParent) {
+        const parent = tagParent.parentNode;
+        while (tagParent.firstChild) {
+            parent.insertBefore(tagParent.firstChild, tagParent);
+        }
+        parent.removeChild(tagParent);
+        sel.removeAllRanges();
+        ui.showToast('Tag removida', 'info');
+        return;
+    }
+    
+    // Apply new tag
+    const span = document.createElement('span');
+    span.className = `text-tag ${tagType}`;
+    span.dataset.tag = tagType;
+    
+    try {
+        range.surroundContents(span);
+    } catch (e) {
+        const fragment = range.extractContents();
+        span.appendChild(fragment);
+        range.insertNode(span);
+    }
+    
+    // Move cursor outside the span so new text won't have the tag
+    moveCursorAfterElement(span);
+}
+
+function getTagColorBg(color) {
+    const colors = {
+        yellow: 'rgba(240, 208, 96, 0.15)',
+        orange: 'rgba(245, 158, 107, 0.15)',
+        red: 'rgba(229, 115, 115, 0.15)',
+        pink: 'rgba(244, 143, 177, 0.15)',
+        purple: 'rgba(176, 136, 245, 0.15)',
+        blue: 'rgba(107, 179, 245, 0.15)',
+        cyan: 'rgba(77, 208, 225, 0.15)',
+        green: 'rgba(129, 199, 132, 0.15)'
+    };
+    return colors[color] || colors.yellow;
+}
+
+function getTagColorText(color) {
+    const colors = {
+        yellow: '#f0d060',
+        orange: '#f59e6b',
+        red: '#e57373',
+        pink: '#f48fb1',
+        purple: '#b088f5',
+        blue: '#6bb3f5',
+        cyan: '#4dd0e1',
+        green: '#81c784'
+    };
+    return colors[color] || colors.yellow;
+}
+
+function openCardFromTag(cardId) {
+    ui.openCard(cardId);
+}
+
+// =====================================================
+// DICE EXPRESSIONS - parser and roller for dice formulas
+// =====================================================
+// A formula is a sum of terms that may be multiplied and grouped:
+//   expression  term (+|- term)*
+//   term        unary (*|× unary)*
+//   unary       -unary | (expression) | number | dice
+//   dice        [count] d (sides | % | F) modifier*
+// Modifiers, in any order:
+//   kh n / k n  keep the n highest      kl n  keep the n lowest
+//   dh n        drop the n highest      dl n  drop the n lowest
+//   !  [point]  each die on the point (default: the highest face) adds another
+//   r  point    roll again while on the point       ro point  roll again once
+// A point is a face ("1"), or "<n" / ">n" for that face and below or above.
+// "kh" and friends without a number mean 1.
+
+const DICE_MAX_COUNT = 100;        // dice in one term before explosions
+const DICE_MAX_SIDES = 1000;
+const DICE_MAX_ROLLS = 500;        // every die rolled by one formula, rerolls included
+
+class DiceFormulaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DiceFormulaError';
+    }
+}
+
+// Tree of a formula; throws DiceFormulaError with a readable message
+function parseDiceFormula(formula) {
+    const text = String(formula || '').toLowerCase().replace(/\s/g, '');
+    let pos = 0;
+    
+    if (!text) throw new DiceFormulaError('Fórmula vazia');
+    
+    const peek = (token) => text.startsWith(token, pos);
+    const accept = (token) => {
+        if (!peek(token)) return false;
+        pos += token.length;
+        return true;
+    };
+    const fail = (message) => {
+        throw new DiceFormulaError(pos < text.length ? `${message} em "${text.slice(pos, pos + 6)}"` : `${message} no fim da fórmula`);
+    };
+    const readNumber = () => {
+        const match = /^\d+/.exec(text.slice(pos));
+        if (!match) return null;
+        pos += match[0].length;
+        return parseInt(match[0], 10);
+    };
+    
+    // Faces a point covers: "6", "<2" (2 and below), ">5" (5 and above)
+    const readPoint = (fallback) => {
+        const comparison = accept('<') ? '<' : accept('>') ? '>' : accept('=') ? '=' : null;
+        const value = readNumber();
+        if (value === null) {
+            if (comparison || fallback === null) fail('Falta um número');
+            return fallback;
+        }
+        return { comparison: comparison || '=', value };
+    };
+    
+    const parseDice = (count, start) => {
+        let sides;
+        let fudge = false;
+        if (accept('%')) {
+            sides = 100;
+        } else if (accept('f')) {
+            fudge = true;
+            sides = 3;
+        } else {
+            sides = readNumber();
+            if (sides === null) fail('Falta o número de faces');
+        }
+        if (count < 1 || count > DICE_MAX_COUNT) throw new DiceFormulaError(`Role de 1 a ${DICE_MAX_COUNT} dados por vez`);
+        if (sides < 1 || sides > DICE_MAX_SIDES) throw new DiceFormulaError(`Dados têm de 1 a ${DICE_MAX_SIDES} faces`);
+        
+        const node = { type: 'dice', count, sides, fudge, select: null, explode: null, reroll: null };
+        const faces = fudge ? [-1, 0, 1] : Array.from({ length: sides }, (_, i) => i + 1);
+        const coversAll = (point) => faces.every(face => diceFaceMatches(face, point));
+        
+        while (pos < text.length) {
+            const select = /^(kh|kl|dh|dl|k)/.exec(text.slice(pos));
+            if (select) {
+                if (node.select) fail('Só um "k" ou "d" por dado');
+                pos += select[0].length;
+                node.select = { keep: select[0].startsWith('k'), highest: select[0] !== 'kl' && select[0] !== 'dl', count: readNumber() ?? 1 };
+            } else if (accept('!')) {
+                if (node.explode) fail('Só um "!" por dado');
+                node.explode = readPoint(fudge ? { comparison: '=', value: 1 } : { comparison: '=', value: sides });
+                if (coversAll(node.explode)) throw new DiceFormulaError('Esse dado explodiria em todas as faces');
+            } else if (accept('r')) {
+                if (node.reroll) fail('Só um "r" por dado');
+                const once = accept('o');
+                node.reroll = { once, point: readPoint(null) };
+                if (coversAll(node.reroll.point)) throw new DiceFormulaError('Esse dado seria rolado de novo em todas as faces');
+            } else {
+                break;
+            }
+        }
+        
+        node.notation = text.slice(start, pos);
+        return node;
+    };
+    
+    const parseUnary = () => {
+        if (accept('-')) return { type: 'negate', operand: parseUnary() };
+        if (accept('+')) return parseUnary();
+        if (accept('(')) {
+            const inner = parseExpression();
+            if (!accept(')')) fail('Falta fechar o parêntese');
+            return inner;
+        }
+        
+        const start = pos;
+        const count = readNumber();
+        if (accept('d')) return parseDice(count ?? 1, start);
+        if (count === null) fail('Esperava um número ou dado');
+        return { type: 'number', value: count };
+    };
+    
+    const parseTerm = () => {
+        let node = parseUnary();
+        while (peek('*') || peek('×')) {
+            pos += 1;
+            node = { type: 'binary', op: '*', left: node, right: parseUnary() };
+        }
+        return node;
+    };
+    
+    const parseExpression = () => {
+        let node = parseTerm();
+        while (peek('+') || peek('-')) {
+            const op = text[pos];
+            pos += 1;
+            node = { type: 'binary', op, left: node, right: parseTerm() };
+        }
+        return node;
+    };
+    
+    const tree = parseExpression();
+    if (pos < text.length) fail('Não entendi');
+    return tree;
+}
+
+function diceFaceMatches(value, point) {
+    if (point.comparison === '<') return value <= point.value;
+    if (point.comparison === '>') return value >= point.value;
+    return value === point.value;
+}
+
+// Roll a formula: { total, groups }, one group per dice term with
+// { notation, sides, fudge, total, dice: [{ value, kept, exploded, rerolled, crit }] }
+function rollDiceDetailed(formula) {
+    const tree = parseDiceFormula(formula);
+    const groups = [];
+    let rolls = 0;
+    
+    const rollFace = (node) => {
+        if (++rolls > DICE_MAX_ROLLS) throw new DiceFormulaError('Dados demais para uma rolagem');
+        const face = Math.floor(Math.random() * node.sides);
+        return node.fudge ? face - 1 : face + 1;
+    };
+    
+    const rollDie = (node, exploded) => {
+        let value = rollFace(node);
+        const rerolled = [];
+        if (node.reroll) {
+            while (diceFaceMatches(value, node.reroll.point)) {
+                rerolled.push(value);
+                value = rollFace(node);
+                if (node.reroll.once) break;
+            }
+        }
+        const crit = node.fudge || node.sides === 1 ? null : value === node.sides ? 'max' : value === 1 ? 'min' : null;
+        return { value, kept: true, exploded, rerolled, crit };
+    };
+    
+    const rollGroup = (node) => {
+        const dice = [];
+        for (let i = 0; i < node.count; i++) {
+            let die = rollDie(node, false);
+            dice.push(die);
+            while (node.explode && diceFaceMatches(die.value, node.explode)) {
+                die = rollDie(node, true);
+                dice.push(die);
+            }
+        }
+        
+        // Keeping n from one end drops the rest; dropping n drops them from that end
+        if (node.select) {
+            const { keep, highest, count } = node.select;
+            const order = dice.map((die, index) => index)
+                .sort((a, b) => highest ? dice[b].value - dice[a].value : dice[a].value - dice[b].value);
+            (keep ? order.slice(count) : order.slice(0, count)).forEach(index => { dice[index].kept = false; });
+        }
+        
+        const total = dice.filter(die => die.kept).reduce((sum, die) => sum + die.value, 0);
+        groups.push({ notation: node.notation, sides: node.sides, fudge: node.fudge, dice, total });
+        return total;
+    };
+    
+    const evaluate = (node) => {
+        switch (node.type) {
+            case 'number': return node.value;
+            case 'dice': return rollGroup(node);
+            case 'negate': return -evaluate(node.operand);
+            default: {
+                const left = evaluate(node.left);
+                const right = evaluate(node.right);
+                return node.op === '*' ? left * right : node.op === '-' ? left - right : left + right;
+            }
+        }
+    };
+    
+    return { total: evaluate(tree), groups };
+}
+
+// =====================================================
+// DICE ROLL FUNCTIONS
+// =====================================================
+
+function openDiceModal() {
+    saveSelection();
+    
+    // Reset form
+    document.getElementById('dice-name-input').value = '';
+    document.getElementById('dice-description-input').value = '';
+    document.getElementById('dice-formula-input').value = '';
+    
+    // Update preview
+    updateDicePreview();
+    
+    // Setup input listeners for live preview
+    const nameInput = document.getElementById('dice-name-input');
+    const formulaInput = document.getElementById('dice-formula-input');
+    
+    nameInput.oninput = updateDicePreview;
+    formulaInput.oninput = updateDicePreview;
+    
+    document.getElementById('dice-modal-overlay').classList.add('active');
+    document.getElementById('dice-name-input').focus();
+}
+
+function closeDiceModal() {
+    document.getElementById('dice-modal-overlay').classList.remove('active');
+}
+
+function updateDicePreview() {
+    const name = document.getElementById('dice-name-input').value.trim() || 'Nome da Ação';
+    const preview = document.getElementById('dice-preview');
+    
+    if (preview) {
+        preview.querySelector('.dice-name').textContent = name;
+    }
+}
+
+function insertDiceRoll() {
+    const name = document.getElementById('dice-name-input').value.trim();
+    const description = document.getElementById('dice-description-input').value.trim();
+    const formula = document.getElementById('dice-formula-input').value.trim();
+    
+    if (!name) {
+        ui.showToast('Digite um nome para a ação', 'error');
+        return;
+    }
+    
+    if (!formula) {
+        ui.showToast('Digite a fórmula do dado', 'error');
+        return;
+    }
+    
+    // Validate formula format
+    const formulaError = getDiceFormulaError(formula);
+    if (formulaError) {
+        ui.showToast(`Fórmula inválida: ${formulaError}`, 'error');
+        return;
+    }
+    
+    // Create the dice roll tag element
+    const span = document.createElement('span');
+    span.className = 'dice-roll-tag';
+    span.dataset.formula = formula;
+    span.dataset.name = name;
+    if (description) {
+        span.dataset.description = description;
+    }
+    span.innerHTML = `<span class="dice-icon">🎲</span><span class="dice-name">${ui.escapeHtml(name)}</span>`;
+    span.onclick = () => executeDiceRoll(name, formula);
+    span.setAttribute('contenteditable', 'false');
+    
+    // Restore selection and insert
+    restoreSelection();
+    
+    const sel = window.getSelection();
+    if (sel.rangeCount > 0) {
+        const range = sel.getRangeAt(0);
+        range.deleteContents();
+        range.insertNode(span);
+        
+        // Move cursor after the element
+        moveCursorAfterElement(span);
+    }
+    
+    closeDiceModal();
+    ui.showToast(`Rolagem "${name}" inserida`, 'success');
+}
+
+function isValidDiceFormula(formula) {
+    return getDiceFormulaError(formula) === null;
+}
+
+// Why a formula can't be rolled, or null
+function getDiceFormulaError(formula) {
+    try {
+        parseDiceFormula(formula);
+        return null;
+    } catch (error) {
+        if (error instanceof DiceFormulaError) return error.message;
+        throw error;
+    }
+}
+
+function executeDiceRoll(name, formula) {
+    let roll;
+    try {
+        roll = rollDiceDetailed(formula);
+    } catch (error) {
+        // A valid formula can still blow the roll cap (e.g. 100d20r<19)
+        if (!(error instanceof DiceFormulaError)) throw error;
+        ui.showToast(`Não foi possível rolar ${formula}: ${error.message}`, 'error');
+        return;
+    }
+    showDiceResult(name, formula, roll.total, roll.groups);
+}
+
+// Total of a formula (0 if it can't be read); rollDiceDetailed also
+// says what each die showed
+function rollDice(formula) {
+    try {
+        return rollDiceDetailed(formula).total;
+    } catch (error) {
+        if (error instanceof DiceFormulaError) return 0;
+        throw error;
+    }
+}
+
+let diceResultTimer = null;
+
+// `groups` (from rollDiceDetailed) adds each dice term's dice under the total
+function showDiceResult(name, formula, result, groups = []) {
+    // Create or get the result toast
+    let toast = document.getElementById('dice-result-toast');
+    if (!toast) {
+        toast = document.createElement('div');
+        toast.id = 'dice-result-toast';
+        toast.className = 'dice-result-toast';
+        document.body.appendChild(toast);
+    }
+    
+    toast.innerHTML = `
+        <div class="roll-name">${ui.escapeHtml(name)}</div>
+        <div class="roll-formula">${ui.escapeHtml(formula)}</div>
+        <div class="roll-result">${result}</div>
+        ${groups.length > 0 ? `
+            <div class="roll-breakdown">
+                ${groups.map(group => `
+                    <div class="roll-group">
+                        <span class="roll-group-label">${ui.escapeHtml(group.notation)}</span>
+                        ${group.dice.map(die => renderRolledDie(die, group)).join('')}
+                        <span class="roll-group-total">= ${group.total}</span>
+                    </div>
+                `).join('')}
+            </div>
+        ` : ''}
+    `;
+    
+    // Show the toast
+    toast.classList.add('active');
+    
+    // A longer look when there are dice to read; a new roll restarts the wait
+    clearTimeout(diceResultTimer);
+    diceResultTimer = setTimeout(() => {
+        toast.classList.remove('active');
+    }, groups.length > 0 ? 4000 : 2000);
+}
+
+function renderRolledDie(die, group) {
+    const face = (value) => group.fudge ? (value > 0 ? '+' : value < 0 ? '−' : '0') : value;
+    const classes = [
+        'roll-die',
+        die.kept ? '' : 'dropped',
+        die.exploded ? 'exploded' : '',
+        die.crit === 'max' ? 'crit' : '',
+        die.crit === 'min' ? 'fumble' : ''
+    ].filter(Boolean).join(' ');
+    const notes = [
+        die.kept ? '' : 'descartado',
+        die.exploded ? 'explosão' : '',
+        die.rerolled.length > 0 ? `rolado de novo: ${die.rerolled.map(face).join(', ')}` : '',
+        die.crit === 'max' ? 'máximo' : die.crit === 'min' ? 'mínimo' : ''
+    ].filter(Boolean).join(' · ');
+    
+    return `
+        ${die.rerolled.map(value => `<span class="roll-die rerolled" title="Rolado de novo">${face(value)}</span>`).join('')}
+        <span class="${classes}"${notes ? ` title="${escapeAttr(notes)}"` : ''}>${face(die.value)}</span>
+    `;
+}
+
+// =====================================================
+// CARD LINK FUNCTIONS
+// =====================================================
+
+function openLinkModal() {
+    saveSelection();
+    
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0 || sel.isCollapsed) {
+        ui.showToast('Selecione um texto para criar o link', 'info');
+        return;
+    }
+    
+    document.getElementById('link-search-input').value = '';
+    renderLinkCardsList();
+    document.getElementById('link-modal-overlay').classList.add('active');
+    document.getElementById('link-search-input').focus();
+}
+
+function closeLinkModal() {
+    document.getElementById('link-modal-overlay').classList.remove('active');
+}
+
+function renderLinkCardsList(filter = '') {
+    const container = document.getElementById('link-cards-list');
+    let cards = dataStore.getAllCards();
+    
+    if (filter) {
+        const lowerFilter = filter.toLowerCase();
+        cards = cards.filter(c => c.name.toLowerCase().includes(lowerFilter));
+    }
+    
+    if (cards.length === 0) {
+        container.innerHTML = '<div class="link-card-empty">Nenhum card encontrado</div>';
+        return;
+    }
+    
+    container.innerHTML = cards.map(card => `
+        <div class="link-card-item" onclick="insertCardLink('${card.id}')">
+            <span class="card-icon">${ui.escapeHtml(ui.getTypeIcon(card.type))}</span>
+            <span class="card-name">${ui.escapeHtml(card.name)}</span>
+            <span class="card-type-label">${ui.escapeHtml(ui.getTypeName(card.type))}</span>
+        </div>
+    `).join('');
+}
+
+function filterLinkCards(query) {
+    renderLinkCardsList(query);
+}
+
+function insertCardLink(cardId) {
+    restoreSelection();
+    
+    const card = dataStore.getCard(cardId);
+    if (!card) return;
+    
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0) return;
+    
+    const range = sel.getRangeAt(0);
+    const link = document.createElement('span');
+    link.className = `card-link ${card.type}`;
+    link.dataset.cardId = cardId;
+    link.contentEditable = 'false';
+    
+    // Get selected text or use card name
+    const selectedText = range.toString().trim() || card.name;
+    link.textContent = selectedText;
+    
+    range.deleteContents();
+    range.insertNode(link);
+    
+    sel.removeAllRanges();
+    closeLinkModal();
+}
+
+// =====================================================
+// RICH EDITOR DATA SYNC
+// =====================================================
+
+function syncEditorToTextarea(editorId, textareaId) {
+    const editor = document.getElementById(editorId);
+    const textarea = document.getElementById(textareaId);
+    if (editor && textarea) {
+        textarea.value = editor.innerHTML;
+    }
+}
+
+function syncTextareaToEditor(textareaId, editorId) {
+    const editor = document.getElementById(editorId);
+    const textarea = document.getElementById(textareaId);
+    if (editor && textarea) {
+        editor.innerHTML = textarea.value || '';
+    }
+}
+
+function getEditorContent(editorId) {
+    const editor = document.getElementById(editorId);
+    return editor ? editor.innerHTML : '';
+}
+
+function setEditorContent(editorId, content) {
+    const editor = document.getElementById(editorId);
+    if (editor) {
+        editor.innerHTML = content || '';
+    }
+}
+
+// =====================================================
+// CARD TYPE MANAGER - create, edit and delete user types
+// =====================================================
+
+// Key of the type open in the editor; null while creating a new one
+let cardTypeEditingKey = null;
+
+function openCardTypeManager(key = null) {
+    if (rejectReadOnlyEdit()) return;
+    cardTypeEditingKey = key;
+    renderCardTypeManager();
+    document.getElementById('modal-overlay').classList.add('active');
+}
+
+function renderCardTypeManager() {
+    const types = getCardTypes();
+    const editing = cardTypeEditingKey ? getCardType(cardTypeEditingKey) : null;
+    const draft = editing || {
+        name: '', plural: '', description: '', icon: '◆', color: '#e8c547',
+        nodeTypes: Object.keys(nodeKinds), connectionTargets: null
+    };
+    const draftNodes = draft.nodeTypes.map(node => typeof node === 'string' ? node : node.type);
+    
+    const listHtml = types.map(type => {
+        const count = dataStore.getCardsByType(type.key).length;
+        const isUser = !builtinCardTypes.some(builtin => builtin.key === type.key);
+        return `
+            <div class="type-manager-row ${type.key}${type.key === cardTypeEditingKey ? ' active' : ''}">
+                <span class="type-manager-icon">${ui.escapeHtml(type.icon)}</span>
+                <div class="type-manager-text">
+                    <strong>${ui.escapeHtml(type.name)}</strong>
+                    <small>${count} ${count === 1 ? 'card' : 'cards'}${isUser ? '' : ' · padrão'}</small>
+                </div>
+                <button type="button" class="type-manager-btn" onclick="openCardFieldManager('${type.key}')" title="Campos">☰</button>
+                ${isUser ? `
+                    <button type="button" class="type-manager-btn" onclick="openCardTypeManager('${type.key}')" title="Editar">✎</button>
+                    <button type="button" class="type-manager-btn" onclick="deleteCardType('${type.key}')" title="Excluir">🗑</button>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+    
+    const otherTypes = types.filter(type => type.key !== cardTypeEditingKey);
+    const targets = draft.connectionTargets;
+    
+    document.getElementById('modal-content').innerHTML = `
+        <div class="type-manager">
+            <div class="link-modal-header">
+                <h3>🏷 Tipos de card</h3>
+                <button type="button" class="link-modal-close" onclick="ui.closeModal()">×</button>
+            </div>
+            <div class="type-manager-body">
+                <div class="type-manager-list">
+                    ${listHtml}
+                    <button type="button" class="type-manager-new" onclick="openCardTypeManager()">+ Novo tipo</button>
+                </div>
+                <form class="type-manager-form" onsubmit="event.preventDefault(); saveCardType()">
+                    <h4>${editing ? `Editar ${ui.escapeHtml(editing.name)}` : 'Novo tipo'}</h4>
+                    <div class="type-manager-fields">
+                        <label>Nome <input type="text" id="card-type-name" maxlength="30" required value="${escapeAttr(draft.name)}" placeholder="Facção"></label>
+                        <label>Plural <input type="text" id="card-type-plural" maxlength="30" value="${escapeAttr(draft.plural)}" placeholder="Facções"></label>
+                        <label>Descrição <input type="text" id="card-type-description" maxlength="40" value="${escapeAttr(draft.description || '')}" placeholder="Grupo com interesses próprios"></label>
+                        <label class="short">Ícone <input type="text" id="card-type-icon" maxlength="4" value="${escapeAttr(draft.icon)}"></label>
+                        <label class="short">Cor <input type="color" id="card-type-color" value="${escapeAttr(draft.color)}"></label>
+                    </div>
+                    <fieldset>
+                        <legend>Nós do fluxograma</legend>
+                        ${Object.entries(nodeKinds).map(([kind, def]) => `
+                            <label class="type-manager-check">
+                                <input type="checkbox" name="card-type-node" value="${kind}"${draftNodes.includes(kind) ? ' checked' : ''}>
+                                ${def.icon} ${def.label}
+                            </label>
+                        `).join('')}
+                    </fieldset>
+                    <fieldset>
+                        <legend>Pode se conectar a</legend>
+                        <label class="type-manager-check">
+                            <input type="checkbox" id="card-type-targets-all"${targets ? '' : ' checked'}
+                                   onchange="document.querySelectorAll('[name=card-type-target]').forEach(box => { box.disabled = this.checked; })">
+                            Qualquer tipo
+                        </label>
+                        ${[...otherTypes, ...(editing ? [editing] : [])].map(type => `
+                            <label class="type-manager-check">
+                                <input type="checkbox" name="card-type-target" value="${type.key}"
+                                       ${!targets || targets.includes(type.key) ? ' checked' : ''}${targets ? '' : ' disabled'}>
+                                ${ui.escapeHtml(type.icon)} ${ui.escapeHtml(editing && type.key === editing.key ? 'O próprio tipo' : type.name)}
+                            </label>
+                        `).join('')}
+                        ${editing ? '' : `
+                            <label class="type-manager-check">
+                                <input type="checkbox" name="card-type-target" value="__self" ${targets ? '' : ' checked disabled'}>
+                                O próprio tipo
+                            </label>
+                        `}
+                    </fieldset>
+                    <div class="type-manager-actions">
+                        <button type="submit" class="btn-primary">${editing ? 'Salvar tipo' : 'Criar tipo'}</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    `;
+}
+
+function saveCardType() {
+    const name = document.getElementById('card-type-name').value.trim();
+    if (!name) {
+        ui.showToast('Digite um nome para o tipo', 'error');
+        return;
+    }
+    
+    const duplicate = getCardTypes().find(type =>
+        type.key !== cardTypeEditingKey && normalizeSearchText(type.name) === normalizeSearchText(name));
+    if (duplicate) {
+        ui.showToast(`Já existe um tipo chamado "${duplicate.name}"`, 'error');
+        return;
+    }
+    
+    const nodeTypes = [...document.querySelectorAll('[name=card-type-node]:checked')].map(box => box.value);
+    if (nodeTypes.length === 0) {
+        ui.showToast('Escolha pelo menos um tipo de nó', 'error');
+        return;
+    }
+    
+    const key = cardTypeEditingKey || createCardTypeKey(name);
+    const anyTarget = document.getElementById('card-type-targets-all').checked;
+    const type = {
+        key,
+        name,
+        plural: document.getElementById('card-type-plural').value.trim() || `${name}s`,
+        description: document.getElementById('card-type-description').value.trim(),
+        icon: document.getElementById('card-type-icon').value.trim() || '◆',
+        color: document.getElementById('card-type-color').value,
+        nodeTypes,
+        connectionTargets: anyTarget ? null : [...document.querySelectorAll('[name=card-type-target]:checked')]
+            .map(box => box.value === '__self' ? key : box.value)
+    };
+    
+    const userTypes = getUserCardTypes();
+    const index = userTypes.findIndex(existing => existing.key === key);
+    dataStore.setSetting('cardTypes', index === -1
+        ? [...userTypes, type]
+        : userTypes.map(existing => existing.key === key ? type : existing));
+    
+    cardTypeEditingKey = key;
+    ui.renderAll();
+    renderCardTypeManager();
+    ui.showToast(index === -1 ? `Tipo "${name}" criado` : `Tipo "${name}" atualizado`, 'success');
+}
+
+// Only types without cards can go; other types stop listing it as a target
+function deleteCardType(key) {
+    const type = getCardType(key);
+    const count = dataStore.getCardsByType(key).length;
+    if (count > 0) {
+        ui.showToast(`"${type.name}" ainda tem ${count} ${count === 1 ? 'card' : 'cards'}`, 'error');
+        return;
+    }
+    if (!confirm(`Excluir o tipo "${type.name}"?`)) return;
+    
+    setCustomFieldDefinitions(key, []);
+    dataStore.setSetting('cardTypes', getUserCardTypes()
+        .filter(existing => existing.key !== key)
+        .map(existing => existing.connectionTargets
+            ? { ...existing, connectionTargets: existing.connectionTargets.filter(target => target !== key) }
+            : existing));
+    
+    if (ui.selectedType === key) ui.resetForm();
+    if (cardTypeEditingKey === key) cardTypeEditingKey = null;
+    ui.renderAll();
+    renderCardTypeManager();
+    ui.showToast(`Tipo "${type.name}" excluído`, 'info');
+}
+
+// Fields of one type: the built-in ones are listed, the user's can be edited
+let cardFieldManagerType = null;
+let cardFieldEditingKey = null;
+
+function openCardFieldManager(type, key = null) {
+    if (rejectReadOnlyEdit()) return;
+    cardFieldManagerType = type;
+    cardFieldEditingKey = key;
+    renderCardFieldManager();
+    document.getElementById('modal-overlay').classList.add('active');
+}
+
+function renderCardFieldManager() {
+    const type = getCardType(cardFieldManagerType);
+    const fields = getCardFields(type.key);
+    const editing = fields.find(field => field.custom && field.key === cardFieldEditingKey) || null;
+    const draft = editing || { label: '', kind: 'text', options: [] };
+    const isUserType = getUserCardTypes().some(userType => userType.key === type.key);
+    const customCount = fields.filter(field => field.custom).length;
+    let customIndex = 0;
+    
+    const listHtml = fields.map(field => {
+        const index = field.custom ? customIndex++ : -1;
+        return `
+            <div class="type-manager-row ${type.key}${field.custom ? '' : ' builtin'}${editing && field.key === editing.key ? ' active' : ''}">
+                <div class="type-manager-text">
+                    <strong>${ui.escapeHtml(field.label)}</strong>
+                    <small>${cardFieldKinds[field.kind] || field.kind}${field.custom ? '' : ' · padrão'}</small>
+                </div>
+                ${field.custom ? `
+                    <button type="button" class="type-manager-btn" onclick="moveCardField('${field.key}', -1)" title="Subir"${index === 0 ? ' disabled' : ''}>↑</button>
+                    <button type="button" class="type-manager-btn" onclick="moveCardField('${field.key}', 1)" title="Descer"${index === customCount - 1 ? ' disabled' : ''}>↓</button>
+                    <button type="button" class="type-manager-btn" onclick="openCardFieldManager('${type.key}', '${field.key}')" title="Editar">✎</button>
+                    <button type="button" class="type-manager-btn" onclick="deleteCardField('${field.key}')" title="Excluir">🗑</button>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+    
+    document.getElementById('modal-content').innerHTML = `
+        <div class="type-manager">
+            <div class="link-modal-header">
+                <h3>☰ Campos de ${ui.escapeHtml(type.icon)} ${ui.escapeHtml(type.name)}</h3>
+                <button type="button" class="link-modal-close" onclick="ui.closeModal()">×</button>
+            </div>
+            <div class="type-manager-body">
+                <div class="type-manager-list">
+                    <button type="button" class="type-manager-back" onclick="openCardTypeManager(${isUserType ? `'${type.key}'` : ''})">← Tipos</button>
+                    ${listHtml}
+                    <button type="button" class="type-manager-new" onclick="openCardFieldManager('${type.key}')">+ Novo campo</button>
+                </div>
+                <form class="type-manager-form" onsubmit="event.preventDefault(); saveCardField()">
+                    <h4>${editing ? `Editar ${ui.escapeHtml(editing.label)}` : 'Novo campo'}</h4>
+                    <div class="type-manager-fields">
+                        <label>Nome <input type="text" id="card-field-label" maxlength="40" required value="${escapeAttr(draft.label)}" placeholder="Lema"></label>
+                        <label>Tipo
+                            <select id="card-field-kind"${editing ? ' disabled title="O tipo de um campo existente não pode mudar"' : ''}
+                                    onchange="document.getElementById('card-field-options-group').hidden = this.value !== 'select'">
+                                ${Object.entries(cardFieldKinds).map(([kind, label]) => `
+                                    <option value="${kind}"${draft.kind === kind ? ' selected' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    </div>
+                    <div class="type-manager-fields" id="card-field-options-group"${draft.kind === 'select' ? '' : ' hidden'}>
+                        <label class="wide">Opções (uma por linha)
+                            <textarea id="card-field-options" rows="4">${ui.escapeHtml(draft.options.join('\n'))}</textarea>
+                        </label>
+                    </div>
+                    <div class="type-manager-actions">
+                        <button type="submit" class="btn-primary">${editing ? 'Salvar campo' : 'Adicionar campo'}</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    `;
+}
+
+function saveCardField() {
+    const type = cardFieldManagerType;
+    const label = document.getElementById('card-field-label').value.trim();
+    if (!label) {
+        ui.showToast('Digite um nome para o campo', 'error');
+        return;
+    }
+    
+    const fields = getCardFields(type);
+    const duplicate = fields.find(field =>
+        field.key !== cardFieldEditingKey && normalizeSearchText(field.label) === normalizeSearchText(label));
+    if (duplicate) {
+        ui.showToast(`${getCardType(type).name} já tem o campo "${duplicate.label}"`, 'error');
+        return;
+    }
+    
+    const definitions = getCustomFieldDefinitions(type);
+    const existing = definitions.find(def => def.key === cardFieldEditingKey);
+    const kind = existing ? existing.kind : document.getElementById('card-field-kind').value;
+    const options = kind === 'select'
+        ? [...new Set(document.getElementById('card-field-options').value.split('\n').map(line => line.trim()).filter(Boolean))]
+        : [];
+    if (kind === 'select' && options.length === 0) {
+        ui.showToast('Adicione pelo menos uma opção', 'error');
+        return;
+    }
+    
+    let key = existing ? existing.key : null;
+    if (!key) {
+        const slug = normalizeSearchText(label).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'campo';
+        key = `cf-${slug}`;
+        for (let n = 2; fields.some(field => field.key === key); n++) key = `cf-${slug}-${n}`;
+    }
+    
+    const definition = { key, label, kind, options };
+    setCustomFieldDefinitions(type, existing
+        ? definitions.map(def => def.key === key ? definition : def)
+        : [...definitions, definition]);
+    
+    cardFieldEditingKey = key;
+    ui.renderAll();
+    renderCardFieldManager();
+    ui.showToast(existing ? `Campo "${label}" atualizado` : `Campo "${label}" adicionado`, 'success');
+}
+
+function moveCardField(key, delta) {
+    const definitions = [...getCustomFieldDefinitions(cardFieldManagerType)];
+    const index = definitions.findIndex(def => def.key === key);
+    const target = index + delta;
+    if (index === -1 || target < 0 || target >= definitions.length) return;
+    
+    [definitions[index], definitions[target]] = [definitions[target], definitions[index]];
+    setCustomFieldDefinitions(cardFieldManagerType, definitions);
+    renderCardFieldManager();
+}
+
+// Values stay on the cards, so a field added back under the same name shows them again
+function deleteCardField(key) {
+    const definitions = getCustomFieldDefinitions(cardFieldManagerType);
+    const definition = definitions.find(def => def.key === key);
+    if (!definition) return;
+    if (!confirm(`Excluir o campo "${definition.label}"? Os valores já preenchidos deixam de aparecer.`)) return;
+    
+    setCustomFieldDefinitions(cardFieldManagerType, definitions.filter(def => def.key !== key));
+    if (cardFieldEditingKey === key) cardFieldEditingKey = null;
+    ui.renderAll();
+    renderCardFieldManager();
+    ui.showToast(`Campo "${definition.label}" excluído`, 'info');
+}
+
+// =====================================================
+// WORLD DATES - in-world calendar and fuzzy dates
+// =====================================================
+// Dates inside the story are typed as free text ("12/3/312", "março de 312",
+// "fim de 312 DR (Ano das Cinzas)") and placed on a count of days, so they
+// can be sorted and drawn on the timeline. Qualifiers narrow the period to a
+// third of it ("início de", "meados de", "fim de") and "c." marks a guess;
+// both make the date fuzzy. A trailing "(…)" is kept as the date's name.
+
+// Each world may define its own calendar (setting `calendar`):
+//   months    [{ name, days, leapDays }], leapDays added in leap years
+//   weekdays  names in order; day 1 of month 1 of year 0 is `firstWeekday`
+//   leap      { every, except, unless }: a year is leap when divisible by
+//             `every`, except when divisible by `except` but not `unless` (0: no rule)
+//   eras      [{ name, abbr, start, reverse }]: year 1 of an era is the
+//             calendar year `start`; a reverse era counts back from `start`
+//   moons     [{ name, cycle, offset }]: days per cycle, new moon on day `offset`
+// Years typed without an era are calendar years. Worlds without a
+// definition use the Gregorian calendar.
+const defaultWorldCalendar = {
+    months: [
+        { name: 'Janeiro', days: 31, leapDays: 0 },
+        { name: 'Fevereiro', days: 28, leapDays: 1 },
+        { name: 'Março', days: 31, leapDays: 0 },
+        { name: 'Abril', days: 30, leapDays: 0 },
+        { name: 'Maio', days: 31, leapDays: 0 },
+        { name: 'Junho', days: 30, leapDays: 0 },
+        { name: 'Julho', days: 31, leapDays: 0 },
+        { name: 'Agosto', days: 31, leapDays: 0 },
+        { name: 'Setembro', days: 30, leapDays: 0 },
+        { name: 'Outubro', days: 31, leapDays: 0 },
+        { name: 'Novembro', days: 30, leapDays: 0 },
+        { name: 'Dezembro', days: 31, leapDays: 0 }
+    ],
+    weekdays: ['Domingo', 'Segunda-feira', 'Terça-feira', 'Quarta-feira', 'Quinta-feira', 'Sexta-feira', 'Sábado'],
+    firstWeekday: 6,
+    leap: { every: 4, except: 100, unless: 400 },
+    eras: [],
+    moons: []
+};
+
+const moonPhases = [
+    { icon: '🌑', label: 'Lua nova' },
+    { icon: '🌒', label: 'Crescente' },
+    { icon: '🌓', label: 'Quarto crescente' },
+    { icon: '🌔', label: 'Crescente gibosa' },
+    { icon: '🌕', label: 'Lua cheia' },
+    { icon: '🌖', label: 'Minguante gibosa' },
+    { icon: '🌗', label: 'Quarto minguante' },
+    { icon: '🌘', label: 'Minguante' }
+];
+
+// Cleaned-up calendar from settings or a file; null when it has no usable month
+function normalizeWorldCalendar(raw) {
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.months)) return null;
+    const text = (value) => typeof value === 'string' ? value.trim().slice(0, 40) : '';
+    const integer = (value, min, max, fallback = 0) =>
+        Number.isInteger(value) && value >= min && value <= max ? value : fallback;
+    
+    const months = raw.months
+        .map(month => month && {
+            name: text(month.name),
+            days: integer(month.days, 1, 1000),
+            leapDays: integer(month.leapDays, 0, 100)
+        })
+        .filter(month => month && month.name && month.days);
+    if (months.length === 0) return null;
+    
+    const weekdays = (Array.isArray(raw.weekdays) ? raw.weekdays : []).map(text).filter(Boolean);
+    const leap = raw.leap && typeof raw.leap === 'object' ? raw.leap : {};
+    const eras = (Array.isArray(raw.eras) ? raw.eras : [])
+        .map(era => era && {
+            name: text(era.name),
+            abbr: text(era.abbr),
+            start: integer(era.start, -1e7, 1e7, NaN),
+            reverse: era.reverse === true
+        })
+        .filter(era => era && era.name && Number.isFinite(era.start))
+        .sort((a, b) => a.start - b.start || b.reverse - a.reverse);
+    const moons = (Array.isArray(raw.moons) ? raw.moons : [])
+        .map(moon => moon && {
+            name: text(moon.name),
+            cycle: Number(moon.cycle),
+            offset: Number(moon.offset) || 0
+        })
+        .filter(moon => moon && moon.name && Number.isFinite(moon.cycle) && moon.cycle >= 1);
+    
+    return {
+        months,
+        weekdays,
+        firstWeekday: weekdays.length ? integer(raw.firstWeekday, 0, weekdays.length - 1) : 0,
+        leap: {
+            every: integer(leap.every, 0, 10000),
+            except: integer(leap.except, 0, 100000),
+            unless: integer(leap.unless, 0, 1000000)
+        },
+        // Only one era counts backwards
+        eras: eras.filter((era, i) => !era.reverse || eras.findIndex(e => e.reverse) === i),
+        moons
+    };
 }
 
-function resetForm() {
-    ui.resetForm();
-    ui.showView('cards');
+// The saved definition is normalized once per change
+let worldCalendarCache = { source: undefined, calendar: defaultWorldCalendar };
+
+function getWorldCalendar() {
+    const saved = dataStore ? dataStore.getSetting('calendar', null) : null;
+    if (worldCalendarCache.source !== saved) {
+        worldCalendarCache = { source: saved, calendar: normalizeWorldCalendar(saved) || defaultWorldCalendar };
+    }
+    return worldCalendarCache.calendar;
 }
 
-// Mobile menu functions
-function toggleMobileMenu() {
-    const sidebar = document.querySelector('.sidebar');
-    const overlay = document.getElementById('sidebar-overlay');
-    const toggle = document.getElementById('mobile-menu-toggle');
+// Remainder that is never negative, for years and days before zero
+function positiveModulo(value, divisor) {
+    return ((value % divisor) + divisor) % divisor;
+}
+
+function isWorldLeapYear(year) {
+    const { every, except, unless } = getWorldCalendar().leap;
+    if (!every || positiveModulo(year, every) !== 0) return false;
+    if (except && positiveModulo(year, except) === 0) return !!unless && positiveModulo(year, unless) === 0;
+    return true;
+}
+
+// Leap years from year 0 up to (not including) `year`; negative before year 0
+function countWorldLeapYears(year) {
+    const { every, except, unless } = getWorldCalendar().leap;
+    if (!every) return 0;
+    const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+    const lcm = (a, b) => a / gcd(a, b) * b;
+    const multiples = (step) => Math.ceil(year / step);
+    
+    let count = multiples(every);
+    if (except) {
+        const skipped = lcm(every, except);
+        count -= multiples(skipped);
+        if (unless) count += multiples(lcm(skipped, unless));
+    }
+    return count;
+}
+
+function worldMonthDays(year, month) {
+    const entry = getWorldCalendar().months[month - 1];
+    return entry.days + (isWorldLeapYear(year) ? entry.leapDays : 0);
+}
+
+function worldYearLength(year) {
+    const months = getWorldCalendar().months;
+    const leap = isWorldLeapYear(year);
+    return months.reduce((total, month) => total + month.days + (leap ? month.leapDays : 0), 0);
+}
+
+// Days in a common year and the extra ones a leap year has
+function worldYearBaseLength() {
+    const months = getWorldCalendar().months;
+    return {
+        common: months.reduce((total, month) => total + month.days, 0),
+        leap: months.reduce((total, month) => total + month.leapDays, 0)
+    };
+}
+
+// Day count at the first day of `year`; year 0 starts at day 0
+function worldYearStart(year) {
+    const { common, leap } = worldYearBaseLength();
+    return year * common + leap * countWorldLeapYears(year);
+}
+
+// Day count of a calendar date (month and day start at 1)
+function worldDateToDay(year, month = 1, day = 1) {
+    let total = worldYearStart(year);
+    for (let m = 1; m < month; m++) {
+        total += worldMonthDays(year, m);
+    }
+    return total + day - 1;
+}
+
+// Calendar date of a day count: { year, month, day }
+function worldDayToDate(dayNumber) {
+    const months = getWorldCalendar().months;
+    let year = Math.floor(dayNumber / worldYearBaseLength().common);
+    while (worldYearStart(year) > dayNumber) year--;
+    while (worldYearStart(year + 1) <= dayNumber) year++;
     
-    sidebar.classList.toggle('open');
-    overlay.classList.toggle('active');
+    let rest = dayNumber - worldYearStart(year);
+    let month = 1;
+    while (month < months.length && rest >= worldMonthDays(year, month)) {
+        rest -= worldMonthDays(year, month);
+        month++;
+    }
+    return { year, month, day: rest + 1 };
+}
+
+function worldMonthName(month) {
+    const entry = getWorldCalendar().months[month - 1];
+    return entry ? entry.name : String(month);
+}
+
+// First three letters when they tell the months apart, the whole name otherwise
+function worldMonthShortName(month) {
+    const names = getWorldCalendar().months.map(m => m.name);
+    const shorts = names.map(name => name.slice(0, 3));
+    return new Set(shorts).size === shorts.length ? shorts[month - 1] : worldMonthName(month);
+}
+
+function worldWeekdayName(dayNumber) {
+    const { weekdays, firstWeekday } = getWorldCalendar();
+    return weekdays.length ? weekdays[positiveModulo(dayNumber + firstWeekday, weekdays.length)] : '';
+}
+
+// Phase of every moon on a day: { name, icon, label }
+function worldMoonPhases(dayNumber) {
+    return getWorldCalendar().moons.map(moon => {
+        const age = positiveModulo(dayNumber - moon.offset, moon.cycle) / moon.cycle;
+        const phase = moonPhases[Math.round(age * moonPhases.length) % moonPhases.length];
+        return { name: moon.name, ...phase };
+    });
+}
+
+// A calendar year as written with its era ("312 DR"); plain number without eras
+function formatWorldYear(year) {
+    const eras = getWorldCalendar().eras;
+    const era = eras.filter(e => !e.reverse && e.start <= year).pop();
+    if (era) return `${year - era.start + 1}${era.abbr ? ` ${era.abbr}` : ` ${era.name}`}`;
     
-    // Update button icon
-    if (sidebar.classList.contains('open')) {
-        toggle.textContent = '✕';
+    const reverse = eras.find(e => e.reverse && year < e.start);
+    if (reverse) return `${reverse.start - year}${reverse.abbr ? ` ${reverse.abbr}` : ` ${reverse.name}`}`;
+    return String(year);
+}
+
+// Calendar year of year `number` of an era
+function worldEraYear(era, number) {
+    return era.reverse ? era.start - number : era.start + number - 1;
+}
+
+// Era named at the end of a (normalized) date, by abbreviation or name
+function splitWorldEra(text) {
+    for (const era of getWorldCalendar().eras) {
+        const names = [era.abbr, era.name].filter(Boolean).map(name => normalizeSearchText(name));
+        const name = names.find(n => text.endsWith(` ${n}`));
+        if (name) return { era, text: text.slice(0, -name.length - 1).trim() };
+    }
+    return { era: null, text };
+}
+
+// Month number from a (normalized) name or its first three letters or more
+function findWorldMonth(text) {
+    const index = getWorldCalendar().months.findIndex(month => {
+        const name = normalizeSearchText(month.name);
+        return name === text || (text.length >= 3 && name.startsWith(text));
+    });
+    return index + 1;
+}
+
+// Period named by the date itself, before qualifiers: { start, end, precision }
+// with `end` the first day after it; null when it isn't a date
+function parseWorldDatePeriod(text, era) {
+    const months = getWorldCalendar().months;
+    let year;
+    let month = 0;
+    let day = 0;
+    let match;
+    
+    if ((match = text.match(/^(?:ano\s+)?(-?\d+)$/))) {
+        year = parseInt(match[1], 10);
+    } else if ((match = text.match(/^(\d{1,2})\/(-?\d+)$/))) {
+        [month, year] = [parseInt(match[1], 10), parseInt(match[2], 10)];
+    } else if ((match = text.match(/^(\d{1,3})\/(\d{1,2})\/(-?\d+)$/))) {
+        [day, month, year] = [parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10)];
+    } else if ((match = text.match(/^(?:(\d{1,3})\s+(?:de\s+)?)?(.+?)\s+(?:de\s+)?(-?\d+)$/))) {
+        month = findWorldMonth(match[2]);
+        if (!month) return null;
+        [day, year] = [match[1] ? parseInt(match[1], 10) : 0, parseInt(match[3], 10)];
     } else {
-        toggle.textContent = '☰';
+        return null;
     }
+    
+    if (era) year = worldEraYear(era, year);
+    if (month && (month < 1 || month > months.length)) return null;
+    if (day && (day < 1 || day > worldMonthDays(year, month))) return null;
+    
+    if (day) {
+        const start = worldDateToDay(year, month, day);
+        return { start, end: start + 1, precision: 'day' };
+    }
+    if (month) {
+        const start = worldDateToDay(year, month, 1);
+        return { start, end: start + worldMonthDays(year, month), precision: 'month' };
+    }
+    return { start: worldYearStart(year), end: worldYearStart(year + 1), precision: 'year' };
 }
 
-function closeMobileMenu() {
-    const sidebar = document.querySelector('.sidebar');
-    const overlay = document.getElementById('sidebar-overlay');
-    const toggle = document.getElementById('mobile-menu-toggle');
+const worldDateQualifiers = [
+    { pattern: /^(?:inicio|comeco|principio)\s+d[eoa]s?\s+/, third: 0 },
+    { pattern: /^(?:meados|meio)\s+d[eoa]s?\s+/, third: 1 },
+    { pattern: /^(?:fim|final|fins)\s+d[eoa]s?\s+/, third: 2 }
+];
+
+// { start, end, precision, approx, fuzzy, label } of a typed date, or null
+function parseWorldDate(value) {
+    let text = String(value ?? '').trim();
+    if (!text) return null;
     
-    sidebar.classList.remove('open');
-    overlay.classList.remove('active');
-    toggle.textContent = '☰';
+    let label = '';
+    const named = text.match(/^(.*?)\s*\(([^)]*)\)\s*$/);
+    if (named) {
+        text = named[1];
+        label = named[2].trim();
+    }
+    
+    text = normalizeSearchText(text).replace(/\s+/g, ' ').trim();
+    let approx = false;
+    const guess = text.match(/^(?:~|c\.|ca\.|cerca de|por volta de)\s*/);
+    if (guess) {
+        approx = true;
+        text = text.slice(guess[0].length);
+    }
+    
+    const qualifier = worldDateQualifiers.find(q => q.pattern.test(text));
+    if (qualifier) text = text.replace(qualifier.pattern, '');
+    
+    const { era, text: dateText } = splitWorldEra(text);
+    const period = parseWorldDatePeriod(dateText, era);
+    if (!period) return null;
+    
+    if (qualifier && period.end - period.start >= 3) {
+        const third = (period.end - period.start) / 3;
+        const start = period.start + Math.floor(third * qualifier.third);
+        period.end = period.start + Math.floor(third * (qualifier.third + 1));
+        period.start = start;
+    }
+    
+    return { ...period, approx, fuzzy: approx || !!qualifier, label };
 }
 
-// Carousel functions
-function scrollCarousel(type, direction) {
-    const track = document.getElementById(`track-${type}`);
-    const cards = track.querySelectorAll('.flip-card');
+// "5 de Março de 312 DR", "Março de 312 DR" or "312 DR", as precise as
+// `precision`; `weekday` puts the day's name in front
+function formatWorldDay(dayNumber, precision = 'day', { weekday = false } = {}) {
+    const { year, month, day } = worldDayToDate(dayNumber);
+    if (precision === 'year') return formatWorldYear(year);
+    if (precision === 'month') return `${worldMonthName(month)} de ${formatWorldYear(year)}`;
     
-    if (cards.length === 0) return;
+    const date = `${day} de ${worldMonthName(month)} de ${formatWorldYear(year)}`;
+    const name = weekday && worldWeekdayName(dayNumber);
+    return name ? `${name}, ${date}` : date;
+}
+
+// Typing hint for date inputs, in this world's months and eras
+function worldDatePlaceholder() {
+    const { months, eras } = getWorldCalendar();
+    const era = eras.find(e => !e.reverse);
+    const suffix = era ? ` ${era.abbr || era.name}` : '';
+    return `ex.: 12/${Math.min(3, months.length)}/312${suffix}, fim de 312${suffix} (Ano das Cinzas)`;
+}
+
+// The campaign's "today", as typed (setting `currentDate`)
+function getCurrentWorldDate() {
+    return parseWorldDate(dataStore.getSetting('currentDate', ''));
+}
+
+// Days an evento covers on the timeline, from its start and (optional) end
+// dates; null when it has no start date that can be placed
+function getEventSpan(card) {
+    const start = parseWorldDate(card.startDate);
+    if (!start) return null;
     
-    const cardWidth = 220 + 24; // card width + gap
-    const visibleCards = Math.floor(track.parentElement.offsetWidth / cardWidth) || 1;
-    const maxPosition = Math.max(0, cards.length - visibleCards);
+    const end = parseWorldDate(card.endDate);
+    const hasEnd = end && end.end > start.start;
+    return {
+        start: start.start,
+        end: hasEnd ? end.end : start.end,
+        startFuzzy: start.fuzzy,
+        endFuzzy: hasEnd ? end.fuzzy : start.fuzzy,
+        label: [start.label, hasEnd ? end.label : ''].filter(Boolean).join(' – ')
+    };
+}
+
+// Whole years between a birth date and the current in-world date; null
+// when either is missing or the birth is still to come
+function getCharacterAge(card) {
+    const birth = parseWorldDate(card.birthDate);
+    const today = getCurrentWorldDate();
+    if (!birth || !today || today.start < birth.start) return null;
+    
+    const born = worldDayToDate(birth.start);
+    const now = worldDayToDate(today.start);
+    const beforeBirthday = now.month < born.month || (now.month === born.month && now.day < born.day);
+    return now.year - born.year - (beforeBirthday ? 1 : 0);
+}
+
+// =====================================================
+// WORLD CALENDAR - editor and the campaign's current date
+// =====================================================
+// The editor takes one entry per line, parts separated by "|":
+//   months    Nome | dias | dias a mais no ano bissexto
+//   eras      Nome | sigla | primeiro ano | regressiva
+//   moons     Nome | dias do ciclo | dia de uma lua nova
+
+function calendarToLines(calendar) {
+    return {
+        months: calendar.months.map(m => [m.name, m.days, ...(m.leapDays ? [m.leapDays] : [])].join(' | ')).join('\n'),
+        weekdays: calendar.weekdays.join('\n'),
+        eras: calendar.eras.map(e => [e.name, e.abbr, e.start, ...(e.reverse ? ['regressiva'] : [])].join(' | ')).join('\n'),
+        moons: calendar.moons.map(m => [m.name, m.cycle, m.offset].join(' | ')).join('\n')
+    };
+}
+
+// Sidebar header: the current date with its weekday and moons, a day back or forward
+function renderWorldDate() {
+    const container = document.getElementById('world-date');
+    if (!container) return;
     
-    let newPosition = ui.carouselPositions[type] + direction;
-    newPosition = Math.max(0, Math.min(newPosition, maxPosition));
+    const today = getCurrentWorldDate();
+    if (!today) {
+        container.innerHTML = `
+            <button type="button" class="world-date-text" onclick="openCalendarEditor()" title="Calendário do mundo">📅 Definir data do mundo</button>
+        `;
+        return;
+    }
     
-    ui.carouselPositions[type] = newPosition;
-    track.style.transform = `translateX(-${newPosition * cardWidth}px)`;
+    const moons = worldMoonPhases(today.start);
+    container.innerHTML = `
+        <button type="button" class="world-date-step" onclick="stepWorldDate(-1)" title="Dia anterior">‹</button>
+        <button type="button" class="world-date-text" onclick="openCalendarEditor()" title="Calendário do mundo">
+            📅 ${ui.escapeHtml(formatWorldDay(today.start, today.precision, { weekday: true }))}
+            ${moons.map(moon => `<span class="world-date-moon" title="${escapeAttr(`${moon.name}: ${moon.label}`)}">${moon.icon}</span>`).join('')}
+        </button>
+        <button type="button" class="world-date-step" onclick="stepWorldDate(1)" title="Próximo dia">›</button>
+    `;
+}
+
+function setCurrentWorldDate(text) {
+    dataStore.setSetting('currentDate', text);
+    // Ages on cards count from it
+    ui.renderAll();
+    if (ui.currentCard) ui.renderCardDetail(ui.currentCard);
+}
+
+function stepWorldDate(days) {
+    const today = getCurrentWorldDate();
+    if (!today) return;
+    setCurrentWorldDate(formatWorldDay(today.start + days));
+}
+
+function openCalendarEditor() {
+    if (rejectReadOnlyEdit()) return;
+    renderCalendarEditor();
+    document.getElementById('modal-overlay').classList.add('active');
+}
+
+function renderCalendarEditor() {
+    const calendar = getWorldCalendar();
+    const lines = calendarToLines(calendar);
+    const custom = !!dataStore.getSetting('calendar', null);
+    
+    document.getElementById('modal-content').innerHTML = `
+        <div class="type-manager">
+            <div class="link-modal-header">
+                <h3>📅 Calendário do mundo</h3>
+                <button type="button" class="link-modal-close" onclick="ui.closeModal()">×</button>
+            </div>
+            <form class="type-manager-form calendar-editor" onsubmit="event.preventDefault(); saveWorldCalendar()">
+                <div class="type-manager-fields">
+                    <label class="wide">Data atual da campanha
+                        <input type="text" id="calendar-current-date" value="${escapeAttr(dataStore.getSetting('currentDate', ''))}" placeholder="${escapeAttr(worldDatePlaceholder())}">
+                    </label>
+                    <label>Meses (Nome | dias | + no bissexto)
+                        <textarea id="calendar-months" rows="8">${ui.escapeHtml(lines.months)}</textarea>
+                    </label>
+                    <label>Dias da semana (um por linha)
+                        <textarea id="calendar-weekdays" rows="8" oninput="refreshCalendarWeekdayOptions()">${ui.escapeHtml(lines.weekdays)}</textarea>
+                    </label>
+                    <label>Eras (Nome | sigla | primeiro ano | regressiva)
+                        <textarea id="calendar-eras" rows="3" placeholder="Depois da Ruína | DR | 1&#10;Antes da Ruína | AR | 1 | regressiva">${ui.escapeHtml(lines.eras)}</textarea>
+                    </label>
+                    <label>Luas (Nome | dias do ciclo | dia de lua nova)
+                        <textarea id="calendar-moons" rows="3" placeholder="Selene | 29.5 | 0">${ui.escapeHtml(lines.moons)}</textarea>
+                    </label>
+                    <label>1º dia do ano 0 cai em
+                        <select id="calendar-first-weekday"></select>
+                    </label>
+                </div>
+                <fieldset>
+                    <legend>Anos bissextos</legend>
+                    <label class="type-manager-check">A cada <input type="number" id="calendar-leap-every" min="0" value="${calendar.leap.every}"> anos</label>
+                    <label class="type-manager-check">exceto a cada <input type="number" id="calendar-leap-except" min="0" value="${calendar.leap.except}"></label>
+                    <label class="type-manager-check">mas sim a cada <input type="number" id="calendar-leap-unless" min="0" value="${calendar.leap.unless}"></label>
+                </fieldset>
+                <div class="type-manager-actions">
+                    ${custom ? '<button type="button" class="btn-secondary" onclick="resetWorldCalendar()">Usar calendário gregoriano</button>' : ''}
+                    <button type="submit" class="btn-primary">Salvar calendário</button>
+                </div>
+            </form>
+        </div>
+    `;
+    refreshCalendarWeekdayOptions(calendar.firstWeekday);
+}
+
+// Weekday choices follow the names typed above them
+function refreshCalendarWeekdayOptions(selected = null) {
+    const select = document.getElementById('calendar-first-weekday');
+    if (!select) return;
+    const current = selected ?? select.selectedIndex;
+    const names = document.getElementById('calendar-weekdays').value.split('\n').map(name => name.trim()).filter(Boolean);
+    
+    select.innerHTML = names.length === 0
+        ? '<option value="0">—</option>'
+        : names.map((name, i) => `<option value="${i}"${i === current ? ' selected' : ''}>${ui.escapeHtml(name)}</option>`).join('');
+}
+
+// Calendar from the editor; throws with a readable message on a bad line
+function readCalendarEditor() {
+    const value = (id) => document.getElementById(id).value;
+    const number = (text) => (text === undefined || text === '' ? NaN : Number(text.replace(',', '.')));
+    
+    const months = splitPipeLines(value('calendar-months')).map(([name, days, leapDays]) => {
+        if (!Number.isInteger(number(days)) || number(days) < 1) throw new Error(`Mês "${name}" precisa de um número de dias`);
+        return { name, days: number(days), leapDays: leapDays ? number(leapDays) : 0 };
+    });
+    if (months.length === 0) throw new Error('O calendário precisa de pelo menos um mês');
+    
+    const eras = splitPipeLines(value('calendar-eras')).map(([name, abbr, start, reverse]) => {
+        if (!Number.isInteger(number(start))) throw new Error(`Era "${name}" precisa do seu primeiro ano`);
+        return { name, abbr: abbr || '', start: number(start), reverse: normalizeSearchText(reverse || '') === 'regressiva' };
+    });
+    
+    const moons = splitPipeLines(value('calendar-moons')).map(([name, cycle, offset]) => {
+        if (!(number(cycle) >= 1)) throw new Error(`Lua "${name}" precisa de um ciclo em dias`);
+        return { name, cycle: number(cycle), offset: number(offset) || 0 };
+    });
+    
+    const leap = (id) => Math.max(0, parseInt(value(id), 10) || 0);
+    return normalizeWorldCalendar({
+        months,
+        weekdays: value('calendar-weekdays').split('\n').map(name => name.trim()).filter(Boolean),
+        firstWeekday: parseInt(value('calendar-first-weekday'), 10) || 0,
+        leap: { every: leap('calendar-leap-every'), except: leap('calendar-leap-except'), unless: leap('calendar-leap-unless') },
+        eras,
+        moons
+    });
+}
+
+function saveWorldCalendar() {
+    let calendar;
+    try {
+        calendar = readCalendarEditor();
+    } catch (error) {
+        ui.showToast(error.message, 'error');
+        return;
+    }
+    
+    // The current date is read in the new calendar
+    const previous = dataStore.getSetting('calendar', null);
+    dataStore.setSetting('calendar', calendar);
+    const currentDate = document.getElementById('calendar-current-date').value.trim();
+    if (currentDate && !parseWorldDate(currentDate)) {
+        dataStore.setSetting('calendar', previous);
+        ui.showToast(`Data atual não reconhecida: "${currentDate}"`, 'error');
+        return;
+    }
+    
+    ui.closeModal();
+    timelineView = null;
+    setCurrentWorldDate(currentDate);
+    ui.showToast('Calendário salvo', 'success');
+}
+
+function resetWorldCalendar() {
+    dataStore.setSetting('calendar', null);
+    timelineView = null;
+    renderCalendarEditor();
+    ui.renderAll();
+    ui.showToast('Calendário gregoriano restaurado', 'success');
+}
+
+// =====================================================
+// CARD FIELDS - Schema-driven form fields
+// =====================================================
+
+// Fields stored on each card type, in form order. `input` is the form
+// element holding the value; rich fields are edited in a rich editor
+// (id `editor-<input>`) that is synced into it on submit.
+const cardFieldSchema = {
+    common: [
+        { key: 'description', input: 'card-description', label: 'Descrição', icon: '📜', kind: 'rich', section: 'descricao' },
+        { key: 'notas', input: 'card-notas', label: 'Notas', icon: '📝', kind: 'rich', section: 'notas' }
+    ],
+    evento: [
+        { key: 'startDate', input: 'evento-startDate', label: 'Início', kind: 'worlddate' },
+        { key: 'endDate', input: 'evento-endDate', label: 'Fim', kind: 'worlddate' },
+        { key: 'consequences', input: 'evento-consequences', label: 'Consequências', icon: '→', kind: 'rich' },
+        { key: 'hooks', input: 'evento-hooks', label: 'Desdobramentos', icon: '🪝', kind: 'rich' }
+    ],
+    local: [
+        { key: 'atmosfera', input: 'local-atmosfera', label: 'Atmosfera', icon: '🌫', kind: 'rich' },
+        { key: 'segredos', input: 'local-segredos', label: 'Segredos e Pistas', icon: '🔮', kind: 'rich' }
+    ],
+    personagem: [
+        { key: 'occupation', input: 'personagem-occupation', label: 'Ocupação', kind: 'text' },
+        { key: 'age', input: 'personagem-age', label: 'Idade', kind: 'text' },
+        { key: 'birthDate', input: 'personagem-birthDate', label: 'Nascido em', kind: 'worlddate' },
+        { key: 'race', input: 'personagem-race', label: 'Raça', kind: 'text' },
+        { key: 'appearance', input: 'personagem-appearance', label: 'Aparência', icon: '👁', kind: 'rich' },
+        { key: 'personality', input: 'personagem-personality', label: 'Personalidade', icon: '💭', kind: 'rich' },
+        { key: 'history', input: 'personagem-history', label: 'História', icon: '📖', kind: 'rich' },
+        { key: 'secrets', input: 'personagem-secrets', label: 'Segredos', icon: '🔒', kind: 'rich' },
+        { key: 'stats', input: 'personagem-stats', label: 'Atributos e Habilidades', icon: '⚔', kind: 'rich' }
+    ]
+};
+
+// Kinds a user-defined field can have
+const cardFieldKinds = {
+    text: 'Texto curto',
+    rich: 'Texto formatado',
+    number: 'Número',
+    select: 'Lista de opções',
+    checkbox: 'Sim / não',
+    worlddate: 'Data do mundo'
+};
+
+// Fields the user added to a type, saved with the world:
+// { [typeKey]: [{ key, label, kind, options }] }
+function getCustomFieldDefinitions(type) {
+    const all = dataStore ? dataStore.getSetting('cardFields', {}) : {};
+    return all[type] || [];
+}
+
+function setCustomFieldDefinitions(type, definitions) {
+    const all = { ...dataStore.getSetting('cardFields', {}) };
+    if (definitions.length > 0) {
+        all[type] = definitions;
+    } else {
+        delete all[type];
+    }
+    dataStore.setSetting('cardFields', all);
+    // Indexed documents were built with the old field list
+    dataStore.searchIndex.clear();
+}
+
+// A saved definition in the shape of the built-in schema entries
+function toCardField(def) {
+    return {
+        key: def.key,
+        input: `field-${def.key}`,
+        label: def.label,
+        kind: def.kind,
+        options: def.options || [],
+        custom: true
+    };
+}
+
+function getCardFields(type) {
+    return [...cardFieldSchema.common, ...(cardFieldSchema[type] || []), ...getCustomFieldDefinitions(type).map(toCardField)];
+}
+
+// Readable text of a field value, as shown in details, diffs and search
+function cardFieldText(field, value) {
+    if (value === undefined || value === null || value === '') return '';
+    switch (field.kind) {
+        case 'rich': return htmlToPlainText(value);
+        case 'checkbox': return value ? 'Sim' : '';
+        default: return String(value);
+    }
+}
+
+function renderCardFieldInput(field) {
+    switch (field.kind) {
+        case 'number':
+            return `<input type="number" id="${field.input}" step="any" placeholder="${escapeAttr(field.label)}">`;
+        case 'worlddate':
+            return `<input type="text" id="${field.input}" placeholder="${escapeAttr(worldDatePlaceholder())}"
+                           title="Dia/mês/ano, mês de ano ou só o ano, com a sigla da era se houver. Aceita “início de”, “meados de”, “fim de”, “c.” e um nome entre parênteses">`;
+        case 'checkbox':
+            return `<label class="field-checkbox"><input type="checkbox" id="${field.input}"> Sim</label>`;
+        case 'select':
+            return `
+                <select id="${field.input}">
+                    <option value="">—</option>
+                    ${field.options.map(option => `<option value="${escapeAttr(option)}">${ui.escapeHtml(option)}</option>`).join('')}
+                </select>
+            `;
+        default:
+            return `<input type="text" id="${field.input}" placeholder="${escapeAttr(field.label)}">`;
+    }
+}
+
+function renderCardFields(type) {
+    const container = document.getElementById('card-fields');
+    if (!container) return;
+    
+    const fields = getCardFields(type);
+    const simpleFields = fields.filter(f => f.kind !== 'rich');
+    const richFields = fields.filter(f => f.kind === 'rich');
+    
+    let html = '';
+    
+    // Short fields share a single accordion item
+    if (simpleFields.length > 0) {
+        html += `
+            <div class="accordion-item" data-section="detalhes">
+                <button type="button" class="accordion-header" onclick="toggleAccordion(this)">
+                    <span class="accordion-icon">🪪</span>
+                    <span class="accordion-title">Detalhes</span>
+                    <span class="accordion-arrow">▼</span>
+                </button>
+                <div class="accordion-content">
+                    <div class="form-row">
+                        ${simpleFields.map(field => `
+                            <div class="form-group">
+                                <label for="${field.input}">${ui.escapeHtml(field.label)}</label>
+                                ${renderCardFieldInput(field)}
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
+    richFields.forEach(field => {
+        html += `
+            <div class="accordion-item" data-section="${field.section || field.key}">
+                <button type="button" class="accordion-header" onclick="toggleAccordion(this)">
+                    <span class="accordion-icon">${field.icon || '📄'}</span>
+                    <span class="accordion-title">${ui.escapeHtml(field.label)}</span>
+                    <span class="accordion-arrow">▼</span>
+                </button>
+                <div class="accordion-content">
+                    <div class="rich-editor-container">
+                        <div class="rich-editor-toolbar compact">
+                            <button type="button" class="toolbar-btn" data-format="bold" title="Negrito"><span class="btn-icon">B</span></button>
+                            <button type="button" class="toolbar-btn" data-format="italic" title="Itálico"><span class="btn-icon italic">I</span></button>
+                            <button type="button" class="toolbar-btn highlight-btn" data-format="highlight" title="Destacar">🖍</button>
+                            <button type="button" class="toolbar-btn tag-btn" data-format="tag" title="Tag"><span class="btn-icon">#</span></button>
+                            <button type="button" class="toolbar-btn" data-format="link-card" title="Linkar a um card">🔗</button>
+                            <button type="button" class="toolbar-btn" data-format="dice-roll" title="Inserir rolagem">🎲</button>
+                        </div>
+                        <div class="rich-editor small" id="editor-${field.input}" contenteditable="true" data-placeholder="${escapeAttr(field.label)}..."></div>
+                    </div>
+                    <input type="hidden" id="${field.input}">
+                </div>
+            </div>
+        `;
+    });
+    
+    // Characters get a structured sheet next to their free-text fields
+    if (type === 'personagem') {
+        html += `
+            <div class="accordion-item" data-section="ficha">
+                <button type="button" class="accordion-header" onclick="toggleAccordion(this)">
+                    <span class="accordion-icon">🎲</span>
+                    <span class="accordion-title">Ficha</span>
+                    <span class="accordion-arrow">▼</span>
+                </button>
+                <div class="accordion-content">
+                    <div class="stat-editor" id="stat-block-editor"></div>
+                </div>
+            </div>
+        `;
+    }
+    
+    container.innerHTML = html;
+    container.querySelectorAll('.rich-editor').forEach(editor => initRichEditor(editor));
+    renderStatBlockEditor();
+}
+
+function clearCardFields() {
+    const container = document.getElementById('card-fields');
+    if (container) container.innerHTML = '';
+}
+
+// Read every schema field of the current form into a plain object
+function collectCardFieldValues(type) {
+    const values = {};
+    
+    getCardFields(type).forEach(field => {
+        if (field.kind === 'rich') {
+            syncEditorToTextarea(`editor-${field.input}`, field.input);
+        }
+        const input = document.getElementById(field.input);
+        if (!input) return;
+        
+        if (field.kind === 'checkbox') {
+            values[field.key] = input.checked;
+            return;
+        }
+        
+        let value = input.value.trim();
+        if (field.kind === 'rich' && isEmptyRichText(value)) {
+            value = '';
+        } else if (field.kind === 'number' && value !== '') {
+            value = Number.isFinite(parseFloat(value)) ? parseFloat(value) : '';
+        }
+        values[field.key] = value;
+    });
+    
+    return values;
+}
+
+function setCardFieldValues(card) {
+    getCardFields(card.type).forEach(field => {
+        const input = document.getElementById(field.input);
+        if (!input) return;
+        
+        const value = card[field.key];
+        if (field.kind === 'checkbox') {
+            input.checked = !!value;
+            return;
+        }
+        
+        // Keep values whose option was renamed or removed since
+        if (field.kind === 'select' && value && !field.options.includes(value)) {
+            input.insertAdjacentHTML('beforeend', `<option value="${escapeAttr(value)}">${ui.escapeHtml(value)}</option>`);
+        }
+        
+        input.value = value ?? '';
+        if (field.kind === 'rich') {
+            syncTextareaToEditor(field.input, `editor-${field.input}`);
+        }
+    });
+}
+
+// Sections of the form that hold data for this card (used to open accordions)
+function getFilledFieldSections(card) {
+    const sections = new Set();
+    getCardFields(card.type).forEach(field => {
+        if (!cardFieldText(field, card[field.key])) return;
+        sections.add(field.kind === 'rich' ? (field.section || field.key) : 'detalhes');
+    });
+    return Array.from(sections);
+}
+
+function isEmptyRichText(html) {
+    if (!html) return true;
+    // Inline links and dice rolls count as content even without text around them
+    if (/data-card-id|data-formula/.test(html)) return false;
+    return html.replace(/<[^>]*>/g, '').replace(/&nbsp;|\u200B/g, '').trim() === '';
+}
+
+// =====================================================
+// STAT BLOCKS - structured character sheets from templates
+// =====================================================
+
+// A personagem may keep `statBlock`:
+//   { template, scores: { [attribute]: n }, values: { [stat]: text },
+//     proficiencyBonus, proficient: [skill or `save:<attribute>`],
+//     attacks: [{ name, attribute, bonus, damage }] }
+// The template says which attributes, values and skills a sheet has, the
+// die a check rolls and how a score becomes a modifier. The built-in
+// templates are fixed; the world's own are saved in setting `statTemplates`.
+// Entry keys come from their names, so a renamed entry starts out empty
+// and the old value shows up again if the name comes back.
+
+const statModifierRules = {
+    dnd: { label: '(valor − 10) ÷ 2', apply: (score) => Math.floor((score - 10) / 2) },
+    value: { label: 'O próprio valor', apply: (score) => score },
+    half: { label: 'Metade do valor', apply: (score) => Math.floor(score / 2) }
+};
+
+const builtinStatTemplates = [
+    {
+        key: 'dnd5e',
+        name: 'D&D 5e',
+        check: '1d20',
+        modifier: 'dnd',
+        proficiency: true,
+        saves: true,
+        attributes: [
+            { key: 'for', name: 'Força', abbr: 'FOR' },
+            { key: 'des', name: 'Destreza', abbr: 'DES' },
+            { key: 'con', name: 'Constituição', abbr: 'CON' },
+            { key: 'int', name: 'Inteligência', abbr: 'INT' },
+            { key: 'sab', name: 'Sabedoria', abbr: 'SAB' },
+            { key: 'car', name: 'Carisma', abbr: 'CAR' }
+        ],
+        stats: [
+            { key: 'nivel', name: 'Nível' },
+            { key: 'classe-de-armadura', name: 'Classe de Armadura' },
+            { key: 'pontos-de-vida', name: 'Pontos de Vida' },
+            { key: 'deslocamento', name: 'Deslocamento' }
+        ],
+        skills: [
+            { key: 'acrobacia', name: 'Acrobacia', attribute: 'des' },
+            { key: 'adestrar-animais', name: 'Adestrar Animais', attribute: 'sab' },
+            { key: 'arcanismo', name: 'Arcanismo', attribute: 'int' },
+            { key: 'atletismo', name: 'Atletismo', attribute: 'for' },
+            { key: 'atuacao', name: 'Atuação', attribute: 'car' },
+            { key: 'enganacao', name: 'Enganação', attribute: 'car' },
+            { key: 'furtividade', name: 'Furtividade', attribute: 'des' },
+            { key: 'historia', name: 'História', attribute: 'int' },
+            { key: 'intimidacao', name: 'Intimidação', attribute: 'car' },
+            { key: 'intuicao', name: 'Intuição', attribute: 'sab' },
+            { key: 'investigacao', name: 'Investigação', attribute: 'int' },
+            { key: 'medicina', name: 'Medicina', attribute: 'sab' },
+            { key: 'natureza', name: 'Natureza', attribute: 'int' },
+            { key: 'percepcao', name: 'Percepção', attribute: 'sab' },
+            { key: 'persuasao', name: 'Persuasão', attribute: 'car' },
+            { key: 'prestidigitacao', name: 'Prestidigitação', attribute: 'des' },
+            { key: 'religiao', name: 'Religião', attribute: 'int' },
+            { key: 'sobrevivencia', name: 'Sobrevivência', attribute: 'sab' }
+        ]
+    },
+    {
+        key: 'generic',
+        name: 'Genérico',
+        check: '2d6',
+        modifier: 'value',
+        proficiency: false,
+        saves: false,
+        attributes: [
+            { key: 'fis', name: 'Físico', abbr: 'FIS' },
+            { key: 'agi', name: 'Agilidade', abbr: 'AGI' },
+            { key: 'men', name: 'Mente', abbr: 'MEN' },
+            { key: 'pre', name: 'Presença', abbr: 'PRE' }
+        ],
+        stats: [
+            { key: 'vida', name: 'Vida' },
+            { key: 'defesa', name: 'Defesa' },
+            { key: 'movimento', name: 'Movimento' }
+        ],
+        skills: [
+            { key: 'combate', name: 'Combate', attribute: 'fis' },
+            { key: 'pontaria', name: 'Pontaria', attribute: 'agi' },
+            { key: 'furtividade', name: 'Furtividade', attribute: 'agi' },
+            { key: 'percepcao', name: 'Percepção', attribute: 'men' },
+            { key: 'conhecimento', name: 'Conhecimento', attribute: 'men' },
+            { key: 'persuasao', name: 'Persuasão', attribute: 'pre' },
+            { key: 'vontade', name: 'Vontade', attribute: 'pre' }
+        ]
+    }
+];
+
+function statEntryKey(text) {
+    return normalizeSearchText(text).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
 }
 
-function toggleFlipCard(event, cardId) {
-    // Don't flip if clicking action button
-    if (event.target.closest('.flip-card-action')) return;
-    
-    // Don't flip if we actually dragged (moved the carousel)
-    if (ui.dragState.hasMoved) return;
-    
-    const card = document.querySelector(`.flip-card[data-card-id="${cardId}"]`);
-    if (card) {
-        card.classList.toggle('flipped');
-    }
+// Templates the user created, saved with the world
+function getUserStatTemplates() {
+    return dataStore ? dataStore.getSetting('statTemplates', []) : [];
 }
 
-function openCardDetail(event, cardId) {
-    event.stopPropagation();
-    ui.openCard(cardId);
+function getStatTemplates() {
+    return [...builtinStatTemplates, ...getUserStatTemplates()];
 }
 
-function closeCardDetail(event) {
-    if (event && event.target !== event.currentTarget) return;
-    
-    const overlay = document.getElementById('card-detail-overlay');
-    overlay.classList.remove('active');
-    ui.currentCard = null;
-    ui.updateBreadcrumb();
-    ui.renderCardsList();
+function getStatTemplate(key) {
+    return getStatTemplates().find(template => template.key === key) || null;
 }
 
-function selectTypeFromCarousel(type) {
-    // Small delay to let the view change first
-    setTimeout(() => {
-        ui.selectType(type);
-    }, 100);
+function createStatTemplateKey(name) {
+    const slug = statEntryKey(name) || 'ficha';
+    let key = `st-${slug}`;
+    for (let n = 2; getStatTemplate(key); n++) key = `st-${slug}-${n}`;
+    return key;
 }
 
-function exportCards() {
-    const cards = dataStore.getAllCards();
-    
-    if (cards.length === 0) {
-        ui.showToast('Nenhum card para exportar', 'error');
-        return;
-    }
-    
-    const exportData = {
-        version: '1.0',
-        exportDate: new Date().toISOString(),
-        cards: cards
+// Template from settings, the editor or a file, cleaned up; null when unusable.
+// Keys are the ones `createStatTemplateKey` makes, since they go into handlers.
+function normalizeStatTemplate(raw) {
+    if (!raw || typeof raw !== 'object' || typeof raw.key !== 'string' || !/^st-[a-z0-9-]+$/.test(raw.key)) return null;
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    if (!name) return null;
+    
+    // Entries without a usable name, or repeating one, are left out
+    const entries = (list, extra) => {
+        const seen = new Set();
+        return (Array.isArray(list) ? list : [])
+            .filter(entry => entry && typeof entry.name === 'string' && entry.name.trim())
+            .map(entry => ({ key: statEntryKey(entry.key || entry.name), name: entry.name.trim(), ...extra(entry) }))
+            .filter(entry => entry.key && !seen.has(entry.key) && seen.add(entry.key));
     };
+    const attributes = entries(raw.attributes, entry => ({
+        abbr: typeof entry.abbr === 'string' && entry.abbr.trim() ? entry.abbr.trim().slice(0, 4) : entry.name.trim().slice(0, 3).toUpperCase()
+    }));
+    const attributeKeys = new Set(attributes.map(attribute => attribute.key));
     
-    const json = JSON.stringify(exportData, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `narrative-cards-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
-    ui.showToast(`${cards.length} cards exportados com sucesso!`, 'success');
+    return {
+        key: raw.key,
+        name,
+        check: typeof raw.check === 'string' && isValidDiceFormula(raw.check) ? raw.check.replace(/\s/g, '') : '1d20',
+        modifier: statModifierRules[raw.modifier] ? raw.modifier : 'value',
+        proficiency: raw.proficiency === true,
+        saves: raw.saves === true,
+        attributes,
+        stats: entries(raw.stats, () => ({})),
+        skills: entries(raw.skills, entry => ({
+            attribute: attributeKeys.has(entry.attribute) ? entry.attribute : ''
+        }))
+    };
 }
 
-function importCards(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-    
-    const reader = new FileReader();
-    
-    reader.onload = function(e) {
-        try {
-            const data = JSON.parse(e.target.result);
-            
-            if (!data.cards || !Array.isArray(data.cards)) {
-                throw new Error('Formato de arquivo inválido');
-            }
-            
-            const existingIds = dataStore.getAllCards().map(c => c.id);
-            let imported = 0;
-            let skipped = 0;
-            
-            // Create a mapping for old IDs to new IDs
-            const idMapping = {};
-            
-            // First pass: create all cards with new IDs
-            data.cards.forEach(card => {
-                const oldId = card.id;
-                const newId = dataStore.generateId();
-                idMapping[oldId] = newId;
-            });
-            
-            // Second pass: import cards with updated references
-            data.cards.forEach(card => {
-                const newCard = { ...card };
-                newCard.id = idMapping[card.id];
-                
-                // Update connection references
-                if (newCard.adjacentLocations) {
-                    newCard.adjacentLocations = newCard.adjacentLocations
-                        .map(id => idMapping[id] || id)
-                        .filter(id => id);
-                }
-                if (newCard.presentCharacters) {
-                    newCard.presentCharacters = newCard.presentCharacters
-                        .map(id => idMapping[id] || id)
-                        .filter(id => id);
-                }
-                if (newCard.bonds) {
-                    newCard.bonds = newCard.bonds
-                        .map(id => idMapping[id] || id)
-                        .filter(id => id);
-                }
-                // New event-specific fields
-                if (newCard.relatedLocations) {
-                    newCard.relatedLocations = newCard.relatedLocations
-                        .map(id => idMapping[id] || id)
-                        .filter(id => id);
-                }
-                if (newCard.relatedCharacters) {
-                    newCard.relatedCharacters = newCard.relatedCharacters
-                        .map(id => idMapping[id] || id)
-                        .filter(id => id);
-                }
-                // Update card IDs in rich text content
-                if (newCard.description) {
-                    newCard.description = updateCardIdsInContent(newCard.description, idMapping);
-                }
-                if (newCard.consequences) {
-                    newCard.consequences = updateCardIdsInContent(newCard.consequences, idMapping);
-                }
-                if (newCard.hooks) {
-                    newCard.hooks = updateCardIdsInContent(newCard.hooks, idMapping);
-                }
-                
-                // Assign number if not present
-                if (!newCard.number) {
-                    newCard.number = dataStore.getNextNumber(newCard.type);
-                }
-                
-                newCard.createdAt = new Date().toISOString();
-                newCard.updatedAt = new Date().toISOString();
-                
-                dataStore.cards.push(newCard);
-                imported++;
-            });
-            
-            // Ensure all cards have proper numbers
-            dataStore.ensureAllCardsHaveNumbers();
-            
-            ui.renderCardsList();
-            ui.renderCarousels();
-            ui.updateWelcomeScreen();
-            
-            ui.showToast(`${imported} cards importados com sucesso!`, 'success');
-            
-        } catch (error) {
-            console.error('Import error:', error);
-            ui.showToast('Erro ao importar: arquivo inválido', 'error');
-        }
-    };
+// Clean copy of a card's stat block (from the form, storage or a file)
+function normalizeStatBlock(raw) {
+    if (!raw || typeof raw !== 'object' || typeof raw.template !== 'string' || !raw.template) return null;
+    const record = (value, valid) => Object.fromEntries(Object.entries(value && typeof value === 'object' ? value : {})
+        .filter(([, entry]) => valid(entry)));
     
-    reader.onerror = function() {
-        ui.showToast('Erro ao ler o arquivo', 'error');
+    return {
+        template: raw.template,
+        scores: record(raw.scores, Number.isInteger),
+        values: record(raw.values, entry => typeof entry === 'string' && entry.trim() !== ''),
+        proficiencyBonus: Number.isInteger(raw.proficiencyBonus) ? raw.proficiencyBonus : 2,
+        proficient: Array.isArray(raw.proficient) ? raw.proficient.filter(key => typeof key === 'string') : [],
+        attacks: (Array.isArray(raw.attacks) ? raw.attacks : [])
+            .filter(attack => attack && typeof attack.name === 'string' && attack.name.trim())
+            .map(attack => ({
+                name: attack.name.trim(),
+                attribute: typeof attack.attribute === 'string' ? attack.attribute : '',
+                bonus: Number.isInteger(attack.bonus) ? attack.bonus : 0,
+                damage: typeof attack.damage === 'string' ? attack.damage.trim() : ''
+            }))
     };
-    
-    reader.readAsText(file);
-    
-    // Reset input so the same file can be selected again
-    event.target.value = '';
 }
 
-// Helper function to update card IDs in rich text content
-function updateCardIdsInContent(content, idMapping) {
-    if (!content) return content;
-    
-    // Update data-card-id attributes
-    return content.replace(/data-card-id="([^"]+)"/g, (match, oldId) => {
-        const newId = idMapping[oldId];
-        return newId ? `data-card-id="${newId}"` : match;
-    });
+// Modifier of an attribute; null while its score is empty
+function getStatModifier(template, block, attributeKey) {
+    const score = block.scores[attributeKey];
+    return Number.isFinite(score) ? statModifierRules[template.modifier].apply(score) : null;
 }
 
-// =====================================================
-// IMAGE UPLOAD FUNCTIONS
-// =====================================================
+function isStatProficient(block, key) {
+    return block.proficient.includes(key);
+}
 
-let currentCardImage = null;
-let currentImagePositionX = 50; // Percentage (0-100), 50 = center
-let currentImagePositionY = 50; // Percentage (0-100), 50 = center
+// Bonus added to a check: the attribute's modifier, plus the proficiency
+// bonus when the template uses one and the character has it
+function getStatCheckBonus(template, block, attributeKey, proficiencyKey = null) {
+    const modifier = getStatModifier(template, block, attributeKey) || 0;
+    const proficient = template.proficiency && proficiencyKey && isStatProficient(block, proficiencyKey);
+    return modifier + (proficient ? block.proficiencyBonus : 0);
+}
 
-// Drag state for image positioning
-let imageDragState = {
-    isDragging: false,
-    startX: 0,
-    startY: 0,
-    startPositionX: 50,
-    startPositionY: 50
-};
+// Attacks add their attribute (and, on templates with proficiency, the
+// proficiency bonus) to their own bonus
+function getStatAttackBonus(template, block, attack) {
+    if (!attack.attribute) return attack.bonus;
+    const modifier = getStatModifier(template, block, attack.attribute) || 0;
+    return modifier + (template.proficiency ? block.proficiencyBonus : 0) + attack.bonus;
+}
 
-function handleImageUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-    
-    // Validate file type
-    if (!file.type.startsWith('image/')) {
-        ui.showToast('Por favor, selecione um arquivo de imagem', 'error');
-        return;
+function formatStatBonus(value) {
+    return value < 0 ? `−${Math.abs(value)}` : `+${value}`;
+}
+
+// Dice formula for a die plus a flat bonus, in the notation rollDice reads
+function statRollFormula(dice, bonus) {
+    return bonus === 0 ? dice : `${dice}${bonus < 0 ? '-' : '+'}${Math.abs(bonus)}`;
+}
+
+// Roll one entry of a card's sheet: an attribute check, a save, a skill,
+// or an attack's hit or damage (by index)
+function rollStatBlock(cardId, kind, key) {
+    const card = dataStore.getCard(cardId);
+    const block = card && normalizeStatBlock(card.statBlock);
+    const template = block && getStatTemplate(block.template);
+    if (!template) return;
+    
+    let name;
+    let formula;
+    if (kind === 'attribute' || kind === 'save') {
+        const attribute = template.attributes.find(entry => entry.key === key);
+        if (!attribute) return;
+        name = kind === 'save' ? `Salvaguarda de ${attribute.name}` : attribute.name;
+        formula = statRollFormula(template.check, getStatCheckBonus(template, block, key, kind === 'save' ? `save:${key}` : null));
+    } else if (kind === 'skill') {
+        const skill = template.skills.find(entry => entry.key === key);
+        if (!skill) return;
+        name = skill.name;
+        formula = statRollFormula(template.check, getStatCheckBonus(template, block, skill.attribute, skill.key));
+    } else {
+        const attack = block.attacks[key];
+        if (!attack) return;
+        name = kind === 'damage' ? `${attack.name} (dano)` : attack.name;
+        formula = kind === 'damage' ? attack.damage : statRollFormula(template.check, getStatAttackBonus(template, block, attack));
     }
     
-    // Validate file size (max 5MB)
-    if (file.size > 5 * 1024 * 1024) {
-        ui.showToast('A imagem deve ter no máximo 5MB', 'error');
+    const formulaError = getDiceFormulaError(formula);
+    if (formulaError) {
+        ui.showToast(`Não foi possível rolar ${name}: ${formulaError}`, 'error');
         return;
     }
-    
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        currentCardImage = e.target.result;
-        currentImagePositionX = 50; // Reset to center for new image
-        currentImagePositionY = 50;
-        showImagePreview(currentCardImage);
-    };
-    reader.readAsDataURL(file);
+    executeDiceRoll(`${card.name}: ${name}`, formula);
 }
 
-function showImagePreview(imageSrc) {
-    const preview = document.getElementById('image-preview');
-    const previewImg = document.getElementById('preview-img');
-    const placeholder = document.getElementById('image-placeholder');
-    const removeBtn = document.getElementById('remove-image-btn');
-    const positionControls = document.getElementById('image-position-controls');
-    const nameBar = document.getElementById('preview-name-bar');
-    
-    previewImg.src = imageSrc;
-    previewImg.style.display = 'block';
-    previewImg.style.objectPosition = `${currentImagePositionX}% ${currentImagePositionY}%`;
-    placeholder.style.display = 'none';
-    removeBtn.style.display = 'flex';
-    positionControls.style.display = 'block';
-    nameBar.style.display = 'flex';
-    preview.classList.add('has-image');
-    
-    // Update name in preview
-    updatePreviewName();
+// Revision diff note for a stat block change, or null
+function describeStatBlockChange(before, after) {
+    const oldBlock = normalizeStatBlock(before);
+    const newBlock = normalizeStatBlock(after);
+    if (JSON.stringify(oldBlock) === JSON.stringify(newBlock)) return null;
+    if (!oldBlock) return 'Ficha criada';
+    if (!newBlock) return 'Ficha removida';
+    if (oldBlock.template !== newBlock.template) {
+        const template = getStatTemplate(newBlock.template);
+        return `Modelo trocado${template ? ` para ${template.name}` : ''}`;
+    }
+    return 'Valores da ficha alterados';
 }
 
-function hideImagePreview() {
-    const preview = document.getElementById('image-preview');
-    const previewImg = document.getElementById('preview-img');
-    const placeholder = document.getElementById('image-placeholder');
-    const removeBtn = document.getElementById('remove-image-btn');
-    const positionControls = document.getElementById('image-position-controls');
-    const nameBar = document.getElementById('preview-name-bar');
+// =====================================================
+// STAT BLOCK EDITOR - the sheet in the card form
+// =====================================================
+
+let currentStatBlock = null;   // stat block of the card in the form, null without one
+
+function setStatBlockData(statBlock) {
+    currentStatBlock = normalizeStatBlock(statBlock);
+    renderStatBlockEditor();
+}
+
+function clearStatBlockData() {
+    currentStatBlock = null;
+}
+
+// Only the template's own entries are saved; a switched template leaves
+// the other one's values behind
+function getStatBlockData() {
+    const block = currentStatBlock;
+    const template = block && getStatTemplate(block.template);
+    if (!template) return null;
+    
+    const attributeKeys = new Set(template.attributes.map(entry => entry.key));
+    const proficientKeys = new Set([
+        ...template.skills.map(entry => entry.key),
+        ...(template.saves ? template.attributes.map(entry => `save:${entry.key}`) : [])
+    ]);
+    const pick = (record, keys) => Object.fromEntries(Object.entries(record).filter(([key]) => keys.has(key)));
+    
+    return normalizeStatBlock({
+        ...block,
+        scores: pick(block.scores, attributeKeys),
+        values: pick(block.values, new Set(template.stats.map(entry => entry.key))),
+        proficient: template.proficiency ? block.proficient.filter(key => proficientKeys.has(key)) : [],
+        attacks: block.attacks.map(attack => attributeKeys.has(attack.attribute) ? attack : { ...attack, attribute: '' })
+    });
+}
+
+// Why the sheet can't be saved, or null
+function validateStatBlock(block) {
+    if (!block) return null;
+    const attack = block.attacks.find(entry => entry.damage && !isValidDiceFormula(entry.damage));
+    return attack ? `Dano inválido em "${attack.name}": use formatos como 1d8+3` : null;
+}
+
+function renderStatBlockEditor() {
+    const container = document.getElementById('stat-block-editor');
+    if (!container) return;
     
-    previewImg.src = '';
-    previewImg.style.display = 'none';
-    previewImg.style.objectPosition = '';
-    placeholder.style.display = 'flex';
-    removeBtn.style.display = 'none';
-    positionControls.style.display = 'none';
-    nameBar.style.display = 'none';
-    preview.classList.remove('has-image');
+    const block = currentStatBlock;
+    const template = block && getStatTemplate(block.template);
+    const options = getStatTemplates().map(entry => `
+        <option value="${entry.key}"${template && entry.key === template.key ? ' selected' : ''}>${ui.escapeHtml(entry.name)}</option>
+    `).join('');
+    
+    let html = `
+        <div class="stat-editor-head">
+            <select id="stat-template" onchange="setStatBlockTemplate(this.value)">
+                <option value="">Sem ficha</option>
+                ${options}
+            </select>
+            <button type="button" class="btn-secondary" onclick="openStatTemplateManager()">⚙ Modelos</button>
+        </div>
+    `;
+    
+    if (template) {
+        const number = (value) => Number.isFinite(value) ? value : '';
+        html += `
+            <div class="stat-editor-attributes">
+                ${template.attributes.map(attribute => `
+                    <label class="stat-editor-attribute" title="${escapeAttr(attribute.name)}">
+                        <span>${ui.escapeHtml(attribute.abbr)}</span>
+                        <input type="number" step="1" value="${number(block.scores[attribute.key])}" oninput="updateStatScore('${attribute.key}', this.value)">
+                        <small data-stat-modifier="${attribute.key}"></small>
+                    </label>
+                `).join('')}
+            </div>
+            <div class="stat-editor-values">
+                ${template.stats.map(stat => `
+                    <div class="form-group">
+                        <label>${ui.escapeHtml(stat.name)}</label>
+                        <input type="text" value="${escapeAttr(block.values[stat.key] || '')}" oninput="updateStatValue('${stat.key}', this.value)">
+                    </div>
+                `).join('')}
+                ${template.proficiency ? `
+                    <div class="form-group">
+                        <label>Bônus de proficiência</label>
+                        <input type="number" step="1" value="${block.proficiencyBonus}" oninput="updateStatProficiencyBonus(this.value)">
+                    </div>
+                ` : ''}
+            </div>
+            ${template.saves ? `
+                <div class="stat-editor-label">Salvaguardas</div>
+                <div class="stat-editor-checks">
+                    ${template.attributes.map(attribute => renderStatEditorCheck(template, `save:${attribute.key}`, attribute.name, attribute.key)).join('')}
+                </div>
+            ` : ''}
+            ${template.skills.length > 0 ? `
+                <div class="stat-editor-label">Perícias${template.proficiency ? ' (marque as proficientes)' : ''}</div>
+                <div class="stat-editor-checks">
+                    ${template.skills.map(skill => renderStatEditorCheck(template, skill.key, skill.name, skill.attribute)).join('')}
+                </div>
+            ` : ''}
+            <div class="stat-editor-label">Ataques</div>
+            <div class="stat-editor-attacks">
+                ${block.attacks.map((attack, index) => `
+                    <div class="stat-editor-attack">
+                        <input type="text" value="${escapeAttr(attack.name)}" placeholder="Nome" oninput="updateStatAttack(${index}, 'name', this.value)">
+                        <select onchange="updateStatAttack(${index}, 'attribute', this.value)" title="Atributo somado ao acerto">
+                            <option value="">—</option>
+                            ${template.attributes.map(attribute => `
+                                <option value="${attribute.key}"${attribute.key === attack.attribute ? ' selected' : ''}>${ui.escapeHtml(attribute.abbr)}</option>
+                            `).join('')}
+                        </select>
+                        <input type="number" step="1" value="${attack.bonus}" title="Bônus de acerto" oninput="updateStatAttack(${index}, 'bonus', this.value)">
+                        <input type="text" value="${escapeAttr(attack.damage)}" placeholder="Dano (1d8+3)" oninput="updateStatAttack(${index}, 'damage', this.value)">
+                        <button type="button" class="stat-editor-remove" onclick="removeStatAttack(${index})" title="Remover ataque">×</button>
+                    </div>
+                `).join('')}
+                <button type="button" class="fc-sublocation-add" onclick="addStatAttack()">+ Ataque</button>
+            </div>
+        `;
+    }
+    
+    container.innerHTML = html;
+    refreshStatBlockDerived();
 }
 
-function removeCardImage() {
-    currentCardImage = null;
-    currentImagePositionX = 50;
-    currentImagePositionY = 50;
-    hideImagePreview();
-    document.getElementById('card-image').value = '';
+function renderStatEditorCheck(template, key, name, attributeKey) {
+    const attribute = template.attributes.find(entry => entry.key === attributeKey);
+    return `
+        <label class="stat-editor-check">
+            ${template.proficiency ? `<input type="checkbox"${isStatProficient(currentStatBlock, key) ? ' checked' : ''} onchange="toggleStatProficiency('${key}', this.checked)">` : ''}
+            ${ui.escapeHtml(name)}${attribute && !key.startsWith('save:') ? ` <small>${ui.escapeHtml(attribute.abbr)}</small>` : ''}
+            <strong data-stat-check="${key}" data-stat-attribute="${attributeKey}"></strong>
+        </label>
+    `;
 }
 
-function initImageUpload() {
-    const preview = document.getElementById('image-preview');
-    const fileInput = document.getElementById('card-image');
-    const previewImg = document.getElementById('preview-img');
-    const nameInput = document.getElementById('card-name');
+// Modifiers and check bonuses follow the numbers as they are typed
+function refreshStatBlockDerived() {
+    const block = currentStatBlock;
+    const template = block && getStatTemplate(block.template);
+    const container = document.getElementById('stat-block-editor');
+    if (!template || !container) return;
     
-    // Click on preview to trigger file upload (only when no image)
-    preview.addEventListener('click', (e) => {
-        // Don't trigger if clicking on remove button or if dragging
-        if (e.target.id === 'remove-image-btn' || e.target.closest('#remove-image-btn')) {
-            return;
-        }
-        // Only open file picker if no image yet
-        if (!preview.classList.contains('has-image')) {
-            fileInput.click();
-        }
+    container.querySelectorAll('[data-stat-modifier]').forEach(element => {
+        const modifier = getStatModifier(template, block, element.dataset.statModifier);
+        element.textContent = modifier === null ? '' : formatStatBonus(modifier);
     });
-    
-    // Double click to change image
-    preview.addEventListener('dblclick', (e) => {
-        if (e.target.id === 'remove-image-btn' || e.target.closest('#remove-image-btn')) {
-            return;
-        }
-        fileInput.click();
+    container.querySelectorAll('[data-stat-check]').forEach(element => {
+        element.textContent = formatStatBonus(getStatCheckBonus(template, block, element.dataset.statAttribute, element.dataset.statCheck));
     });
+}
+
+function setStatBlockTemplate(key) {
+    if (!key) {
+        currentStatBlock = null;
+    } else {
+        currentStatBlock = normalizeStatBlock({ ...(currentStatBlock || {}), template: key });
+    }
+    renderStatBlockEditor();
+}
+
+function updateStatScore(key, value) {
+    if (!currentStatBlock) return;
+    const score = parseInt(value, 10);
+    if (Number.isInteger(score)) {
+        currentStatBlock.scores[key] = score;
+    } else {
+        delete currentStatBlock.scores[key];
+    }
+    refreshStatBlockDerived();
+}
+
+function updateStatValue(key, value) {
+    if (currentStatBlock) currentStatBlock.values[key] = value;
+}
+
+function updateStatProficiencyBonus(value) {
+    if (!currentStatBlock) return;
+    currentStatBlock.proficiencyBonus = parseInt(value, 10) || 0;
+    refreshStatBlockDerived();
+}
+
+function toggleStatProficiency(key, proficient) {
+    if (!currentStatBlock) return;
+    currentStatBlock.proficient = currentStatBlock.proficient.filter(entry => entry !== key);
+    if (proficient) currentStatBlock.proficient.push(key);
+    refreshStatBlockDerived();
+}
+
+function addStatAttack() {
+    if (!currentStatBlock) return;
+    currentStatBlock.attacks.push({ name: '', attribute: '', bonus: 0, damage: '' });
+    renderStatBlockEditor();
+}
+
+function updateStatAttack(index, field, value) {
+    const attack = currentStatBlock && currentStatBlock.attacks[index];
+    if (!attack) return;
+    attack[field] = field === 'bonus' ? parseInt(value, 10) || 0 : value;
+}
+
+function removeStatAttack(index) {
+    if (!currentStatBlock) return;
+    currentStatBlock.attacks.splice(index, 1);
+    renderStatBlockEditor();
+}
+
+// =====================================================
+// STAT TEMPLATE MANAGER - the world's own sheet templates
+// =====================================================
+// Entries are typed one per line, parts separated by "|":
+//   attributes  Nome | sigla
+//   skills      Nome | sigla do atributo
+//   stats       Nome
+
+// Key of the template open in the editor; null while creating a new one
+let statTemplateEditingKey = null;
+// Built-in template copied into a new one
+let statTemplateDraftSource = null;
+
+function openStatTemplateManager(key = null, copyFrom = null) {
+    if (rejectReadOnlyEdit()) return;
+    statTemplateEditingKey = key;
+    statTemplateDraftSource = copyFrom;
+    renderStatTemplateManager();
+    document.getElementById('modal-overlay').classList.add('active');
+}
+
+function countStatTemplateUses(key) {
+    return dataStore.getAllCards().filter(card => card.statBlock && card.statBlock.template === key).length;
+}
+
+function renderStatTemplateManager() {
+    const editing = statTemplateEditingKey ? getStatTemplate(statTemplateEditingKey) : null;
+    const source = statTemplateDraftSource ? getStatTemplate(statTemplateDraftSource) : null;
+    const draft = editing || (source && { ...source, name: `${source.name} (cópia)` }) || {
+        name: '', check: '1d20', modifier: 'value', proficiency: false, saves: false, attributes: [], stats: [], skills: []
+    };
+    const abbrOf = (attributeKey) => {
+        const attribute = draft.attributes.find(entry => entry.key === attributeKey);
+        return attribute ? attribute.abbr : '';
+    };
     
-    // Mouse drag for positioning
-    preview.addEventListener('mousedown', (e) => startImageDrag(e, preview));
-    document.addEventListener('mousemove', (e) => onImageDrag(e));
-    document.addEventListener('mouseup', () => endImageDrag());
-    
-    // Touch drag for positioning
-    preview.addEventListener('touchstart', (e) => startImageDrag(e, preview), { passive: false });
-    document.addEventListener('touchmove', (e) => onImageDrag(e), { passive: false });
-    document.addEventListener('touchend', () => endImageDrag());
+    const listHtml = getStatTemplates().map(template => {
+        const count = countStatTemplateUses(template.key);
+        const isUser = !builtinStatTemplates.some(builtin => builtin.key === template.key);
+        return `
+            <div class="type-manager-row${template.key === statTemplateEditingKey ? ' active' : ''}">
+                <span class="type-manager-icon">⚔</span>
+                <div class="type-manager-text">
+                    <strong>${ui.escapeHtml(template.name)}</strong>
+                    <small>${count} ${count === 1 ? 'ficha' : 'fichas'}${isUser ? '' : ' · padrão'}</small>
+                </div>
+                <button type="button" class="type-manager-btn" onclick="openStatTemplateManager(null, '${template.key}')" title="Copiar">⧉</button>
+                ${isUser ? `
+                    <button type="button" class="type-manager-btn" onclick="openStatTemplateManager('${template.key}')" title="Editar">✎</button>
+                    <button type="button" class="type-manager-btn" onclick="deleteStatTemplate('${template.key}')" title="Excluir">🗑</button>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
     
-    // Update preview name when typing
-    nameInput.addEventListener('input', updatePreviewName);
+    document.getElementById('modal-content').innerHTML = `
+        <div class="type-manager">
+            <div class="link-modal-header">
+                <h3>⚔ Modelos de ficha</h3>
+                <button type="button" class="link-modal-close" onclick="ui.closeModal()">×</button>
+            </div>
+            <div class="type-manager-body">
+                <div class="type-manager-list">
+                    ${listHtml}
+                    <button type="button" class="type-manager-new" onclick="openStatTemplateManager()">+ Novo modelo</button>
+                </div>
+                <form class="type-manager-form" onsubmit="event.preventDefault(); saveStatTemplate()">
+                    <h4>${editing ? `Editar ${ui.escapeHtml(editing.name)}` : 'Novo modelo'}</h4>
+                    <div class="type-manager-fields">
+                        <label>Nome <input type="text" id="stat-template-name" maxlength="30" required value="${escapeAttr(draft.name)}" placeholder="Meu sistema"></label>
+                        <label class="short">Dado de teste <input type="text" id="stat-template-check" value="${escapeAttr(draft.check)}" placeholder="1d20"></label>
+                        <label>Modificador do atributo
+                            <select id="stat-template-modifier">
+                                ${Object.entries(statModifierRules).map(([key, rule]) => `
+                                    <option value="${key}"${key === draft.modifier ? ' selected' : ''}>${ui.escapeHtml(rule.label)}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <label>Atributos (Nome | sigla)
+                            <textarea id="stat-template-attributes" rows="6" placeholder="Força | FOR">${ui.escapeHtml(draft.attributes.map(entry => `${entry.name} | ${entry.abbr}`).join('\n'))}</textarea>
+                        </label>
+                        <label>Perícias (Nome | sigla do atributo)
+                            <textarea id="stat-template-skills" rows="6" placeholder="Atletismo | FOR">${ui.escapeHtml(draft.skills.map(entry => [entry.name, abbrOf(entry.attribute)].filter(Boolean).join(' | ')).join('\n'))}</textarea>
+                        </label>
+                        <label>Outros valores (um por linha)
+                            <textarea id="stat-template-stats" rows="4" placeholder="Pontos de Vida">${ui.escapeHtml(draft.stats.map(entry => entry.name).join('\n'))}</textarea>
+                        </label>
+                    </div>
+                    <fieldset>
+                        <legend>Proficiência</legend>
+                        <label class="type-manager-check"><input type="checkbox" id="stat-template-proficiency"${draft.proficiency ? ' checked' : ''}> Perícias proficientes somam um bônus</label>
+                        <label class="type-manager-check"><input type="checkbox" id="stat-template-saves"${draft.saves ? ' checked' : ''}> Salvaguardas por atributo</label>
+                    </fieldset>
+                    <div class="type-manager-actions">
+                        <button type="submit" class="btn-primary">${editing ? 'Salvar modelo' : 'Criar modelo'}</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    `;
 }
 
-function updatePreviewName() {
-    const nameInput = document.getElementById('card-name');
-    const previewName = document.getElementById('preview-card-name');
-    const name = nameInput.value.trim();
-    previewName.textContent = name || 'Nome do Card';
+// Template from the editor; throws with a readable message on a bad line
+function readStatTemplateEditor(key) {
+    const value = (id) => document.getElementById(id).value;
+    const name = value('stat-template-name').trim();
+    if (!name) throw new Error('Digite um nome para o modelo');
+    
+    const check = value('stat-template-check').replace(/\s/g, '');
+    if (!isValidDiceFormula(check)) throw new Error(`Dado de teste inválido: "${check}"`);
+    
+    const attributes = splitPipeLines(value('stat-template-attributes')).map(([attributeName, abbr]) => ({
+        key: statEntryKey(abbr || attributeName), name: attributeName, abbr: abbr || ''
+    }));
+    if (attributes.length === 0) throw new Error('O modelo precisa de pelo menos um atributo');
+    
+    const skills = splitPipeLines(value('stat-template-skills')).map(([skillName, abbr]) => {
+        const attribute = abbr && attributes.find(entry =>
+            normalizeSearchText(entry.abbr) === normalizeSearchText(abbr) || normalizeSearchText(entry.name) === normalizeSearchText(abbr));
+        if (!attribute) throw new Error(`Perícia "${skillName}" precisa da sigla de um atributo`);
+        return { name: skillName, attribute: attribute.key };
+    });
+    
+    return normalizeStatTemplate({
+        key,
+        name,
+        check,
+        modifier: value('stat-template-modifier'),
+        proficiency: document.getElementById('stat-template-proficiency').checked,
+        saves: document.getElementById('stat-template-saves').checked,
+        attributes,
+        stats: splitPipeLines(value('stat-template-stats')).map(([statName]) => ({ name: statName })),
+        skills
+    });
 }
 
-function startImageDrag(e, preview) {
-    // Only start drag if there's an image
-    if (!preview.classList.contains('has-image')) return;
-    
-    // Don't start drag on remove button
-    if (e.target.id === 'remove-image-btn' || e.target.closest('#remove-image-btn')) {
+function saveStatTemplate() {
+    const key = statTemplateEditingKey || createStatTemplateKey(document.getElementById('stat-template-name').value);
+    let template;
+    try {
+        template = readStatTemplateEditor(key);
+    } catch (error) {
+        ui.showToast(error.message, 'error');
         return;
     }
     
-    e.preventDefault();
+    const duplicate = getStatTemplates().find(existing =>
+        existing.key !== key && normalizeSearchText(existing.name) === normalizeSearchText(template.name));
+    if (duplicate) {
+        ui.showToast(`Já existe um modelo chamado "${duplicate.name}"`, 'error');
+        return;
+    }
     
-    imageDragState.isDragging = true;
-    imageDragState.startX = e.type.includes('touch') ? e.touches[0].clientX : e.clientX;
-    imageDragState.startY = e.type.includes('touch') ? e.touches[0].clientY : e.clientY;
-    imageDragState.startPositionX = currentImagePositionX;
-    imageDragState.startPositionY = currentImagePositionY;
+    const userTemplates = getUserStatTemplates();
+    const index = userTemplates.findIndex(existing => existing.key === key);
+    dataStore.setSetting('statTemplates', index === -1
+        ? [...userTemplates, template]
+        : userTemplates.map(existing => existing.key === key ? template : existing));
     
-    preview.classList.add('dragging');
+    statTemplateEditingKey = key;
+    statTemplateDraftSource = null;
+    refreshStatTemplateViews();
+    renderStatTemplateManager();
+    ui.showToast(index === -1 ? `Modelo "${template.name}" criado` : `Modelo "${template.name}" atualizado`, 'success');
 }
 
-function onImageDrag(e) {
-    if (!imageDragState.isDragging) return;
-    
-    e.preventDefault();
-    
-    const currentX = e.type.includes('touch') ? e.touches[0].clientX : e.clientX;
-    const currentY = e.type.includes('touch') ? e.touches[0].clientY : e.clientY;
-    
-    const diffX = imageDragState.startX - currentX; // Inverted: drag left = show right part
-    const diffY = imageDragState.startY - currentY; // Inverted: drag up = show lower part
-    
-    // Calculate new position (sensitivity based on preview size)
-    const preview = document.getElementById('image-preview');
-    const sensitivityX = 150 / preview.offsetWidth;
-    const sensitivityY = 150 / preview.offsetHeight;
+// Only templates no card uses can go
+function deleteStatTemplate(key) {
+    const template = getStatTemplate(key);
+    const count = countStatTemplateUses(key);
+    if (count > 0) {
+        ui.showToast(`"${template.name}" ainda é usado por ${count} ${count === 1 ? 'ficha' : 'fichas'}`, 'error');
+        return;
+    }
+    if (!confirm(`Excluir o modelo "${template.name}"?`)) return;
     
-    let newPositionX = imageDragState.startPositionX + (diffX * sensitivityX);
-    let newPositionY = imageDragState.startPositionY + (diffY * sensitivityY);
+    dataStore.setSetting('statTemplates', getUserStatTemplates().filter(existing => existing.key !== key));
+    if (currentStatBlock && currentStatBlock.template === key) currentStatBlock = null;
+    if (statTemplateEditingKey === key) statTemplateEditingKey = null;
+    refreshStatTemplateViews();
+    renderStatTemplateManager();
+    ui.showToast(`Modelo "${template.name}" excluído`, 'info');
+}
+
+// The form's sheet and the open card follow template changes
+function refreshStatTemplateViews() {
+    renderStatBlockEditor();
+    if (ui.currentCard) ui.renderCardDetail(ui.currentCard);
+}
+
+// =====================================================
+// RENUMBERING - compact, sort and reorder card numbers
+// =====================================================
+
+let renumberState = null;       // { type, order: [cardId] } while the panel is open
+let renumberDragIndex = null;   // row being dragged inside the panel
+let cardListDrag = null;        // { cardId, type } while a sidebar item is dragged
+
+// Cards of a type in their current number order (unnumbered ones last)
+function cardsInNumberOrder(type) {
+    return dataStore.getCardsByType(type).slice().sort((a, b) =>
+        (a.number || Infinity) - (b.number || Infinity) ||
+        new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+}
+
+// Proposed order for one of the panel's strategies
+function renumberOrder(type, mode) {
+    const cards = cardsInNumberOrder(type);
+    if (mode === 'name') {
+        cards.sort((a, b) => (a.name || '').localeCompare(b.name || '', 'pt-BR', { sensitivity: 'base' }));
+    } else if (mode === 'created') {
+        cards.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+    }
+    return cards.map(card => card.id);
+}
+
+// Open the panel for `type` (the filtered type, or the first one with cards);
+// `order` comes from a drag in the sidebar, otherwise the numbers are compacted
+function openRenumberPanel(type = null, order = null) {
+    if (rejectReadOnlyEdit()) return;
+    const key = type
+        || (ui.currentFilter !== 'all' ? ui.currentFilter : null)
+        || (getCardTypes().find(t => dataStore.getCardsByType(t.key).length > 0) || getCardTypes()[0]).key;
+    renumberState = { type: key, order: order || renumberOrder(key, 'compact') };
+    renderRenumberPanel();
+    document.getElementById('modal-overlay').classList.add('active');
+}
+
+function setRenumberType(type) {
+    renumberState = { type, order: renumberOrder(type, 'compact') };
+    renderRenumberPanel();
+}
+
+function setRenumberOrder(mode) {
+    renumberState.order = renumberOrder(renumberState.type, mode);
+    renderRenumberPanel();
+}
+
+function moveRenumberCard(from, to) {
+    const order = renumberState.order;
+    if (to < 0 || to >= order.length || from === to) return;
+    const [id] = order.splice(from, 1);
+    order.splice(to, 0, id);
+    renderRenumberPanel();
+}
+
+function renumberChanges() {
+    return renumberState.order
+        .map((id, index) => ({ card: dataStore.getCard(id), number: index + 1 }))
+        .filter(({ card, number }) => card && card.number !== number);
+}
+
+// Old → new number of every card of the type, in the proposed order
+function renderRenumberPanel() {
+    const { type, order } = renumberState;
+    const typeInfo = getCardType(type);
+    const changed = renumberChanges().length;
     
-    // Clamp between 0 and 100
-    newPositionX = Math.max(0, Math.min(100, newPositionX));
-    newPositionY = Math.max(0, Math.min(100, newPositionY));
+    const rows = order.map((id, index) => {
+        const card = dataStore.getCard(id);
+        if (!card) return '';
+        const number = index + 1;
+        return `
+            <li class="renumber-row${card.number !== number ? ' changed' : ''}" draggable="true" data-index="${index}">
+                <span class="renumber-grip">⋮⋮</span>
+                <span class="renumber-old">${card.number || '—'}</span>
+                <span class="renumber-arrow">→</span>
+                <span class="renumber-new">${number}</span>
+                <span class="renumber-name">${ui.escapeHtml(card.name)}</span>
+                <button type="button" class="type-manager-btn" onclick="moveRenumberCard(${index}, ${index - 1})" title="Subir"${index === 0 ? ' disabled' : ''}>▲</button>
+                <button type="button" class="type-manager-btn" onclick="moveRenumberCard(${index}, ${index + 1})" title="Descer"${index === order.length - 1 ? ' disabled' : ''}>▼</button>
+            </li>
+        `;
+    }).join('');
     
-    currentImagePositionX = newPositionX;
-    currentImagePositionY = newPositionY;
+    document.getElementById('modal-content').innerHTML = `
+        <div class="renumber-panel">
+            <div class="link-modal-header">
+                <h3>🔢 Numeração</h3>
+                <button type="button" class="link-modal-close" onclick="ui.closeModal()">×</button>
+            </div>
+            <div class="renumber-body">
+                <div class="renumber-toolbar">
+                    <select onchange="setRenumberType(this.value)">
+                        ${getCardTypes().map(t => `<option value="${t.key}"${t.key === type ? ' selected' : ''}>${ui.escapeHtml(t.icon)} ${ui.escapeHtml(t.plural)}</option>`).join('')}
+                    </select>
+                    <button type="button" class="btn-secondary" onclick="setRenumberOrder('compact')" title="Mantém a ordem e fecha as lacunas">Compactar</button>
+                    <button type="button" class="btn-secondary" onclick="setRenumberOrder('name')">Por nome</button>
+                    <button type="button" class="btn-secondary" onclick="setRenumberOrder('created')">Por data de criação</button>
+                </div>
+                <p class="workspace-hint">Arraste as linhas para escolher a ordem. Nada muda até você aplicar.</p>
+                ${order.length === 0
+                    ? `<p class="renumber-empty">Nenhum card do tipo ${ui.escapeHtml(typeInfo.name)}.</p>`
+                    : `<ol class="renumber-list" id="renumber-list">${rows}</ol>`}
+            </div>
+            <div class="import-footer">
+                <span class="renumber-summary">${changed === 0 ? 'Nenhum número muda' : `${changed} ${changed === 1 ? 'card muda' : 'cards mudam'} de número`}</span>
+                <button type="button" class="btn-secondary" onclick="ui.closeModal()">Cancelar</button>
+                <button type="button" class="btn-primary" onclick="applyRenumbering()"${changed === 0 ? ' disabled' : ''}>Aplicar</button>
+            </div>
+        </div>
+    `;
+    bindRenumberDrag();
+}
+
+function bindRenumberDrag() {
+    const list = document.getElementById('renumber-list');
+    if (!list) return;
+    
+    list.addEventListener('dragstart', (e) => {
+        const row = e.target.closest('.renumber-row');
+        if (!row) return;
+        renumberDragIndex = parseInt(row.dataset.index, 10);
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', row.dataset.index);
+        row.classList.add('dragging');
+    });
+    list.addEventListener('dragover', (e) => {
+        if (renumberDragIndex === null || !e.target.closest('.renumber-row')) return;
+        e.preventDefault();
+    });
+    list.addEventListener('drop', (e) => {
+        const row = e.target.closest('.renumber-row');
+        if (renumberDragIndex === null || !row) return;
+        e.preventDefault();
+        const from = renumberDragIndex;
+        renumberDragIndex = null;
+        moveRenumberCard(from, parseInt(row.dataset.index, 10));
+    });
+    list.addEventListener('dragend', () => {
+        renumberDragIndex = null;
+        list.querySelectorAll('.dragging').forEach(row => row.classList.remove('dragging'));
+    });
+}
+
+function applyRenumbering() {
+    const { type, order } = renumberState;
+    const typeInfo = getCardType(type);
+    let changed = 0;
     
-    // Update preview
-    const previewImg = document.getElementById('preview-img');
-    previewImg.style.objectPosition = `${currentImagePositionX}% ${currentImagePositionY}%`;
+    dataStore.transact(`Renumerar ${typeInfo.plural}`, () => {
+        changed = dataStore.renumberCards(type, order);
+    });
+    ui.closeModal();
+    renumberState = null;
+    if (changed === 0) return;
+    
+    const command = dataStore.getLastCommand();
+    ui.showToast(`${changed} ${changed === 1 ? 'card renumerado' : 'cards renumerados'}`, 'success', {
+        label: 'Desfazer',
+        onClick: () => ui.undo(command)
+    });
+    ui.renderCardsList();
+    ui.renderCarousels();
+    syncRoute({ replace: true });
 }
 
-function endImageDrag() {
-    if (!imageDragState.isDragging) return;
+// Sidebar: dropping a card on another of its type proposes that order in the panel
+function initCardListDrag() {
+    const list = document.getElementById('cards-list');
+    
+    list.addEventListener('dragstart', (e) => {
+        const item = e.target.closest('.card-list-item[draggable="true"]');
+        if (!item) return;
+        cardListDrag = { cardId: item.dataset.cardId, type: item.dataset.type };
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', item.dataset.cardId);
+        item.classList.add('dragging');
+    });
+    list.addEventListener('dragover', (e) => {
+        const item = e.target.closest('.card-list-item');
+        if (!cardListDrag || !item || item.dataset.type !== cardListDrag.type) return;
+        e.preventDefault();
+        list.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+        item.classList.add('drop-target');
+    });
+    list.addEventListener('drop', (e) => {
+        const item = e.target.closest('.card-list-item');
+        if (!cardListDrag || !item || item.dataset.type !== cardListDrag.type) return;
+        e.preventDefault();
+        
+        const { cardId, type } = cardListDrag;
+        const order = cardsInNumberOrder(type).map(card => card.id);
+        const from = order.indexOf(cardId);
+        const to = order.indexOf(item.dataset.cardId);
+        if (from === -1 || to === -1 || from === to) return;
+        order.splice(from, 1);
+        order.splice(to, 0, cardId);
+        openRenumberPanel(type, order);
+    });
+    list.addEventListener('dragend', () => {
+        cardListDrag = null;
+        list.querySelectorAll('.dragging, .drop-target').forEach(el => el.classList.remove('dragging', 'drop-target'));
+    });
+}
+
+// =====================================================
+// REVISION DIFF - field-level comparison of card versions
+// =====================================================
+
+// Relations a revision was saved with (older revisions kept them in card fields)
+function getRevisionRelations(revision) {
+    return revision.relations || extractLegacyRelations(revision.card);
+}
+
+function formatRevisionDate(isoDate) {
+    return new Date(isoDate).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+// Visible text of rich-text HTML (parsed inertly, entities decoded)
+function htmlToPlainText(html) {
+    if (!html) return '';
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return (doc.body.textContent || '').replace(/\u200B/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// Word-level diff rendered as HTML with <del>/<ins> marks
+function diffWords(oldText, newText) {
+    const a = oldText ? oldText.split(/(\s+)/).filter(Boolean) : [];
+    const b = newText ? newText.split(/(\s+)/).filter(Boolean) : [];
+    const escape = (text) => ui.escapeHtml(text);
+    
+    // Very long texts: show the whole replacement instead of an LCS table
+    if (a.length * b.length > 250000) {
+        return `<del>${escape(oldText)}</del> <ins>${escape(newText)}</ins>`;
+    }
+    
+    // Longest common subsequence, filled from the end
+    const width = b.length + 1;
+    const lcs = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i * width + j] = a[i] === b[j]
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
     
-    imageDragState.isDragging = false;
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) last.text += text;
+        else parts.push({ type, text });
+    };
     
-    const preview = document.getElementById('image-preview');
-    preview.classList.remove('dragging');
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('same', a[i]);
+            i++;
+            j++;
+        } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+            push('del', a[i++]);
+        } else {
+            push('ins', b[j++]);
+        }
+    }
+    while (i < a.length) push('del', a[i++]);
+    while (j < b.length) push('ins', b[j++]);
+    
+    return parts.map(part => {
+        if (part.type === 'del') return `<del>${escape(part.text)}</del>`;
+        if (part.type === 'ins') return `<ins>${escape(part.text)}</ins>`;
+        return escape(part.text);
+    }).join('');
 }
 
-function getCardImageData() {
+function diffIdList(before, after) {
+    const oldIds = before || [];
+    const newIds = after || [];
     return {
-        image: currentCardImage,
-        imagePositionX: currentImagePositionX,
-        imagePositionY: currentImagePositionY
+        added: newIds.filter(id => !oldIds.includes(id)),
+        removed: oldIds.filter(id => !newIds.includes(id))
     };
 }
 
-function setCardImageData(image, positionX, positionY) {
-    currentCardImage = image || null;
+// Content of a card's mind map, ignoring layout and view (moving nodes isn't an edit)
+function mindMapSignature(card) {
+    const mindMap = card.mindMap;
+    if (!mindMap || !mindMap.nodes || mindMap.nodes.length === 0) return '';
+    return JSON.stringify({
+        nodes: mindMap.nodes.map(n => [n.id, n.type, n.label, n.linkTo || null]),
+        connections: (mindMap.connections || []).map(c => [c.fromNode, c.toNode])
+    });
+}
+
+// Cover, crop and captions of a card's gallery, in order
+function gallerySignature(card) {
+    return JSON.stringify([
+        card.coverImageId || null,
+        (card.images || []).map(image => [image.imageId, image.caption, image.positionX, image.positionY, image.zoom])
+    ]);
+}
+
+// Changes between two versions of a card, in form order; relations are
+// compared by how they read from the card ("Vínculo", "Mentor de"...)
+function diffCardVersions(before, after, beforeRelations = [], afterRelations = []) {
+    const changes = [];
+    
+    const textFields = [
+        { key: 'name', label: 'Nome' },
+        { key: 'number', label: 'Número' },
+        { key: 'resumo', label: 'Resumo' },
+        ...getCardFields(after.type)
+    ];
+    
+    textFields.forEach(field => {
+        const oldValue = before[field.key];
+        const newValue = after[field.key];
+        const oldText = cardFieldText(field, oldValue);
+        const newText = cardFieldText(field, newValue);
+        const rich = field.kind === 'rich';
+        
+        if (oldText !== newText) {
+            changes.push({ label: field.label, kind: 'text', html: diffWords(oldText, newText) });
+        } else if (rich && (oldValue || '') !== (newValue || '')) {
+            changes.push({ label: field.label, kind: 'note', note: 'Formatação alterada' });
+        }
+    });
     
-    // Handle legacy single position (convert to X=50, Y=position)
-    if (positionY === undefined && positionX !== undefined) {
-        // Legacy: positionX is actually the old single position (Y)
-        if (typeof positionX === 'string') {
-            if (positionX === 'top') currentImagePositionY = 0;
-            else if (positionX === 'bottom') currentImagePositionY = 100;
-            else currentImagePositionY = 50;
-        } else {
-            currentImagePositionY = positionX ?? 50;
+    const cardName = (id) => {
+        const card = dataStore.getCard(id);
+        return card ? card.name : 'Card removido';
+    };
+    
+    const readLinks = (relations) => relations.map(relation => describeRelation(relation, after.id));
+    const oldLinks = readLinks(beforeRelations);
+    const newLinks = readLinks(afterRelations);
+    const linkLabels = [...new Set([...oldLinks, ...newLinks].map(link => link.label))];
+    
+    linkLabels.forEach(label => {
+        const idsWith = (links) => links.filter(link => link.label === label).map(link => link.otherId);
+        const { added, removed } = diffIdList(idsWith(oldLinks), idsWith(newLinks));
+        if (added.length > 0 || removed.length > 0) {
+            changes.push({ label: `Conexões (${label})`, kind: 'list', added: added.map(cardName), removed: removed.map(cardName) });
         }
-        currentImagePositionX = 50;
-    } else {
-        currentImagePositionX = positionX ?? 50;
-        currentImagePositionY = positionY ?? 50;
+    });
+    
+    const tags = diffIdList(before.tags, after.tags);
+    if (tags.added.length > 0 || tags.removed.length > 0) {
+        changes.push({ label: 'Tags', kind: 'list', added: tags.added, removed: tags.removed });
     }
     
-    if (currentCardImage) {
-        showImagePreview(currentCardImage);
-    } else {
-        hideImagePreview();
+    const images = diffIdList(getGalleryImageIds(before), getGalleryImageIds(after));
+    if (images.added.length > 0 || images.removed.length > 0) {
+        changes.push({ label: 'Imagens', kind: 'note', note: `Adicionadas: ${images.added.length} · Removidas: ${images.removed.length}` });
+    } else if (gallerySignature(before) !== gallerySignature(after)) {
+        changes.push({ label: 'Imagens', kind: 'note', note: 'Capa, enquadramento ou legendas alterados' });
     }
-}
-
-function clearCardImageData() {
-    currentCardImage = null;
-    currentImagePositionX = 50;
-    currentImagePositionY = 50;
-    hideImagePreview();
-    document.getElementById('card-image').value = '';
+    if (mindMapSignature(before) !== mindMapSignature(after)) {
+        changes.push({ label: 'Mapa mental', kind: 'note', note: 'Nós ou conexões do mapa alterados' });
+    }
+    const statBlockChange = describeStatBlockChange(before.statBlock, after.statBlock);
+    if (statBlockChange) {
+        changes.push({ label: 'Ficha', kind: 'note', note: statBlockChange });
+    }
+    const mapChange = describeMapChange(before.map, after.map);
+    if (mapChange) {
+        changes.push({ label: 'Mapa', kind: 'note', note: mapChange });
+    }
+    
+    return changes;
 }
 
 // =====================================================
-// RICH TEXT EDITOR FUNCTIONS
+// INITIALIZE ON DOM READY
 // =====================================================
 
-let currentEditor = null;
-let selectedRange = null;
-let selectedTagColor = 'yellow';
+// Initialize app when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    initApp();
+    initRichEditors();
+    initEventConnections();
+    initResumoCharCounter();
+});
 
-function initRichEditors() {
-    // Initialize all rich editors
-    const editors = document.querySelectorAll('.rich-editor');
-    editors.forEach(editor => {
-        // Handle toolbar buttons for this editor's container
-        const container = editor.closest('.rich-editor-container');
-        const toolbar = container.querySelector('.rich-editor-toolbar');
-        
-        if (toolbar) {
-            toolbar.querySelectorAll('.toolbar-btn').forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    currentEditor = editor;
-                    const format = btn.dataset.format;
-                    const tag = btn.dataset.tag;
-                    
-                    if (format) {
-                        handleFormatClick(format, btn);
-                    } else if (tag) {
-                        applyPresetTag(tag);
-                    }
-                });
-            });
-        }
-        
-        // Save selection when editor loses focus
-        editor.addEventListener('blur', () => {
-            saveSelection();
-        });
-        
-        // Set default paragraph separator to use <p> tags instead of <div>
-        document.execCommand('defaultParagraphSeparator', false, 'p');
-        
-        // Handle Enter key to create proper paragraphs
-        editor.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                
-                // Insert a paragraph break
-                const sel = window.getSelection();
-                if (sel.rangeCount > 0) {
-                    const range = sel.getRangeAt(0);
-                    range.deleteContents();
-                    
-                    // Create two <br> tags for visual paragraph spacing
-                    const br1 = document.createElement('br');
-                    const br2 = document.createElement('br');
-                    
-                    range.insertNode(br2);
-                    range.insertNode(br1);
-                    
-                    // Move cursor after the breaks
-                    range.setStartAfter(br2);
-                    range.collapse(true);
-                    sel.removeAllRanges();
-                    sel.addRange(range);
-                }
-            } else if (e.key === 'Enter' && e.shiftKey) {
-                // Shift+Enter inserts a single line break
-                e.preventDefault();
-                document.execCommand('insertLineBreak');
+// =====================================================
+// CHARACTER COUNTER FOR RESUMO
+// =====================================================
+
+function initResumoCharCounter() {
+    const resumoInput = document.getElementById('card-resumo');
+    const charCount = document.getElementById('resumo-char-count');
+    
+    if (resumoInput && charCount) {
+        const updateCounter = () => {
+            const length = resumoInput.value.length;
+            charCount.textContent = length;
+            
+            // Change color based on length
+            if (length > 150) {
+                charCount.style.color = 'var(--color-evento)'; // Red-ish warning
+            } else if (length > 120) {
+                charCount.style.color = 'var(--color-accent)'; // Yellow-ish warning
+            } else {
+                charCount.style.color = ''; // Default
             }
-        });
+        };
         
-        // Keyboard shortcuts (Ctrl+B, Ctrl+I)
-        editor.addEventListener('keydown', (e) => {
-            if (e.ctrlKey || e.metaKey) {
-                if (e.key === 'b') {
-                    e.preventDefault();
-                    currentEditor = editor;
-                    document.execCommand('bold', false, null);
-                } else if (e.key === 'i') {
-                    e.preventDefault();
-                    currentEditor = editor;
-                    document.execCommand('italic', false, null);
-                }
+        resumoInput.addEventListener('input', updateCounter);
+        // Initialize on page load
+        updateCounter();
+    }
+}
+
+// =====================================================
+// EVENT CONNECTIONS (Locais e Personagens relacionados)
+// =====================================================
+
+function initEventConnections() {
+    // Bind event connections selectors
+    const eventoLocaisSelect = document.getElementById('evento-locais-select');
+    if (eventoLocaisSelect) {
+        eventoLocaisSelect.addEventListener('change', (e) => {
+            const cardId = e.target.value;
+            if (cardId) {
+                ui.addConnectionTag(cardId, 'selected-evento-locais');
+                e.target.value = '';
             }
         });
-        
-        // Handle paste - preserve line breaks
-        editor.addEventListener('paste', (e) => {
-            e.preventDefault();
-            const text = e.clipboardData.getData('text/plain');
-            
-            // Convert newlines to <br><br> for paragraph separation
-            const html = text
-                .split(/\n\n+/)  // Split by double newlines (paragraphs)
-                .map(para => para.replace(/\n/g, '<br>'))  // Single newlines become <br>
-                .join('<br><br>');  // Paragraphs separated by double <br>
-            
-            document.execCommand('insertHTML', false, html);
-        });
-        
-        // Prevent typing from inheriting highlight/tag formatting at the edge
-        editor.addEventListener('keydown', (e) => {
-            // Only for regular character keys (not modifiers, arrows, etc.)
-            if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
-                const sel = window.getSelection();
-                if (sel.rangeCount > 0 && sel.isCollapsed) {
-                    const range = sel.getRangeAt(0);
-                    const node = range.startContainer;
-                    
-                    // Check if we're at the end of a highlight or text-tag span
-                    let formattedParent = null;
-                    let checkNode = node;
-                    
-                    while (checkNode && checkNode !== editor) {
-                        if (checkNode.nodeType === Node.ELEMENT_NODE && 
-                            (checkNode.classList.contains('highlight') || checkNode.classList.contains('text-tag'))) {
-                            formattedParent = checkNode;
-                            break;
-                        }
-                        checkNode = checkNode.parentNode;
-                    }
-                    
-                    if (formattedParent) {
-                        // Check if cursor is at the very end of the formatted span
-                        const isAtEnd = (node === formattedParent && range.startOffset === formattedParent.childNodes.length) ||
-                                        (node.nodeType === Node.TEXT_NODE && 
-                                         node.parentNode === formattedParent && 
-                                         range.startOffset === node.length &&
-                                         !node.nextSibling);
-                        
-                        if (isAtEnd) {
-                            e.preventDefault();
-                            
-                            // Insert the character outside the span
-                            const textNode = document.createTextNode(e.key);
-                            if (formattedParent.nextSibling) {
-                                formattedParent.parentNode.insertBefore(textNode, formattedParent.nextSibling);
-                            } else {
-                                formattedParent.parentNode.appendChild(textNode);
-                            }
-                            
-                            // Move cursor after the new character
-                            const newRange = document.createRange();
-                            newRange.setStart(textNode, 1);
-                            newRange.collapse(true);
-                            sel.removeAllRanges();
-                            sel.addRange(newRange);
-                        }
-                    }
-                }
+    }
+    
+    const eventoPersonagensSelect = document.getElementById('evento-personagens-select');
+    if (eventoPersonagensSelect) {
+        eventoPersonagensSelect.addEventListener('change', (e) => {
+            const cardId = e.target.value;
+            if (cardId) {
+                ui.addConnectionTag(cardId, 'selected-evento-personagens');
+                e.target.value = '';
             }
         });
+    }
+}
 
-    });
-    
-    // Initialize highlight picker
-    initHighlightPicker();
+function populateEventConnectionSelectors() {
+    // Locais para eventos
+    const locaisSelect = document.getElementById('evento-locais-select');
+    if (locaisSelect) {
+        const locations = dataStore.getCardsByType('local');
+        locaisSelect.innerHTML = `
+            <option value="">+ Adicionar local...</option>
+            ${locations.map(loc => `
+                <option value="${loc.id}">${ui.escapeHtml(loc.name)}</option>
+            `).join('')}
+        `;
+    }
     
-    // Close modals on escape
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-            closeLinkModal();
-            closeTagModal();
-            closeHighlightPicker();
-            closeDiceModal();
-        }
-    });
+    // Personagens para eventos
+    const personagensSelect = document.getElementById('evento-personagens-select');
+    if (personagensSelect) {
+        const characters = dataStore.getCardsByType('personagem');
+        personagensSelect.innerHTML = `
+            <option value="">+ Adicionar personagem...</option>
+            ${characters.map(char => `
+                <option value="${char.id}">${ui.escapeHtml(char.name)}</option>
+            `).join('')}
+        `;
+    }
+}
+
+// =====================================================
+// ACCORDION FUNCTIONS
+// =====================================================
+
+function toggleAccordion(header) {
+    const item = header.closest('.accordion-item');
+    const content = item.querySelector('.accordion-content');
+    const isOpen = item.classList.contains('open');
     
-    // Close highlight picker when clicking outside
-    document.addEventListener('click', (e) => {
-        const picker = document.getElementById('highlight-picker');
-        if (picker.classList.contains('active') && !e.target.closest('.highlight-picker') && !e.target.closest('[data-format="highlight"]')) {
-            closeHighlightPicker();
-        }
-    });
+    // Toggle current
+    if (isOpen) {
+        item.classList.remove('open');
+    } else {
+        item.classList.add('open');
+    }
 }
 
-function saveSelection() {
-    const sel = window.getSelection();
-    if (sel.rangeCount > 0) {
-        selectedRange = sel.getRangeAt(0).cloneRange();
+function toggleViewAccordion(header) {
+    const item = header.closest('.view-accordion-item');
+    const isOpen = item.classList.contains('open');
+    
+    // Toggle current
+    if (isOpen) {
+        item.classList.remove('open');
+    } else {
+        item.classList.add('open');
     }
 }
 
-function restoreSelection() {
-    if (selectedRange) {
-        const sel = window.getSelection();
-        sel.removeAllRanges();
-        sel.addRange(selectedRange);
+// Toggle section block (new narrative card view)
+function toggleSectionBlock(headerElement) {
+    const section = headerElement.closest('.card-section-block');
+    if (section) {
+        section.classList.toggle('expanded');
     }
 }
 
-function handleFormatClick(format, btn) {
-    switch (format) {
-        case 'bold':
-            document.execCommand('bold', false, null);
-            break;
-        case 'italic':
-            document.execCommand('italic', false, null);
-            break;
-        case 'highlight':
-            showHighlightPicker(btn);
-            break;
-        case 'tag':
-            openTagModal();
-            break;
-        case 'link-card':
-            openLinkModal();
-            break;
-        case 'dice-roll':
-            openDiceModal();
-            break;
+// Open accordion by data-section attribute
+function openAccordionBySection(sectionName) {
+    const item = document.querySelector(`.accordion-item[data-section="${sectionName}"]`);
+    if (item) {
+        item.classList.add('open');
     }
 }
 
+// Close all accordions
+function closeAllAccordions() {
+    document.querySelectorAll('.accordion-item.open').forEach(item => {
+        item.classList.remove('open');
+    });
+}
+
 // =====================================================
-// HIGHLIGHT FUNCTIONS
+// TAGS INPUT FUNCTIONS
 // =====================================================
 
-function initHighlightPicker() {
-    const picker = document.getElementById('highlight-picker');
-    picker.querySelectorAll('.highlight-color').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const color = btn.dataset.color;
-            applyHighlight(color);
-            closeHighlightPicker();
-        });
-    });
-}
+let cardTags = [];
 
-function showHighlightPicker(btn) {
-    saveSelection();
-    
-    const sel = window.getSelection();
-    if (sel.rangeCount === 0 || sel.isCollapsed) {
-        ui.showToast('Selecione um texto para destacar', 'info');
-        return;
+function handleTagInput(event) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        const input = event.target;
+        const tagText = input.value.trim();
+        
+        if (tagText && !cardTags.includes(tagText)) {
+            cardTags.push(tagText);
+            renderTagsList();
+        }
+        
+        input.value = '';
     }
+}
+
+function renderTagsList() {
+    const container = document.getElementById('card-tags-list');
+    if (!container) return;
     
-    const picker = document.getElementById('highlight-picker');
-    const rect = btn.getBoundingClientRect();
-    picker.style.top = `${rect.bottom + 8}px`;
-    picker.style.left = `${rect.left}px`;
-    picker.classList.add('active');
+    container.innerHTML = cardTags.map((tag, index) => `
+        <span class="tag-item">
+            ${ui.escapeHtml(tag)}
+            <button type="button" class="remove-tag" onclick="removeTag(${index})">×</button>
+        </span>
+    `).join('');
 }
 
-function closeHighlightPicker() {
-    document.getElementById('highlight-picker').classList.remove('active');
+function removeTag(index) {
+    cardTags.splice(index, 1);
+    renderTagsList();
 }
 
-function applyHighlight(color) {
-    restoreSelection();
-    
-    const sel = window.getSelection();
-    if (sel.rangeCount === 0 || sel.isCollapsed) {
-        ui.showToast('Selecione um texto para destacar', 'info');
-        return;
-    }
-    
-    const range = sel.getRangeAt(0);
-    
-    // Check if selection is inside a highlight span
-    let highlightParent = null;
-    let node = range.commonAncestorContainer;
-    
-    // Walk up to find highlight parent
-    while (node && node !== document.body) {
-        if (node.nodeType === Node.ELEMENT_NODE && node.classList && node.classList.contains('highlight')) {
-            highlightParent = node;
-            break;
-        }
-        node = node.parentNode;
-    }
-    
-    // If inside highlight, remove it (toggle off)
-    if (highlightParent) {
-        const parent = highlightParent.parentNode;
-        while (highlightParent.firstChild) {
-            parent.insertBefore(highlightParent.firstChild, highlightParent);
-        }
-        parent.removeChild(highlightParent);
-        sel.removeAllRanges();
-        ui.showToast('Destaque removido', 'info');
-        return;
-    }
-    
-    // Apply new highlight
-    const span = document.createElement('span');
-    span.className = `highlight ${color === 'yellow' ? '' : color}`;
-    
-    try {
-        range.surroundContents(span);
-    } catch (e) {
-        // If selection spans multiple elements, extract and wrap
-        const fragment = range.extractContents();
-        span.appendChild(fragment);
-        range.insertNode(span);
-    }
-    
-    // Move cursor outside the span so new text won't be highlighted
-    moveCursorAfterElement(span);
+function clearCardTags() {
+    cardTags = [];
+    renderTagsList();
+}
+
+function setCardTags(tags) {
+    cardTags = tags || [];
+    renderTagsList();
+}
+// =====================================================
+// MINDMAP EDITOR - Visual Mind Mapping (Miro-style)
+// =====================================================
+
+let cascadeNodes = []; // Keep for compatibility
+let cardConnections = [];
+let mindMapNodes = [];
+let mindMapConnections = [];
+let mindMapDragState = {
+    isDragging: false,
+    nodeId: null,
+    startX: 0,
+    startY: 0,
+    offsetX: 0,
+    offsetY: 0
+};
+let mindMapConnectionState = {
+    isConnecting: false,
+    fromNodeId: null,
+    fromAnchor: null,
+    tempLine: null
+};
+let mindMapPanZoom = null;      // attachPanZoom controls for the canvas
+let pendingConnection = null;
+
+// Add MindMap Node
+function addMindMapNode() {
+    showNodeTypeModal();
 }
 
-// Helper function to move cursor after an element
-function moveCursorAfterElement(element) {
-    const sel = window.getSelection();
-    sel.removeAllRanges();
-    
-    // Insert a zero-width space after the element to break formatting inheritance
-    const zeroWidthSpace = document.createTextNode('\u200B');
-    if (element.nextSibling) {
-        element.parentNode.insertBefore(zeroWidthSpace, element.nextSibling);
-    } else {
-        element.parentNode.appendChild(zeroWidthSpace);
-    }
-    
-    // Set cursor after the zero-width space
-    const newRange = document.createRange();
-    newRange.setStartAfter(zeroWidthSpace);
-    newRange.collapse(true);
-    sel.addRange(newRange);
-    
-    // Focus the editor to ensure cursor is active
-    const editor = element.closest('.rich-editor');
-    if (editor) {
-        editor.focus();
-    }
+// Clock-based, but always past the ids already on the map (two nodes can
+// be added within one millisecond, and laid-out maps number from 1)
+function nextMindMapNodeId() {
+    const ids = mindMapNodes.map(node => node.id).filter(Number.isFinite);
+    return Math.max(Date.now(), ...ids.map(id => id + 1));
 }
 
-// =====================================================
-// TAG FUNCTIONS
-// =====================================================
-
-function openTagModal() {
-    saveSelection();
-    
-    const sel = window.getSelection();
-    if (sel.rangeCount === 0 || sel.isCollapsed) {
-        ui.showToast('Selecione um texto para aplicar a tag', 'info');
-        return;
-    }
-    
-    // Get selected text for preview
-    const selectedText = sel.toString().trim();
-    
-    // Populate card selector
-    const select = document.getElementById('tag-link-card');
-    const allCards = dataStore.getAllCards();
-    select.innerHTML = '<option value="">Sem link</option>' +
-        allCards.map(card => `<option value="${card.id}">${ui.getTypeIcon(card.type)} ${ui.escapeHtml(card.name)}</option>`).join('');
-    
-    // Reset form
-    document.getElementById('tag-name-input').value = '';
-    document.getElementById('tag-description-input').value = '';
-    document.querySelectorAll('.tag-color-option').forEach(opt => opt.classList.remove('selected'));
-    document.querySelector('.tag-color-option[data-color="yellow"]').classList.add('selected');
-    selectedTagColor = 'yellow';
-    
-    // Update preview with initial state
-    updateTagPreview(selectedText, '', 'yellow');
+function createNode(type, icon) {
+    const canvas = document.getElementById('mindmap-canvas');
+    const rect = canvas.getBoundingClientRect();
     
-    // Setup input listeners for live preview
-    const nameInput = document.getElementById('tag-name-input');
-    const descInput = document.getElementById('tag-description-input');
+    const newNode = {
+        id: nextMindMapNodeId(),
+        type: type,
+        icon: icon,
+        label: '',
+        x: Math.random() * (rect.width - 200) + 50,
+        y: Math.random() * (rect.height - 100) + 50
+    };
     
-    nameInput.oninput = () => updateTagPreview(selectedText, nameInput.value, selectedTagColor);
-    descInput.oninput = () => updateTagPreview(selectedText, nameInput.value, selectedTagColor);
+    mindMapNodes.push(newNode);
     
-    // Setup color picker
-    document.querySelectorAll('.tag-color-option').forEach(opt => {
-        opt.onclick = () => {
-            document.querySelectorAll('.tag-color-option').forEach(o => o.classList.remove('selected'));
-            opt.classList.add('selected');
-            selectedTagColor = opt.dataset.color;
-            updateTagPreview(selectedText, nameInput.value, selectedTagColor);
-        };
+    // Convert to old format for compatibility
+    cascadeNodes.push({
+        id: newNode.id,
+        type: newNode.type,
+        icon: newNode.icon,
+        label: newNode.label,
+        children: []
     });
     
-    document.getElementById('tag-modal-overlay').classList.add('active');
-    document.getElementById('tag-name-input').focus();
-}
-
-function updateTagPreview(text, tagName, color) {
-    const preview = document.getElementById('tag-preview');
-    if (!preview) return;
-    
-    const displayText = text.length > 25 ? text.substring(0, 25) + '...' : text;
-    const bgColor = getTagColorBg(color);
-    const textColor = getTagColorText(color);
-    
-    preview.style.setProperty('--tag-bg', bgColor);
-    preview.style.setProperty('--tag-color', textColor);
-    preview.style.background = bgColor;
-    preview.style.color = textColor;
-    preview.innerHTML = `<span class="tag-preview-text">${ui.escapeHtml(displayText)}</span>`;
+    closeNodeTypeModal();
+    renderMindMap();
     
-    // Add tag name indicator if provided
-    if (tagName) {
-        preview.title = `Tag: ${tagName}`;
-    } else {
-        preview.title = '';
-    }
-}
-
-function closeTagModal() {
-    document.getElementById('tag-modal-overlay').classList.remove('active');
+    // Focus the new node
+    setTimeout(() => {
+        const node = document.querySelector(`[data-node-id="${newNode.id}"] textarea`);
+        if (node) node.focus();
+    }, 100);
 }
 
-function applyCustomTag() {
-    restoreSelection();
+function renderMindMap() {
+    const container = document.getElementById('mindmap-nodes');
+    const emptyMsg = document.getElementById('mindmap-empty');
+    const svgConnections = document.getElementById('mindmap-connections');
     
-    const tagName = document.getElementById('tag-name-input').value.trim();
-    const tagDescription = document.getElementById('tag-description-input').value.trim();
-    const linkedCardId = document.getElementById('tag-link-card').value;
+    if (!container) return;
     
-    if (!tagName) {
-        ui.showToast('Digite um nome para a tag', 'error');
+    if (mindMapNodes.length === 0) {
+        container.innerHTML = '';
+        if (emptyMsg) emptyMsg.style.display = 'flex';
+        if (svgConnections) svgConnections.innerHTML = '';
         return;
     }
     
-    const sel = window.getSelection();
-    if (sel.rangeCount === 0 || sel.isCollapsed) {
-        ui.showToast('Selecione um texto primeiro', 'error');
-        return;
-    }
+    if (emptyMsg) emptyMsg.style.display = 'none';
     
-    const range = sel.getRangeAt(0);
+    // Render nodes
+    container.innerHTML = mindMapNodes.map(node => `
+        <div class="mindmap-node" 
+             data-node-id="${node.id}"
+             style="left: ${node.x}px; top: ${node.y}px;"
+             onmousedown="startMindMapDrag(event, ${node.id})"
+             oncontextmenu="showNodeContextMenu(event, ${node.id})">
+            <div class="mindmap-node-icon ${node.type}">${ui.escapeHtml(node.icon)}</div>
+            <textarea class="mindmap-node-input"
+                      placeholder="Escreva aqui..."
+                      maxlength="200"
+                      rows="1"
+                      oninput="autoResizeTextarea(this); updateMindMapNodeLabel(${node.id}, this.value)"
+                      onclick="event.stopPropagation()"
+                      onkeydown="handleMindMapNodeKeydown(event, ${node.id})">${ui.escapeHtml(node.label)}</textarea>
+        </div>
+    `).join('');
     
-    // Check if selection is inside a text-tag span (toggle off)
-    let tagParent = null;
-    let node = range.commonAncestorContainer;
+    // Auto-resize all textareas
+    setTimeout(() => {
+        document.querySelectorAll('.mindmap-node-input').forEach(ta => autoResizeTextarea(ta));
+    }, 0);
     
-    while (node && node !== document.body) {
-        if (node.nodeType === Node.ELEMENT_NODE && node.classList && node.classList.contains('text-tag')) {
-            tagParent = node;
-            break;
-        }
-        node = node.parentNode;
+    // Render connections
+    renderMindMapConnections();
+}
+
+function startMindMapDrag(event, nodeId) {
+    // Don't start drag if in connection mode
+    if (mindMapConnectionState.isConnecting) {
+        return;
     }
     
-    // If inside tag, remove it
-    if (tagParent) {
-        const parent = tagParent.parentNode;
-        while (tagParent.firstChild) {
-            parent.insertBefore(tagParent.firstChild, tagParent);
-        }
-        parent.removeChild(tagParent);
-        sel.removeAllRanges();
-        closeTagModal();
-        ui.showToast('Tag removida', 'info');
+    if (event.target.tagName === 'TEXTAREA' || event.target.tagName === 'BUTTON') {
         return;
     }
     
-    // Apply new tag
-    const span = document.createElement('span');
-    span.className = `text-tag`;
-    span.dataset.tag = tagName;
-    span.dataset.color = selectedTagColor;
+    event.preventDefault();
     
-    if (tagDescription) {
-        span.dataset.description = tagDescription;
-    }
+    const node = mindMapNodes.find(n => n.id === nodeId);
+    if (!node) return;
     
-    span.style.setProperty('--tag-bg', getTagColorBg(selectedTagColor));
-    span.style.setProperty('--tag-color', getTagColorText(selectedTagColor));
-    span.style.background = `var(--tag-bg)`;
-    span.style.color = `var(--tag-color)`;
+    mindMapDragState.isDragging = true;
+    mindMapDragState.nodeId = nodeId;
+    mindMapDragState.startX = event.clientX;
+    mindMapDragState.startY = event.clientY;
+    mindMapDragState.offsetX = node.x;
+    mindMapDragState.offsetY = node.y;
     
-    if (linkedCardId) {
-        span.dataset.cardId = linkedCardId;
-        span.onclick = () => openCardFromTag(linkedCardId);
-    }
+    const nodeEl = document.querySelector(`[data-node-id="${nodeId}"]`);
+    if (nodeEl) nodeEl.classList.add('dragging');
     
-    try {
-        range.surroundContents(span);
-    } catch (e) {
-        const fragment = range.extractContents();
-        span.appendChild(fragment);
-        range.insertNode(span);
-    }
+    document.addEventListener('mousemove', onMindMapDrag);
+    document.addEventListener('mouseup', endMindMapDrag);
+}
+
+function onMindMapDrag(event) {
+    if (!mindMapDragState.isDragging) return;
     
-    // Move cursor outside the span so new text won't have the tag
-    moveCursorAfterElement(span);
-    closeTagModal();
+    // Use requestAnimationFrame for smooth updates
+    if (mindMapDragState.animationFrame) {
+        cancelAnimationFrame(mindMapDragState.animationFrame);
+    }
     
-    const feedback = tagDescription ? `Tag "${tagName}" aplicada com descrição` : `Tag "${tagName}" aplicada`;
-    ui.showToast(feedback, 'success');
+    mindMapDragState.animationFrame = requestAnimationFrame(() => {
+        const deltaX = (event.clientX - mindMapDragState.startX) / getMindMapScale();
+        const deltaY = (event.clientY - mindMapDragState.startY) / getMindMapScale();
+        
+        const node = mindMapNodes.find(n => n.id === mindMapDragState.nodeId);
+        if (!node) return;
+        
+        node.x = mindMapDragState.offsetX + deltaX;
+        node.y = mindMapDragState.offsetY + deltaY;
+        
+        const nodeEl = document.querySelector(`[data-node-id="${node.id}"]`);
+        if (nodeEl) {
+            nodeEl.style.transform = `translate(${deltaX}px, ${deltaY}px)`;
+        }
+        
+        // Update connections less frequently
+        if (!mindMapDragState.lastConnectionUpdate || Date.now() - mindMapDragState.lastConnectionUpdate > 16) {
+            renderMindMapConnections();
+            mindMapDragState.lastConnectionUpdate = Date.now();
+        }
+    });
 }
 
-function applyPresetTag(tagType) {
-    const sel = window.getSelection();
-    if (sel.rangeCount === 0 || sel.isCollapsed) {
-        ui.showToast('Selecione um texto para aplicar a tag', 'info');
-        return;
-    }
-    
-    const range = sel.getRangeAt(0);
-    
-    // Check if selection is inside a text-tag span (toggle off)
-    let tagParent = null;
-    let node = range.commonAncestorContainer;
-    
-    while (node && node !== document.body) {
-        if (node.nodeType === Node.ELEMENT_NODE && node.classList && node.classList.contains('text-tag')) {
-            tagParent = node;
-            break;
+function endMindMapDrag() {
+    if (mindMapDragState.nodeId) {
+        const node = mindMapNodes.find(n => n.id === mindMapDragState.nodeId);
+        const nodeEl = document.querySelector(`[data-node-id="${mindMapDragState.nodeId}"]`);
+        
+        if (nodeEl && node) {
+            // Apply final position
+            nodeEl.style.left = node.x + 'px';
+            nodeEl.style.top = node.y + 'px';
+            nodeEl.style.transform = '';
+            nodeEl.classList.remove('dragging');
         }
-        node = node.parentNode;
+        
+        // Final connection update
+        renderMindMapConnections();
     }
     
-    // If inside tag, remove it
-    if (tagParent) {
-        const parent = tagParent.parentNode;
-        while (tagParent.firstChild) {
-            parent.insertBefore(tagParent.firstChild, tagParent);
-        }
-        parent.removeChild(tagParent);
-        sel.removeAllRanges();
-        ui.showToast('Tag removida', 'info');
-        return;
+    if (mindMapDragState.animationFrame) {
+        cancelAnimationFrame(mindMapDragState.animationFrame);
     }
     
-    // Apply new tag
-    const span = document.createElement('span');
-    span.className = `text-tag ${tagType}`;
-    span.dataset.tag = tagType;
-    
-    try {
-        range.surroundContents(span);
-    } catch (e) {
-        const fragment = range.extractContents();
-        span.appendChild(fragment);
-        range.insertNode(span);
-    }
+    mindMapDragState.isDragging = false;
+    mindMapDragState.nodeId = null;
+    mindMapDragState.animationFrame = null;
+    mindMapDragState.lastConnectionUpdate = null;
     
-    // Move cursor outside the span so new text won't have the tag
-    moveCursorAfterElement(span);
-}
-
-function getTagColorBg(color) {
-    const colors = {
-        yellow: 'rgba(240, 208, 96, 0.15)',
-        orange: 'rgba(245, 158, 107, 0.15)',
-        red: 'rgba(229, 115, 115, 0.15)',
-        pink: 'rgba(244, 143, 177, 0.15)',
-        purple: 'rgba(176, 136, 245, 0.15)',
-        blue: 'rgba(107, 179, 245, 0.15)',
-        cyan: 'rgba(77, 208, 225, 0.15)',
-        green: 'rgba(129, 199, 132, 0.15)'
-    };
-    return colors[color] || colors.yellow;
+    document.removeEventListener('mousemove', onMindMapDrag);
+    document.removeEventListener('mouseup', endMindMapDrag);
 }
 
-function getTagColorText(color) {
-    const colors = {
-        yellow: '#f0d060',
-        orange: '#f59e6b',
-        red: '#e57373',
-        pink: '#f48fb1',
-        purple: '#b088f5',
-        blue: '#6bb3f5',
-        cyan: '#4dd0e1',
-        green: '#81c784'
-    };
-    return colors[color] || colors.yellow;
+function updateMindMapNodeLabel(nodeId, value) {
+    const node = mindMapNodes.find(n => n.id === nodeId);
+    if (node) {
+        node.label = value;
+        
+        // Update cascadeNodes for compatibility
+        const cascadeNode = cascadeNodes.find(n => n.id === nodeId);
+        if (cascadeNode) {
+            cascadeNode.label = value;
+        }
+    }
 }
 
-function openCardFromTag(cardId) {
-    ui.openCard(cardId);
+function deleteMindMapNode(event, nodeId) {
+    if (event) event.stopPropagation();
+    
+    // Remove connections to/from this node
+    mindMapConnections = mindMapConnections.filter(conn => 
+        conn.fromNode !== nodeId && conn.toNode !== nodeId
+    );
+    
+    mindMapNodes = mindMapNodes.filter(n => n.id !== nodeId);
+    cascadeNodes = cascadeNodes.filter(n => n.id !== nodeId);
+    
+    renderMindMap();
 }
 
-// =====================================================
-// DICE ROLL FUNCTIONS
-// =====================================================
+// Context menu system
+let contextMenuState = {
+    isOpen: false,
+    nodeId: null
+};
 
-function openDiceModal() {
-    saveSelection();
+function showNodeContextMenu(event, nodeId) {
+    event.preventDefault();
+    event.stopPropagation();
     
-    // Reset form
-    document.getElementById('dice-name-input').value = '';
-    document.getElementById('dice-description-input').value = '';
-    document.getElementById('dice-formula-input').value = '';
+    // Don't show context menu if clicking on textarea
+    if (event.target.tagName === 'TEXTAREA') {
+        return;
+    }
     
-    // Update preview
-    updateDicePreview();
+    // Remove existing menu
+    closeContextMenu();
     
-    // Setup input listeners for live preview
-    const nameInput = document.getElementById('dice-name-input');
-    const formulaInput = document.getElementById('dice-formula-input');
+    // Create context menu
+    const menu = document.createElement('div');
+    menu.className = 'mindmap-context-menu';
+    menu.id = 'mindmap-context-menu';
+    menu.innerHTML = `
+        <div class="context-menu-item" onclick="startConnectionFromContextMenu(${nodeId})">
+            <span class="context-menu-icon">⟶</span>
+            <span>Criar conexão</span>
+        </div>
+        <div class="context-menu-divider"></div>
+        <div class="context-menu-item delete" onclick="deleteMindMapNode(null, ${nodeId}); closeContextMenu();">
+            <span class="context-menu-icon">×</span>
+            <span>Apagar nó</span>
+        </div>
+    `;
     
-    nameInput.oninput = updateDicePreview;
-    formulaInput.oninput = updateDicePreview;
+    // Position menu
+    menu.style.left = event.clientX + 'px';
+    menu.style.top = event.clientY + 'px';
     
-    document.getElementById('dice-modal-overlay').classList.add('active');
-    document.getElementById('dice-name-input').focus();
-}
-
-function closeDiceModal() {
-    document.getElementById('dice-modal-overlay').classList.remove('active');
+    document.body.appendChild(menu);
+    
+    contextMenuState.isOpen = true;
+    contextMenuState.nodeId = nodeId;
+    
+    // Close on click outside
+    setTimeout(() => {
+        document.addEventListener('click', closeContextMenu);
+        document.addEventListener('contextmenu', closeContextMenu);
+    }, 0);
 }
 
-function updateDicePreview() {
-    const name = document.getElementById('dice-name-input').value.trim() || 'Nome da Ação';
-    const preview = document.getElementById('dice-preview');
-    
-    if (preview) {
-        preview.querySelector('.dice-name').textContent = name;
+function closeContextMenu() {
+    const menu = document.getElementById('mindmap-context-menu');
+    if (menu) {
+        menu.remove();
     }
+    
+    contextMenuState.isOpen = false;
+    contextMenuState.nodeId = null;
+    
+    document.removeEventListener('click', closeContextMenu);
+    document.removeEventListener('contextmenu', closeContextMenu);
 }
 
-function insertDiceRoll() {
-    const name = document.getElementById('dice-name-input').value.trim();
-    const description = document.getElementById('dice-description-input').value.trim();
-    const formula = document.getElementById('dice-formula-input').value.trim();
+function startConnectionFromContextMenu(nodeId) {
+    closeContextMenu();
     
-    if (!name) {
-        ui.showToast('Digite um nome para a ação', 'error');
-        return;
-    }
+    mindMapConnectionState.isConnecting = true;
+    mindMapConnectionState.fromNodeId = nodeId;
     
-    if (!formula) {
-        ui.showToast('Digite a fórmula do dado', 'error');
-        return;
-    }
+    // Change cursor
+    document.body.style.cursor = 'crosshair';
     
-    // Validate formula format
-    if (!isValidDiceFormula(formula)) {
-        ui.showToast('Fórmula inválida. Use formatos como: 1d20, 2d6+3, 1d20+5', 'error');
-        return;
+    // Visual feedback on source node
+    const sourceNode = document.querySelector(`[data-node-id="${nodeId}"]`);
+    if (sourceNode) {
+        sourceNode.classList.add('connecting');
     }
     
-    // Create the dice roll tag element
-    const span = document.createElement('span');
-    span.className = 'dice-roll-tag';
-    span.dataset.formula = formula;
-    span.dataset.name = name;
-    if (description) {
-        span.dataset.description = description;
-    }
-    span.innerHTML = `<span class="dice-icon">🎲</span><span class="dice-name">${ui.escapeHtml(name)}</span>`;
-    span.onclick = () => executeDiceRoll(name, formula);
-    span.setAttribute('contenteditable', 'false');
+    document.addEventListener('mousemove', drawTempConnectionFromNode);
+    document.addEventListener('mousedown', endConnectionFromNode);
+    document.addEventListener('contextmenu', cancelConnection);
+}
+
+function cancelConnection(event) {
+    if (!mindMapConnectionState.isConnecting) return;
     
-    // Restore selection and insert
-    restoreSelection();
+    event.preventDefault();
+    event.stopPropagation();
     
-    const sel = window.getSelection();
-    if (sel.rangeCount > 0) {
-        const range = sel.getRangeAt(0);
-        range.deleteContents();
-        range.insertNode(span);
-        
-        // Move cursor after the element
-        moveCursorAfterElement(span);
+    document.body.style.cursor = '';
+    
+    // Remove temp line
+    const svg = document.getElementById('mindmap-connections');
+    const temp = svg.querySelector('.mindmap-connection-temp');
+    if (temp) temp.remove();
+    
+    // Remove visual feedback
+    const sourceNode = document.querySelector(`[data-node-id="${mindMapConnectionState.fromNodeId}"]`);
+    if (sourceNode) {
+        sourceNode.classList.remove('connecting');
     }
     
-    closeDiceModal();
-    ui.showToast(`Rolagem "${name}" inserida`, 'success');
-}
-
-function isValidDiceFormula(formula) {
-    // Match patterns like: 1d20, 2d6, 3d8+2, 1d20+5, 1d20-2, 2d6+1d4, etc.
-    const dicePattern = /^(\d+d\d+)([+-]\d+)?([+-]\d+d\d+)*([+-]\d+)?$/i;
-    return dicePattern.test(formula.replace(/\s/g, ''));
+    mindMapConnectionState.isConnecting = false;
+    mindMapConnectionState.fromNodeId = null;
+    
+    document.removeEventListener('mousemove', drawTempConnectionFromNode);
+    document.removeEventListener('mousedown', endConnectionFromNode);
+    document.removeEventListener('contextmenu', cancelConnection);
 }
 
-function executeDiceRoll(name, formula) {
-    const result = rollDice(formula);
-    showDiceResult(name, formula, result);
+function drawTempConnectionFromNode(event) {
+    if (!mindMapConnectionState.isConnecting) return;
+    
+    const svg = document.getElementById('mindmap-connections');
+    const fromNode = mindMapNodes.find(n => n.id === mindMapConnectionState.fromNodeId);
+    if (!fromNode) return;
+    
+    const canvas = document.getElementById('mindmap-canvas');
+    const container = document.getElementById('mindmap-nodes');
+    const containerRect = container.getBoundingClientRect();
+    
+    // Mouse position in node coordinate space
+    const mouseX = (event.clientX - containerRect.left) / getMindMapScale();
+    const mouseY = (event.clientY - containerRect.top) / getMindMapScale();
+    
+    // Calculate closest point on node edge
+    const fromPos = getClosestEdgePoint(fromNode, mouseX, mouseY);
+    
+    // Remove old temp line
+    const oldTemp = svg.querySelector('.mindmap-connection-temp');
+    if (oldTemp) oldTemp.remove();
+    
+    // Draw new temp line
+    const path = createCurvePath(fromPos.x, fromPos.y, mouseX, mouseY);
+    const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    line.setAttribute('d', path);
+    line.setAttribute('class', 'mindmap-connection-temp');
+    svg.appendChild(line);
 }
 
-function rollDice(formula) {
-    // Parse and execute dice formula
-    const cleanFormula = formula.replace(/\s/g, '');
-    let total = 0;
+function endConnectionFromNode(event) {
+    if (!mindMapConnectionState.isConnecting) return;
+    
+    // Only handle left click
+    if (event.button !== 0) return;
     
-    // Split by + and - while keeping the operators
-    const parts = cleanFormula.split(/([+-])/);
-    let currentOp = '+';
+    event.stopPropagation();
+    event.preventDefault();
     
-    for (const part of parts) {
-        if (part === '+' || part === '-') {
-            currentOp = part;
-            continue;
-        }
-        
-        if (!part) continue;
-        
-        let value = 0;
+    // Check if we're over a node
+    const target = event.target;
+    let toNodeEl = target.closest('.mindmap-node');
+    
+    if (toNodeEl) {
+        const toNodeId = parseInt(toNodeEl.dataset.nodeId);
         
-        // Check if it's a dice roll (e.g., 2d6)
-        const diceMatch = part.match(/^(\d+)d(\d+)$/i);
-        if (diceMatch) {
-            const numDice = parseInt(diceMatch[1]);
-            const dieSize = parseInt(diceMatch[2]);
-            for (let i = 0; i < numDice; i++) {
-                value += Math.floor(Math.random() * dieSize) + 1;
+        // Don't connect to self
+        if (toNodeId !== mindMapConnectionState.fromNodeId) {
+            // Check if connection already exists (either direction)
+            const exists = mindMapConnections.some(c => 
+                (c.fromNode === mindMapConnectionState.fromNodeId && c.toNode === toNodeId) ||
+                (c.fromNode === toNodeId && c.toNode === mindMapConnectionState.fromNodeId)
+            );
+            
+            if (!exists) {
+                mindMapConnections.push({
+                    fromNode: mindMapConnectionState.fromNodeId,
+                    toNode: toNodeId
+                });
+                renderMindMapConnections();
             }
-        } else {
-            // It's a modifier number
-            value = parseInt(part) || 0;
-        }
-        
-        if (currentOp === '+') {
-            total += value;
-        } else {
-            total -= value;
         }
     }
     
-    return total;
-}
-
-function showDiceResult(name, formula, result) {
-    // Create or get the result toast
-    let toast = document.getElementById('dice-result-toast');
-    if (!toast) {
-        toast = document.createElement('div');
-        toast.id = 'dice-result-toast';
-        toast.className = 'dice-result-toast';
-        document.body.appendChild(toast);
-    }
+    document.body.style.cursor = '';
     
-    toast.innerHTML = `
-        <div class="roll-name">${ui.escapeHtml(name)}</div>
-        <div class="roll-formula">${ui.escapeHtml(formula)}</div>
-        <div class="roll-result">${result}</div>
-    `;
+    // Remove temp line
+    const svg = document.getElementById('mindmap-connections');
+    const temp = svg.querySelector('.mindmap-connection-temp');
+    if (temp) temp.remove();
     
-    // Show the toast
-    toast.classList.add('active');
+    // Remove visual feedback
+    const sourceNode = document.querySelector(`[data-node-id="${mindMapConnectionState.fromNodeId}"]`);
+    if (sourceNode) {
+        sourceNode.classList.remove('connecting');
+    }
     
-    // Hide after 2 seconds
-    setTimeout(() => {
-        toast.classList.remove('active');
-    }, 2000);
+    mindMapConnectionState.isConnecting = false;
+    mindMapConnectionState.fromNodeId = null;
+    
+    document.removeEventListener('mousemove', drawTempConnectionFromNode);
+    document.removeEventListener('mousedown', endConnectionFromNode);
+    document.removeEventListener('contextmenu', cancelConnection);
 }
 
-// =====================================================
-// CARD LINK FUNCTIONS
-// =====================================================
-
-function openLinkModal() {
-    saveSelection();
+// Calculate closest point on node edge to target position
+function getClosestEdgePoint(node, targetX, targetY) {
+    const nodeEl = document.querySelector(`[data-node-id="${node.id}"]`);
+    if (!nodeEl) return { x: node.x, y: node.y };
     
-    const sel = window.getSelection();
-    if (sel.rangeCount === 0 || sel.isCollapsed) {
-        ui.showToast('Selecione um texto para criar o link', 'info');
-        return;
-    }
+    const rect = nodeEl.getBoundingClientRect();
+    const canvas = document.getElementById('mindmap-canvas');
+    const canvasRect = canvas.getBoundingClientRect();
     
-    document.getElementById('link-search-input').value = '';
-    renderLinkCardsList();
-    document.getElementById('link-modal-overlay').classList.add('active');
-    document.getElementById('link-search-input').focus();
-}
-
-function closeLinkModal() {
-    document.getElementById('link-modal-overlay').classList.remove('active');
-}
-
-function renderLinkCardsList(filter = '') {
-    const container = document.getElementById('link-cards-list');
-    let cards = dataStore.getAllCards();
+    const width = rect.width / getMindMapScale();
+    const height = rect.height / getMindMapScale();
     
-    if (filter) {
-        const lowerFilter = filter.toLowerCase();
-        cards = cards.filter(c => c.name.toLowerCase().includes(lowerFilter));
-    }
+    // Node center
+    const centerX = node.x + width / 2;
+    const centerY = node.y + height / 2;
     
-    if (cards.length === 0) {
-        container.innerHTML = '<div class="link-card-empty">Nenhum card encontrado</div>';
-        return;
-    }
+    // Vector from center to target
+    const dx = targetX - centerX;
+    const dy = targetY - centerY;
     
-    container.innerHTML = cards.map(card => `
-        <div class="link-card-item" onclick="insertCardLink('${card.id}')">
-            <span class="card-icon">${ui.getTypeIcon(card.type)}</span>
-            <span class="card-name">${ui.escapeHtml(card.name)}</span>
-            <span class="card-type-label">${ui.getTypeName(card.type)}</span>
-        </div>
-    `).join('');
+    // Find which edge is closest
+    const ratioX = Math.abs(dx / (width / 2));
+    const ratioY = Math.abs(dy / (height / 2));
+    
+    if (ratioX > ratioY) {
+        // Left or right edge
+        const x = dx > 0 ? node.x + width : node.x;
+        const y = centerY;
+        return { x, y, anchor: dx > 0 ? 'right' : 'left' };
+    } else {
+        // Top or bottom edge
+        const x = centerX;
+        const y = dy > 0 ? node.y + height : node.y;
+        return { x, y, anchor: dy > 0 ? 'bottom' : 'top' };
+    }
 }
 
-function filterLinkCards(query) {
-    renderLinkCardsList(query);
+// Connection system
+function startConnection(event, nodeId) {
+    event.stopPropagation();
+    event.preventDefault();
+    
+    console.log('Starting connection from node:', nodeId);
+    
+    mindMapConnectionState.isConnecting = true;
+    mindMapConnectionState.fromNodeId = nodeId;
+    mindMapConnectionState.fromAnchor = 'bottom-right';
+    
+    document.addEventListener('mousemove', drawTempConnection);
+    document.addEventListener('mouseup', endConnection);
 }
 
-function insertCardLink(cardId) {
-    restoreSelection();
+function drawTempConnection(event) {
+    if (!mindMapConnectionState.isConnecting) return;
     
-    const card = dataStore.getCard(cardId);
-    if (!card) return;
+    const svg = document.getElementById('mindmap-connections');
+    const fromNode = mindMapNodes.find(n => n.id === mindMapConnectionState.fromNodeId);
+    if (!fromNode) return;
     
-    const sel = window.getSelection();
-    if (sel.rangeCount === 0) return;
+    const fromPos = getAnchorPosition(fromNode, mindMapConnectionState.fromAnchor);
     
-    const range = sel.getRangeAt(0);
-    const link = document.createElement('span');
-    link.className = `card-link ${card.type}`;
-    link.dataset.cardId = cardId;
-    link.contentEditable = 'false';
+    const canvas = document.getElementById('mindmap-canvas');
+    const container = document.getElementById('mindmap-nodes');
+    const rect = canvas.getBoundingClientRect();
+    const containerRect = container.getBoundingClientRect();
     
-    // Get selected text or use card name
-    const selectedText = range.toString().trim() || card.name;
-    link.textContent = selectedText;
+    // Convert mouse position to node coordinate space
+    const toX = (event.clientX - containerRect.left) / getMindMapScale();
+    const toY = (event.clientY - containerRect.top) / getMindMapScale();
     
-    range.deleteContents();
-    range.insertNode(link);
+    // Remove old temp line
+    const oldTemp = svg.querySelector('.mindmap-connection-temp');
+    if (oldTemp) oldTemp.remove();
     
-    sel.removeAllRanges();
-    closeLinkModal();
-}
-
-// =====================================================
-// RICH EDITOR DATA SYNC
-// =====================================================
-
-function syncEditorToTextarea(editorId, textareaId) {
-    const editor = document.getElementById(editorId);
-    const textarea = document.getElementById(textareaId);
-    if (editor && textarea) {
-        textarea.value = editor.innerHTML;
-    }
-}
-
-function syncTextareaToEditor(textareaId, editorId) {
-    const editor = document.getElementById(editorId);
-    const textarea = document.getElementById(textareaId);
-    if (editor && textarea) {
-        editor.innerHTML = textarea.value || '';
-    }
-}
-
-function getEditorContent(editorId) {
-    const editor = document.getElementById(editorId);
-    return editor ? editor.innerHTML : '';
+    // Draw new temp line
+    const path = createCurvePath(fromPos.x, fromPos.y, toX, toY);
+    const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    line.setAttribute('d', path);
+    line.setAttribute('class', 'mindmap-connection-temp');
+    svg.appendChild(line);
 }
 
-function setEditorContent(editorId, content) {
-    const editor = document.getElementById(editorId);
-    if (editor) {
-        editor.innerHTML = content || '';
+function endConnection(event) {
+    if (!mindMapConnectionState.isConnecting) return;
+    
+    // Remove temp line
+    const svg = document.getElementById('mindmap-connections');
+    const temp = svg.querySelector('.mindmap-connection-temp');
+    if (temp) temp.remove();
+    
+    // Check if we're over a node (anchor or node body)
+    const target = event.target;
+    let toNodeEl = null;
+    
+    if (target.classList.contains('mindmap-node-anchor')) {
+        toNodeEl = target.closest('.mindmap-node');
+    } else if (target.closest('.mindmap-node')) {
+        toNodeEl = target.closest('.mindmap-node');
     }
-}
-
-// =====================================================
-// INITIALIZE ON DOM READY
-// =====================================================
-
-// Initialize app when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    initApp();
-    initRichEditors();
-    initEventConnections();
-    initResumoCharCounter();
-});
-
-// =====================================================
-// CHARACTER COUNTER FOR RESUMO
-// =====================================================
-
-function initResumoCharCounter() {
-    const resumoInput = document.getElementById('card-resumo');
-    const charCount = document.getElementById('resumo-char-count');
     
-    if (resumoInput && charCount) {
-        const updateCounter = () => {
-            const length = resumoInput.value.length;
-            charCount.textContent = length;
+    if (toNodeEl) {
+        const toNodeId = parseInt(toNodeEl.dataset.nodeId);
+        
+        // Don't connect to self
+        if (toNodeId !== mindMapConnectionState.fromNodeId) {
+            // Check if connection already exists
+            const exists = mindMapConnections.some(c => 
+                c.fromNode === mindMapConnectionState.fromNodeId && c.toNode === toNodeId
+            );
             
-            // Change color based on length
-            if (length > 150) {
-                charCount.style.color = 'var(--color-evento)'; // Red-ish warning
-            } else if (length > 120) {
-                charCount.style.color = 'var(--color-accent)'; // Yellow-ish warning
-            } else {
-                charCount.style.color = ''; // Default
+            if (!exists) {
+                mindMapConnections.push({
+                    fromNode: mindMapConnectionState.fromNodeId,
+                    fromAnchor: 'bottom-right',
+                    toNode: toNodeId,
+                    toAnchor: 'center'
+                });
+                renderMindMapConnections();
             }
-        };
-        
-        resumoInput.addEventListener('input', updateCounter);
-        // Initialize on page load
-        updateCounter();
+        }
     }
+    
+    mindMapConnectionState.isConnecting = false;
+    mindMapConnectionState.fromNodeId = null;
+    mindMapConnectionState.fromAnchor = null;
+    
+    document.removeEventListener('mousemove', drawTempConnection);
+    document.removeEventListener('mouseup', endConnection);
 }
 
-// =====================================================
-// EVENT CONNECTIONS (Locais e Personagens relacionados)
-// =====================================================
-
-function initEventConnections() {
-    // Bind event connections selectors
-    const eventoLocaisSelect = document.getElementById('evento-locais-select');
-    if (eventoLocaisSelect) {
-        eventoLocaisSelect.addEventListener('change', (e) => {
-            const cardId = e.target.value;
-            if (cardId) {
-                ui.addConnectionTag(cardId, 'selected-evento-locais');
-                e.target.value = '';
-            }
-        });
-    }
+function getAnchorPosition(node, anchor) {
+    const nodeEl = document.querySelector(`[data-node-id="${node.id}"]`);
+    if (!nodeEl) return { x: node.x + 150, y: node.y + 25 };
     
-    const eventoPersonagensSelect = document.getElementById('evento-personagens-select');
-    if (eventoPersonagensSelect) {
-        eventoPersonagensSelect.addEventListener('change', (e) => {
-            const cardId = e.target.value;
-            if (cardId) {
-                ui.addConnectionTag(cardId, 'selected-evento-personagens');
-                e.target.value = '';
-            }
-        });
+    // Get actual dimensions from the element
+    const rect = nodeEl.getBoundingClientRect();
+    const canvas = document.getElementById('mindmap-canvas');
+    const canvasRect = canvas.getBoundingClientRect();
+    
+    // Get width and height without scale
+    const width = rect.width / getMindMapScale();
+    const height = rect.height / getMindMapScale();
+    
+    // Use node's stored x, y position directly
+    if (anchor === 'bottom-right') {
+        // Origin point at bottom right
+        return { x: node.x + width, y: node.y + height };
+    } else {
+        // Destination point at center
+        return { x: node.x + width / 2, y: node.y + height / 2 };
     }
 }
 
-function populateEventConnectionSelectors() {
-    // Locais para eventos
-    const locaisSelect = document.getElementById('evento-locais-select');
-    if (locaisSelect) {
-        const locations = dataStore.getCardsByType('local');
-        locaisSelect.innerHTML = `
-            <option value="">+ Adicionar local...</option>
-            ${locations.map(loc => `
-                <option value="${loc.id}">${ui.escapeHtml(loc.name)}</option>
-            `).join('')}
-        `;
-    }
+function createCurvePath(x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const offset = Math.min(dist / 2, 50);
     
-    // Personagens para eventos
-    const personagensSelect = document.getElementById('evento-personagens-select');
-    if (personagensSelect) {
-        const characters = dataStore.getCardsByType('personagem');
-        personagensSelect.innerHTML = `
-            <option value="">+ Adicionar personagem...</option>
-            ${characters.map(char => `
-                <option value="${char.id}">${ui.escapeHtml(char.name)}</option>
-            `).join('')}
-        `;
-    }
+    return `M ${x1} ${y1} C ${x1 + offset} ${y1}, ${x2 - offset} ${y2}, ${x2} ${y2}`;
 }
 
-// =====================================================
-// ACCORDION FUNCTIONS
-// =====================================================
-
-function toggleAccordion(header) {
-    const item = header.closest('.accordion-item');
-    const content = item.querySelector('.accordion-content');
-    const isOpen = item.classList.contains('open');
+function renderMindMapConnections() {
+    const svg = document.getElementById('mindmap-connections');
+    if (!svg) return;
     
-    // Toggle current
-    if (isOpen) {
-        item.classList.remove('open');
-    } else {
-        item.classList.add('open');
-    }
+    svg.innerHTML = '';
+    
+    mindMapConnections.forEach((conn, index) => {
+        const fromNode = mindMapNodes.find(n => n.id === conn.fromNode);
+        const toNode = mindMapNodes.find(n => n.id === conn.toNode);
+        
+        if (!fromNode || !toNode) return;
+        
+        // Get node centers
+        const fromNodeEl = document.querySelector(`[data-node-id="${fromNode.id}"]`);
+        const toNodeEl = document.querySelector(`[data-node-id="${toNode.id}"]`);
+        
+        if (!fromNodeEl || !toNodeEl) return;
+        
+        const fromRect = fromNodeEl.getBoundingClientRect();
+        const toRect = toNodeEl.getBoundingClientRect();
+        
+        const fromWidth = fromRect.width / getMindMapScale();
+        const fromHeight = fromRect.height / getMindMapScale();
+        const toWidth = toRect.width / getMindMapScale();
+        const toHeight = toRect.height / getMindMapScale();
+        
+        const fromCenterX = fromNode.x + fromWidth / 2;
+        const fromCenterY = fromNode.y + fromHeight / 2;
+        const toCenterX = toNode.x + toWidth / 2;
+        const toCenterY = toNode.y + toHeight / 2;
+        
+        // Calculate edge points
+        const fromPos = getClosestEdgePoint(fromNode, toCenterX, toCenterY);
+        const toPos = getClosestEdgePoint(toNode, fromCenterX, fromCenterY);
+        
+        // Remember which sides the edge attaches to so it is saved with the card
+        if (fromPos.anchor) conn.fromAnchor = fromPos.anchor;
+        if (toPos.anchor) conn.toAnchor = toPos.anchor;
+        
+        const path = createCurvePath(fromPos.x, fromPos.y, toPos.x, toPos.y);
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        line.setAttribute('d', path);
+        line.setAttribute('class', 'mindmap-connection-line');
+        line.setAttribute('data-connection-index', index);
+        line.onclick = (e) => {
+            e.stopPropagation();
+            if (confirm('Remover esta conexão?')) {
+                mindMapConnections.splice(index, 1);
+                renderMindMapConnections();
+            }
+        };
+        svg.appendChild(line);
+    });
 }
 
-function toggleViewAccordion(header) {
-    const item = header.closest('.view-accordion-item');
-    const isOpen = item.classList.contains('open');
-    
-    // Toggle current
-    if (isOpen) {
-        item.classList.remove('open');
-    } else {
-        item.classList.add('open');
-    }
+// Auto-resize textarea
+function autoResizeTextarea(textarea) {
+    if (!textarea) return;
+    textarea.style.height = 'auto';
+    const newHeight = Math.max(44, Math.min(textarea.scrollHeight, 200));
+    textarea.style.height = newHeight + 'px';
 }
 
-// Toggle section block (new narrative card view)
-function toggleSectionBlock(headerElement) {
-    const section = headerElement.closest('.card-section-block');
-    if (section) {
-        section.classList.toggle('expanded');
+// Keyboard shortcuts for mindmap nodes
+function handleMindMapNodeKeydown(event, nodeId) {
+    // Enter without shift: add new node
+    if (event.key === 'Enter' && !event.shiftKey) {
+        event.preventDefault();
+        addMindMapNode();
+    }
+    // Delete/Backspace on empty: remove node
+    else if ((event.key === 'Delete' || event.key === 'Backspace') && event.target.value === '') {
+        event.preventDefault();
+        const fakeEvent = { stopPropagation: () => {} };
+        deleteMindMapNode(fakeEvent, nodeId);
     }
 }
 
-// Open accordion by data-section attribute
-function openAccordionBySection(sectionName) {
-    const item = document.querySelector(`.accordion-item[data-section="${sectionName}"]`);
-    if (item) {
-        item.classList.add('open');
-    }
+function getMindMapScale() {
+    return mindMapPanZoom ? mindMapPanZoom.view.scale : 1;
+}
+
+function mindMapZoomIn() {
+    if (mindMapPanZoom) mindMapPanZoom.zoomIn();
+}
+
+function mindMapZoomOut() {
+    if (mindMapPanZoom) mindMapPanZoom.zoomOut();
 }
 
-// Close all accordions
-function closeAllAccordions() {
-    document.querySelectorAll('.accordion-item.open').forEach(item => {
-        item.classList.remove('open');
-    });
+function mindMapResetView() {
+    if (mindMapPanZoom) mindMapPanZoom.setView({ scale: 1, x: 0, y: 0 });
 }
 
 // =====================================================
-// TAGS INPUT FUNCTIONS
+// MINDMAP PERSISTENCE - graph stored on the card
 // =====================================================
 
-let cardTags = [];
-
-function handleTagInput(event) {
-    if (event.key === 'Enter') {
-        event.preventDefault();
-        const input = event.target;
-        const tagText = input.value.trim();
-        
-        if (tagText && !cardTags.includes(tagText)) {
-            cardTags.push(tagText);
-            renderTagsList();
+// Snapshot of the editor graph (positions, edges and view) as saved on the card
+function getMindMapData() {
+    return {
+        nodes: mindMapNodes.map(node => {
+            const saved = {
+                id: node.id,
+                type: node.type,
+                icon: node.icon,
+                label: node.label || '',
+                x: Math.round(node.x),
+                y: Math.round(node.y)
+            };
+            if (node.linkTo) saved.linkTo = node.linkTo;
+            return saved;
+        }),
+        connections: mindMapConnections.map(conn => ({
+            fromNode: conn.fromNode,
+            toNode: conn.toNode,
+            fromAnchor: conn.fromAnchor || null,
+            toAnchor: conn.toAnchor || null
+        })),
+        // Pan is saved in unscaled units
+        view: {
+            scale: getMindMapScale(),
+            panX: mindMapPanZoom ? Math.round(mindMapPanZoom.view.x / mindMapPanZoom.view.scale) : 0,
+            panY: mindMapPanZoom ? Math.round(mindMapPanZoom.view.y / mindMapPanZoom.view.scale) : 0
         }
-        
-        input.value = '';
-    }
+    };
 }
 
-function renderTagsList() {
-    const container = document.getElementById('card-tags-list');
-    if (!container) return;
+// Restore the editor exactly as it was saved
+function loadMindMapData(mindMap) {
+    const data = JSON.parse(JSON.stringify(mindMap)); // Deep copy
+    
+    mindMapNodes = data.nodes || [];
+    mindMapConnections = data.connections || [];
+    cascadeNodes = mindMapNodes.map(node => ({
+        id: node.id,
+        type: node.type,
+        icon: node.icon,
+        label: node.label,
+        children: []
+    }));
     
-    container.innerHTML = cardTags.map((tag, index) => `
-        <span class="tag-item">
-            ${ui.escapeHtml(tag)}
-            <button type="button" class="remove-tag" onclick="removeTag(${index})">×</button>
-        </span>
-    `).join('');
+    renderMindMap();
+    
+    const view = data.view || {};
+    const scale = view.scale || 1;
+    if (mindMapPanZoom) {
+        mindMapPanZoom.setView({ scale, x: (view.panX || 0) * scale, y: (view.panY || 0) * scale });
+    }
 }
 
-function removeTag(index) {
-    cardTags.splice(index, 1);
-    renderTagsList();
+// Lay out cards saved before the graph existed: top-level nodes in a column,
+// children fanned out to the right and linked to their parent
+function buildMindMapFromNodes(nodes, cardType) {
+    const types = getTypeNodeTypes(cardType);
+    const iconFor = (type) => {
+        const def = types.find(t => t.type === type);
+        return def ? def.icon : '●';
+    };
+    
+    let nextId = 1;
+    let row = 0;
+    const graphNodes = [];
+    const graphConnections = [];
+    
+    (nodes || []).forEach(node => {
+        const parent = {
+            id: nextId++,
+            type: node.type || 'state',
+            icon: iconFor(node.type),
+            label: node.label || '',
+            x: 40,
+            y: 40 + row * 90
+        };
+        if (node.linkTo) parent.linkTo = node.linkTo;
+        graphNodes.push(parent);
+        
+        (node.children || []).forEach((child, i) => {
+            const childNode = {
+                id: nextId++,
+                type: child.type || 'state',
+                icon: iconFor(child.type),
+                label: child.label || '',
+                x: 320,
+                y: 40 + (row + i) * 90
+            };
+            if (child.linkTo) childNode.linkTo = child.linkTo;
+            graphNodes.push(childNode);
+            graphConnections.push({ fromNode: parent.id, toNode: childNode.id });
+        });
+        
+        row += Math.max(1, (node.children || []).length);
+    });
+    
+    loadMindMapData({ nodes: graphNodes, connections: graphConnections });
 }
 
-function clearCardTags() {
-    cardTags = [];
-    renderTagsList();
+function clearMindMap() {
+    loadMindMapData({ nodes: [], connections: [] });
 }
 
-function setCardTags(tags) {
-    cardTags = tags || [];
-    renderTagsList();
-}
 // =====================================================
-// MINDMAP EDITOR - Visual Mind Mapping (Miro-style)
+// FLOWCHART GRAPH LAYOUT - layered view of a saved mind map
 // =====================================================
 
-let cascadeNodes = []; // Keep for compatibility
-let cardConnections = [];
-let mindMapNodes = [];
-let mindMapConnections = [];
-let mindMapDragState = {
-    isDragging: false,
-    nodeId: null,
-    startX: 0,
-    startY: 0,
-    offsetX: 0,
-    offsetY: 0
-};
-let mindMapPanState = {
-    isPanning: false,
-    startX: 0,
-    startY: 0,
-    offsetX: 0,
-    offsetY: 0
-};
-let mindMapConnectionState = {
-    isConnecting: false,
-    fromNodeId: null,
-    fromAnchor: null,
-    tempLine: null
-};
-let mindMapScale = 1;
-let mindMapPanOffset = { x: 0, y: 0 };
-let pendingConnection = null;
-
-// Node type definitions by card type
-const nodeTypesByCardType = {
-    evento: [
-        { type: 'trigger', icon: '⚡', label: 'Gatilho' },
-        { type: 'condition', icon: '❓', label: 'Condição' },
-        { type: 'consequence', icon: '→', label: 'Consequência' },
-        { type: 'action', icon: '⚔', label: 'Ação' },
-        { type: 'state', icon: '●', label: 'Estado' }
-    ],
-    local: [
-        { type: 'state', icon: '📍', label: 'Área' },
-        { type: 'action', icon: '👁', label: 'Subárea' },
-        { type: 'secret', icon: '🔮', label: 'Pista' },
-        { type: 'trigger', icon: '⚡', label: 'Elemento' }
-    ],
-    personagem: [
-        { type: 'trait', icon: '💭', label: 'Traço' },
-        { type: 'action', icon: '⚔', label: 'Habilidade' },
-        { type: 'state', icon: '●', label: 'Comportamento' },
-        { type: 'link', icon: '🔗', label: 'Vínculo' }
-    ]
-};
-
-// Add MindMap Node
-function addMindMapNode() {
-    showNodeTypeModal();
-}
-
-function createNode(type, icon) {
-    const canvas = document.getElementById('mindmap-canvas');
-    const rect = canvas.getBoundingClientRect();
+// Assigns each node a layer (longest path from the sources) and an order
+// inside its layer (barycenter sweeps), then converts that to pixels.
+// Cycles are broken by laying out back edges reversed; they keep their
+// original direction in the returned `edges`.
+function layoutFlowchartGraph(nodes, connections, options = {}) {
+    const nodeWidth = options.nodeWidth || 170;
+    const nodeHeight = options.nodeHeight || 56;
+    const colGap = options.colGap || 36;
+    const rowGap = options.rowGap || 64;
+    const padding = options.padding || 24;
+    
+    const byId = new Map(nodes.map(n => [n.id, n]));
+    const ids = nodes.map(n => n.id);
+    
+    // Keep valid, distinct edges only
+    const seen = new Set();
+    const edges = [];
+    connections.forEach(conn => {
+        const key = `${conn.fromNode}>${conn.toNode}`;
+        if (conn.fromNode === conn.toNode || seen.has(key)) return;
+        if (!byId.has(conn.fromNode) || !byId.has(conn.toNode)) return;
+        seen.add(key);
+        edges.push({ from: conn.fromNode, to: conn.toNode, reversed: false });
+    });
     
-    const newNode = {
-        id: Date.now(),
-        type: type,
-        icon: icon,
-        label: '',
-        x: Math.random() * (rect.width - 200) + 50,
-        y: Math.random() * (rect.height - 100) + 50
+    // Visit in the author's reading order (top to bottom, left to right)
+    const readingOrder = nodes.slice().sort((a, b) => ((a.y || 0) - (b.y || 0)) || ((a.x || 0) - (b.x || 0)));
+    
+    // Break cycles: an edge into a node still on the DFS stack is a back edge
+    const outgoing = new Map(ids.map(id => [id, []]));
+    edges.forEach(edge => outgoing.get(edge.from).push(edge));
+    const visitState = new Map();
+    const visit = (id) => {
+        visitState.set(id, 'active');
+        outgoing.get(id).forEach(edge => {
+            const state = visitState.get(edge.to);
+            if (state === 'active') {
+                edge.reversed = true;
+            } else if (!state) {
+                visit(edge.to);
+            }
+        });
+        visitState.set(id, 'done');
     };
+    const targets = new Set(edges.map(e => e.to));
+    readingOrder.filter(n => !targets.has(n.id)).forEach(n => {
+        if (!visitState.has(n.id)) visit(n.id);
+    });
+    readingOrder.forEach(n => {
+        if (!visitState.has(n.id)) visit(n.id);
+    });
     
-    mindMapNodes.push(newNode);
+    const predecessors = new Map(ids.map(id => [id, []]));
+    const successors = new Map(ids.map(id => [id, []]));
+    edges.forEach(edge => {
+        const from = edge.reversed ? edge.to : edge.from;
+        const to = edge.reversed ? edge.from : edge.to;
+        successors.get(from).push(to);
+        predecessors.get(to).push(from);
+    });
     
-    // Convert to old format for compatibility
-    cascadeNodes.push({
-        id: newNode.id,
-        type: newNode.type,
-        icon: newNode.icon,
-        label: newNode.label,
-        children: []
+    // Longest-path layering (Kahn's algorithm over the acyclic layout edges)
+    const rank = new Map(ids.map(id => [id, 0]));
+    const inDegree = new Map(ids.map(id => [id, predecessors.get(id).length]));
+    const queue = readingOrder.filter(n => inDegree.get(n.id) === 0).map(n => n.id);
+    while (queue.length > 0) {
+        const id = queue.shift();
+        successors.get(id).forEach(next => {
+            rank.set(next, Math.max(rank.get(next), rank.get(id) + 1));
+            inDegree.set(next, inDegree.get(next) - 1);
+            if (inDegree.get(next) === 0) queue.push(next);
+        });
+    }
+    
+    const layers = [];
+    readingOrder.forEach(n => {
+        const r = rank.get(n.id);
+        (layers[r] = layers[r] || []).push(n.id);
     });
     
-    closeNodeTypeModal();
-    renderMindMap();
+    // Start from the horizontal order the author used, then reduce crossings
+    layers.forEach(layer => layer.sort((a, b) => (byId.get(a).x || 0) - (byId.get(b).x || 0)));
+    const order = new Map();
+    layers.forEach(layer => layer.forEach((id, i) => order.set(id, i)));
     
-    // Focus the new node
-    setTimeout(() => {
-        const node = document.querySelector(`[data-node-id="${newNode.id}"] textarea`);
-        if (node) node.focus();
-    }, 100);
+    for (let sweep = 0; sweep < 4; sweep++) {
+        const downward = sweep % 2 === 0;
+        const layerIndexes = layers.map((_, i) => i);
+        if (!downward) layerIndexes.reverse();
+        
+        layerIndexes.slice(1).forEach(r => {
+            const neighbours = downward ? predecessors : successors;
+            const barycenter = new Map();
+            layers[r].forEach(id => {
+                const ns = neighbours.get(id);
+                barycenter.set(id, ns.length > 0
+                    ? ns.reduce((sum, n) => sum + order.get(n), 0) / ns.length
+                    : order.get(id));
+            });
+            layers[r].sort((a, b) => barycenter.get(a) - barycenter.get(b));
+            layers[r].forEach((id, i) => order.set(id, i));
+        });
+    }
+    
+    // Pixel positions, each layer centred horizontally
+    const widest = Math.max(1, ...layers.map(layer => layer.length));
+    const width = padding * 2 + widest * nodeWidth + (widest - 1) * colGap;
+    const height = padding * 2 + layers.length * nodeHeight + Math.max(0, layers.length - 1) * rowGap;
+    const positions = new Map();
+    
+    layers.forEach((layer, r) => {
+        const layerWidth = layer.length * nodeWidth + (layer.length - 1) * colGap;
+        const offsetX = (width - layerWidth) / 2;
+        layer.forEach((id, i) => {
+            positions.set(id, {
+                x: offsetX + i * (nodeWidth + colGap),
+                y: padding + r * (nodeHeight + rowGap)
+            });
+        });
+    });
+    
+    return { positions, edges, width, height, nodeWidth, nodeHeight };
 }
 
-function renderMindMap() {
-    const container = document.getElementById('mindmap-nodes');
-    const emptyMsg = document.getElementById('mindmap-empty');
-    const svgConnections = document.getElementById('mindmap-connections');
+// =====================================================
+// PAN & ZOOM - shared canvas navigation
+// =====================================================
+
+// Wheel to zoom around the cursor, drag the background to pan.
+// `layer` is transformed inside `viewport`; returns a small controller.
+function attachPanZoom(viewport, layer, options = {}) {
+    const minScale = options.minScale || 0.3;
+    const maxScale = options.maxScale || 2;
+    const view = { scale: 1, x: 0, y: 0 };
+    const panState = {
+        isPanning: false,
+        hasMoved: false,
+        startX: 0,
+        startY: 0,
+        offsetX: 0,
+        offsetY: 0
+    };
     
-    if (!container) return;
+    layer.style.transformOrigin = '0 0';
     
-    if (mindMapNodes.length === 0) {
-        container.innerHTML = '';
-        if (emptyMsg) emptyMsg.style.display = 'flex';
-        if (svgConnections) svgConnections.innerHTML = '';
-        return;
-    }
+    const apply = () => {
+        layer.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+        if (options.onChange) options.onChange(view);
+    };
     
-    if (emptyMsg) emptyMsg.style.display = 'none';
+    // Zoom keeping the given screen point (default: viewport centre) still
+    const zoomTo = (scale, clientX, clientY) => {
+        const rect = viewport.getBoundingClientRect();
+        const px = clientX === undefined ? rect.width / 2 : clientX - rect.left;
+        const py = clientY === undefined ? rect.height / 2 : clientY - rect.top;
+        const newScale = Math.max(minScale, Math.min(maxScale, scale));
+        
+        view.x = px - (px - view.x) * (newScale / view.scale);
+        view.y = py - (py - view.y) * (newScale / view.scale);
+        view.scale = newScale;
+        apply();
+    };
     
-    // Render nodes
-    container.innerHTML = mindMapNodes.map(node => `
-        <div class="mindmap-node" 
-             data-node-id="${node.id}"
-             style="left: ${node.x}px; top: ${node.y}px;"
-             onmousedown="startMindMapDrag(event, ${node.id})"
-             oncontextmenu="showNodeContextMenu(event, ${node.id})">
-            <div class="mindmap-node-icon ${node.type}">${node.icon}</div>
-            <textarea class="mindmap-node-input"
-                      placeholder="Escreva aqui..."
-                      maxlength="200"
-                      rows="1"
-                      oninput="autoResizeTextarea(this); updateMindMapNodeLabel(${node.id}, this.value)"
-                      onclick="event.stopPropagation()"
-                      onkeydown="handleMindMapNodeKeydown(event, ${node.id})">${node.label || ''}</textarea>
-        </div>
-    `).join('');
+    const getPoint = (e) => e.type.includes('touch') ? e.touches[0] : e;
+    
+    const startPan = (e) => {
+        if (options.canPan && !options.canPan(e)) return;
+        const point = getPoint(e);
+        panState.isPanning = true;
+        panState.hasMoved = false;
+        panState.startX = point.clientX;
+        panState.startY = point.clientY;
+        panState.offsetX = view.x;
+        panState.offsetY = view.y;
+        viewport.classList.add('panning');
+    };
     
-    // Auto-resize all textareas
-    setTimeout(() => {
-        document.querySelectorAll('.mindmap-node-input').forEach(ta => autoResizeTextarea(ta));
-    }, 0);
+    const onPan = (e) => {
+        if (!panState.isPanning) return;
+        const point = getPoint(e);
+        const deltaX = point.clientX - panState.startX;
+        const deltaY = point.clientY - panState.startY;
+        
+        if (Math.abs(deltaX) + Math.abs(deltaY) > 3) {
+            panState.hasMoved = true;
+        }
+        view.x = panState.offsetX + deltaX;
+        view.y = panState.offsetY + deltaY;
+        apply();
+    };
     
-    // Render connections
-    renderMindMapConnections();
+    const endPan = () => {
+        panState.isPanning = false;
+        viewport.classList.remove('panning');
+    };
     
-    // Render connections (empty for now)
-    if (svgConnections) {
-        svgConnections.innerHTML = '';
-    }
-}
-
-function startMindMapDrag(event, nodeId) {
-    // Don't start drag if in connection mode
-    if (mindMapConnectionState.isConnecting) {
-        return;
-    }
+    viewport.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        zoomTo(view.scale * (e.deltaY < 0 ? 1.1 : 1 / 1.1), e.clientX, e.clientY);
+    }, { passive: false });
     
-    if (event.target.tagName === 'TEXTAREA' || event.target.tagName === 'BUTTON') {
-        return;
-    }
+    viewport.addEventListener('mousedown', (e) => {
+        if (e.button !== 0) return;
+        startPan(e);
+        if (!panState.isPanning) return;
+        
+        const onMouseUp = () => {
+            endPan();
+            document.removeEventListener('mousemove', onPan);
+            document.removeEventListener('mouseup', onMouseUp);
+        };
+        document.addEventListener('mousemove', onPan);
+        document.addEventListener('mouseup', onMouseUp);
+    });
     
-    event.preventDefault();
+    viewport.addEventListener('touchstart', (e) => {
+        if (e.touches.length === 1) startPan(e);
+    }, { passive: true });
+    viewport.addEventListener('touchmove', onPan, { passive: true });
+    viewport.addEventListener('touchend', endPan);
     
-    const node = mindMapNodes.find(n => n.id === nodeId);
-    if (!node) return;
+    // A drag must not end in a click on whatever is under the cursor
+    viewport.addEventListener('click', (e) => {
+        if (panState.hasMoved) {
+            e.stopPropagation();
+            e.preventDefault();
+            panState.hasMoved = false;
+        }
+    }, true);
     
-    mindMapDragState.isDragging = true;
-    mindMapDragState.nodeId = nodeId;
-    mindMapDragState.startX = event.clientX;
-    mindMapDragState.startY = event.clientY;
-    mindMapDragState.offsetX = node.x;
-    mindMapDragState.offsetY = node.y;
+    return {
+        view,
+        zoomIn: () => zoomTo(view.scale * 1.2),
+        zoomOut: () => zoomTo(view.scale / 1.2),
+        setView: (next) => {
+            Object.assign(view, next);
+            apply();
+        },
+        // Scale content of the given size to fit, never enlarging past 100%
+        fit: (contentWidth, contentHeight) => {
+            const rect = viewport.getBoundingClientRect();
+            if (!rect.width || !rect.height) {
+                apply();
+                return;
+            }
+            const scale = Math.min(rect.width / contentWidth, rect.height / contentHeight, 1);
+            view.scale = Math.max(minScale, scale);
+            view.x = (rect.width - contentWidth * view.scale) / 2;
+            view.y = Math.max(0, (rect.height - contentHeight * view.scale) / 2);
+            apply();
+        }
+    };
+}
+
+// Pan on the background, zoom with the wheel: the same pan/zoom as the
+// other canvases. Connections are redrawn since they follow node sizes.
+function initMindMapCanvas() {
+    const canvas = document.getElementById('mindmap-canvas');
+    const layer = document.getElementById('mindmap-layer');
+    if (!canvas || !layer) return;
+    
+    mindMapPanZoom = attachPanZoom(canvas, layer, {
+        minScale: 0.3,
+        maxScale: 2,
+        canPan: (e) => e.target === canvas || ['mindmap-layer', 'mindmap-nodes', 'mindmap-connections'].includes(e.target.id),
+        onChange: () => renderMindMapConnections()
+    });
+}
+
+// Call init when mindmap is shown
+if (document.getElementById('mindmap-canvas')) {
+    initMindMapCanvas();
+}
+
+// Compatibility functions
+function addCascadeNode() {
+    addMindMapNode();
+}
+
+function renderCascadeNodes() {
+    renderMindMap();
+}
+
+function showNodeTypeModal() {
+    const modal = document.getElementById('node-type-modal');
+    const optionsContainer = document.getElementById('node-type-options');
+    const types = getTypeNodeTypes(ui.selectedType);
+    
+    optionsContainer.innerHTML = types.map(t => `
+        <div class="node-type-option" onclick="createNode('${t.type}', '${t.icon}')">
+            <div class="node-type-option-icon ${t.type}">${t.icon}</div>
+            <div class="node-type-option-text">${t.label}</div>
+        </div>
+    `).join('');
+    
+    modal.style.display = 'flex';
+}
+
+function closeNodeTypeModal() {
+    document.getElementById('node-type-modal').style.display = 'none';
+}
+
+// Utility functions
+function isEditableTarget(element) {
+    if (!element || !element.tagName) return false;
+    return element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+}
+
+// Lines of an editor textarea, each split into trimmed parts at "|"; lines
+// with nothing before the first "|" are skipped
+function splitPipeLines(value) {
+    return value.split('\n').map(line => line.split('|').map(part => part.trim())).filter(parts => parts[0]);
+}
+
+function escapeAttr(str) {
+    if (!str) return '';
+    return str.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// For markup saved as its own file (the SVG export), where only XML's five
+// entities exist
+function escapeXml(str) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+    return String(str ?? '').replace(/[&<>"']/g, ch => entities[ch]);
+}
+
+// =====================================================
+// WORLD GRAPH - every card and connection at once
+// =====================================================
+
+let worldGraphPositions = {};   // cardId -> { x, y } from the last layout
+let worldGraphLayoutKey = null; // cards, links and pins that layout was run for
+let worldGraphFilter = { type: 'all', tag: '' };
+let worldGraphPanZoom = null;
+let worldGraphBounds = null;    // { minX, minY, width, height } of the drawn layout
+let worldGraphDrag = null;
+
+const WORLD_GRAPH_PADDING = 80;
+
+// Pinned positions are saved with the world: cardId -> { x, y }
+function getWorldGraphPins() {
+    return dataStore.getSetting('graphPins', {});
+}
+
+function setWorldGraphPins(pins) {
+    dataStore.setSetting('graphPins', pins);
+}
+
+function getWorldGraphData() {
+    const { type, tag } = worldGraphFilter;
+    const wantedTag = normalizeSearchText(tag);
     
-    const nodeEl = document.querySelector(`[data-node-id="${nodeId}"]`);
-    if (nodeEl) nodeEl.classList.add('dragging');
+    const cards = dataStore.getAllCards().filter(card =>
+        (type === 'all' || card.type === type) &&
+        (!tag || (card.tags || []).some(t => normalizeSearchText(t) === wantedTag))
+    );
+    const visible = new Set(cards.map(card => card.id));
+    const relations = dataStore.relations.filter(r => visible.has(r.source) && visible.has(r.target));
     
-    document.addEventListener('mousemove', onMindMapDrag);
-    document.addEventListener('mouseup', endMindMapDrag);
+    return { cards, relations };
 }
 
-function onMindMapDrag(event) {
-    if (!mindMapDragState.isDragging) return;
-    
-    // Use requestAnimationFrame for smooth updates
-    if (mindMapDragState.animationFrame) {
-        cancelAnimationFrame(mindMapDragState.animationFrame);
+// Same starting point for a card on every layout, so the graph doesn't reshuffle
+function seedWorldGraphPosition(id, count) {
+    let hash = 0;
+    for (let i = 0; i < id.length; i++) {
+        hash = (hash * 31 + id.charCodeAt(i)) | 0;
     }
-    
-    mindMapDragState.animationFrame = requestAnimationFrame(() => {
-        const deltaX = (event.clientX - mindMapDragState.startX) / mindMapScale;
-        const deltaY = (event.clientY - mindMapDragState.startY) / mindMapScale;
+    const angle = (Math.abs(hash) % 360) * Math.PI / 180;
+    const radius = 40 + Math.sqrt(count) * 60 * ((Math.abs(hash >> 9) % 100) / 100);
+    return { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius };
+}
+
+// Fruchterman-Reingold: every pair of nodes repels, edges pull their ends
+// together and a weak gravity keeps separate groups in view. Pinned nodes
+// don't move. `edges` are pairs of node indexes.
+function runForceLayout(nodes, edges, iterations = 300, startTemperature = 120) {
+    const ideal = 120;
+    const gravity = 0.05;
+    let temperature = startTemperature;
+    const cooling = startTemperature / (iterations + 1);
+    
+    for (let step = 0; step < iterations; step++) {
+        const moves = nodes.map(() => ({ x: 0, y: 0 }));
         
-        const node = mindMapNodes.find(n => n.id === mindMapDragState.nodeId);
-        if (!node) return;
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                let dx = nodes[i].x - nodes[j].x;
+                let dy = nodes[i].y - nodes[j].y;
+                let distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance < 0.01) {
+                    // Overlapping nodes: push apart in a fixed direction
+                    dx = 0.01 * (i - j);
+                    dy = 0.01;
+                    distance = Math.sqrt(dx * dx + dy * dy);
+                }
+                const force = (ideal * ideal) / distance;
+                moves[i].x += (dx / distance) * force;
+                moves[i].y += (dy / distance) * force;
+                moves[j].x -= (dx / distance) * force;
+                moves[j].y -= (dy / distance) * force;
+            }
+        }
         
-        node.x = mindMapDragState.offsetX + deltaX;
-        node.y = mindMapDragState.offsetY + deltaY;
+        edges.forEach(([a, b]) => {
+            const dx = nodes[a].x - nodes[b].x;
+            const dy = nodes[a].y - nodes[b].y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 0.01;
+            const force = (distance * distance) / ideal;
+            moves[a].x -= (dx / distance) * force;
+            moves[a].y -= (dy / distance) * force;
+            moves[b].x += (dx / distance) * force;
+            moves[b].y += (dy / distance) * force;
+        });
         
-        const nodeEl = document.querySelector(`[data-node-id="${node.id}"]`);
-        if (nodeEl) {
-            nodeEl.style.transform = `translate(${deltaX}px, ${deltaY}px)`;
-        }
+        nodes.forEach((node, i) => {
+            if (node.pinned) return;
+            const move = moves[i];
+            move.x -= node.x * gravity * ideal / 10;
+            move.y -= node.y * gravity * ideal / 10;
+            
+            // Each step moves at most `temperature` pixels
+            const length = Math.sqrt(move.x * move.x + move.y * move.y);
+            if (length > 0) {
+                node.x += (move.x / length) * Math.min(length, temperature);
+                node.y += (move.y / length) * Math.min(length, temperature);
+            }
+        });
         
-        // Update connections less frequently
-        if (!mindMapDragState.lastConnectionUpdate || Date.now() - mindMapDragState.lastConnectionUpdate > 16) {
-            renderMindMapConnections();
-            mindMapDragState.lastConnectionUpdate = Date.now();
-        }
+        temperature = Math.max(temperature - cooling, 1);
+    }
+}
+
+function initWorldGraph() {
+    const viewport = document.getElementById('world-graph-viewport');
+    const layer = document.getElementById('world-graph-layer');
+    if (!viewport || !layer || worldGraphPanZoom) return;
+    
+    worldGraphPanZoom = attachPanZoom(viewport, layer, {
+        minScale: 0.2,
+        maxScale: 2.5,
+        canPan: (e) => !e.target.closest('.wg-node')
     });
 }
 
-function endMindMapDrag() {
-    if (mindMapDragState.nodeId) {
-        const node = mindMapNodes.find(n => n.id === mindMapDragState.nodeId);
-        const nodeEl = document.querySelector(`[data-node-id="${mindMapDragState.nodeId}"]`);
-        
-        if (nodeEl && node) {
-            // Apply final position
-            nodeEl.style.left = node.x + 'px';
-            nodeEl.style.top = node.y + 'px';
-            nodeEl.style.transform = '';
-            nodeEl.classList.remove('dragging');
-        }
-        
-        // Final connection update
-        renderMindMapConnections();
-    }
+// Lay out and draw the graph. New cards get a full layout; otherwise the
+// previous positions are only relaxed, and only when cards, links or pins
+// changed since the last layout. `options.fit` re-frames the view.
+function renderWorldGraph(options = {}) {
+    const layer = document.getElementById('world-graph-layer');
+    if (!layer) return;
+    initWorldGraph();
+    renderWorldGraphFilters();
+    
+    const { cards, relations } = getWorldGraphData();
+    const empty = document.getElementById('world-graph-empty');
+    if (empty) empty.style.display = cards.length === 0 ? 'flex' : 'none';
+    
+    const pins = getWorldGraphPins();
+    const nodes = cards.map(card => {
+        const start = pins[card.id] || worldGraphPositions[card.id] || seedWorldGraphPosition(card.id, cards.length);
+        return { id: card.id, card, x: start.x, y: start.y, pinned: !!pins[card.id] };
+    });
+    const indexById = new Map(nodes.map((node, i) => [node.id, i]));
+    const edges = relations.map(r => [indexById.get(r.source), indexById.get(r.target)]);
+    
+    const layoutKey = JSON.stringify([nodes.map(node => node.id), edges, pins]);
+    const hasNewNodes = nodes.some(node => !node.pinned && !worldGraphPositions[node.id]);
+    if (options.relayout || hasNewNodes) {
+        runForceLayout(nodes, edges, 300, 120);
+    } else if (options.iterations !== undefined || layoutKey !== worldGraphLayoutKey) {
+        runForceLayout(nodes, edges, options.iterations ?? 40, 20);
+    }
+    worldGraphLayoutKey = layoutKey;
+    nodes.forEach(node => {
+        worldGraphPositions[node.id] = { x: node.x, y: node.y };
+    });
     
-    if (mindMapDragState.animationFrame) {
-        cancelAnimationFrame(mindMapDragState.animationFrame);
-    }
+    // Layer coordinates start at the top-left node (plus padding)
+    const xs = nodes.map(node => node.x);
+    const ys = nodes.map(node => node.y);
+    const previousBounds = worldGraphBounds;
+    worldGraphBounds = nodes.length === 0 ? { minX: 0, minY: 0, width: 0, height: 0 } : {
+        minX: Math.min(...xs) - WORLD_GRAPH_PADDING,
+        minY: Math.min(...ys) - WORLD_GRAPH_PADDING,
+        width: Math.max(...xs) - Math.min(...xs) + WORLD_GRAPH_PADDING * 2,
+        height: Math.max(...ys) - Math.min(...ys) + WORLD_GRAPH_PADDING * 2
+    };
+    const { minX, minY, width, height } = worldGraphBounds;
+    
+    layer.style.width = `${width}px`;
+    layer.style.height = `${height}px`;
+    
+    const edgesSvg = document.getElementById('world-graph-edges');
+    edgesSvg.setAttribute('width', width);
+    edgesSvg.setAttribute('height', height);
+    edgesSvg.innerHTML = relations.map(relation => {
+        const from = nodes[indexById.get(relation.source)];
+        const to = nodes[indexById.get(relation.target)];
+        const title = `${from.card.name} — ${describeRelation(relation, relation.source).label} → ${to.card.name}`;
+        return `
+            <line class="wg-edge ${relation.type}" data-source="${relation.source}" data-target="${relation.target}"
+                  x1="${from.x - minX}" y1="${from.y - minY}" x2="${to.x - minX}" y2="${to.y - minY}">
+                <title>${ui.escapeHtml(title)}</title>
+            </line>
+        `;
+    }).join('');
     
-    mindMapDragState.isDragging = false;
-    mindMapDragState.nodeId = null;
-    mindMapDragState.animationFrame = null;
-    mindMapDragState.lastConnectionUpdate = null;
+    document.getElementById('world-graph-nodes').innerHTML = nodes.map(node => `
+        <div class="wg-node ${node.card.type}${node.pinned ? ' pinned' : ''}" data-id="${node.id}"
+             style="left: ${node.x - minX}px; top: ${node.y - minY}px;"
+             onmouseenter="highlightWorldGraphNeighbors('${node.id}')"
+             onmouseleave="clearWorldGraphHighlight()"
+             onmousedown="startWorldGraphDrag(event, '${node.id}')"
+             oncontextmenu="toggleWorldGraphPin(event, '${node.id}')"
+             title="${escapeAttr(node.card.name)}">
+            <span class="wg-node-icon">${ui.escapeHtml(ui.getTypeIcon(node.card.type))}</span>
+            <span class="wg-node-name">${ui.escapeHtml(node.card.name)}</span>
+            ${node.pinned ? '<span class="wg-node-pin">📌</span>' : ''}
+        </div>
+    `).join('');
     
-    document.removeEventListener('mousemove', onMindMapDrag);
-    document.removeEventListener('mouseup', endMindMapDrag);
+    if (options.fit || !previousBounds) {
+        fitWorldGraph();
+    } else {
+        // Keep what's on screen still although the layer origin moved
+        const view = worldGraphPanZoom.view;
+        worldGraphPanZoom.setView({
+            x: view.x + (minX - previousBounds.minX) * view.scale,
+            y: view.y + (minY - previousBounds.minY) * view.scale
+        });
+    }
 }
 
-function updateMindMapNodeLabel(nodeId, value) {
-    const node = mindMapNodes.find(n => n.id === nodeId);
-    if (node) {
-        node.label = value;
-        
-        // Update cascadeNodes for compatibility
-        const cascadeNode = cascadeNodes.find(n => n.id === nodeId);
-        if (cascadeNode) {
-            cascadeNode.label = value;
-        }
+function renderWorldGraphFilters() {
+    const typeContainer = document.getElementById('world-graph-types');
+    if (typeContainer) {
+        const types = ['all', ...getCardTypes().map(type => type.key)];
+        typeContainer.innerHTML = types.map(type => `
+            <button type="button" class="wg-filter-btn ${type}${worldGraphFilter.type === type ? ' active' : ''}"
+                    onclick="setWorldGraphFilter('type', '${type}')">
+                ${type === 'all' ? 'Todos' : `${ui.escapeHtml(ui.getTypeIcon(type))} ${ui.escapeHtml(ui.getTypeName(type))}`}
+            </button>
+        `).join('');
+    }
+    
+    const tagSelect = document.getElementById('world-graph-tag');
+    if (tagSelect) {
+        const tags = [...new Set(dataStore.getAllCards().flatMap(card => card.tags || []))]
+            .sort((a, b) => a.localeCompare(b, 'pt-BR'));
+        tagSelect.innerHTML = `
+            <option value="">Todas as tags</option>
+            ${tags.map(tag => `
+                <option value="${escapeAttr(tag)}"${tag === worldGraphFilter.tag ? ' selected' : ''}>${ui.escapeHtml(tag)}</option>
+            `).join('')}
+        `;
     }
 }
 
-function deleteMindMapNode(event, nodeId) {
-    if (event) event.stopPropagation();
-    
-    // Remove connections to/from this node
-    mindMapConnections = mindMapConnections.filter(conn => 
-        conn.fromNode !== nodeId && conn.toNode !== nodeId
-    );
-    
-    mindMapNodes = mindMapNodes.filter(n => n.id !== nodeId);
-    cascadeNodes = cascadeNodes.filter(n => n.id !== nodeId);
-    
-    renderMindMap();
+function setWorldGraphFilter(key, value) {
+    worldGraphFilter[key] = value;
+    renderWorldGraph({ fit: true });
 }
 
-// Context menu system
-let contextMenuState = {
-    isOpen: false,
-    nodeId: null
-};
+function fitWorldGraph() {
+    if (!worldGraphPanZoom || !worldGraphBounds) return;
+    worldGraphPanZoom.fit(worldGraphBounds.width, worldGraphBounds.height);
+}
 
-function showNodeContextMenu(event, nodeId) {
-    event.preventDefault();
-    event.stopPropagation();
-    
-    // Don't show context menu if clicking on textarea
-    if (event.target.tagName === 'TEXTAREA') {
-        return;
-    }
-    
-    // Remove existing menu
-    closeContextMenu();
-    
-    // Create context menu
-    const menu = document.createElement('div');
-    menu.className = 'mindmap-context-menu';
-    menu.id = 'mindmap-context-menu';
-    menu.innerHTML = `
-        <div class="context-menu-item" onclick="startConnectionFromContextMenu(${nodeId})">
-            <span class="context-menu-icon">⟶</span>
-            <span>Criar conexão</span>
-        </div>
-        <div class="context-menu-divider"></div>
-        <div class="context-menu-item delete" onclick="deleteMindMapNode(null, ${nodeId}); closeContextMenu();">
-            <span class="context-menu-icon">×</span>
-            <span>Apagar nó</span>
-        </div>
-    `;
-    
-    // Position menu
-    menu.style.left = event.clientX + 'px';
-    menu.style.top = event.clientY + 'px';
+// Start over from the seeded positions; pinned cards stay where they are
+function relayoutWorldGraph() {
+    worldGraphPositions = {};
+    renderWorldGraph({ relayout: true, fit: true });
+}
+
+function unpinAllWorldGraph() {
+    setWorldGraphPins({});
+    renderWorldGraph({ iterations: 120 });
+    ui.showToast('Posições liberadas', 'info');
+}
+
+function highlightWorldGraphNeighbors(cardId) {
+    if (worldGraphDrag) return;
     
-    document.body.appendChild(menu);
+    const neighbors = new Set([cardId]);
+    dataStore.getRelationsFor(cardId).forEach(r => {
+        neighbors.add(r.source);
+        neighbors.add(r.target);
+    });
     
-    contextMenuState.isOpen = true;
-    contextMenuState.nodeId = nodeId;
+    document.getElementById('world-graph-layer').classList.add('has-focus');
+    document.querySelectorAll('.wg-node').forEach(el => {
+        el.classList.toggle('focus', neighbors.has(el.dataset.id));
+    });
+    document.querySelectorAll('.wg-edge').forEach(el => {
+        el.classList.toggle('focus', el.dataset.source === cardId || el.dataset.target === cardId);
+    });
+}
+
+function clearWorldGraphHighlight() {
+    if (worldGraphDrag) return;
     
-    // Close on click outside
-    setTimeout(() => {
-        document.addEventListener('click', closeContextMenu);
-        document.addEventListener('contextmenu', closeContextMenu);
-    }, 0);
+    document.getElementById('world-graph-layer').classList.remove('has-focus');
+    document.querySelectorAll('.wg-node.focus, .wg-edge.focus').forEach(el => el.classList.remove('focus'));
 }
 
-function closeContextMenu() {
-    const menu = document.getElementById('mindmap-context-menu');
-    if (menu) {
-        menu.remove();
-    }
+// Dragging a card pins it where it is dropped; a plain click opens it
+function startWorldGraphDrag(event, cardId) {
+    if (event.button !== 0) return;
+    event.preventDefault();
     
-    contextMenuState.isOpen = false;
-    contextMenuState.nodeId = null;
+    const position = worldGraphPositions[cardId];
+    worldGraphDrag = {
+        cardId,
+        startX: event.clientX,
+        startY: event.clientY,
+        originX: position.x,
+        originY: position.y,
+        moved: false
+    };
     
-    document.removeEventListener('click', closeContextMenu);
-    document.removeEventListener('contextmenu', closeContextMenu);
+    document.addEventListener('mousemove', onWorldGraphDrag);
+    document.addEventListener('mouseup', endWorldGraphDrag);
 }
 
-function startConnectionFromContextMenu(nodeId) {
-    closeContextMenu();
-    
-    mindMapConnectionState.isConnecting = true;
-    mindMapConnectionState.fromNodeId = nodeId;
+function onWorldGraphDrag(event) {
+    if (!worldGraphDrag) return;
+    
+    const scale = worldGraphPanZoom.view.scale;
+    const deltaX = event.clientX - worldGraphDrag.startX;
+    const deltaY = event.clientY - worldGraphDrag.startY;
+    if (Math.abs(deltaX) + Math.abs(deltaY) > 3) worldGraphDrag.moved = true;
+    if (!worldGraphDrag.moved) return;
+    
+    const { cardId } = worldGraphDrag;
+    const x = worldGraphDrag.originX + deltaX / scale;
+    const y = worldGraphDrag.originY + deltaY / scale;
+    worldGraphPositions[cardId] = { x, y };
+    
+    const { minX, minY } = worldGraphBounds;
+    const nodeEl = document.querySelector(`.wg-node[data-id="${cardId}"]`);
+    if (nodeEl) {
+        nodeEl.style.left = `${x - minX}px`;
+        nodeEl.style.top = `${y - minY}px`;
+        nodeEl.classList.add('dragging');
+    }
+    document.querySelectorAll(`.wg-edge[data-source="${cardId}"]`).forEach(line => {
+        line.setAttribute('x1', x - minX);
+        line.setAttribute('y1', y - minY);
+    });
+    document.querySelectorAll(`.wg-edge[data-target="${cardId}"]`).forEach(line => {
+        line.setAttribute('x2', x - minX);
+        line.setAttribute('y2', y - minY);
+    });
+}
+
+function endWorldGraphDrag() {
+    document.removeEventListener('mousemove', onWorldGraphDrag);
+    document.removeEventListener('mouseup', endWorldGraphDrag);
     
-    // Change cursor
-    document.body.style.cursor = 'crosshair';
+    const drag = worldGraphDrag;
+    worldGraphDrag = null;
+    if (!drag) return;
     
-    // Visual feedback on source node
-    const sourceNode = document.querySelector(`[data-node-id="${nodeId}"]`);
-    if (sourceNode) {
-        sourceNode.classList.add('connecting');
+    if (!drag.moved) {
+        ui.openCard(drag.cardId);
+        return;
     }
     
-    document.addEventListener('mousemove', drawTempConnectionFromNode);
-    document.addEventListener('mousedown', endConnectionFromNode);
-    document.addEventListener('contextmenu', cancelConnection);
+    setWorldGraphPins({ ...getWorldGraphPins(), [drag.cardId]: worldGraphPositions[drag.cardId] });
+    renderWorldGraph();
 }
 
-function cancelConnection(event) {
-    if (!mindMapConnectionState.isConnecting) return;
-    
+function toggleWorldGraphPin(event, cardId) {
     event.preventDefault();
-    event.stopPropagation();
     
-    document.body.style.cursor = '';
-    
-    // Remove temp line
-    const svg = document.getElementById('mindmap-connections');
-    const temp = svg.querySelector('.mindmap-connection-temp');
-    if (temp) temp.remove();
-    
-    // Remove visual feedback
-    const sourceNode = document.querySelector(`[data-node-id="${mindMapConnectionState.fromNodeId}"]`);
-    if (sourceNode) {
-        sourceNode.classList.remove('connecting');
+    const pins = { ...getWorldGraphPins() };
+    if (pins[cardId]) {
+        delete pins[cardId];
+    } else {
+        pins[cardId] = worldGraphPositions[cardId];
     }
+    setWorldGraphPins(pins);
+    renderWorldGraph();
+}
+
+// =====================================================
+// TIMELINE - eventos in story order
+// =====================================================
+// Events with a start date are drawn as bars on a horizontal axis of days,
+// optionally split into lanes by the cards they are connected to (an event
+// at two places shows in both). The view is a day at the left edge plus a
+// scale in pixels per day, so it zooms from centuries down to single days
+// without ever laying out the whole range.
+
+let timelineLaneType = '';      // card type whose cards make the lanes ('' for one lane)
+let timelineView = null;        // { start: day at the left edge, scale: pixels per day }
+let timelinePan = null;
+let timelineSuppressClick = false;
+
+const TIMELINE_ROW_HEIGHT = 30;
+const TIMELINE_MIN_TICK = 56;   // pixels between axis labels, at least
+
+// Zoom buttons: how many days fit across the view at each level
+// (the era level frames every dated event instead)
+const timelineZoomLevels = [
+    { key: 'era', label: 'Era' },
+    { key: 'century', label: 'Século', years: 100 },
+    { key: 'decade', label: 'Década', years: 10 },
+    { key: 'year', label: 'Ano', years: 1 },
+    { key: 'month', label: 'Mês', days: 31 },
+    { key: 'day', label: 'Dia', days: 7 }
+];
+
+function timelineLevelDays(level) {
+    return level.days || level.years * worldYearLength(0);
+}
+
+function getTimelineTrackWidth() {
+    const viewport = document.getElementById('timeline-viewport');
+    const width = viewport ? viewport.clientWidth - 160 : 0;
+    return width > 0 ? width : 800;
+}
+
+function getTimelineEvents() {
+    const dated = [];
+    const undated = [];
+    dataStore.getCardsByType('evento').forEach(card => {
+        const span = getEventSpan(card);
+        if (span) {
+            dated.push({ card, ...span });
+        } else {
+            undated.push(card);
+        }
+    });
+    dated.sort((a, b) => a.start - b.start || a.end - b.end);
+    return { dated, undated };
+}
+
+// Lanes in name order, then one for events connected to no card of the lane type
+function getTimelineLanes(events) {
+    if (!timelineLaneType) return [{ card: null, name: '', events }];
+    
+    const lanes = new Map();
+    const loose = [];
+    events.forEach(event => {
+        const laneCards = dataStore.getRelationsFor(event.card.id)
+            .map(relation => dataStore.getCard(describeRelation(relation, event.card.id).otherId))
+            .filter(card => card && card.type === timelineLaneType);
+        if (laneCards.length === 0) loose.push(event);
+        laneCards.forEach(card => {
+            if (!lanes.has(card.id)) lanes.set(card.id, { card, name: card.name, events: [] });
+            if (!lanes.get(card.id).events.includes(event)) lanes.get(card.id).events.push(event);
+        });
+    });
     
-    mindMapConnectionState.isConnecting = false;
-    mindMapConnectionState.fromNodeId = null;
-    
-    document.removeEventListener('mousemove', drawTempConnectionFromNode);
-    document.removeEventListener('mousedown', endConnectionFromNode);
-    document.removeEventListener('contextmenu', cancelConnection);
+    const result = Array.from(lanes.values()).sort((a, b) => a.name.localeCompare(b.name, 'pt-BR'));
+    if (loose.length > 0) {
+        result.push({ card: null, name: `Sem ${ui.getTypeName(timelineLaneType).toLowerCase()}`, events: loose });
+    }
+    return result;
+}
+
+// Rows for the events of a lane: each goes in the first row where it
+// doesn't overlap the bar or name of the one before
+function stackTimelineEvents(events, scale) {
+    const rowEnds = [];
+    return events.map(event => {
+        const left = event.start * scale;
+        const right = left + Math.max((event.end - event.start) * scale, event.card.name.length * 7 + 28);
+        let row = rowEnds.findIndex(end => end <= left);
+        if (row === -1) row = rowEnds.length;
+        rowEnds[row] = right + 6;
+        return { event, row };
+    });
+}
+
+// Axis labels: the smallest step (in years, months or days) that keeps
+// labels TIMELINE_MIN_TICK apart
+function getTimelineTicks(start, end, scale) {
+    const yearLength = worldYearLength(0);
+    const months = getWorldCalendar().months;
+    const ticks = [];
+    const dayStep = [1, 2, 5, 10].find(step => step * scale >= TIMELINE_MIN_TICK);
+    
+    if (!dayStep && yearLength / months.length * scale < TIMELINE_MIN_TICK) {
+        const minYears = TIMELINE_MIN_TICK / (yearLength * scale);
+        let step = 1;
+        while (step < minYears) {
+            step *= String(step)[0] === '2' ? 2.5 : 2;
+        }
+        const firstYear = Math.ceil(worldDayToDate(start).year / step) * step;
+        for (let year = firstYear; worldYearStart(year) <= end; year += step) {
+            ticks.push({ day: worldYearStart(year), label: formatWorldYear(year), major: year % (step * 10) === 0 });
+        }
+    } else if (!dayStep) {
+        let { year, month } = worldDayToDate(start);
+        for (let day = worldDateToDay(year, month); day <= end; day = worldDateToDay(year, month)) {
+            ticks.push({
+                day,
+                label: month === 1 ? formatWorldYear(year) : worldMonthShortName(month),
+                major: month === 1
+            });
+            if (++month > months.length) [year, month] = [year + 1, 1];
+        }
+    } else {
+        // Steps restart on the 1st; a step cut short at the end of a month is left out
+        for (let day = Math.floor(start); day <= end; day++) {
+            const date = worldDayToDate(day);
+            const left = months[date.month - 1].days - date.day + 1;
+            if (date.day !== 1 && ((date.day - 1) % dayStep !== 0 || left < dayStep)) continue;
+            ticks.push({
+                day,
+                label: date.day === 1 ? `${date.day} ${worldMonthShortName(date.month)} ${formatWorldYear(date.year)}` : String(date.day),
+                major: date.day === 1
+            });
+        }
+    }
+    return ticks;
+}
+
+// Frame every dated event (or the current year when there are none)
+function fitTimeline(events = getTimelineEvents().dated) {
+    const width = getTimelineTrackWidth();
+    let start;
+    let end;
+    if (events.length > 0) {
+        start = Math.min(...events.map(event => event.start));
+        end = Math.max(...events.map(event => event.end));
+    } else {
+        start = worldYearStart(0);
+        end = worldYearStart(1);
+    }
+    const margin = Math.max((end - start) * 0.05, 1);
+    timelineView = { start: start - margin, scale: width / (end - start + margin * 2) };
 }
 
-function drawTempConnectionFromNode(event) {
-    if (!mindMapConnectionState.isConnecting) return;
+function setTimelineZoom(key) {
+    const level = timelineZoomLevels.find(l => l.key === key);
+    if (!level) return;
     
-    const svg = document.getElementById('mindmap-connections');
-    const fromNode = mindMapNodes.find(n => n.id === mindMapConnectionState.fromNodeId);
-    if (!fromNode) return;
+    if (level.key === 'era') {
+        fitTimeline();
+    } else {
+        const width = getTimelineTrackWidth();
+        const center = timelineView.start + width / 2 / timelineView.scale;
+        const scale = width / timelineLevelDays(level);
+        timelineView = { start: center - width / 2 / scale, scale };
+    }
+    renderTimeline();
+}
+
+// Zoom by `factor` keeping the day under `anchorX` (pixels into the track) still
+function zoomTimeline(factor, anchorX = getTimelineTrackWidth() / 2) {
+    const width = getTimelineTrackWidth();
+    const day = timelineView.start + anchorX / timelineView.scale;
+    const scale = Math.min(Math.max(timelineView.scale * factor, width / (worldYearLength(0) * 100000)), width / 2);
+    timelineView = { start: day - anchorX / scale, scale };
+    renderTimeline();
+}
+
+function setTimelineLanes(type) {
+    timelineLaneType = type;
+    renderTimeline();
+}
+
+// Level closest to what is on screen, for the active zoom button
+function currentTimelineLevel() {
+    const visibleDays = getTimelineTrackWidth() / timelineView.scale;
+    let best = null;
+    timelineZoomLevels.filter(level => level.key !== 'era').forEach(level => {
+        const distance = Math.abs(Math.log(timelineLevelDays(level) / visibleDays));
+        if (!best || distance < best.distance) best = { key: level.key, distance };
+    });
+    return best.distance < 0.7 ? best.key : '';
+}
+
+function renderTimeline() {
+    const lanesContainer = document.getElementById('timeline-lanes');
+    if (!lanesContainer) return;
+    initTimeline();
+    
+    const { dated, undated } = getTimelineEvents();
+    if (!timelineView) fitTimeline(dated);
+    
+    const width = getTimelineTrackWidth();
+    const { start, scale } = timelineView;
+    const end = start + width / scale;
+    const x = (day) => (day - start) * scale;
+    
+    const laneSelect = document.getElementById('timeline-lane-type');
+    if (laneSelect) {
+        laneSelect.innerHTML = `
+            <option value="">Sem faixas</option>
+            ${getCardTypes().filter(type => type.key !== 'evento').map(type => `
+                <option value="${type.key}"${type.key === timelineLaneType ? ' selected' : ''}>Faixas por ${ui.escapeHtml(type.name.toLowerCase())}</option>
+            `).join('')}
+        `;
+    }
     
-    const canvas = document.getElementById('mindmap-canvas');
-    const container = document.getElementById('mindmap-nodes');
-    const containerRect = container.getBoundingClientRect();
+    const level = currentTimelineLevel();
+    const zoomContainer = document.getElementById('timeline-zoom-levels');
+    if (zoomContainer) {
+        zoomContainer.innerHTML = timelineZoomLevels.map(l => `
+            <button type="button" class="wg-filter-btn${l.key === level ? ' active' : ''}" onclick="setTimelineZoom('${l.key}')">${l.label}</button>
+        `).join('');
+    }
     
-    // Mouse position in node coordinate space
-    const mouseX = (event.clientX - containerRect.left) / mindMapScale;
-    const mouseY = (event.clientY - containerRect.top) / mindMapScale;
+    const today = getCurrentWorldDate();
+    document.getElementById('timeline-axis').innerHTML = getTimelineTicks(start, end, scale).map(tick => `
+        <span class="tl-tick${tick.major ? ' major' : ''}" style="left: ${x(tick.day)}px;">${ui.escapeHtml(tick.label)}</span>
+    `).join('') + (today && x(today.start) >= 0 && x(today.start) <= width ? `
+        <span class="tl-today" style="left: ${x(today.start)}px;" title="${escapeAttr(`Hoje: ${formatWorldDay(today.start, today.precision)}`)}">Hoje</span>
+    ` : '');
     
-    // Calculate closest point on node edge
-    const fromPos = getClosestEdgePoint(fromNode, mouseX, mouseY);
+    const empty = document.getElementById('timeline-empty');
+    if (empty) empty.style.display = dated.length === 0 ? 'flex' : 'none';
     
-    // Remove old temp line
-    const oldTemp = svg.querySelector('.mindmap-connection-temp');
-    if (oldTemp) oldTemp.remove();
+    lanesContainer.innerHTML = getTimelineLanes(dated).map(lane => {
+        const placed = stackTimelineEvents(lane.events, scale);
+        const rows = Math.max(1, ...placed.map(p => p.row + 1));
+        const laneName = lane.card
+            ? `<button type="button" class="tl-lane-name ${lane.card.type}" onclick="ui.openCard('${lane.card.id}')">${ui.escapeHtml(ui.getTypeIcon(lane.card.type))} ${ui.escapeHtml(lane.name)}</button>`
+            : `<span class="tl-lane-name">${ui.escapeHtml(lane.name)}</span>`;
+        
+        return `
+            <div class="tl-lane">
+                ${laneName}
+                <div class="tl-lane-track" style="height: ${rows * TIMELINE_ROW_HEIGHT + 8}px;">
+                    ${placed.filter(({ event }) => x(event.end) >= -400 && x(event.start) <= width).map(({ event, row }) => {
+                        const date = [event.card.startDate, event.card.endDate].filter(Boolean).join(' → ');
+                        const classes = [
+                            'tl-event', event.card.type,
+                            event.startFuzzy ? 'fuzzy-start' : '',
+                            event.endFuzzy ? 'fuzzy-end' : '',
+                            (event.end - event.start) * scale < 10 ? 'point' : ''
+                        ].filter(Boolean).join(' ');
+                        return `
+                            <div class="${classes}" data-id="${event.card.id}"
+                                 style="left: ${x(event.start)}px; top: ${row * TIMELINE_ROW_HEIGHT + 4}px; --tl-width: ${Math.max((event.end - event.start) * scale, 10)}px;"
+                                 onclick="openTimelineEvent('${event.card.id}')"
+                                 title="${escapeAttr(`${event.card.name} — ${date}`)}">
+                                <span class="tl-event-bar"></span>
+                                <span class="tl-event-name">${ui.escapeHtml(event.card.name)}</span>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            </div>
+        `;
+    }).join('');
     
-    // Draw new temp line
-    const path = createCurvePath(fromPos.x, fromPos.y, mouseX, mouseY);
-    const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    line.setAttribute('d', path);
-    line.setAttribute('class', 'mindmap-connection-temp');
-    svg.appendChild(line);
+    const undatedContainer = document.getElementById('timeline-undated');
+    if (undatedContainer) {
+        undatedContainer.innerHTML = undated.length === 0 ? '' : `
+            <span class="timeline-undated-title">Sem data</span>
+            ${undated.map(card => `
+                <button type="button" class="tl-undated-chip ${card.type}" onclick="ui.openCard('${card.id}')"
+                        title="${escapeAttr(card.startDate ? `Data não reconhecida: ${card.startDate}` : 'Preencha o início do evento para vê-lo na linha do tempo')}">
+                    ${ui.escapeHtml(card.name)}
+                </button>
+            `).join('')}
+        `;
+    }
 }
 
-function endConnectionFromNode(event) {
-    if (!mindMapConnectionState.isConnecting) return;
+// A click that ends a drag only pans
+function openTimelineEvent(cardId) {
+    if (timelineSuppressClick) return;
+    ui.openCard(cardId);
+}
+
+// Wheel zooms around the cursor (shift or a sideways wheel scrolls in time);
+// dragging pans in time and scrolls the lanes
+function initTimeline() {
+    const viewport = document.getElementById('timeline-viewport');
+    if (!viewport || viewport.dataset.bound) return;
+    viewport.dataset.bound = 'true';
+    
+    viewport.addEventListener('wheel', (e) => {
+        if (!timelineView) return;
+        e.preventDefault();
+        const track = viewport.querySelector('.tl-lane-track') || viewport;
+        const anchorX = e.clientX - track.getBoundingClientRect().left;
+        
+        if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+            timelineView.start += (e.shiftKey ? e.deltaY : e.deltaX) / timelineView.scale;
+            renderTimeline();
+        } else {
+            zoomTimeline(Math.exp(-e.deltaY * 0.0015), anchorX);
+        }
+    }, { passive: false });
     
-    // Only handle left click
-    if (event.button !== 0) return;
+    viewport.addEventListener('mousedown', (e) => {
+        if (e.button !== 0 || e.target.closest('.tl-lane-name')) return;
+        e.preventDefault();
+        timelinePan = {
+            x: e.clientX,
+            y: e.clientY,
+            start: timelineView.start,
+            scrollTop: viewport.scrollTop,
+            moved: false
+        };
+        timelineSuppressClick = false;
+        document.addEventListener('mousemove', onTimelinePan);
+        document.addEventListener('mouseup', endTimelinePan);
+    });
+}
+
+function onTimelinePan(event) {
+    if (!timelinePan) return;
     
-    event.stopPropagation();
-    event.preventDefault();
+    const deltaX = event.clientX - timelinePan.x;
+    const deltaY = event.clientY - timelinePan.y;
+    if (Math.abs(deltaX) + Math.abs(deltaY) > 3) timelinePan.moved = true;
+    if (!timelinePan.moved) return;
     
-    // Check if we're over a node
-    const target = event.target;
-    let toNodeEl = target.closest('.mindmap-node');
+    const viewport = document.getElementById('timeline-viewport');
+    viewport.classList.add('panning');
+    viewport.scrollTop = timelinePan.scrollTop - deltaY;
+    timelineView.start = timelinePan.start - deltaX / timelineView.scale;
+    renderTimeline();
+}
+
+function endTimelinePan() {
+    document.removeEventListener('mousemove', onTimelinePan);
+    document.removeEventListener('mouseup', endTimelinePan);
     
-    if (toNodeEl) {
-        const toNodeId = parseInt(toNodeEl.dataset.nodeId);
-        
-        // Don't connect to self
-        if (toNodeId !== mindMapConnectionState.fromNodeId) {
-            // Check if connection already exists (either direction)
-            const exists = mindMapConnections.some(c => 
-                (c.fromNode === mindMapConnectionState.fromNodeId && c.toNode === toNodeId) ||
-                (c.fromNode === toNodeId && c.toNode === mindMapConnectionState.fromNodeId)
-            );
-            
-            if (!exists) {
-                mindMapConnections.push({
-                    fromNode: mindMapConnectionState.fromNodeId,
-                    toNode: toNodeId
-                });
-                renderMindMapConnections();
-            }
+    const viewport = document.getElementById('timeline-viewport');
+    if (viewport) viewport.classList.remove('panning');
+    timelineSuppressClick = !!(timelinePan && timelinePan.moved);
+    timelinePan = null;
+}
+
+// =====================================================
+// LINEAGE - genealogy chart of a family or house
+// =====================================================
+// Shows either everyone related to one person through family relations or
+// a house: the personagens sharing a tag, with whoever married into it.
+// Generations are rows (children below parents, spouses and siblings side
+// by side); collapsing a person hides their descendants. The chart is one
+// SVG, so it can be saved as a file as drawn.
+
+let lineageRootId = null;
+let lineageHouse = '';              // tag naming a house; '' for the root's whole family
+let lineageCollapsed = new Set();   // people whose descendants are hidden
+let lineagePanZoom = null;
+let lineageLayout = null;           // last drawn layout, for fitting and export
+
+const LINEAGE_NODE_WIDTH = 170;
+const LINEAGE_NODE_HEIGHT = 50;
+const LINEAGE_SPOUSE_GAP = 24;
+const LINEAGE_UNIT_GAP = 48;
+const LINEAGE_ROW_HEIGHT = 130;
+const LINEAGE_PADDING = 40;
+
+// [parentId, childId] and [id, id] pairs among `ids`
+function getLineageEdges(ids) {
+    const members = new Set(ids);
+    const edges = { parent: [], spouse: [], sibling: [] };
+    dataStore.relations.forEach(r => {
+        if (isFamilyRelation(r) && members.has(r.source) && members.has(r.target)) {
+            edges[r.type].push([r.source, r.target]);
         }
+    });
+    return edges;
+}
+
+// Everyone the chart is about, before collapsing
+function getLineagePeople() {
+    const people = dataStore.getCardsByType('personagem');
+    
+    if (lineageHouse) {
+        const house = normalizeSearchText(lineageHouse);
+        const members = people.filter(card => (card.tags || []).some(tag => normalizeSearchText(tag) === house));
+        const ids = new Set(members.map(card => card.id));
+        members.forEach(card => getFamilySpouses(card.id).forEach(spouse => ids.add(spouse.id)));
+        return Array.from(ids);
+    }
+    
+    if (!lineageRootId || !dataStore.getCard(lineageRootId)) return [];
+    const ids = new Set([lineageRootId]);
+    const queue = [lineageRootId];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        dataStore.relations.forEach(r => {
+            if (!isFamilyRelation(r) || (r.source !== id && r.target !== id)) return;
+            const other = r.source === id ? r.target : r.source;
+            const card = dataStore.getCard(other);
+            if (card && card.type === 'personagem' && !ids.has(other)) {
+                ids.add(other);
+                queue.push(other);
+            }
+        });
     }
-    
-    document.body.style.cursor = '';
-    
-    // Remove temp line
-    const svg = document.getElementById('mindmap-connections');
-    const temp = svg.querySelector('.mindmap-connection-temp');
-    if (temp) temp.remove();
-    
-    // Remove visual feedback
-    const sourceNode = document.querySelector(`[data-node-id="${mindMapConnectionState.fromNodeId}"]`);
-    if (sourceNode) {
-        sourceNode.classList.remove('connecting');
+    return Array.from(ids);
+}
+
+// Descendants of `cardId` among `ids`
+function getLineageDescendants(cardId, edges) {
+    const found = new Set();
+    const stack = [cardId];
+    while (stack.length > 0) {
+        const id = stack.pop();
+        edges.parent.forEach(([parent, child]) => {
+            if (parent === id && !found.has(child) && child !== cardId) {
+                found.add(child);
+                stack.push(child);
+            }
+        });
     }
-    
-    mindMapConnectionState.isConnecting = false;
-    mindMapConnectionState.fromNodeId = null;
-    
-    document.removeEventListener('mousemove', drawTempConnectionFromNode);
-    document.removeEventListener('mousedown', endConnectionFromNode);
-    document.removeEventListener('contextmenu', cancelConnection);
+    return found;
 }
 
-// Calculate closest point on node edge to target position
-function getClosestEdgePoint(node, targetX, targetY) {
-    const nodeEl = document.querySelector(`[data-node-id="${node.id}"]`);
-    if (!nodeEl) return { x: node.x, y: node.y };
-    
-    const rect = nodeEl.getBoundingClientRect();
-    const canvas = document.getElementById('mindmap-canvas');
-    const canvasRect = canvas.getBoundingClientRect();
-    
-    const width = rect.width / mindMapScale;
-    const height = rect.height / mindMapScale;
-    
-    // Node center
-    const centerX = node.x + width / 2;
-    const centerY = node.y + height / 2;
-    
-    // Vector from center to target
-    const dx = targetX - centerX;
-    const dy = targetY - centerY;
-    
-    // Find which edge is closest
-    const ratioX = Math.abs(dx / (width / 2));
-    const ratioY = Math.abs(dy / (height / 2));
+// People left once collapsed branches are hidden, and how many each collapse hides.
+// Someone tied to the chart only through hidden people goes with them.
+function getVisibleLineagePeople(ids, edges) {
+    const hidden = new Set();
+    const hiddenCounts = {};
+    lineageCollapsed.forEach(id => {
+        if (!ids.includes(id)) return;
+        const descendants = getLineageDescendants(id, edges);
+        hiddenCounts[id] = descendants.size;
+        descendants.forEach(d => hidden.add(d));
+    });
     
-    if (ratioX > ratioY) {
-        // Left or right edge
-        const x = dx > 0 ? node.x + width : node.x;
-        const y = centerY;
-        return { x, y };
-    } else {
-        // Top or bottom edge
-        const x = centerX;
-        const y = dy > 0 ? node.y + height : node.y;
-        return { x, y };
+    const links = [...edges.parent, ...edges.spouse, ...edges.sibling];
+    let changed = true;
+    while (changed) {
+        changed = false;
+        ids.forEach(id => {
+            if (hidden.has(id) || id === lineageRootId) return;
+            const others = links.filter(pair => pair.includes(id)).map(([a, b]) => (a === id ? b : a));
+            if (others.length > 0 && others.every(other => hidden.has(other))) {
+                hidden.add(id);
+                changed = true;
+            }
+        });
     }
+    return { visible: ids.filter(id => !hidden.has(id)), hiddenCounts };
 }
 
-// Connection system
-function startConnection(event, nodeId) {
-    event.stopPropagation();
-    event.preventDefault();
-    
-    console.log('Starting connection from node:', nodeId);
-    
-    mindMapConnectionState.isConnecting = true;
-    mindMapConnectionState.fromNodeId = nodeId;
-    mindMapConnectionState.fromAnchor = 'bottom-right';
-    
-    document.addEventListener('mousemove', drawTempConnection);
-    document.addEventListener('mouseup', endConnection);
+// Generation of each person: below their parents, level with spouses and
+// siblings, and parents without parents of their own just above their children
+function getLineageGenerations(ids, edges) {
+    const generation = new Map(ids.map(id => [id, 0]));
+    const peers = [...edges.spouse, ...edges.sibling];
+    const hasParent = new Set(edges.parent.map(([, child]) => child));
+    
+    for (let pass = 0; pass < ids.length * 2 + 2; pass++) {
+        let changed = false;
+        const raise = (id, value) => {
+            if (generation.get(id) < value) {
+                generation.set(id, value);
+                changed = true;
+            }
+        };
+        edges.parent.forEach(([parent, child]) => raise(child, generation.get(parent) + 1));
+        peers.forEach(([a, b]) => {
+            const level = Math.max(generation.get(a), generation.get(b));
+            raise(a, level);
+            raise(b, level);
+        });
+        ids.filter(id => !hasParent.has(id)).forEach(id => {
+            const children = edges.parent.filter(([parent]) => parent === id).map(([, child]) => generation.get(child));
+            if (children.length > 0) raise(id, Math.min(...children) - 1);
+        });
+        if (!changed) break;
+    }
+    return generation;
 }
 
-function drawTempConnection(event) {
-    if (!mindMapConnectionState.isConnecting) return;
-    
-    const svg = document.getElementById('mindmap-connections');
-    const fromNode = mindMapNodes.find(n => n.id === mindMapConnectionState.fromNodeId);
-    if (!fromNode) return;
-    
-    const fromPos = getAnchorPosition(fromNode, mindMapConnectionState.fromAnchor);
+// Positions of every visible person: { people, edges, positions, width, height }
+function layoutLineage() {
+    const allIds = getLineagePeople();
+    const allEdges = getLineageEdges(allIds);
+    const { visible: ids, hiddenCounts } = getVisibleLineagePeople(allIds, allEdges);
+    const edges = getLineageEdges(ids);
+    const generation = getLineageGenerations(ids, edges);
+    
+    // Reading order: oldest known birth first, then name
+    const byBirth = (a, b) => {
+        const [cardA, cardB] = [dataStore.getCard(a), dataStore.getCard(b)];
+        const [birthA, birthB] = [parseWorldDate(cardA.birthDate), parseWorldDate(cardB.birthDate)];
+        if (birthA && birthB && birthA.start !== birthB.start) return birthA.start - birthB.start;
+        if (!!birthA !== !!birthB) return birthA ? -1 : 1;
+        return cardA.name.localeCompare(cardB.name, 'pt-BR');
+    };
+    const sequence = new Map(ids.slice().sort(byBirth).map((id, i) => [id, i]));
+    
+    // Spouses in the same row stay together as one unit
+    const rows = new Map();
+    ids.forEach(id => {
+        const row = generation.get(id);
+        if (!rows.has(row)) rows.set(row, []);
+        rows.get(row).push(id);
+    });
     
-    const canvas = document.getElementById('mindmap-canvas');
-    const container = document.getElementById('mindmap-nodes');
-    const rect = canvas.getBoundingClientRect();
-    const containerRect = container.getBoundingClientRect();
+    const positions = new Map();
+    const parentsOf = (id) => edges.parent.filter(([, child]) => child === id).map(([parent]) => parent);
+    const orderKey = (id) => {
+        const placed = parentsOf(id).filter(parent => positions.has(parent));
+        if (placed.length === 0) return Infinity;
+        return placed.reduce((sum, parent) => sum + positions.get(parent).x, 0) / placed.length;
+    };
     
-    // Convert mouse position to node coordinate space
-    const toX = (event.clientX - containerRect.left) / mindMapScale;
-    const toY = (event.clientY - containerRect.top) / mindMapScale;
+    const rowNumbers = Array.from(rows.keys()).sort((a, b) => a - b);
+    const minRow = rowNumbers[0] || 0;
+    rowNumbers.forEach(rowNumber => {
+        const members = rows.get(rowNumber);
+        const units = [];
+        const unitOf = new Map();
+        members.slice().sort((a, b) => sequence.get(a) - sequence.get(b)).forEach(id => {
+            if (unitOf.has(id)) return;
+            const unit = [id];
+            unitOf.set(id, unit);
+            for (let i = 0; i < unit.length; i++) {
+                edges.spouse.forEach(([a, b]) => {
+                    const other = a === unit[i] ? b : b === unit[i] ? a : null;
+                    if (other && members.includes(other) && !unitOf.has(other)) {
+                        unit.push(other);
+                        unitOf.set(other, unit);
+                    }
+                });
+            }
+            units.push(unit);
+        });
+        
+        // Under their parents where possible, the one born into the family first
+        const unitKey = (unit) => Math.min(...unit.map(orderKey));
+        units.forEach(unit => unit.sort((a, b) => orderKey(a) - orderKey(b) || sequence.get(a) - sequence.get(b)));
+        units.sort((a, b) => unitKey(a) - unitKey(b) || sequence.get(a[0]) - sequence.get(b[0]));
+        
+        let cursor = 0;
+        units.forEach(unit => {
+            const width = unit.length * LINEAGE_NODE_WIDTH + (unit.length - 1) * LINEAGE_SPOUSE_GAP;
+            const key = unitKey(unit);
+            const wanted = Number.isFinite(key) ? key + LINEAGE_NODE_WIDTH / 2 - width / 2 : cursor;
+            let x = Math.max(cursor, wanted);
+            unit.forEach(id => {
+                positions.set(id, { x, y: (rowNumber - minRow) * LINEAGE_ROW_HEIGHT });
+                x += LINEAGE_NODE_WIDTH + LINEAGE_SPOUSE_GAP;
+            });
+            cursor = x - LINEAGE_SPOUSE_GAP + LINEAGE_UNIT_GAP;
+        });
+    });
     
-    // Remove old temp line
-    const oldTemp = svg.querySelector('.mindmap-connection-temp');
-    if (oldTemp) oldTemp.remove();
+    // Start at the padding, whatever the leftmost row is
+    const xs = Array.from(positions.values()).map(p => p.x);
+    const minX = xs.length ? Math.min(...xs) : 0;
+    positions.forEach(p => {
+        p.x += LINEAGE_PADDING - minX;
+        p.y += LINEAGE_PADDING;
+    });
     
-    // Draw new temp line
-    const path = createCurvePath(fromPos.x, fromPos.y, toX, toY);
-    const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    line.setAttribute('d', path);
-    line.setAttribute('class', 'mindmap-connection-temp');
-    svg.appendChild(line);
+    const people = ids.map(id => dataStore.getCard(id));
+    return {
+        people,
+        edges,
+        positions,
+        hiddenCounts,
+        childCounts: Object.fromEntries(people.map(card => [card.id, allEdges.parent.filter(([parent]) => parent === card.id).length])),
+        width: (xs.length ? Math.max(...xs) - minX + LINEAGE_NODE_WIDTH : 0) + LINEAGE_PADDING * 2,
+        height: (rowNumbers.length ? (rowNumbers[rowNumbers.length - 1] - minRow) * LINEAGE_ROW_HEIGHT + LINEAGE_NODE_HEIGHT : 0) + LINEAGE_PADDING * 2
+    };
 }
 
-function endConnection(event) {
-    if (!mindMapConnectionState.isConnecting) return;
-    
-    // Remove temp line
-    const svg = document.getElementById('mindmap-connections');
-    const temp = svg.querySelector('.mindmap-connection-temp');
-    if (temp) temp.remove();
+// Lines between people: spouses side by side, a bus from each couple (or
+// lone parent) down to their children, a bracket over declared siblings
+function renderLineageLines(layout) {
+    const { edges, positions } = layout;
+    const W = LINEAGE_NODE_WIDTH;
+    const H = LINEAGE_NODE_HEIGHT;
+    const paths = [];
+    
+    edges.spouse.forEach(([a, b]) => {
+        const [left, right] = [positions.get(a), positions.get(b)].sort((p, q) => p.x - q.x);
+        if (left.y !== right.y) return;
+        paths.push(`<path class="lineage-line spouse" d="M ${left.x + W} ${left.y + H / 2} H ${right.x}"/>`);
+    });
     
-    // Check if we're over a node (anchor or node body)
-    const target = event.target;
-    let toNodeEl = null;
+    const families = new Map();
+    edges.parent.forEach(([parent, child]) => {
+        const parents = edges.parent.filter(([, c]) => c === child).map(([p]) => p).sort();
+        const key = parents.join('+');
+        if (!families.has(key)) families.set(key, { parents, children: new Set() });
+        families.get(key).children.add(child);
+    });
+    families.forEach(({ parents, children }) => {
+        const parentPoints = parents.map(id => positions.get(id));
+        const childPoints = Array.from(children).map(id => positions.get(id));
+        const sameRow = parentPoints.length === 2 && parentPoints[0].y === parentPoints[1].y;
+        const anchorX = parentPoints.reduce((sum, p) => sum + p.x + W / 2, 0) / parentPoints.length;
+        const anchorY = sameRow ? parentPoints[0].y + H / 2 : Math.max(...parentPoints.map(p => p.y)) + H;
+        const busY = Math.min(...childPoints.map(p => p.y)) - (LINEAGE_ROW_HEIGHT - H) / 2;
+        const xs = [anchorX, ...childPoints.map(p => p.x + W / 2)];
+        
+        paths.push(`<path class="lineage-line" d="M ${anchorX} ${anchorY} V ${busY} M ${Math.min(...xs)} ${busY} H ${Math.max(...xs)}"/>`);
+        childPoints.forEach(p => paths.push(`<path class="lineage-line" d="M ${p.x + W / 2} ${busY} V ${p.y}"/>`));
+    });
     
-    if (target.classList.contains('mindmap-node-anchor')) {
-        toNodeEl = target.closest('.mindmap-node');
-    } else if (target.closest('.mindmap-node')) {
-        toNodeEl = target.closest('.mindmap-node');
-    }
+    edges.sibling.forEach(([a, b]) => {
+        const [left, right] = [positions.get(a), positions.get(b)].sort((p, q) => p.x - q.x);
+        if (left.y !== right.y) return;
+        paths.push(`<path class="lineage-line sibling" d="M ${left.x + W / 2} ${left.y} V ${left.y - 14} H ${right.x + W / 2} V ${right.y}"/>`);
+    });
     
-    if (toNodeEl) {
-        const toNodeId = parseInt(toNodeEl.dataset.nodeId);
+    return paths.join('');
+}
+
+// The chart as SVG markup; `standalone` gives a file with its own colours
+// and no handlers
+function buildLineageSvg(layout, { standalone = false, title = '' } = {}) {
+    const W = LINEAGE_NODE_WIDTH;
+    const H = LINEAGE_NODE_HEIGHT;
+    const clip = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+    const top = standalone && title ? 40 : 0;
+    
+    const nodes = layout.people.map(card => {
+        const { x, y } = layout.positions.get(card.id);
+        const age = getCharacterAge(card);
+        const meta = [card.birthDate ? `✶ ${card.birthDate}` : '', age !== null ? `${age} anos` : ''].filter(Boolean).join(' · ');
+        const collapsed = lineageCollapsed.has(card.id) && layout.hiddenCounts[card.id] > 0;
+        const toggle = !standalone && layout.childCounts[card.id] > 0 ? `
+            <g class="lineage-toggle" transform="translate(${W / 2} ${H})" onclick="event.stopPropagation(); toggleLineageBranch('${card.id}')">
+                <title>${collapsed ? 'Mostrar descendentes' : 'Recolher descendentes'}</title>
+                <circle r="10"/>
+                <text text-anchor="middle" dy="4">${collapsed ? `+${layout.hiddenCounts[card.id]}` : '−'}</text>
+            </g>
+        ` : '';
         
-        // Don't connect to self
-        if (toNodeId !== mindMapConnectionState.fromNodeId) {
-            // Check if connection already exists
-            const exists = mindMapConnections.some(c => 
-                c.fromNode === mindMapConnectionState.fromNodeId && c.toNode === toNodeId
-            );
-            
-            if (!exists) {
-                mindMapConnections.push({
-                    fromNode: mindMapConnectionState.fromNodeId,
-                    fromAnchor: 'bottom-right',
-                    toNode: toNodeId,
-                    toAnchor: 'center'
-                });
-                renderMindMapConnections();
-            }
-        }
-    }
+        return `
+            <g class="lineage-node${card.id === lineageRootId ? ' root' : ''}" transform="translate(${x} ${y + top})"${standalone ? '' : ` onclick="ui.openCard('${card.id}')"`}>
+                <title>${escapeXml(card.name)}</title>
+                <rect width="${W}" height="${H}" rx="8"/>
+                <text class="lineage-name" x="12" y="${meta ? 21 : 30}">${escapeXml(clip(card.name, 22))}</text>
+                ${meta ? `<text class="lineage-meta" x="12" y="38">${escapeXml(clip(meta, 28))}</text>` : ''}
+                ${collapsed && standalone ? `<text class="lineage-meta" x="${W - 12}" y="38" text-anchor="end">+${layout.hiddenCounts[card.id]}</text>` : ''}
+                ${toggle}
+            </g>
+        `;
+    }).join('');
     
-    mindMapConnectionState.isConnecting = false;
-    mindMapConnectionState.fromNodeId = null;
-    mindMapConnectionState.fromAnchor = null;
+    const width = layout.width;
+    const height = layout.height + top;
+    const style = standalone ? `
+        <style>
+            text { font-family: Georgia, serif; }
+            .lineage-line { fill: none; stroke: #8a8178; stroke-width: 1.5; }
+            .lineage-line.spouse { stroke: #c9a227; stroke-width: 2.5; }
+            .lineage-line.sibling { stroke-dasharray: 4 3; }
+            .lineage-node rect { fill: #2a2622; stroke: #b088f5; }
+            .lineage-node.root rect { stroke-width: 2.5; }
+            .lineage-name { fill: #f0ebe3; font-size: 14px; font-weight: bold; }
+            .lineage-meta { fill: #a8a098; font-size: 11px; }
+            .lineage-title { fill: #f0ebe3; font-size: 20px; }
+        </style>
+        <rect width="${width}" height="${height}" fill="#1a1714"/>
+        ${title ? `<text class="lineage-title" x="${LINEAGE_PADDING}" y="${LINEAGE_PADDING}">${escapeXml(title)}</text>` : ''}
+    ` : '';
+    
+    return `<svg${standalone ? ' xmlns="http://www.w3.org/2000/svg"' : ''} class="lineage-chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${style}<g transform="translate(0 ${top})">${renderLineageLines(layout)}</g>${nodes}</svg>`;
+}
+
+function initLineage() {
+    const viewport = document.getElementById('lineage-viewport');
+    const layer = document.getElementById('lineage-layer');
+    if (!viewport || !layer || lineagePanZoom) return;
     
-    document.removeEventListener('mousemove', drawTempConnection);
-    document.removeEventListener('mouseup', endConnection);
+    lineagePanZoom = attachPanZoom(viewport, layer, { minScale: 0.15, maxScale: 2 });
 }
 
-function getAnchorPosition(node, anchor) {
-    const nodeEl = document.querySelector(`[data-node-id="${node.id}"]`);
-    if (!nodeEl) return { x: node.x + 150, y: node.y + 25 };
+function renderLineage(options = {}) {
+    const layer = document.getElementById('lineage-layer');
+    if (!layer) return;
+    initLineage();
     
-    // Get actual dimensions from the element
-    const rect = nodeEl.getBoundingClientRect();
-    const canvas = document.getElementById('mindmap-canvas');
-    const canvasRect = canvas.getBoundingClientRect();
+    const people = dataStore.getCardsByType('personagem');
+    const related = people.filter(card => hasFamily(card.id)).sort((a, b) => a.name.localeCompare(b.name, 'pt-BR'));
+    const houses = [...new Set(people.flatMap(card => card.tags || []))].sort((a, b) => a.localeCompare(b, 'pt-BR'));
     
-    // Get width and height without scale
-    const width = rect.width / mindMapScale;
-    const height = rect.height / mindMapScale;
+    document.getElementById('lineage-root').innerHTML = `
+        <option value="">Escolha uma pessoa…</option>
+        ${related.map(card => `
+            <option value="${card.id}"${card.id === lineageRootId ? ' selected' : ''}>${ui.escapeHtml(card.name)}</option>
+        `).join('')}
+    `;
+    document.getElementById('lineage-house').innerHTML = `
+        <option value="">Toda a família</option>
+        ${houses.map(tag => `
+            <option value="${escapeAttr(tag)}"${tag === lineageHouse ? ' selected' : ''}>Casa: ${ui.escapeHtml(tag)}</option>
+        `).join('')}
+    `;
     
-    // Use node's stored x, y position directly
-    if (anchor === 'bottom-right') {
-        // Origin point at bottom right
-        return { x: node.x + width, y: node.y + height };
+    const previous = lineageLayout;
+    lineageLayout = layoutLineage();
+    layer.innerHTML = lineageLayout.people.length > 0 ? buildLineageSvg(lineageLayout) : '';
+    
+    const empty = document.getElementById('lineage-empty');
+    if (empty) {
+        empty.style.display = lineageLayout.people.length === 0 ? 'flex' : 'none';
+        empty.textContent = related.length === 0
+            ? 'Ligue personagens como pais, filhos, cônjuges ou irmãos para ver a árvore'
+            : 'Escolha uma pessoa ou uma casa';
+    }
+    if (options.fit || !previous) fitLineage();
+}
+
+function fitLineage() {
+    if (!lineagePanZoom || !lineageLayout) return;
+    lineagePanZoom.fit(lineageLayout.width, lineageLayout.height);
+}
+
+// Chart of one person's family
+function openLineage(cardId) {
+    lineageRootId = cardId;
+    lineageHouse = '';
+    lineageCollapsed = new Set();
+    if (ui.currentView === 'lineage') {
+        renderLineage({ fit: true });
+        syncRoute();
     } else {
-        // Destination point at center
-        return { x: node.x + width / 2, y: node.y + height / 2 };
+        lineageLayout = null;
+        ui.showView('lineage');
     }
 }
 
-function createCurvePath(x1, y1, x2, y2) {
-    const dx = x2 - x1;
-    const dy = y2 - y1;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-    const offset = Math.min(dist / 2, 50);
-    
-    return `M ${x1} ${y1} C ${x1 + offset} ${y1}, ${x2 - offset} ${y2}, ${x2} ${y2}`;
+function setLineageRoot(cardId) {
+    openLineage(cardId || null);
 }
 
-function renderMindMapConnections() {
-    const svg = document.getElementById('mindmap-connections');
-    if (!svg) return;
+function setLineageHouse(tag) {
+    lineageHouse = tag;
+    lineageCollapsed = new Set();
+    renderLineage({ fit: true });
+    syncRoute({ replace: true });
+}
+
+function toggleLineageBranch(cardId) {
+    if (lineageCollapsed.has(cardId)) {
+        lineageCollapsed.delete(cardId);
+    } else {
+        lineageCollapsed.add(cardId);
+    }
+    renderLineage();
+}
+
+function expandLineage() {
+    lineageCollapsed = new Set();
+    renderLineage({ fit: true });
+}
+
+// Save the chart as drawn (collapsed branches stay collapsed)
+function exportLineageSvg() {
+    if (!lineageLayout || lineageLayout.people.length === 0) {
+        ui.showToast('Nenhuma árvore para exportar', 'error');
+        return;
+    }
     
-    svg.innerHTML = '';
+    const root = lineageRootId && dataStore.getCard(lineageRootId);
+    const title = lineageHouse ? `Casa ${lineageHouse}` : `Família de ${root ? root.name : ''}`;
+    const svg = `<?xml version="1.0" encoding="UTF-8"?>\n${buildLineageSvg(lineageLayout, { standalone: true, title })}`;
+    const blob = new Blob([svg], { type: 'image/svg+xml' });
+    const url = URL.createObjectURL(blob);
     
-    mindMapConnections.forEach((conn, index) => {
-        const fromNode = mindMapNodes.find(n => n.id === conn.fromNode);
-        const toNode = mindMapNodes.find(n => n.id === conn.toNode);
-        
-        if (!fromNode || !toNode) return;
-        
-        // Get node centers
-        const fromNodeEl = document.querySelector(`[data-node-id="${fromNode.id}"]`);
-        const toNodeEl = document.querySelector(`[data-node-id="${toNode.id}"]`);
-        
-        if (!fromNodeEl || !toNodeEl) return;
-        
-        const fromRect = fromNodeEl.getBoundingClientRect();
-        const toRect = toNodeEl.getBoundingClientRect();
-        
-        const fromWidth = fromRect.width / mindMapScale;
-        const fromHeight = fromRect.height / mindMapScale;
-        const toWidth = toRect.width / mindMapScale;
-        const toHeight = toRect.height / mindMapScale;
-        
-        const fromCenterX = fromNode.x + fromWidth / 2;
-        const fromCenterY = fromNode.y + fromHeight / 2;
-        const toCenterX = toNode.x + toWidth / 2;
-        const toCenterY = toNode.y + toHeight / 2;
-        
-        // Calculate edge points
-        const fromPos = getClosestEdgePoint(fromNode, toCenterX, toCenterY);
-        const toPos = getClosestEdgePoint(toNode, fromCenterX, fromCenterY);
-        
-        const path = createCurvePath(fromPos.x, fromPos.y, toPos.x, toPos.y);
-        const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        line.setAttribute('d', path);
-        line.setAttribute('class', 'mindmap-connection-line');
-        line.setAttribute('data-connection-index', index);
-        line.onclick = (e) => {
-            e.stopPropagation();
-            if (confirm('Remover esta conexão?')) {
-                mindMapConnections.splice(index, 1);
-                renderMindMapConnections();
-            }
-        };
-        svg.appendChild(line);
-    });
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `linhagem-${normalizeSearchText(title).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'familia'}.svg`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    
+    ui.showToast('Árvore exportada', 'success');
 }
 
-// Auto-resize textarea
-function autoResizeTextarea(textarea) {
-    if (!textarea) return;
-    textarea.style.height = 'auto';
-    const newHeight = Math.max(44, Math.min(textarea.scrollHeight, 200));
-    textarea.style.height = newHeight + 'px';
+// =====================================================
+// LOCATION MAPS - map images of places with card pins
+// =====================================================
+
+// A location may keep `map: { imageId, pins: [{ id, cardId, x, y }] }`.
+// The image lives in the image store next to the gallery's; pin positions
+// are percentages of its width and height (like a gallery entry's focus
+// point), so a replaced image of another size keeps the pins in place.
+
+// Regional maps need their detail, so they are kept larger than photos
+const MAP_IMAGE_MAX_DIMENSION = 4096;
+
+let cardMapPanZoom = null;
+let cardMapView = null;          // { cardId, view } kept while the same map is re-rendered
+let cardMapPlacing = null;       // card whose map places a pin on the next click
+let cardMapPendingPin = null;    // { cardId, x, y } waiting for a card in the picker
+let mapPinDrag = null;           // pin being dragged: { cardId, pinId, element, startX, startY, moved }
+let mapPinMoved = false;         // the last press on a pin was a drag, not a click
+
+function createMapPinId() {
+    return 'pin_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
-// Keyboard shortcuts for mindmap nodes
-function handleMindMapNodeKeydown(event, nodeId) {
-    // Enter without shift: add new node
-    if (event.key === 'Enter' && !event.shiftKey) {
-        event.preventDefault();
-        addMindMapNode();
-    }
-    // Delete/Backspace on empty: remove node
-    else if ((event.key === 'Delete' || event.key === 'Backspace') && event.target.value === '') {
-        event.preventDefault();
-        const fakeEvent = { stopPropagation: () => {} };
-        deleteMindMapNode(fakeEvent, nodeId);
-    }
+// Clean copy of a stored or imported map
+function normalizeCardMap(map) {
+    const percent = (value) => Number.isFinite(value) ? Math.max(0, Math.min(100, value)) : 50;
+    return {
+        imageId: map.imageId,
+        pins: (Array.isArray(map.pins) ? map.pins : [])
+            .filter(pin => pin && typeof pin.cardId === 'string')
+            .map(pin => ({
+                // Pin IDs are quoted inside the pins' inline handlers; anything
+                // that isn't a generated ID could break out of the quotes
+                id: typeof pin.id === 'string' && /^pin_\d+_[a-z0-9]+$/.test(pin.id) ? pin.id : createMapPinId(),
+                cardId: pin.cardId,
+                x: percent(pin.x),
+                y: percent(pin.y)
+            }))
+    };
 }
 
-function mindMapZoomIn() {
-    mindMapScale = Math.min(mindMapScale + 0.1, 2);
-    applyMindMapTransform();
+// The card's map, if its image is still in the store
+function getCardMap(card) {
+    return card.map && dataStore.getImage(card.map.imageId) ? card.map : null;
 }
 
-function mindMapZoomOut() {
-    mindMapScale = Math.max(mindMapScale - 0.1, 0.5);
-    applyMindMapTransform();
+// Pins whose card still exists, with that card; the others stay saved
+// (an undone deletion brings their card back) but are not shown
+function getMapPins(map) {
+    return (map.pins || [])
+        .map(pin => ({ pin, target: dataStore.getCard(pin.cardId) }))
+        .filter(({ target }) => target);
 }
 
-function mindMapResetView() {
-    mindMapScale = 1;
-    mindMapPanOffset = { x: 0, y: 0 };
-    applyMindMapTransform();
+// Stored size of the map image; null for images kept without one
+function getMapImageSize(map) {
+    const image = dataStore.getImage(map.imageId);
+    return image && image.width && image.height ? { width: image.width, height: image.height } : null;
 }
 
-function applyMindMapTransform() {
-    const container = document.getElementById('mindmap-nodes');
-    const svg = document.getElementById('mindmap-connections');
-    
-    const transform = `scale(${mindMapScale}) translate(${mindMapPanOffset.x}px, ${mindMapPanOffset.y}px)`;
+// Revision diff note for a map change, or null
+function describeMapChange(before, after) {
+    if (!before && !after) return null;
+    if (!before) return 'Mapa adicionado';
+    if (!after) return 'Mapa removido';
+    if (before.imageId !== after.imageId) return 'Imagem do mapa trocada';
+    
+    const beforePins = new Map((before.pins || []).map(pin => [pin.id, pin]));
+    const afterPins = new Map((after.pins || []).map(pin => [pin.id, pin]));
+    const added = [...afterPins.keys()].filter(id => !beforePins.has(id)).length;
+    const removed = [...beforePins.keys()].filter(id => !afterPins.has(id)).length;
+    const moved = [...afterPins.values()].filter(pin => {
+        const old = beforePins.get(pin.id);
+        return old && (old.x !== pin.x || old.y !== pin.y || old.cardId !== pin.cardId);
+    }).length;
+    if (added + removed + moved === 0) return null;
+    
+    return [
+        added > 0 ? `Marcadores adicionados: ${added}` : '',
+        removed > 0 ? `Removidos: ${removed}` : '',
+        moved > 0 ? `Movidos: ${moved}` : ''
+    ].filter(Boolean).join(' · ');
+}
+
+// Replace a location's map as one undoable command and show the result
+function saveCardMap(cardId, map, label, message) {
+    const card = dataStore.getCard(cardId);
+    if (!card) return;
     
-    if (container) {
-        container.style.transform = transform;
-    }
-    if (svg) {
-        svg.style.transform = transform;
+    dataStore.transact(`${label} em "${card.name}"`, () => {
+        dataStore.updateCard(cardId, { map });
+    });
+    if (ui.currentCard && ui.currentCard.id === cardId) {
+        ui.currentCard = dataStore.getCard(cardId);
+        ui.renderCardDetail(ui.currentCard);
     }
     
-    // Redraw connections to update positions
-    renderMindMapConnections();
+    const command = dataStore.getLastCommand();
+    ui.showToast(message, 'success', {
+        label: 'Desfazer',
+        onClick: () => ui.undo(command)
+    });
 }
 
-// Initialize mindmap canvas interactions
-function initMindMapCanvas() {
-    const canvas = document.getElementById('mindmap-canvas');
-    if (!canvas) return;
+function handleMapImageUpload(event, cardId) {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return Promise.resolve();
     
-    // Scroll wheel for zoom
-    canvas.addEventListener('wheel', (event) => {
-        event.preventDefault();
-        
-        const delta = event.deltaY;
-        const zoomIntensity = 0.1;
-        
-        if (delta < 0) {
-            // Scroll up - zoom in
-            mindMapScale = Math.min(mindMapScale + zoomIntensity, 2);
-        } else {
-            // Scroll down - zoom out
-            mindMapScale = Math.max(mindMapScale - zoomIntensity, 0.3);
-        }
-        
-        applyMindMapTransform();
-    }, { passive: false });
+    if (!file.type.startsWith('image/')) {
+        ui.showToast('Por favor, selecione apenas arquivos de imagem', 'error');
+        return Promise.resolve();
+    }
+    if (file.size > 25 * 1024 * 1024) {
+        ui.showToast('A imagem deve ter no máximo 25MB', 'error');
+        return Promise.resolve();
+    }
     
-    // Pan canvas on drag
-    canvas.addEventListener('mousedown', (event) => {
-        // Only pan if clicking on canvas background (not on nodes)
-        if (event.target === canvas || event.target.id === 'mindmap-nodes' || event.target.id === 'mindmap-connections') {
-            mindMapPanState.isPanning = true;
-            mindMapPanState.startX = event.clientX;
-            mindMapPanState.startY = event.clientY;
-            mindMapPanState.offsetX = mindMapPanOffset.x;
-            mindMapPanState.offsetY = mindMapPanOffset.y;
-            
-            canvas.style.cursor = 'grabbing';
-            
-            document.addEventListener('mousemove', onCanvasPan);
-            document.addEventListener('mouseup', endCanvasPan);
-        }
+    return processImageFile(file, MAP_IMAGE_MAX_DIMENSION).then(record => {
+        const card = dataStore.getCard(cardId);
+        if (!card) return;
+        const imageId = dataStore.addImage(record);
+        const replacing = Boolean(getCardMap(card));
+        
+        // A new image keeps the pins where they were, in percent
+        cardMapView = null;
+        saveCardMap(cardId, { imageId, pins: card.map ? card.map.pins || [] : [] },
+            replacing ? 'Trocar mapa' : 'Adicionar mapa',
+            replacing ? 'Imagem do mapa trocada' : 'Mapa adicionado');
+    }).catch(error => {
+        console.error('Image error:', error);
+        ui.showToast(`Não foi possível ler "${file.name}"`, 'error');
     });
 }
 
-function onCanvasPan(event) {
-    if (!mindMapPanState.isPanning) return;
+function removeCardMap(cardId) {
+    const card = dataStore.getCard(cardId);
+    if (!card || !card.map) return;
+    cardMapPlacing = null;
+    saveCardMap(cardId, null, 'Remover mapa', 'Mapa removido');
+}
+
+// Pan and zoom the map shown in the card detail, keeping the view while
+// the same map is re-rendered (after a pin is added or moved)
+function initCardMap(card) {
+    // Placing a pin ends once another card is shown
+    if (cardMapPlacing !== card.id) cardMapPlacing = null;
+    
+    const viewport = document.getElementById('fc-map-viewport');
+    const layer = document.getElementById('fc-map-layer');
+    if (!viewport || !layer) {
+        cardMapPanZoom = null;
+        return;
+    }
     
-    const deltaX = (event.clientX - mindMapPanState.startX) / mindMapScale;
-    const deltaY = (event.clientY - mindMapPanState.startY) / mindMapScale;
+    cardMapPanZoom = attachPanZoom(viewport, layer, {
+        minScale: 0.05,
+        maxScale: 4,
+        canPan: (e) => !e.target.closest('.fc-map-pin'),
+        onChange: (view) => {
+            // Pins keep their size on screen at every zoom level
+            layer.style.setProperty('--map-scale', view.scale);
+            cardMapView = { cardId: card.id, view: { ...view } };
+            hideMapPinPreview();
+        }
+    });
     
-    mindMapPanOffset.x = mindMapPanState.offsetX + deltaX;
-    mindMapPanOffset.y = mindMapPanState.offsetY + deltaY;
+    layer.addEventListener('click', (e) => {
+        if (cardMapPlacing !== card.id || e.target.closest('.fc-map-pin')) return;
+        const point = mapPointFromEvent(layer, e);
+        openMapPinPicker(card.id, point.x, point.y);
+    });
     
-    applyMindMapTransform();
+    if (cardMapView && cardMapView.cardId === card.id) {
+        cardMapPanZoom.setView(cardMapView.view);
+    } else if (!layer.style.width) {
+        // Images stored without a size are measured once loaded
+        const image = layer.querySelector('.fc-map-image');
+        const measure = () => {
+            if (!image.naturalWidth) return;
+            layer.style.width = `${image.naturalWidth}px`;
+            layer.style.height = `${image.naturalHeight}px`;
+            fitCardMap();
+        };
+        if (image.complete) measure();
+        else image.addEventListener('load', measure, { once: true });
+    } else {
+        fitCardMap();
+    }
 }
 
-function endCanvasPan() {
-    mindMapPanState.isPanning = false;
-    
-    const canvas = document.getElementById('mindmap-canvas');
-    if (canvas) canvas.style.cursor = 'grab';
-    
-    document.removeEventListener('mousemove', onCanvasPan);
-    document.removeEventListener('mouseup', endCanvasPan);
+function fitCardMap() {
+    const layer = document.getElementById('fc-map-layer');
+    if (!cardMapPanZoom || !layer) return;
+    cardMapPanZoom.fit(layer.offsetWidth || parseFloat(layer.style.width) || 1,
+        layer.offsetHeight || parseFloat(layer.style.height) || 1);
 }
 
-// Call init when mindmap is shown
-if (document.getElementById('mindmap-canvas')) {
-    initMindMapCanvas();
+function zoomCardMap(direction) {
+    if (!cardMapPanZoom) return;
+    if (direction > 0) cardMapPanZoom.zoomIn();
+    else cardMapPanZoom.zoomOut();
 }
 
-// Compatibility functions
-function addCascadeNode() {
-    addMindMapNode();
+// Where a pointer event falls on the map, in percent of the image
+function mapPointFromEvent(layer, e) {
+    const point = e.touches && e.touches.length > 0 ? e.touches[0] : e;
+    const rect = layer.getBoundingClientRect();
+    const percent = (value, size) => size > 0 ? Math.round(Math.max(0, Math.min(100, value / size * 100)) * 100) / 100 : 50;
+    return {
+        x: percent(point.clientX - rect.left, rect.width),
+        y: percent(point.clientY - rect.top, rect.height)
+    };
 }
 
-function renderCascadeNodes() {
-    renderMindMap();
+function toggleMapPinPlacing(cardId) {
+    cardMapPlacing = cardMapPlacing === cardId ? null : cardId;
+    const card = dataStore.getCard(cardId);
+    if (card) ui.renderCardDetail(card);
+    if (cardMapPlacing === cardId) ui.showToast('Clique no mapa onde o marcador deve ficar', 'info');
 }
 
-function showNodeTypeModal() {
-    const modal = document.getElementById('node-type-modal');
-    const optionsContainer = document.getElementById('node-type-options');
-    const cardType = ui.selectedType || 'evento';
+// Choose the card a new pin opens; places inside this one and eventos come first
+function openMapPinPicker(cardId, x, y) {
+    cardMapPendingPin = { cardId, x, y };
     
-    const types = nodeTypesByCardType[cardType] || nodeTypesByCardType.evento;
+    document.getElementById('modal-content').innerHTML = `
+        <div class="map-pin-picker">
+            <div class="link-modal-header">
+                <h3>📍 Marcar um card no mapa</h3>
+                <button type="button" class="link-modal-close" onclick="ui.closeModal()">×</button>
+            </div>
+            <div class="link-modal-body">
+                <div class="link-search-container">
+                    <input type="text" id="map-pin-search" placeholder="Buscar card..." oninput="renderMapPinCandidates(this.value)">
+                </div>
+                <div class="link-cards-list" id="map-pin-candidates"></div>
+            </div>
+        </div>
+    `;
+    renderMapPinCandidates();
+    document.getElementById('modal-overlay').classList.add('active');
+    document.getElementById('map-pin-search').focus();
+}
+
+function renderMapPinCandidates(filter = '') {
+    const container = document.getElementById('map-pin-candidates');
+    if (!container || !cardMapPendingPin) return;
     
-    optionsContainer.innerHTML = types.map(t => `
-        <div class="node-type-option" onclick="createNode('${t.type}', '${t.icon}')">
-            <div class="node-type-option-icon ${t.type}">${t.icon}</div>
-            <div class="node-type-option-text">${t.label}</div>
+    const hostId = cardMapPendingPin.cardId;
+    const inside = new Set(getLocationChildren(hostId).map(card => card.id));
+    const rank = (card) => inside.has(card.id) ? 0 : card.type === 'evento' ? 1 : card.type === 'local' ? 2 : 3;
+    const terms = normalizeSearchText(filter).trim();
+    
+    const cards = dataStore.getAllCards()
+        .filter(card => card.id !== hostId)
+        .filter(card => !terms || normalizeSearchText(card.name).includes(terms))
+        .sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name, 'pt-BR'));
+    
+    if (cards.length === 0) {
+        container.innerHTML = '<div class="link-card-empty">Nenhum card encontrado</div>';
+        return;
+    }
+    
+    container.innerHTML = cards.map(card => `
+        <div class="link-card-item" onclick="placeMapPin('${card.id}')">
+            <span class="card-icon">${ui.escapeHtml(ui.getTypeIcon(card.type))}</span>
+            <span class="card-name">${ui.escapeHtml(card.name)}</span>
+            <span class="card-type-label">${inside.has(card.id) ? 'Sublocal' : ui.escapeHtml(ui.getTypeName(card.type))}</span>
         </div>
     `).join('');
+}
+
+function placeMapPin(targetId) {
+    const pending = cardMapPendingPin;
+    const card = pending && dataStore.getCard(pending.cardId);
+    const target = dataStore.getCard(targetId);
+    ui.closeModal();
+    cardMapPendingPin = null;
+    if (!card || !card.map || !target) return;
+    
+    cardMapPlacing = null;
+    const pin = { id: createMapPinId(), cardId: targetId, x: pending.x, y: pending.y };
+    saveCardMap(card.id, { ...card.map, pins: [...(card.map.pins || []), pin] },
+        'Adicionar marcador', `"${target.name}" marcado no mapa`);
+}
+
+function removeMapPin(cardId, pinId) {
+    const card = dataStore.getCard(cardId);
+    if (!card || !card.map) return;
+    saveCardMap(cardId, { ...card.map, pins: (card.map.pins || []).filter(pin => pin.id !== pinId) },
+        'Remover marcador', 'Marcador removido');
+}
+
+// A press on a pin either drags it (saved on release) or, without
+// moving, lets the click through to open its card
+function startMapPinDrag(event, cardId, pinId) {
+    if (event.type === 'mousedown' && event.button !== 0) return;
+    const point = event.touches ? event.touches[0] : event;
+    event.stopPropagation();
+    if (event.type === 'mousedown') event.preventDefault();
+    
+    mapPinMoved = false;
+    mapPinDrag = {
+        cardId,
+        pinId,
+        element: event.currentTarget,
+        startX: point.clientX,
+        startY: point.clientY,
+        moved: false
+    };
     
-    modal.style.display = 'flex';
+    const touch = event.type === 'touchstart';
+    const moveEvent = touch ? 'touchmove' : 'mousemove';
+    const endEvent = touch ? 'touchend' : 'mouseup';
+    const onEnd = () => {
+        document.removeEventListener(moveEvent, onMapPinDrag);
+        document.removeEventListener(endEvent, onEnd);
+        endMapPinDrag();
+    };
+    document.addEventListener(moveEvent, onMapPinDrag, { passive: false });
+    document.addEventListener(endEvent, onEnd);
 }
 
-function closeNodeTypeModal() {
-    document.getElementById('node-type-modal').style.display = 'none';
+function onMapPinDrag(e) {
+    if (!mapPinDrag) return;
+    const point = e.touches ? e.touches[0] : e;
+    if (!mapPinDrag.moved && Math.abs(point.clientX - mapPinDrag.startX) + Math.abs(point.clientY - mapPinDrag.startY) <= 3) return;
+    if (e.cancelable) e.preventDefault();
+    
+    const layer = document.getElementById('fc-map-layer');
+    if (!layer) return;
+    const position = mapPointFromEvent(layer, e);
+    mapPinDrag.moved = true;
+    mapPinDrag.x = position.x;
+    mapPinDrag.y = position.y;
+    mapPinDrag.element.style.left = `${position.x}%`;
+    mapPinDrag.element.style.top = `${position.y}%`;
+    mapPinDrag.element.classList.add('dragging');
+    hideMapPinPreview();
 }
 
-function renderCascadeNodes() {
-    const container = document.getElementById('cascade-nodes');
-    const emptyMsg = document.getElementById('cascade-empty');
+function endMapPinDrag() {
+    const drag = mapPinDrag;
+    mapPinDrag = null;
+    if (!drag) return;
     
-    if (!container) return;
+    if (!drag.moved) return;
+    mapPinMoved = true;
     
-    if (cascadeNodes.length === 0) {
-        container.innerHTML = '';
-        if (emptyMsg) emptyMsg.style.display = 'flex';
+    const card = dataStore.getCard(drag.cardId);
+    if (!card || !card.map) return;
+    saveCardMap(card.id, {
+        ...card.map,
+        pins: (card.map.pins || []).map(pin => pin.id === drag.pinId ? { ...pin, x: drag.x, y: drag.y } : pin)
+    }, 'Mover marcador', 'Marcador movido');
+}
+
+function openMapPin(event, targetId) {
+    event.stopPropagation();
+    if (mapPinMoved) {
+        mapPinMoved = false;
         return;
     }
+    ui.openCard(targetId);
+}
+
+// Hover card of a pin: cover, name, type and summary of the card it opens
+function showMapPinPreview(pinId, targetId) {
+    const preview = document.getElementById('fc-map-preview');
+    const viewport = document.getElementById('fc-map-viewport');
+    const pin = viewport && viewport.querySelector(`[data-pin-id="${pinId}"]`);
+    const target = dataStore.getCard(targetId);
+    if (!preview || !pin || !target || mapPinDrag) return;
+    
+    const cover = getCardCover(target);
+    const summary = extractShort(target.resumo);
+    const date = target.type === 'evento' && target.startDate ? target.startDate : '';
+    preview.innerHTML = `
+        ${cover ? `<img class="fc-map-preview-image" src="${dataStore.getImageUrl(cover.imageId)}" alt="" style="${imageCropStyle(cover)}">` : ''}
+        <div class="fc-map-preview-body">
+            <div class="fc-map-preview-title ${target.type}">${ui.escapeHtml(ui.getTypeIcon(target.type))} ${ui.escapeHtml(target.name)}</div>
+            <div class="fc-map-preview-type">${ui.escapeHtml(ui.getTypeName(target.type))}${date ? ` · ${ui.escapeHtml(date)}` : ''}</div>
+            ${summary ? `<div class="fc-map-preview-text">${ui.escapeHtml(summary)}</div>` : ''}
+        </div>
+    `;
     
-    if (emptyMsg) emptyMsg.style.display = 'none';
-    
-    let html = '';
-    cascadeNodes.forEach((node, index) => {
-        html += renderNodeItem(node, index, null);
-    });
-    
-    container.innerHTML = html;
+    const pinRect = pin.getBoundingClientRect();
+    const viewportRect = viewport.getBoundingClientRect();
+    const top = pinRect.top - viewportRect.top;
+    preview.style.left = `${pinRect.left + pinRect.width / 2 - viewportRect.left}px`;
+    preview.style.top = `${top < viewportRect.height / 2 ? pinRect.bottom - viewportRect.top : top}px`;
+    preview.classList.toggle('below', top < viewportRect.height / 2);
+    preview.classList.add('visible');
 }
 
-// Utility functions
-function escapeAttr(str) {
-    if (!str) return '';
-    return str.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+function hideMapPinPreview() {
+    const preview = document.getElementById('fc-map-preview');
+    if (preview) preview.classList.remove('visible');
+}
+
+// The list under the map points out its pin on hover
+function highlightMapPin(pinId, on) {
+    const pin = document.querySelector(`#fc-map-layer [data-pin-id="${pinId}"]`);
+    if (pin) pin.classList.toggle('highlight', on);
 }
 
 // =====================================================
 // CONNECTION CHIPS (Card Links)
 // =====================================================
 
+// Form links: { edgeId, targetId, type, direction, label, inverseLabel },
+// read from the card being edited (see DataStore.setCardRelations)
+function relationToLink(relation, cardId) {
+    const outgoing = relation.source === cardId;
+    return {
+        edgeId: relation.id || null,
+        targetId: outgoing ? relation.target : relation.source,
+        type: relation.type,
+        direction: outgoing ? 'out' : 'in',
+        label: (outgoing ? relation.label : relation.inverseLabel) || '',
+        inverseLabel: (outgoing ? relation.inverseLabel : relation.label) || ''
+    };
+}
+
 function addConnectionFromSelect(selectElement) {
     const cardId = selectElement.value;
     if (!cardId) return;
     
-    if (!cardConnections.includes(cardId)) {
-        cardConnections.push(cardId);
+    const target = dataStore.getCard(cardId);
+    if (target) {
+        // A card can be linked more than once (ally and sibling), so a
+        // repeat starts from a relation it doesn't have yet
+        const taken = (type, direction) => cardConnections.some(link => link.targetId === cardId &&
+            link.type === type && (link.direction === direction || getRelationType(type).symmetric));
+        let { type, direction } = defaultRelationFor(ui.selectedType, target.type);
+        if (taken(type, direction)) {
+            ({ type, direction } = taken('related', 'out') ? { type: 'custom', direction: 'out' } : { type: 'related', direction: 'out' });
+        }
+        cardConnections.push({ edgeId: null, targetId: cardId, type, direction, label: '', inverseLabel: '' });
         renderConnectionChips();
     }
     
     selectElement.value = '';
 }
 
+// Every relation in both reading directions, plus a free-text one
+function renderRelationOptions(link) {
+    const definition = getRelationType(link.type);
+    const selected = link.type === 'custom' || definition.symmetric
+        ? `${link.type}:out`
+        : `${link.type}:${link.direction}`;
+    
+    const target = dataStore.getCard(link.targetId);
+    const options = [];
+    Object.entries(relationTypes).forEach(([type, def]) => {
+        if (type === 'custom') return;
+        if (def.between && type !== link.type &&
+            !(def.between.includes(ui.selectedType) && target && def.between.includes(target.type))) return;
+        options.push({ value: `${type}:out`, label: def.label });
+        if (!def.symmetric) options.push({ value: `${type}:in`, label: def.inverse });
+    });
+    options.push({ value: 'custom:out', label: 'Personalizado…' });
+    
+    return options.map(option => `
+        <option value="${option.value}"${option.value === selected ? ' selected' : ''}>${option.label}</option>
+    `).join('');
+}
+
 function renderConnectionChips() {
     const container = document.getElementById('connection-chips');
     if (!container) return;
     
-    container.innerHTML = cardConnections.map(cardId => {
-        const card = dataStore.getCard(cardId);
+    container.innerHTML = cardConnections.map((link, index) => {
+        const card = dataStore.getCard(link.targetId);
         if (!card) return '';
         return `
             <div class="connection-chip ${card.type}">
-                <span>${ui.getTypeIcon(card.type)}</span>
+                <select class="connection-relation" title="Tipo de relação" onchange="setConnectionRelation(${index}, this.value)">
+                    ${renderRelationOptions(link)}
+                </select>
+                <span>${ui.escapeHtml(ui.getTypeIcon(card.type))}</span>
                 <span>${ui.escapeHtml(card.name)}</span>
-                <button type="button" onclick="removeConnection('${cardId}')">×</button>
+                ${link.type === 'custom' ? `
+                    <input type="text" class="connection-label" placeholder="Rótulo" value="${escapeAttr(link.label)}"
+                           oninput="setConnectionLabel(${index}, 'label', this.value)">
+                    <input type="text" class="connection-label" placeholder="Inverso" value="${escapeAttr(link.inverseLabel)}"
+                           oninput="setConnectionLabel(${index}, 'inverseLabel', this.value)">
+                ` : ''}
+                <button type="button" onclick="removeConnection(${index})">×</button>
             </div>
         `;
     }).join('');
 }
 
-function removeConnection(cardId) {
-    cardConnections = cardConnections.filter(id => id !== cardId);
+function setConnectionRelation(index, value) {
+    const link = cardConnections[index];
+    if (!link) return;
+    
+    const [type, direction] = value.split(':');
+    // Symmetric and custom links keep the direction they are stored with
+    if (type !== link.type || !(getRelationType(type).symmetric || type === 'custom')) {
+        link.direction = direction;
+    }
+    link.type = type;
+    renderConnectionChips();
+}
+
+// Typing doesn't re-render, so the input keeps focus
+function setConnectionLabel(index, key, value) {
+    const link = cardConnections[index];
+    if (link) link[key] = value.trim();
+}
+
+// By position: the same card may have several links
+function removeConnection(index) {
+    cardConnections.splice(index, 1);
     renderConnectionChips();
 }
 
@@ -4003,15 +12458,9 @@ function setConnections(connections) {
 // =====================================================
 
 function resetCascadeEditor() {
-    cascadeNodes = [];
-    mindMapNodes = [];
-    mindMapConnections = [];
     cardConnections = [];
-    mindMapScale = 1;
-    mindMapPanOffset = { x: 0, y: 0 };
-    renderMindMap();
+    clearMindMap();
     renderConnectionChips();
-    applyMindMapTransform();
 }
 
 // Update resetForm to include mindmap reset
@@ -4021,4 +12470,4 @@ window.resetForm = function() {
     resetCascadeEditor();
     document.getElementById('cascade-editor-section').style.display = 'none';
     document.getElementById('connections-section').style.display = 'none';
-};
\ No newline at end of file
+};
\ No newline at end of file